@@ -78,6 +78,15 @@ var FullScreenMario = (function(GameStartr) {
      *                               false).
      * @param {Object} [style]   Additional CSS styles to be given to the
      *                           game's container <div> element.
+     * @param {Boolean} [fixedTimestep]   Whether the GamesRunner should run 
+     *                                    upkeeps in fixed ticks decoupled from
+     *                                    rendering, so the same inputs always
+     *                                    produce the same game state (by 
+     *                                    default, false).
+     * @param {Boolean} [headless]   Whether the game should run without a 
+     *                               document, canvas, or audio, such as in 
+     *                               Node for simulations and tests (by 
+     *                               default, false).
      * @return {FullScreenMario}
      */
     function FullScreenMario(customs) {
@@ -119,7 +128,8 @@ var FullScreenMario = (function(GameStartr) {
                 "scale",
                 "gravity",
                 "pointLevels",
-                "customTextMappings"
+                "customTextMappings",
+                "playerStatistics"
             ]
         });
         
@@ -145,9 +155,15 @@ var FullScreenMario = (function(GameStartr) {
         100, 200, 400, 500, 800, 1000, 2000, 4000, 5000, 8000
     ];
     
+    // Statistics kept separately for each player in two-player games
+    FullScreenMario.playerStatistics = [
+        "lives", "score", "coins", "world", "power"
+    ];
+    
     // Useful for custom text, where "text!" cannot be a Function name
     FullScreenMario.customTextMappings = {
         " ": "Space",
+        "-": "Dash",
         ".": "Period",
         "!": "ExclamationMark",
         ":": "Colon",
@@ -214,6 +230,26 @@ var FullScreenMario = (function(GameStartr) {
         });
     }
     
+    /**
+     * Sets self.WorldSeeder via the parent GameStartr resetWorldSeeder.
+     * 
+     * Generated maps are checked by validateRandomCommands, and patched by
+     * patchRandomCommands if they never pass.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object} [customs]
+     */
+    function resetWorldSeeder(EightBitter, customs) {
+        GameStartr.prototype.resetWorldSeeder(EightBitter, customs);
+        
+        EightBitter.WorldSeeder.setValidator(
+            EightBitter.validateRandomCommands.bind(EightBitter, EightBitter)
+        );
+        EightBitter.WorldSeeder.setPatcher(
+            EightBitter.patchRandomCommands.bind(EightBitter, EightBitter)
+        );
+    }
+    
     /**
      * Resets self.StatsHolder via the parent GameStartr resetStatsHolder.
      * 
@@ -225,7 +261,7 @@ var FullScreenMario = (function(GameStartr) {
     function resetStatsHolder(EightBitter, customs) {
         GameStartr.prototype.resetStatsHolder(EightBitter, customs);
         
-        if (customs.width < 560) {
+        if (customs.width < 560 && !customs.headless) {
             EightBitter.StatsHolder.getContainer().children[0].cells[4].style.display = "none";
         }
     }
@@ -255,6 +291,12 @@ var FullScreenMario = (function(GameStartr) {
         
         EightBitter.StatsHolder.getContainer().style.width = customs.width + "px";
         EightBitter.container.appendChild(EightBitter.StatsHolder.getContainer());
+        
+        // Splits are hidden until the user asks for them
+        if (!customs.headless) {
+            EightBitter.SplitTimer.hideContainer();
+            EightBitter.container.appendChild(EightBitter.SplitTimer.getContainer());
+        }
     }
     
     
@@ -262,14 +304,31 @@ var FullScreenMario = (function(GameStartr) {
     */
     
     /**
-     * Completely restarts the game. Lives are reset to 3, the map goes back
-     * to default, and the onGameStart mod trigger is fired.
+     * Completely restarts the game. Practice stops, the game goes back to one
+     * player, lives are reset to 3, the map goes back to default, the 
+     * SplitTimer starts a new run, and the onGameStart mod trigger is fired.
      * 
      * @this {EightBittr}
      */
     function gameStart() {
         var EightBitter = EightBittr.prototype.ensureCorrectCaller(this);
         
+        EightBitter.stopPractice();
+        
+        // Leaving a two-player game goes back to Mario
+        if (EightBitter.isTwoPlayer()) {
+            EightBitter.ObjectMaker.getFunction("Player").prototype.title = "Player";
+            EightBitter.StatsHolder.set("player", "Mario");
+        }
+        
+        EightBitter.StatsHolder.set("players", []);
+        EightBitter.StatsHolder.set("playerTurn", 0);
+        EightBitter.SplitTimer.start();
+        EightBitter.startReplayRecording(
+            EightBitter,
+            EightBitter.settings.maps.mapDefault,
+            EightBitter.settings.maps.locationDefault
+        );
         EightBitter.setMap(
             EightBitter.settings.maps.mapDefault,
             EightBitter.settings.maps.locationDefault
@@ -296,6 +355,7 @@ var FullScreenMario = (function(GameStartr) {
             texts, textWidth, dx, i;
         
         EightBitter.killNPCs();
+        EightBitter.SplitTimer.stop();
         
         EightBitter.AudioPlayer.clearAll();
         EightBitter.AudioPlayer.play("Game Over");
@@ -304,6 +364,7 @@ var FullScreenMario = (function(GameStartr) {
         EightBitter.StatsHolder.hideContainer();
         EightBitter.TimeHandler.cancelAllEvents();
         EightBitter.PixelDrawer.setBackground("black");
+        EightBitter.PixelDrawer.setBackgroundLayers([]);
         
         EightBitter.addThing(
             text,
@@ -505,7 +566,9 @@ var FullScreenMario = (function(GameStartr) {
         player.keys.rightDown = true; // independent of changes to keys.run
         player.EightBitter.ModAttacher.fireEvent("onKeyDownRight");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -542,7 +605,9 @@ var FullScreenMario = (function(GameStartr) {
         
         player.EightBitter.ModAttacher.fireEvent("onKeyDownUp");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -559,7 +624,9 @@ var FullScreenMario = (function(GameStartr) {
         player.keys.crouch = true;
         player.EightBitter.ModAttacher.fireEvent("onKeyDownDown");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -579,7 +646,9 @@ var FullScreenMario = (function(GameStartr) {
         player.keys.sprint = 1;
         player.EightBitter.ModAttacher.fireEvent("onKeyDownSprint");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -596,7 +665,28 @@ var FullScreenMario = (function(GameStartr) {
         }
         player.EightBitter.ModAttacher.fireEvent("onKeyDownPause");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * Reacts to the checkpoint key being pressed. While practicing, the 
+     * practice checkpoint is moved to the player and the mod event fires.
+     * 
+     * @param {Player} player
+     */
+    function keyDownCheckpoint(player, event) {
+        if (player.EightBitter.GamesRunner.getPaused()) {
+            return;
+        }
+        
+        player.EightBitter.setPracticeCheckpoint(player.EightBitter);
+        player.EightBitter.ModAttacher.fireEvent("onKeyDownCheckpoint");
+        
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -613,7 +703,9 @@ var FullScreenMario = (function(GameStartr) {
         player.EightBitter.AudioPlayer.toggleMuted();
         player.EightBitter.ModAttacher.fireEvent("onKeyDownMute");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -626,7 +718,9 @@ var FullScreenMario = (function(GameStartr) {
         player.keys.run = player.keys.leftDown = 0;
         player.EightBitter.ModAttacher.fireEvent("onKeyUpLeft");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -639,7 +733,9 @@ var FullScreenMario = (function(GameStartr) {
         player.keys.run = player.keys.rightDown = 0;
         player.EightBitter.ModAttacher.fireEvent("onKeyUpRight");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -655,7 +751,9 @@ var FullScreenMario = (function(GameStartr) {
         player.canjump = true;
         player.EightBitter.ModAttacher.fireEvent("onKeyUpUp");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -671,7 +769,9 @@ var FullScreenMario = (function(GameStartr) {
         }
         player.EightBitter.ModAttacher.fireEvent("onKeyUpDown");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -684,7 +784,9 @@ var FullScreenMario = (function(GameStartr) {
         player.keys.sprint = 0;
         player.EightBitter.ModAttacher.fireEvent("onKeyUpSprint");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -699,7 +801,9 @@ var FullScreenMario = (function(GameStartr) {
         }
         player.EightBitter.ModAttacher.fireEvent("onKeyUpPause");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -712,7 +816,9 @@ var FullScreenMario = (function(GameStartr) {
         player.EightBitter.GamesRunner.togglePause();
         player.EightBitter.ModAttacher.fireEvent("onMouseDownRight");
         
-        event.preventDefault();
+        if (event && event.preventDefault) {
+            event.preventDefault();
+        }
     }
     
     /**
@@ -1562,7 +1668,7 @@ var FullScreenMario = (function(GameStartr) {
             "Powerup",
             "ended",
             thing.EightBitter.AudioPlayer.playTheme.bind(
-                undefined, "Star", true
+                thing.EightBitter.AudioPlayer, "Star", true
             )
         );
         
@@ -2060,7 +2166,7 @@ var FullScreenMario = (function(GameStartr) {
             return;
         }
         
-        var balls = [],
+        var balls = thing.balls = [],
             i;
         
         for (i = 0; i < thing.fireballs; i += 1) {
@@ -2342,14 +2448,9 @@ var FullScreenMario = (function(GameStartr) {
                 / EightBitter.unitsize
             );
         
-        EightBitter.WorldSeeder.clearGeneratedCommands();
-        EightBitter.WorldSeeder.generateFull({
-            "title": thing.randomization,
-            "top": thing.randomTop,
-            "right": left + thing.randomWidth,
-            "bottom": thing.randomBottom,
-            "left": left
-        });
+        EightBitter.generateRandomSpawner(
+            EightBitter, thing, left, EightBitter.MapsHandler.getAreaName()
+        );
         EightBitter.WorldSeeder.runGeneratedCommands();
         
         EightBitter.MapsHandler.spawnMap(
@@ -2361,6 +2462,40 @@ var FullScreenMario = (function(GameStartr) {
         );
     }
     
+    /**
+     * Has the WorldSeeder generate the commands for a RandomSpawner, without
+     * running them. The WorldNumberMaker is first seeded from the map's seed
+     * and the spawner's area and position, so the same seed always generates
+     * the same level no matter how it's played.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object} spawner   A RandomSpawner or its reference in a map, 
+     *                           with its .randomization, .randomTop, 
+     *                           .randomWidth, and .randomBottom.
+     * @param {Number} left   The spawner's left, in map units.
+     * @param {Mixed} areaName   The name of the spawner's area.
+     * @return {Object} The summary from WorldSeeder.generateValidated.
+     */
+    function generateRandomSpawner(EightBitter, spawner, left, areaName) {
+        var seed = Number(EightBitter.NumberMaker.getSeed()) || 0,
+            key = [seed >>> 0, Math.floor(seed / 4294967296) >>> 0, left >>> 0],
+            i;
+        
+        areaName = String(areaName);
+        for (i = 0; i < areaName.length; i += 1) {
+            key.push(areaName.charCodeAt(i));
+        }
+        EightBitter.WorldNumberMaker.resetFromArray(key);
+        
+        return EightBitter.WorldSeeder.generateValidated({
+            "title": spawner.randomization,
+            "top": spawner.randomTop,
+            "right": left + spawner.randomWidth,
+            "bottom": spawner.randomBottom,
+            "left": left
+        });
+    }
+    
     /**
      * Activation callback for starting spawnRandomCheep on an interval.
      * MapScreener is notified that spawningCheeps is true.
@@ -3542,6 +3677,9 @@ var FullScreenMario = (function(GameStartr) {
                 "Text" + scoreAmount
             );
         
+        thing.EightBitter.SplitTimer.split(thing.EightBitter.MapsHandler.getMapName());
+        thing.EightBitter.finishGhostRecording(thing.EightBitter);
+        
         // This is a cutscene. No movement, no deaths, no scrolling.
         thing.star = true;
         thing.nocollidechar = true;
@@ -3663,6 +3801,9 @@ var FullScreenMario = (function(GameStartr) {
             return;
         }
         
+        thing.EightBitter.SplitTimer.split(thing.EightBitter.MapsHandler.getMapName());
+        thing.EightBitter.finishGhostRecording(thing.EightBitter);
+        
         thing.EightBitter.thingPauseVelocity(thing);
         thing.EightBitter.killNormal(other);
         thing.EightBitter.killNPCs();
@@ -3824,7 +3965,10 @@ var FullScreenMario = (function(GameStartr) {
         if (transport.constructor === String) {
             thing.EightBitter.setLocation(transport);
         } else if (typeof transport.map !== "undefined") {
-            thing.EightBitter.setMap(transport.map);
+            // Leaving for another map (such as by a warp zone) ends this one
+            thing.EightBitter.SplitTimer.split(thing.EightBitter.MapsHandler.getMapName());
+            thing.EightBitter.finishGhostRecording(thing.EightBitter);
+            thing.EightBitter.leaveMap(thing.EightBitter, transport.map);
         } else if (typeof transport.location !== "undefined") {
             thing.EightBitter.setLocation(transport.location);
         } else {        
@@ -5831,9 +5975,7 @@ var FullScreenMario = (function(GameStartr) {
                 thing, 
                 [
                     "paddle1", "paddle2", "paddle3", "paddle2", "paddle1",
-                    function () {
-                        return thing.paddlingCycle = false;
-                    },
+                    thing.EightBitter.animatePlayerPaddlingEnd
                 ],
                 "paddlingCycle", 
                 7
@@ -5843,6 +5985,17 @@ var FullScreenMario = (function(GameStartr) {
         thing.yvel = thing.EightBitter.unitsize * -.84;
     }
     
+    /**
+     * Class cycle Function for the end of the player's paddlingCycle, which 
+     * marks the player as able to paddle again.
+     * 
+     * @param {Player} thing
+     * @return {Boolean} false, so the cycle stops.
+     */
+    function animatePlayerPaddlingEnd(thing) {
+        return thing.paddlingCycle = false;
+    }
+    
     /**
      * Animation Function for when a player lands to reset size and remove 
      * hopping (and if underwater, paddling) classes. The mod event is fired.
@@ -6453,10 +6606,30 @@ var FullScreenMario = (function(GameStartr) {
         EightBitter.MapScreener.nokeys = true;
         EightBitter.AudioPlayer.clearAll();
         EightBitter.AudioPlayer.play("Player Dies");
+        
+        // Practicing has infinite retries from the checkpoint
+        if (EightBitter.practice) {
+            EightBitter.TimeHandler.addEvent(
+                EightBitter.respawnPractice,
+                area.onPlayerDeathTimeout,
+                EightBitter
+            );
+            return;
+        }
+        
         EightBitter.StatsHolder.decrease("lives");
         EightBitter.StatsHolder.set("power", 1);
         
-        if (EightBitter.StatsHolder.get("lives") > 0) {
+        // Two-player games pass the turn on, resuming here on the next one
+        if (EightBitter.isTwoPlayer()) {
+            EightBitter.TimeHandler.addEvent(
+                EightBitter.switchPlayerTurn,
+                area.onPlayerDeathTimeout,
+                EightBitter,
+                EightBitter.MapsHandler.getMapName(),
+                EightBitter.MapsHandler.getLocationName()
+            );
+        } else if (EightBitter.StatsHolder.get("lives") > 0) {
             EightBitter.TimeHandler.addEvent(
                 area.onPlayerDeath.bind(
                     EightBitter
@@ -6726,17 +6899,26 @@ var FullScreenMario = (function(GameStartr) {
         if (map.seed) {
             EightBitter.NumberMaker.resetFromSeed(map.seed);
         }
+        
+        location = location
+            || map.locationDefault
+            || EightBitter.settings.maps.locationDefault;
 
+        // Practice moving on to another map moves the checkpoint to its start
+        if (EightBitter.practice && EightBitter.practice.checkpoint.map !== name) {
+            EightBitter.practice.checkpoint = {
+                "map": name,
+                "location": location,
+                "power": EightBitter.StatsHolder.get("power")
+            };
+        }
+        
         EightBitter.StatsHolder.set("world", name);
-        EightBitter.InputWriter.restartHistory();
+        EightBitter.startGhostRecording(EightBitter, name, location);
 
         EightBitter.ModAttacher.fireEvent("onSetMap", map);
         
-        EightBitter.setLocation(
-            location
-            || map.locationDefault
-            || EightBitter.settings.maps.locationDefault
-        );
+        EightBitter.setLocation(location);
     }
     
     /**
@@ -6760,23 +6942,15 @@ var FullScreenMario = (function(GameStartr) {
         EightBitter.TimeHandler.cancelAllEvents();
         
         EightBitter.MapsHandler.setLocation(name || 0);
+        EightBitter.MapsHandler.getArea().creationGenerated = undefined;
         EightBitter.MapScreener.setVariables();
         location = EightBitter.MapsHandler.getLocation(name || 0);
         
         EightBitter.ModAttacher.fireEvent("onPreSetLocation", location)
         
-        EightBitter.PixelDrawer.setBackground(
-            EightBitter.MapsHandler.getArea().background
-        );
+        EightBitter.applyAreaBackground(EightBitter.MapsHandler.getArea());
         
-        EightBitter.TimeHandler.addEventInterval(function () {
-            if (!EightBitter.MapScreener.notime) {
-                EightBitter.StatsHolder.decrease("time", 1);
-            }
-            if (!EightBitter.StatsHolder.get("time")) {
-                return true;
-            }
-        }, 25, Infinity);
+        EightBitter.addLocationTimer(EightBitter);
         
         EightBitter.StatsHolder.set(
             "time", EightBitter.MapsHandler.getArea().time
@@ -6787,134 +6961,1651 @@ var FullScreenMario = (function(GameStartr) {
         
         EightBitter.QuadsKeeper.resetQuadrants();
         
-        location.entry(EightBitter, location);
+        if (EightBitter.practice && EightBitter.practice.respawning) {
+            EightBitter.practice.respawning = false;
+            EightBitter.mapEntrancePractice(EightBitter, EightBitter.practice.checkpoint);
+        } else {
+            location.entry(EightBitter, location);
+        }
         
         EightBitter.ModAttacher.fireEvent("onSetLocation", location);
         
         EightBitter.GamesRunner.play();
     }
     
-    /* Map entrances
-    */
-     
     /**
-     * Standard map entrance Function for dropping from the ceiling. A new 
-     * player is placed 16x16 units away from the top-left corner, with
-     * location.xloc scrolling applied if necessary.
+     * Starts counting down the "time" statistic, unless the MapScreener has 
+     * notime set. The countdown stops once time reaches 0.
      * 
-     * @param {EightBittr} EightBittr
-     * @param {Location} [location]   The calling Location entering into (by
-     *                                default, not used).
+     * @param {EightBittr} EightBitter
      */
-    function mapEntranceNormal(EightBitter, location) {
-        if (location && location.xloc) {
-           EightBitter.scrollWindow(location.xloc * EightBitter.unitsize);
-       }
-       
-       EightBitter.addPlayer(
-           EightBitter.unitsize * 16,
-           EightBitter.unitsize * 16
-       );
+    function addLocationTimer(EightBitter) {
+        EightBitter.TimeHandler.addEventInterval(
+            EightBitter.decreaseLocationTime, 25, Infinity, EightBitter
+        );
     }
     
     /**
-     * Standard map entrance Function for starting on the ground. A new player
-     * is placed 16x16 units away from the top-left corner, with location.xloc
-     * scrolling applied if necessary.
+     * Event Function for the location timer, which decreases the "time" 
+     * statistic by 1 unless the MapScreener has notime set.
      * 
-     * @param {EightBittr} EightBittr
-     * @param {Location} [location]   The calling Location entering into (by
-     *                                default, not used).
+     * @param {EightBittr} EightBitter
+     * @return {Boolean} Whether time has run out, so the timer should stop.
      */
-    function mapEntrancePlain(EightBitter, location) {
-       if (location && location.xloc) {
-           EightBitter.scrollWindow(location.xloc * EightBitter.unitsize);
-       }
-       
-       EightBitter.addPlayer(
-           EightBitter.unitsize * 16,
-           EightBitter.MapScreener.floor * EightBitter.unitsize
-       );
+    function decreaseLocationTime(EightBitter) {
+        if (!EightBitter.MapScreener.notime) {
+            EightBitter.StatsHolder.decrease("time", 1);
+        }
         
+        return !EightBitter.StatsHolder.get("time");
     }
-     
+    
     /**
-     * Map entrance Function for starting on the ground and immediately walking
-     * as if in a cutscene. mapEntrancePlain is immediately called, and the 
-     * player has movement forced to be walking, with nokeys and notime set to
-     * true.
+     * Creates a map Object in the same format as those in settings/maps.js 
+     * from the current map. Every area's RandomSpawners are replaced by the
+     * creation generated from them, so the map may be stored with 
+     * MapsCreator.storeMap or loaded into the LevelEditor as a starting point
+     * for a hand-crafted map. The current area keeps what's been generated in
+     * it so far, and the RandomSpawners it and the other areas haven't reached
+     * yet are generated the same way they would be from the current seed, 
+     * without spawning anything.
      * 
-     * @param {EightBittr} EightBitter
-     * @param {Location} [location]   The calling Location entering into (by
-     *                                default, not used).
+     * @param {String} [name]   A name for the map (by default, the current
+     *                          map's name and seed).
+     * @return {Object}
      */
-    function mapEntranceWalking(EightBitter, location) {
-       EightBitter.mapEntrancePlain(EightBitter, location);
-       
-       EightBitter.player.keys.run = 1;
-       EightBitter.player.maxspeed = EightBitter.player.walkspeed;
-       
-       EightBitter.MapScreener.nokeys = true;
-       EightBitter.MapScreener.notime = true;
+    function getGeneratedMap(name) {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this),
+            map = EightBitter.MapsHandler.getMap(),
+            area = EightBitter.MapsHandler.getArea(),
+            seed = EightBitter.NumberMaker.getSeed(),
+            output = {
+                "name": name || (EightBitter.MapsHandler.getMapName() + " " + seed),
+                "seed": seed,
+                "locations": {},
+                "areas": {}
+            },
+            prethings = EightBitter.MapsHandler.getPreThings(),
+            creation = area.creationGenerated || [],
+            location, prething, i, j;
+        
+        if (typeof map.time !== "undefined") {
+            output.time = map.time;
+        }
+        
+        for (i in map.locationsRaw) {
+            if (!map.locationsRaw.hasOwnProperty(i)) {
+                continue;
+            }
+            
+            location = map.locationsRaw[i];
+            output.locations[i] = {
+                "area": location.area || 0
+            };
+            
+            if (typeof location.entryRaw !== "undefined") {
+                output.locations[i].entry = location.entryRaw;
+            }
+            
+            // The map starts where the generated area was first entered
+            if (
+                typeof output.locationDefault === "undefined"
+                && String(location.area || 0) === String(area.name)
+            ) {
+                output.locationDefault = i;
+            }
+        }
+        
+        for (i in map.areasRaw) {
+            if (map.areasRaw.hasOwnProperty(i)) {
+                output.areas[i] = EightBitter.proliferate({}, map.areasRaw[i]);
+                delete output.areas[i].random;
+                
+                if (String(i) !== String(area.name)) {
+                    output.areas[i].creation = getGeneratedCreation(
+                        EightBitter, output.areas[i].creation, i
+                    );
+                }
+            }
+        }
+        
+        // RandomSpawners are done once they've been spawned and activated
+        for (i in prethings) {
+            if (!prethings.hasOwnProperty(i)) {
+                continue;
+            }
+            
+            for (j = 0; j < prethings[i].xInc.length; j += 1) {
+                prething = prethings[i].xInc[j];
+                if (
+                    prething.title === "RandomSpawner"
+                    && (
+                        !prething.spawned
+                        || EightBitter.isThingAlive(prething.thing)
+                    )
+                ) {
+                    creation = creation.concat(getGeneratedCreation(
+                        EightBitter, [prething.reference], area.name
+                    ));
+                }
+            }
+        }
+        
+        output.areas[area.name].creation = output.areas[area.name].creation
+            .filter(function (reference) {
+                return reference.thing !== "RandomSpawner";
+            })
+            .concat(creation);
+        
+        return output;
     }
-     
+    
     /**
-     * Map entrance Function for entering a castle area. The player is simply
-     * added at 2 x 56.
+     * Helper for getGeneratedMap that replaces the RandomSpawners in an area's
+     * creation with the references they would generate.
      * 
      * @param {EightBittr} EightBitter
+     * @param {Object[]} creation   References from an area's creation.
+     * @param {Mixed} areaName   The name of the area.
+     * @return {Object[]}
      */
-    function mapEntranceCastle(EightBitter) {
-        EightBitter.addPlayer(
-            EightBitter.unitsize * 2,
-            EightBitter.unitsize * 56
-        );
+    function getGeneratedCreation(EightBitter, creation, areaName) {
+        var output = [],
+            commands,
+            reference,
+            i, j;
+        
+        for (i = 0; i < creation.length; i += 1) {
+            if (creation[i].thing !== "RandomSpawner") {
+                output.push(creation[i]);
+                continue;
+            }
+            
+            EightBitter.generateRandomSpawner(
+                EightBitter, creation[i], creation[i].x || 0, areaName
+            );
+            commands = EightBitter.WorldSeeder.getGeneratedCommands();
+            
+            for (j = 0; j < commands.length; j += 1) {
+                reference = EightBitter.mapMakeRandomCommand(EightBitter, commands[j]);
+                
+                // Macros are written in maps by their macro name alone
+                if (reference.macro) {
+                    delete reference.thing;
+                }
+                
+                output.push(reference);
+            }
+        }
+        
+        return output;
     }
     
+    
+    /* Ghosts
+    */
+    
     /**
-     * Map entrance Function for entering an area climbing a Vine. The Vine 
-     * enters first by growing, then the player climbs it and hops off. The 
-     * player's actions are done via mapEntranceVinePlayer and are triggered
-     * when the Vine's top reaches its threshold.
+     * Starts recording the player's run through a map, so it may be raced 
+     * against later as a ghost. Only runs from the map's default location 
+     * outside of practice are recorded, and if one of those has been stored
+     * for the map, its ghost is played back alongside the new run. Child 
+     * setMap Functions should call this before the location is set.
      * 
-     * @param {EightBittr} EightBittr
+     * @param {EightBittr} EightBitter
+     * @param {String} name   The name of the map being set.
+     * @param {Mixed} location   The name of the location within the map.
      */
-    function mapEntranceVine(EightBitter) {
-        var vine = EightBitter.addThing(
-                "Vine", 
-                EightBitter.unitsize * 32,
-                EightBitter.MapScreener.bottom + EightBitter.unitsize * 8
-            ),
-            threshold = (
-                EightBitter.MapScreener.bottom - EightBitter.unitsize * 40
-            );
+    function startGhostRecording(EightBitter, name, location) {
+        var map = EightBitter.MapsHandler.getMap(),
+            locationDefault = map.locationDefault
+                || EightBitter.settings.maps.locationDefault,
+            ghost;
         
-        EightBitter.TimeHandler.addEventInterval(function () {
-            if (vine.top < threshold) {
-                vine.movement = undefined;
-                EightBitter.mapEntranceVinePlayer(EightBitter, vine);
-                return true;
-            }
-        }, 1, Infinity);
+        EightBitter.ghostRecording = undefined;
+        EightBitter.ghostPlayback = undefined;
+        
+        // Practice may respawn anywhere, so it can't keep pace with a ghost
+        if (EightBitter.practice || String(location) !== String(locationDefault)) {
+            return;
+        }
+        
+        EightBitter.ghostRecording = {
+            "map": name,
+            "areas": [],
+            "classNames": [],
+            "frames": [],
+            "frameInterval": EightBitter.settings.ghosts.frameInterval,
+            "ticks": 0
+        };
+        
+        ghost = EightBitter.getGhost(name);
+        if (ghost) {
+            EightBitter.ghostPlayback = {
+                "ghost": ghost,
+                "ticks": 0,
+                "thing": undefined
+            };
+        }
     }
     
     /**
-     * Continuation of mapEntranceVine for the player's actions. The player
-     * climbs up the Vine; once it reaches the threshold, it hops off using
-     * animatePlayerOffVine.
+     * Retrieves the stored ghost run through a map. Maps' ghosts are added to
+     * the GhostHolder as they're needed, which loads any kept in localStorage.
      * 
-     * @param {EightBittr} EightBitter
-     * @param {Vine} vine
+     * @param {String} name   The name of a map.
+     * @return {Object} The stored ghost run through the map, if there is one.
      */
-     function mapEntranceVinePlayer(EightBitter, vine) {
-         var threshold = (
-                EightBitter.MapScreener.bottom - EightBitter.unitsize * 24
-            ),
-            speed = EightBitter.unitsize / -4,
-            player = EightBitter.addPlayer(
-                EightBitter.unitsize * 29,
-                EightBitter.MapScreener.bottom - EightBitter.unitsize * 4
-            );
+    function getGhost(name) {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this);
+        
+        if (!EightBitter.GhostHolder.hasKey(name)) {
+            EightBitter.GhostHolder.addStatistic(name, {
+                "valueDefault": false,
+                "storeLocally": true
+            });
+        }
+        
+        return EightBitter.GhostHolder.get(name) || undefined;
+    }
+    
+    /**
+     * Forgets the stored ghost run through a map.
+     * 
+     * @param {String} name   The name of a map.
+     */
+    function clearGhost(name) {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this);
+        
+        if (EightBitter.getGhost(name)) {
+            EightBitter.GhostHolder.set(name, false);
+        }
+    }
+    
+    /**
+     * Regular maintenance Function for ghosts, called every upkeep after the
+     * player moves. Every frameInterval upkeeps, the player's position (in 
+     * map coordinates, so scrolling doesn't matter), height, class, and area
+     * are recorded as a frame, and the ghost being raced against, if any, is
+     * moved along its frames. Upkeeps without a live player get empty frames,
+     * so recordings stay in step with the game. Recordings that run past 
+     * framesMaximum are dropped, since they'd be too slow to race against.
+     * 
+     * @param {EightBittr} EightBitter
+     */
+    function maintainGhost(EightBitter) {
+        var recording = EightBitter.ghostRecording,
+            player = EightBitter.player;
+        
+        if (recording && recording.ticks % recording.frameInterval !== 0) {
+            recording.ticks += 1;
+        } else if (
+            recording
+            && recording.frames.length >= EightBitter.settings.ghosts.framesMaximum
+        ) {
+            EightBitter.ghostRecording = undefined;
+        } else if (recording && !EightBitter.isThingAlive(player)) {
+            recording.ticks += 1;
+            recording.frames.push([]);
+        } else if (recording) {
+            recording.ticks += 1;
+            recording.frames.push([
+                Math.round(player.left + EightBitter.MapScreener.left),
+                Math.round(player.top + EightBitter.MapScreener.top),
+                player.height,
+                EightBitter.getGhostIndex(recording.classNames, player.className),
+                EightBitter.getGhostIndex(
+                    recording.areas, EightBitter.MapsHandler.getAreaName()
+                )
+            ]);
+        }
+        
+        if (EightBitter.ghostPlayback) {
+            EightBitter.animateGhost(EightBitter, EightBitter.ghostPlayback);
+        }
+    }
+    
+    /**
+     * Moves a played back ghost along its frames. Between frames, it's moved
+     * part of the way to the next one if that's in the same area. The ghost's
+     * Thing is added again if a new location cleared it, and hidden during 
+     * empty frames or while its frame is in a different area than the 
+     * player's. Once out of frames, it's killed.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object} playback   The ghost being played back, along with how
+     *                            many upkeeps it's been played for and its
+     *                            Thing.
+     */
+    function animateGhost(EightBitter, playback) {
+        var ghost = playback.ghost,
+            index = Math.floor(playback.ticks / ghost.frameInterval),
+            frame = ghost.frames[index],
+            next = ghost.frames[index + 1],
+            progress = playback.ticks % ghost.frameInterval / ghost.frameInterval,
+            thing = playback.thing,
+            className;
+        
+        playback.ticks += 1;
+        
+        if (!frame || playback.ticks > ghost.ticks) {
+            EightBitter.killNormal(thing);
+            EightBitter.ghostPlayback = undefined;
+            return;
+        }
+        
+        if (
+            !thing
+            || EightBitter.GroupHolder.getTextGroup().indexOf(thing) === -1
+        ) {
+            thing = playback.thing = EightBitter.addPlayerGhost(
+                frame[0] - EightBitter.MapScreener.left,
+                frame[1] - EightBitter.MapScreener.top
+            );
+        }
+        
+        thing.hidden = !frame.length
+            || ghost.areas[frame[4]] !== EightBitter.MapsHandler.getAreaName();
+        if (thing.hidden) {
+            return;
+        }
+        
+        className = ghost.classNames[frame[3]];
+        if (thing.className !== className) {
+            EightBitter.setClass(thing, className);
+        }
+        
+        if (thing.height !== frame[2]) {
+            EightBitter.setHeight(thing, frame[2], true, true);
+        }
+        
+        if (!next || !next.length || next[4] !== frame[4]) {
+            next = frame;
+        }
+        
+        EightBitter.setLeft(
+            thing,
+            frame[0] + (next[0] - frame[0]) * progress - EightBitter.MapScreener.left
+        );
+        EightBitter.setTop(
+            thing,
+            frame[1] + (next[1] - frame[1]) * progress - EightBitter.MapScreener.top
+        );
+    }
+    
+    /**
+     * Adds a new ghost of the player to the game, drawn with the player's 
+     * sprites at the ghost's opacity (which thingProcess passes to 
+     * setOpacity). Ghosts are in the Text group, so they're never moved by 
+     * the game or checked for collisions.
+     * 
+     * @this {EightBittr}
+     * @param {Number} left   A left coordinate to place the ghost at.
+     * @param {Number} top   A top coordinate to place the ghost at.
+     * @return {PlayerGhost}
+     */
+    function addPlayerGhost(left, top) {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this),
+            thing = EightBitter.ObjectMaker.make("PlayerGhost");
+        
+        EightBitter.addThing(thing, left, top);
+        
+        EightBitter.ModAttacher.fireEvent("onAddPlayerGhost", thing);
+        
+        return thing;
+    }
+    
+    /**
+     * Ends the current ghost recording, as when the player finishes a map.
+     * It's stored as the map's ghost if there wasn't one or it's faster.
+     * 
+     * @param {EightBittr} EightBitter
+     * @remarks If localStorage is full, the ghost is still kept in memory and
+     *          raced against until the page is closed.
+     */
+    function finishGhostRecording(EightBitter) {
+        var recording = EightBitter.ghostRecording,
+            ghost;
+        
+        if (!recording) {
+            return;
+        }
+        
+        EightBitter.ghostRecording = undefined;
+        
+        ghost = EightBitter.getGhost(recording.map);
+        if (ghost && recording.ticks >= ghost.ticks) {
+            return;
+        }
+        
+        try {
+            EightBitter.GhostHolder.set(recording.map, recording);
+        } catch (error) {
+            // Finishing the map shouldn't be stopped by a failed save
+        }
+    }
+    
+    /**
+     * @param {String[]} values   Unique values seen so far.
+     * @param {String} value
+     * @return {Number} The index of the value within the values, which it's
+     *                  added to if it wasn't already there.
+     */
+    function getGhostIndex(values, value) {
+        var index = values.indexOf(value);
+        
+        if (index === -1) {
+            index = values.length;
+            values.push(value);
+        }
+        
+        return index;
+    }
+    
+    
+    /* Practice
+    */
+    
+    /**
+     * Starts practicing a map from any of its locations, with a chosen power.
+     * Until stopPractice is called, deaths don't cost lives or end the game:
+     * the player respawns at the most recent checkpoint instead, which starts
+     * as the chosen location and may be moved with setPracticeCheckpoint.
+     * 
+     * @this {EightBittr}
+     * @param {String} name   The name of the map to practice.
+     * @param {Mixed} [location]   The name of the location within the map to
+     *                             start at (by default, the map's default).
+     * @param {Number} [power]   The player's power: 1 for small, 2 for big, 
+     *                           or 3 for fire (by default, 1).
+     */
+    function startPractice(name, location, power) {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this);
+        
+        EightBitter.practice = {
+            "checkpoint": {
+                "map": name,
+                "location": location,
+                "power": power || 1
+            },
+            "respawning": false
+        };
+        
+        // Practicing isn't a run, so it can't set personal bests
+        EightBitter.SplitTimer.stop();
+        
+        EightBitter.ModAttacher.fireEvent("onStartPractice", EightBitter.practice);
+        
+        EightBitter.respawnPractice(EightBitter);
+    }
+    
+    /**
+     * Stops practicing, so deaths cost lives again. The current map carries
+     * on as it is.
+     * 
+     * @this {EightBittr}
+     */
+    function stopPractice() {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this);
+        
+        if (!EightBitter.practice) {
+            return;
+        }
+        
+        EightBitter.practice = undefined;
+        
+        EightBitter.ModAttacher.fireEvent("onStopPractice");
+    }
+    
+    /**
+     * Moves the practice checkpoint to where the player currently is, along
+     * with the player's power. Respawns scroll back to the same spot in the
+     * current location.
+     * 
+     * @param {EightBittr} EightBitter
+     */
+    function setPracticeCheckpoint(EightBitter) {
+        var player = EightBitter.player;
+        
+        if (!EightBitter.practice || !EightBitter.isThingAlive(player) || player.dying) {
+            return;
+        }
+        
+        EightBitter.practice.checkpoint = {
+            "map": EightBitter.MapsHandler.getMapName(),
+            "location": EightBitter.MapsHandler.getLocationName(),
+            "power": player.power,
+            "scroll": EightBitter.MapScreener.left,
+            "left": player.left,
+            "bottom": player.bottom
+        };
+        
+        EightBitter.AudioPlayer.play("Coin");
+        EightBitter.ModAttacher.fireEvent(
+            "onPracticeCheckpoint", EightBitter.practice.checkpoint
+        );
+    }
+    
+    /**
+     * Sends the player back to the practice checkpoint with its power. For
+     * checkpoints set mid-map, setLocation uses mapEntrancePractice in place 
+     * of the location's usual entrance.
+     * 
+     * @param {EightBittr} EightBitter
+     */
+    function respawnPractice(EightBitter) {
+        var checkpoint = EightBitter.practice.checkpoint;
+        
+        EightBitter.StatsHolder.set("power", checkpoint.power);
+        EightBitter.practice.respawning = typeof checkpoint.scroll !== "undefined";
+        
+        EightBitter.setMap(checkpoint.map, checkpoint.location);
+    }
+    
+    
+    /* Two players
+    */
+    
+    /**
+     * Completely restarts the game for two players, who take turns as Mario
+     * and Luigi. Each has their own lives, score, coins, world, and power, 
+     * and resumes where they left off when their turn comes around again.
+     * 
+     * @this {EightBittr}
+     */
+    function gameStartTwoPlayer() {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this),
+            names = ["Mario", "Luigi"],
+            titles = ["Player", "Luigi"],
+            players = [],
+            statistics, i, j;
+        
+        EightBitter.gameStart();
+        
+        for (i = 0; i < names.length; i += 1) {
+            statistics = {};
+            for (j = 0; j < EightBitter.playerStatistics.length; j += 1) {
+                statistics[EightBitter.playerStatistics[j]] = EightBitter.StatsHolder.get(
+                    EightBitter.playerStatistics[j]
+                );
+            }
+            
+            players.push({
+                "name": names[i],
+                "title": titles[i],
+                "map": EightBitter.settings.maps.mapDefault,
+                "location": EightBitter.settings.maps.locationDefault,
+                "statistics": statistics
+            });
+        }
+        
+        EightBitter.StatsHolder.set("players", players);
+        EightBitter.startPlayerTurn(EightBitter, 0);
+        
+        EightBitter.ModAttacher.fireEvent("onGameStartTwoPlayer");
+    }
+    
+    /**
+     * @return {Boolean} Whether players are taking turns in a two-player game.
+     */
+    function isTwoPlayer() {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this);
+        
+        return EightBitter.StatsHolder.get("players").length > 1;
+    }
+    
+    /**
+     * Leaves the current map for another, as when it's completed. In a 
+     * two-player game the next player takes their turn first, and the player
+     * leaving will start the new map on their next turn.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {String} name   The name of the map being gone to.
+     */
+    function leaveMap(EightBitter, name) {
+        if (EightBitter.isTwoPlayer()) {
+            EightBitter.switchPlayerTurn(EightBitter, name);
+        } else {
+            EightBitter.setMap(name);
+        }
+    }
+    
+    /**
+     * Ends the active player's turn. Their statistics and where they'll 
+     * resume are stored in their record, and the next player with lives left
+     * (which may be the same one) takes a turn. If no players have lives left,
+     * the game is over.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {String} map   The map the active player will resume in.
+     * @param {Mixed} [location]   The location within the map the active 
+     *                             player will resume at (by default, the 
+     *                             map's default).
+     */
+    function switchPlayerTurn(EightBitter, map, location) {
+        var players = EightBitter.StatsHolder.get("players"),
+            turn = EightBitter.StatsHolder.get("playerTurn"),
+            record = players[turn],
+            next, i;
+        
+        record.map = map;
+        record.location = location;
+        
+        for (i = 0; i < EightBitter.playerStatistics.length; i += 1) {
+            record.statistics[EightBitter.playerStatistics[i]] = EightBitter.StatsHolder.get(
+                EightBitter.playerStatistics[i]
+            );
+        }
+        
+        for (i = 1; i <= players.length; i += 1) {
+            next = (turn + i) % players.length;
+            
+            if (players[next].statistics.lives > 0) {
+                EightBitter.startPlayerTurn(EightBitter, next);
+                return;
+            }
+        }
+        
+        EightBitter.gameOver();
+    }
+    
+    /**
+     * Starts a player's turn in a two-player game. Their statistics are 
+     * restored, new Players are made with their title, and the classic start
+     * screen shows their name, world, and lives before they resume their map
+     * and location.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Number} turn   The index of the player taking a turn.
+     */
+    function startPlayerTurn(EightBitter, turn) {
+        var record = EightBitter.StatsHolder.get("players")[turn],
+            middle = EightBitter.MapScreener.height / 2,
+            i;
+        
+        EightBitter.StatsHolder.set("playerTurn", turn);
+        EightBitter.StatsHolder.set("player", record.name);
+        
+        for (i = 0; i < EightBitter.playerStatistics.length; i += 1) {
+            EightBitter.StatsHolder.set(
+                EightBitter.playerStatistics[i],
+                record.statistics[EightBitter.playerStatistics[i]]
+            );
+        }
+        
+        EightBitter.ObjectMaker.getFunction("Player").prototype.title = record.title;
+        
+        EightBitter.MapScreener.nokeys = true;
+        EightBitter.AudioPlayer.clearAll();
+        EightBitter.GroupHolder.clearArrays();
+        EightBitter.TimeHandler.cancelAllEvents();
+        EightBitter.PixelDrawer.setBackground("black");
+        EightBitter.PixelDrawer.setBackgroundLayers([]);
+        
+        addCenteredText(EightBitter, "WORLD " + record.map, middle - EightBitter.unitsize * 14);
+        addCenteredText(
+            EightBitter,
+            record.name + " X " + record.statistics.lives,
+            middle + EightBitter.unitsize * 7
+        );
+        
+        EightBitter.TimeHandler.addEvent(function () {
+            EightBitter.setMap(record.map, record.location);
+        }, 210);
+        
+        EightBitter.ModAttacher.fireEvent("onStartPlayerTurn", record);
+    }
+    
+    /**
+     * Adds a line of CustomText centered horizontally on the screen.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {String} contents
+     * @param {Number} top
+     */
+    function addCenteredText(EightBitter, contents, top) {
+        var text = EightBitter.ObjectMaker.make("CustomText", {
+                "texts": [{
+                    "text": contents.toUpperCase()
+                }]
+            }),
+            texts, textWidth, i;
+        
+        EightBitter.addThing(text, EightBitter.MapScreener.width / 2, top);
+        
+        texts = text.children;
+        textWidth = -(texts[texts.length - 1].right - texts[0].left) / 2;
+        for (i = 0; i < texts.length; i += 1) {
+            EightBitter.shiftHoriz(texts[i], textWidth);
+        }
+    }
+    
+    
+    /* Save states
+    */
+    
+    /**
+     * Takes a JSON-friendly snapshot of the game state, so it may later be
+     * resumed via loadState. This includes the plain data of every live Thing
+     * in the GroupHolder's groups (such as titles, positions, velocities, and
+     * classes), the MapsHandler's map, location, and spawned PreThings, the
+     * MapScreener's scroll values, the StatsHolder's values, the TimeHandler's
+     * time, pending events, and running class cycles, and the NumberMaker's 
+     * state.
+     * 
+     * @return {Object} A save state to be given to loadState.
+     * @remarks Events and class cycles are saved by the names of their 
+     *          callbacks on the EightBitter, along with their remaining time
+     *          and repeats. Events made from other Functions (such as those
+     *          of the player's death animation) can't be resumed, so saving
+     *          while any are pending throws an Error rather than making a 
+     *          state that would play out differently.
+     */
+    function saveState() {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this),
+            MapsHandler = EightBitter.MapsHandler,
+            prethings = MapsHandler.getPreThings(),
+            things = getStateThings(EightBitter),
+            keys = EightBitter.StatsHolder.getKeys(),
+            state = {
+                "map": MapsHandler.getMapName(),
+                "location": MapsHandler.getLocationName(),
+                "boundaries": getStatePlain(MapsHandler.getArea().boundaries),
+                "spawned": {},
+                "screen": getStatePlain(EightBitter.MapScreener),
+                "screenThings": {},
+                "quadrants": {
+                    "offsetX": EightBitter.QuadsKeeper.getOffsetX(),
+                    "offsetY": EightBitter.QuadsKeeper.getOffsetY()
+                },
+                "time": getStatePlain(EightBitter.TimeHandler),
+                "numbers": getStatePlain(EightBitter.NumberMaker),
+                "statistics": {},
+                "things": [],
+                "events": getStateEvents(EightBitter, things),
+                "cycles": getStateCycles(EightBitter, things),
+                "player": things.indexOf(EightBitter.player)
+            },
+            properties,
+            i, j;
+        
+        for (i in prethings) {
+            if (prethings.hasOwnProperty(i)) {
+                state.spawned[i] = [];
+                
+                for (j = 0; j < prethings[i].xInc.length; j += 1) {
+                    if (prethings[i].xInc[j].spawned) {
+                        state.spawned[i].push(j);
+                    }
+                }
+            }
+        }
+        
+        for (i = 0; i < things.length; i += 1) {
+            properties = getStatePlain(things[i]);
+            
+            // Class cycles are kept in state.cycles, as are any other 
+            // properties that refer to them (such as the player's running)
+            delete properties[EightBitter.TimeHandler.keyCycles];
+            
+            // Things made as already placed would start their class cycles 
+            // twice, since addThing starts them again as it places them
+            delete properties.placed;
+            
+            state.things.push({
+                "type": getStateType(EightBitter, things[i]),
+                "properties": properties,
+                "references": getStateThingReferences(EightBitter, things, things[i]),
+                "children": getStateChildren(EightBitter, things[i])
+            });
+        }
+        
+        for (i = 0; i < state.cycles.length; i += 1) {
+            for (j = 0; j < state.cycles[i].references.length; j += 1) {
+                delete state.things[state.cycles[i].thing]
+                    .properties[state.cycles[i].references[j]];
+            }
+        }
+        
+        for (i in EightBitter.MapScreener) {
+            if (
+                EightBitter.MapScreener.hasOwnProperty(i)
+                && things.indexOf(EightBitter.MapScreener[i]) !== -1
+            ) {
+                state.screenThings[i] = things.indexOf(EightBitter.MapScreener[i]);
+            }
+        }
+        
+        for (i = 0; i < keys.length; i += 1) {
+            state.statistics[keys[i]] = EightBitter.StatsHolder.get(keys[i]);
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Resumes the game from a state created by saveState. The state's map 
+     * and location are set again without their entry, its values are copied 
+     * back to the modules that had them, and its Things are remade by the 
+     * ObjectMaker and added back in place. Events and class cycles started by
+     * the Things being added are replaced by the state's.
+     * 
+     * @param {Mixed} state   A save state from saveState, or a JSON String of
+     *                        one.
+     */
+    function loadState(state) {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this),
+            MapsHandler = EightBitter.MapsHandler,
+            relocating,
+            area,
+            prethings,
+            prething,
+            properties,
+            statistic,
+            things = [],
+            thing,
+            events,
+            cycles = [],
+            cycle,
+            settings,
+            i, j;
+        
+        if (state.constructor === String) {
+            state = JSON.parse(state);
+        }
+        
+        relocating = state.map !== MapsHandler.getMapName()
+            || state.location !== MapsHandler.getLocationName();
+        
+        MapsHandler.setMap(state.map, state.location);
+        area = MapsHandler.getArea();
+        area.creationGenerated = undefined;
+        area.boundaries = EightBitter.proliferate({}, state.boundaries);
+        
+        EightBitter.proliferate(EightBitter.MapScreener, state.screen);
+        
+        if (relocating) {
+            EightBitter.applyAreaBackground(area);
+            EightBitter.AudioPlayer.clearAll();
+            EightBitter.AudioPlayer.playTheme();
+        }
+        
+        // PreThings are marked as spawned while the quadrants are reset, so 
+        // their Things aren't added (and changed) before they're needed. The
+        // quadrants are then lined up as they were, so later PreThings spawn
+        // at the same times.
+        prethings = MapsHandler.getPreThings();
+        for (i in prethings) {
+            if (prethings.hasOwnProperty(i)) {
+                for (j = 0; j < prethings[i].xInc.length; j += 1) {
+                    prethings[i].xInc[j].spawned = true;
+                }
+            }
+        }
+        
+        EightBitter.QuadsKeeper.resetQuadrants();
+        EightBitter.QuadsKeeper.shiftQuadrants(
+            state.quadrants.offsetX, state.quadrants.offsetY
+        );
+        EightBitter.GroupHolder.clearArrays();
+        EightBitter.TimeHandler.cancelAllEvents();
+        
+        // Things the MapScreener refers to (such as the Lakitu) are replaced
+        // by their remade versions once those are added
+        for (i in EightBitter.MapScreener) {
+            if (
+                EightBitter.MapScreener.hasOwnProperty(i)
+                && EightBitter.MapScreener[i]
+                && EightBitter.MapScreener[i].EightBitter === EightBitter
+            ) {
+                EightBitter.MapScreener[i] = undefined;
+            }
+        }
+        
+        for (i in prethings) {
+            if (prethings.hasOwnProperty(i)) {
+                for (j = 0; j < prethings[i].xInc.length; j += 1) {
+                    prethings[i].xInc[j].spawned = false;
+                }
+                
+                // PreThings added during play (such as by afters) are gone, 
+                // but any Things they spawned are in the state
+                if (state.spawned.hasOwnProperty(i)) {
+                    for (j = 0; j < state.spawned[i].length; j += 1) {
+                        prething = prethings[i].xInc[state.spawned[i][j]];
+                        if (prething) {
+                            prething.spawned = true;
+                        }
+                    }
+                }
+            }
+        }
+        
+        EightBitter.proliferate(EightBitter.TimeHandler, state.time);
+        EightBitter.proliferate(EightBitter.NumberMaker, state.numbers);
+        
+        for (i in state.statistics) {
+            if (state.statistics.hasOwnProperty(i)) {
+                statistic = EightBitter.StatsHolder.getObject(i);
+                statistic.value = state.statistics[i];
+                
+                if (statistic.hasElement) {
+                    statistic.updateElement();
+                }
+            }
+        }
+        
+        for (i = 0; i < state.things.length; i += 1) {
+            properties = state.things[i].properties;
+            thing = EightBitter.ObjectMaker.make(state.things[i].type, properties);
+            
+            // Collection members find each other through their collection
+            if (properties.collectionName) {
+                thing.collection = area.collections[properties.collectionName];
+                thing.collection[properties.collectionKey] = thing;
+            }
+            
+            EightBitter.addThing(thing, properties.left, properties.top);
+            
+            // Spawn Functions may have reset values that were saved, but the
+            // remade Thing has yet to be placed in any quadrants
+            EightBitter.proliferate(thing, properties);
+            EightBitter.setClass(thing, properties.className);
+            thing.numquads = 0;
+            
+            // Children remade by the Thing are put back as they were
+            for (j in state.things[i].children) {
+                if (state.things[i].children.hasOwnProperty(j)) {
+                    state.things[i].children[j].forEach(function (child, k) {
+                        EightBitter.proliferate(thing[j][k], child);
+                        EightBitter.setClass(thing[j][k], child.className);
+                        thing[j][k].numquads = 0;
+                    });
+                }
+            }
+            
+            if (i === state.player) {
+                EightBitter.player = thing;
+                EightBitter.InputWriter.setEventInformation(thing);
+            }
+            
+            things.push(thing);
+        }
+        
+        for (i = 0; i < state.things.length; i += 1) {
+            for (j in state.things[i].references) {
+                if (state.things[i].references.hasOwnProperty(j)) {
+                    things[i][j] = followStateReference(
+                        EightBitter, things, state.things[i].references[j]
+                    );
+                }
+            }
+        }
+        
+        for (i in state.screenThings) {
+            if (state.screenThings.hasOwnProperty(i)) {
+                EightBitter.MapScreener[i] = things[state.screenThings[i]];
+            }
+        }
+        
+        events = EightBitter.TimeHandler.getEvents();
+        for (i in events) {
+            if (events.hasOwnProperty(i)) {
+                for (j = 0; j < events[i].length; j += 1) {
+                    if (!EightBitter.TimeHandler.isClassCycleEvent(events[i][j])) {
+                        EightBitter.TimeHandler.cancelEvent(events[i][j]);
+                    }
+                }
+            }
+        }
+        
+        for (i = 0; i < state.events.length; i += 1) {
+            EightBitter.TimeHandler.addEventResumed.apply(
+                EightBitter.TimeHandler,
+                [
+                    EightBitter[state.events[i].callback],
+                    state.events[i].time,
+                    state.events[i].timeRepeat,
+                    Number(state.events[i].repeat)
+                ].concat(state.events[i].args.map(
+                    followStateReference.bind(undefined, EightBitter, things)
+                ))
+            );
+        }
+        
+        // Cycles the Things didn't have when saved are stopped, and running 
+        // ones are resumed where they were
+        for (i = 0; i < things.length; i += 1) {
+            cycles.push({});
+        }
+        
+        for (i = 0; i < state.cycles.length; i += 1) {
+            cycles[state.cycles[i].thing][state.cycles[i].name] = true;
+        }
+        
+        for (i = 0; i < things.length; i += 1) {
+            for (j in things[i][EightBitter.TimeHandler.keyCycles]) {
+                if (!cycles[i][j]) {
+                    EightBitter.TimeHandler.cancelClassCycle(things[i], j);
+                }
+            }
+        }
+        
+        for (i = 0; i < state.cycles.length; i += 1) {
+            cycle = state.cycles[i];
+            if (!cycle.settings) {
+                continue;
+            }
+            
+            thing = things[cycle.thing];
+            settings = cycle.settings.map(
+                followStateReference.bind(undefined, EightBitter, things)
+            );
+            settings.loc = cycle.loc;
+            settings.oldclass = cycle.oldclass;
+            
+            EightBitter.TimeHandler.resumeClassCycle(
+                thing, settings, cycle.name, cycle.timing, cycle.time
+            );
+            
+            for (j = 0; j < cycle.references.length; j += 1) {
+                thing[cycle.references[j]] = settings;
+            }
+        }
+        
+        // Jumping to a saved moment breaks the run, so it can't become a ghost
+        EightBitter.ghostRecording = undefined;
+        
+        EightBitter.ModAttacher.fireEvent("onLoadState", state);
+    }
+    
+    /**
+     * Helper for saveState that lists the Things to be saved from each of the
+     * GroupHolder's groups. Things kept in another Thing's Arrays (such as a 
+     * CastleBlock's CastleFireballs) are left out, since that Thing remakes 
+     * them when it's added again, as is the ghost being played back.
+     * 
+     * @param {EightBittr} EightBitter
+     * @return {Thing[]}
+     */
+    function getStateThings(EightBitter) {
+        var groups = EightBitter.GroupHolder.getGroups(),
+            things = [],
+            children = [],
+            thing, i, j, k;
+        
+        if (EightBitter.ghostPlayback) {
+            children.push(EightBitter.ghostPlayback.thing);
+        }
+        
+        for (i in groups) {
+            if (groups.hasOwnProperty(i)) {
+                things.push.apply(things, groups[i]);
+            }
+        }
+        
+        for (i = 0; i < things.length; i += 1) {
+            for (j in things[i]) {
+                if (things[i].hasOwnProperty(j) && things[i][j] instanceof Array) {
+                    for (k = 0; k < things[i][j].length; k += 1) {
+                        thing = things[i][j][k];
+                        if (thing && thing.EightBitter === EightBitter) {
+                            children.push(thing);
+                        }
+                    }
+                }
+            }
+        }
+        
+        return things.filter(function (thing) {
+            return children.indexOf(thing) === -1;
+        });
+    }
+    
+    /**
+     * Helper for saveState that describes the TimeHandler's pending events,
+     * other than those of class cycles.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Thing[]} things   The Things being saved.
+     * @return {Object[]}
+     */
+    function getStateEvents(EightBitter, things) {
+        var TimeHandler = EightBitter.TimeHandler,
+            events = TimeHandler.getEvents(),
+            output = [],
+            event,
+            callback,
+            args,
+            i, j;
+        
+        for (i in events) {
+            if (!events.hasOwnProperty(i)) {
+                continue;
+            }
+            
+            for (j = 0; j < events[i].length; j += 1) {
+                event = events[i][j];
+                if (
+                    !(event.repeat > 0)
+                    || TimeHandler.isClassCycleEvent(event)
+                    || event.args.some(isStateThingGone.bind(undefined, EightBitter))
+                ) {
+                    continue;
+                }
+                
+                callback = getStateCallbackName(EightBitter, event.callback);
+                args = event.args.map(
+                    getStateReference.bind(undefined, EightBitter, things)
+                );
+                
+                if (
+                    !callback
+                    || event.count_changer
+                    || typeof event.repeat !== "number"
+                    || args.indexOf(undefined) !== -1
+                ) {
+                    throw new Error(
+                        "Can't save a state while an event without a named "
+                        + "callback is pending."
+                    );
+                }
+                
+                output.push({
+                    "callback": callback,
+                    "time": event.timeDelay - TimeHandler.getTime(),
+                    "timeRepeat": event.timeRepeat,
+                    "repeat": isFinite(event.repeat) ? event.repeat : "Infinity",
+                    "args": args
+                });
+            }
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Helper for saveState that describes each saved Thing's class cycles.
+     * Running cycles are described with their settings and remaining time,
+     * while synched cycles still waiting to start only have their names kept.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Thing[]} things   The Things being saved.
+     * @return {Object[]}
+     * @remarks Count changers (for variable cycle timings) aren't saved.
+     */
+    function getStateCycles(EightBitter, things) {
+        var TimeHandler = EightBitter.TimeHandler,
+            output = [],
+            cycles,
+            cycle,
+            event,
+            settings,
+            references,
+            i, j, k;
+        
+        for (i = 0; i < things.length; i += 1) {
+            cycles = things[i][TimeHandler.keyCycles];
+            
+            for (j in cycles) {
+                if (!cycles.hasOwnProperty(j)) {
+                    continue;
+                }
+                
+                cycle = {
+                    "thing": i,
+                    "name": j,
+                    "references": []
+                };
+                output.push(cycle);
+                
+                event = TimeHandler.getClassCycleEvent(things[i], j);
+                if (!event) {
+                    continue;
+                }
+                
+                settings = [];
+                for (k = 0; k < cycles[j].length; k += 1) {
+                    settings.push(getStateReference(EightBitter, things, cycles[j][k]));
+                }
+                
+                if (settings.indexOf(undefined) !== -1) {
+                    throw new Error(
+                        "Can't save a state while a class cycle without named "
+                        + "callbacks is running."
+                    );
+                }
+                
+                references = [];
+                for (k in things[i]) {
+                    if (things[i].hasOwnProperty(k) && things[i][k] === cycles[j]) {
+                        references.push(k);
+                    }
+                }
+                
+                cycle.settings = settings;
+                cycle.loc = cycles[j].loc;
+                cycle.oldclass = cycles[j].oldclass;
+                cycle.time = event.timeDelay - TimeHandler.getTime();
+                cycle.timing = event.timeRepeat;
+                cycle.references = references;
+            }
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Helper for saveState that describes a Thing's own properties that refer
+     * to other saved Things (such as what it's resting on) or to Functions 
+     * stored on the EightBitter (such as the activate Functions given to 
+     * detectors by their maps).
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Thing[]} things   The Things being saved.
+     * @param {Thing} thing
+     * @return {Object} References from getStateReference, keyed by property.
+     */
+    function getStateThingReferences(EightBitter, things, thing) {
+        var output = {},
+            i;
+        
+        for (i in thing) {
+            if (
+                thing.hasOwnProperty(i)
+                && (
+                    things.indexOf(thing[i]) !== -1
+                    || (
+                        typeof thing[i] === "function"
+                        && getStateCallbackName(EightBitter, thing[i])
+                    )
+                )
+            ) {
+                output[i] = getStateReference(EightBitter, things, thing[i]);
+            }
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Helper for getStateEvents to determine whether an event's argument is a
+     * Thing that's been removed from its group (such as a Solid scrolled off
+     * the left of the screen). Events for these are dropped, as they're no
+     * longer in the game.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Mixed} value
+     * @return {Boolean}
+     */
+    function isStateThingGone(EightBitter, value) {
+        return !!(
+            value
+            && value.EightBitter === EightBitter
+            && value.groupType
+            && EightBitter.GroupHolder.getGroup(value.groupType).indexOf(value) === -1
+        );
+    }
+    
+    /**
+     * Helper for saveState that finds the name a Function is stored under on
+     * the EightBitter.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Function} callback
+     * @return {String} The Function's name, or undefined if it isn't found.
+     */
+    function getStateCallbackName(EightBitter, callback) {
+        var i;
+        
+        for (i in EightBitter) {
+            if (EightBitter[i] === callback) {
+                return i;
+            }
+        }
+        
+        return undefined;
+    }
+    
+    /**
+     * Helper for saveState that describes a value given to an event or class
+     * cycle, so it may be found again by followStateReference. Values may be
+     * the EightBitter, saved Things, properties of saved Things (such as a 
+     * CastleBlock's balls), named Functions, or plain values.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Thing[]} things   The Things being saved.
+     * @param {Mixed} value
+     * @return {Object} A description of the value, or undefined if it can't
+     *                  be described.
+     */
+    function getStateReference(EightBitter, things, value) {
+        var index = things.indexOf(value),
+            callback,
+            i, j;
+        
+        if (value === EightBitter) {
+            return {
+                "EightBitter": true
+            };
+        }
+        
+        if (index !== -1) {
+            return {
+                "thing": index
+            };
+        }
+        
+        if (typeof value === "function") {
+            callback = getStateCallbackName(EightBitter, value);
+            return callback ? { "callback": callback } : undefined;
+        }
+        
+        if (value === undefined || isStatePlain(value)) {
+            return {
+                "value": value
+            };
+        }
+        
+        for (i = 0; i < things.length; i += 1) {
+            for (j in things[i]) {
+                if (things[i].hasOwnProperty(j) && things[i][j] === value) {
+                    return {
+                        "thing": i,
+                        "key": j
+                    };
+                }
+            }
+        }
+        
+        return undefined;
+    }
+    
+    /**
+     * Helper for loadState that finds the value described by a reference from
+     * getStateReference.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Thing[]} things   The Things remade from the state.
+     * @param {Object} reference
+     * @return {Mixed}
+     */
+    function followStateReference(EightBitter, things, reference) {
+        if (reference.EightBitter) {
+            return EightBitter;
+        }
+        
+        if (reference.callback) {
+            return EightBitter[reference.callback];
+        }
+        
+        if (reference.hasOwnProperty("thing")) {
+            return reference.key
+                ? things[reference.thing][reference.key]
+                : things[reference.thing];
+        }
+        
+        return reference.value;
+    }
+    
+    /**
+     * Helper for saveState that copies the plain data of the Things kept in a
+     * Thing's Arrays (such as a CastleBlock's CastleFireballs). These aren't
+     * saved on their own, but are put back in place on the Things remade by
+     * loadState.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Thing} thing
+     * @return {Object} Arrays of the children's plain data, keyed by property.
+     */
+    function getStateChildren(EightBitter, thing) {
+        var output = {},
+            i, j;
+        
+        for (i in thing) {
+            if (
+                !thing.hasOwnProperty(i)
+                || !(thing[i] instanceof Array)
+                || !thing[i].length
+            ) {
+                continue;
+            }
+            
+            // Arrays of other objects (such as quadrants) are skipped
+            for (j = 0; j < thing[i].length; j += 1) {
+                if (
+                    !thing[i][j]
+                    || thing[i][j].EightBitter !== EightBitter
+                    || !thing[i][j].groupType
+                ) {
+                    break;
+                }
+            }
+            
+            if (j === thing[i].length) {
+                output[i] = thing[i].map(getStatePlain);
+            }
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Helper for saveState that finds the ObjectMaker type a Thing was made
+     * as. This isn't always its title, such as for Luigi and PlayerGhosts.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Thing} thing
+     * @return {String}
+     */
+    function getStateType(EightBitter, thing) {
+        var functions = EightBitter.ObjectMaker.getFunctions(),
+            prototype = Object.getPrototypeOf(thing),
+            i;
+        
+        for (i in functions) {
+            if (functions.hasOwnProperty(i) && functions[i].prototype === prototype) {
+                return i;
+            }
+        }
+        
+        return thing.title;
+    }
+    
+    /**
+     * Helper for saveState that copies the JSON-friendly own properties of an
+     * object: Booleans, Strings, finite Numbers, and plain Objects and Arrays
+     * of those.
+     * 
+     * @param {Object} object
+     * @return {Object}
+     */
+    function getStatePlain(object) {
+        var output = {},
+            i;
+        
+        for (i in object) {
+            if (object.hasOwnProperty(i) && isStatePlain(object[i])) {
+                output[i] = JSON.parse(JSON.stringify(object[i]));
+            }
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Helper for getStatePlain to determine whether a value may be saved as
+     * it is in a JSON-friendly save state.
+     * 
+     * @param {Mixed} value
+     * @return {Boolean}
+     */
+    function isStatePlain(value) {
+        var i;
+        
+        switch (typeof value) {
+            case "boolean":
+            case "string":
+                return true;
+            
+            case "number":
+                return isFinite(value);
+            
+            case "object":
+                if (
+                    !value
+                    || (value.constructor !== Object && value.constructor !== Array)
+                ) {
+                    return false;
+                }
+                
+                // Holes in Arrays (such as emptied quadrants) would become 
+                // nulls in JSON, so every index is checked
+                if (value.constructor === Array) {
+                    for (i = 0; i < value.length; i += 1) {
+                        if (!isStatePlain(value[i])) {
+                            return false;
+                        }
+                    }
+                    
+                    return true;
+                }
+                
+                for (i in value) {
+                    if (value.hasOwnProperty(i) && !isStatePlain(value[i])) {
+                        return false;
+                    }
+                }
+                
+                return true;
+            
+            default:
+                return false;
+        }
+    }
+    
+    
+    /* Map entrances
+    */
+     
+    /**
+     * Standard map entrance Function for dropping from the ceiling. A new 
+     * player is placed 16x16 units away from the top-left corner, with
+     * location.xloc scrolling applied if necessary.
+     * 
+     * @param {EightBittr} EightBittr
+     * @param {Location} [location]   The calling Location entering into (by
+     *                                default, not used).
+     */
+    function mapEntranceNormal(EightBitter, location) {
+        if (location && location.xloc) {
+           EightBitter.scrollWindow(location.xloc * EightBitter.unitsize);
+       }
+       
+       EightBitter.addPlayer(
+           EightBitter.unitsize * 16,
+           EightBitter.unitsize * 16
+       );
+    }
+    
+    /**
+     * Standard map entrance Function for starting on the ground. A new player
+     * is placed 16x16 units away from the top-left corner, with location.xloc
+     * scrolling applied if necessary.
+     * 
+     * @param {EightBittr} EightBittr
+     * @param {Location} [location]   The calling Location entering into (by
+     *                                default, not used).
+     */
+    function mapEntrancePlain(EightBitter, location) {
+       if (location && location.xloc) {
+           EightBitter.scrollWindow(location.xloc * EightBitter.unitsize);
+       }
+       
+       EightBitter.addPlayer(
+           EightBitter.unitsize * 16,
+           EightBitter.MapScreener.floor * EightBitter.unitsize
+       );
+        
+    }
+     
+    /**
+     * Map entrance Function for starting on the ground and immediately walking
+     * as if in a cutscene. mapEntrancePlain is immediately called, and the 
+     * player has movement forced to be walking, with nokeys and notime set to
+     * true.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Location} [location]   The calling Location entering into (by
+     *                                default, not used).
+     */
+    function mapEntranceWalking(EightBitter, location) {
+       EightBitter.mapEntrancePlain(EightBitter, location);
+       
+       EightBitter.player.keys.run = 1;
+       EightBitter.player.maxspeed = EightBitter.player.walkspeed;
+       
+       EightBitter.MapScreener.nokeys = true;
+       EightBitter.MapScreener.notime = true;
+    }
+     
+    /**
+     * Map entrance Function for entering a castle area. The player is simply
+     * added at 2 x 56.
+     * 
+     * @param {EightBittr} EightBitter
+     */
+    function mapEntranceCastle(EightBitter) {
+        EightBitter.addPlayer(
+            EightBitter.unitsize * 2,
+            EightBitter.unitsize * 56
+        );
+    }
+    
+    /**
+     * Map entrance Function for entering an area climbing a Vine. The Vine 
+     * enters first by growing, then the player climbs it and hops off. The 
+     * player's actions are done via mapEntranceVinePlayer and are triggered
+     * when the Vine's top reaches its threshold.
+     * 
+     * @param {EightBittr} EightBittr
+     */
+    function mapEntranceVine(EightBitter) {
+        var vine = EightBitter.addThing(
+                "Vine", 
+                EightBitter.unitsize * 32,
+                EightBitter.MapScreener.bottom + EightBitter.unitsize * 8
+            ),
+            threshold = (
+                EightBitter.MapScreener.bottom - EightBitter.unitsize * 40
+            );
+        
+        EightBitter.TimeHandler.addEventInterval(function () {
+            if (vine.top < threshold) {
+                vine.movement = undefined;
+                EightBitter.mapEntranceVinePlayer(EightBitter, vine);
+                return true;
+            }
+        }, 1, Infinity);
+    }
+    
+    /**
+     * Continuation of mapEntranceVine for the player's actions. The player
+     * climbs up the Vine; once it reaches the threshold, it hops off using
+     * animatePlayerOffVine.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Vine} vine
+     */
+     function mapEntranceVinePlayer(EightBitter, vine) {
+         var threshold = (
+                EightBitter.MapScreener.bottom - EightBitter.unitsize * 24
+            ),
+            speed = EightBitter.unitsize / -4,
+            player = EightBitter.addPlayer(
+                EightBitter.unitsize * 29,
+                EightBitter.MapScreener.bottom - EightBitter.unitsize * 4
+            );
         
         EightBitter.shiftVert(player, player.height * EightBitter.unitsize);
         
@@ -7004,6 +8695,26 @@ var FullScreenMario = (function(GameStartr) {
         EightBitter.ModAttacher.fireEvent("onPlayerRespawn");
     }
     
+    /**
+     * Map entrance Function for respawning at a practice checkpoint. The 
+     * window is scrolled to where it was when the checkpoint was set, and a
+     * flickering new player is placed where the player was.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object} checkpoint   The practice checkpoint, as created by 
+     *                              setPracticeCheckpoint.
+     */
+    function mapEntrancePractice(EightBitter, checkpoint) {
+        if (checkpoint.scroll) {
+            EightBitter.scrollWindow(checkpoint.scroll);
+        }
+        
+        EightBitter.addPlayer(checkpoint.left, checkpoint.bottom);
+        EightBitter.animateFlicker(EightBitter.player);
+        
+        EightBitter.ModAttacher.fireEvent("onPlayerRespawn");
+    }
+    
     
     /* Map exits
     */
@@ -7031,7 +8742,7 @@ var FullScreenMario = (function(GameStartr) {
             if (thing.top > other.top) { 
                 thing.EightBitter.TimeHandler.addEvent(function () {
                     if (other.transport.constructor === Object) {
-                        thing.EightBitter.setMap(other.transport.map);
+                        thing.EightBitter.leaveMap(thing.EightBitter, other.transport.map);
                     } else {
                         thing.EightBitter.setLocation(other.transport);
                     }
@@ -7135,6 +8846,91 @@ var FullScreenMario = (function(GameStartr) {
         }
     }
     
+    /**
+     * Sets the PixelDrawer's background to an Area's: its background fill, 
+     * with its backgroundLayers drawn over that and behind all Things.
+     * 
+     * Layers are given as in maps: "solid" layers have a color, "gradient" 
+     * layers have colors keyed by stop, "sprite" layers tile one thing every 
+     * spacing units at an x and y, and "scenery" layers tile a strip of 
+     * things at x and y positions every width units. Each may have a scroll
+     * factor, such as .5 to move at half the speed of the map.
+     * 
+     * @param {Area} area
+     * @param {Object[]} [layers]   Layers to use instead of the Area's own.
+     */
+    function applyAreaBackground(area, layers) {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this);
+        
+        EightBitter.PixelDrawer.setBackground(area.background);
+        
+        if (EightBitter.customs.headless) {
+            return;
+        }
+        
+        EightBitter.PixelDrawer.setBackgroundLayers(
+            (layers || area.backgroundLayers || []).map(
+                createBackgroundLayer.bind(undefined, EightBitter)
+            )
+        );
+    }
+    
+    /**
+     * Creates a PixelDrawr background layer from a map's layer, making and
+     * positioning any Things it uses.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object} layer
+     * @return {Object}
+     */
+    function createBackgroundLayer(EightBitter, layer) {
+        var output = {
+                "type": layer.type,
+                "scroll": layer.scroll,
+                "color": layer.color,
+                "colors": layer.colors
+            },
+            things;
+        
+        switch (layer.type) {
+            case "sprite":
+                things = [createBackgroundThing(EightBitter, {
+                    "thing": layer.thing,
+                    "x": layer.x,
+                    "y": layer.y
+                })];
+                output.width = (things[0].width + (layer.spacing || 0)) * EightBitter.unitsize;
+                break;
+            case "scenery":
+                things = layer.things.map(createBackgroundThing.bind(undefined, EightBitter));
+                if (layer.width) {
+                    output.width = layer.width * EightBitter.unitsize;
+                }
+                break;
+        }
+        
+        output.things = things;
+        
+        return output;
+    }
+    
+    /**
+     * @param {EightBittr} EightBitter
+     * @param {Object} reference   A thing's title and settings, along with its
+     *                             x and y as in map creation.
+     * @return {Thing} A new Thing positioned by the reference.
+     */
+    function createBackgroundThing(EightBitter, reference) {
+        var thing = EightBitter.ObjectMaker.make(reference.thing, reference);
+        
+        EightBitter.setLeft(thing, (reference.x || 0) * EightBitter.unitsize);
+        EightBitter.setBottom(
+            thing, (EightBitter.MapScreener.floor - (reference.y || 0)) * EightBitter.unitsize
+        );
+        
+        return thing;
+    }
+    
     /**
      * @param {Number} yloc   A height to find the distance to the floor from.
      * @param {Boolean} [correctUnitsize]   Whether the yloc accounts for 
@@ -7201,6 +8997,399 @@ var FullScreenMario = (function(GameStartr) {
         MapsCreator.analyzePreSwitch(prething, prethings, area, map);
     }
 
+    
+    
+    /* Random map validation
+    */
+    
+    /**
+     * Validator for commands generated by the WorldSeeder, which checks 
+     * whether the end of the generated section can be reached from its start.
+     * Standable surfaces are found by getRandomCommandSurfaces, then spread 
+     * through from the start using jumps simulated by getPlayerJumpArc.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object[]} generatedCommands   The commands generated by a
+     *                                       WorldSeedr.generateFull call.
+     * @param {Object} position   The generated schema's position, containing
+     *                            .top, .right, .bottom, and .left.
+     * @return {Object} The results, containing whether the section is .valid,
+     *                  the number of .surfaces and how many are .reachable,
+     *                  the .end that must be reached, the .furthest reached,
+     *                  and (if not valid) the reachable surface the player is
+     *                  .blockedAt and the next surface it's .blockedBy.
+     */
+    function validateRandomCommands(EightBitter, generatedCommands, position) {
+        var surfaces = EightBitter.getRandomCommandSurfaces(
+                EightBitter, generatedCommands
+            ),
+            arc = EightBitter.getPlayerJumpArc(
+                EightBitter, position.top - position.bottom
+            ),
+            playerWidth = EightBitter.ObjectMaker.getFullPropertiesOf("Player").width,
+            ends = EightBitter.settings.generator.validationEnds,
+            start = position.left + EightBitter.settings.generator.validationStart,
+            ended = false,
+            reached = [],
+            stack = [],
+            results = {
+                "surfaces": surfaces.length,
+                "reachable": 0,
+                "end": -Infinity,
+                "furthest": -Infinity
+            },
+            surface, other, i;
+        
+        // The end is the first ending macro, or the furthest surface if none
+        for (i = 0; i < generatedCommands.length; i += 1) {
+            if (ends.indexOf(generatedCommands[i].title) !== -1) {
+                results.end = ended
+                    ? Math.min(results.end, generatedCommands[i].left)
+                    : generatedCommands[i].left;
+                ended = true;
+            }
+        }
+        
+        for (i = 0; i < surfaces.length; i += 1) {
+            if (!ended) {
+                results.end = Math.max(results.end, surfaces[i].right);
+            }
+            
+            // The player starts on the highest surface under the start
+            if (
+                surfaces[i].left <= start && surfaces[i].right > start
+                && (!stack.length || surfaces[i].top > stack[0].top)
+            ) {
+                stack[0] = surfaces[i];
+            }
+        }
+        
+        if (stack.length) {
+            reached[surfaces.indexOf(stack[0])] = true;
+        }
+        
+        while (stack.length) {
+            surface = stack.pop();
+            results.reachable += 1;
+            
+            if (surface.right > results.furthest) {
+                results.furthest = surface.right;
+                results.blockedAt = surface;
+            }
+            
+            for (i = 0; i < surfaces.length; i += 1) {
+                other = surfaces[i];
+                
+                if (
+                    !reached[i] 
+                    && EightBitter.canJumpBetweenSurfaces(
+                        surface, other, surfaces, arc, playerWidth
+                    )
+                ) {
+                    reached[i] = true;
+                    stack.push(other);
+                }
+            }
+        }
+        
+        results.valid = results.furthest >= results.end;
+        
+        if (results.valid) {
+            results.blockedAt = undefined;
+            return results;
+        }
+        
+        // The blocking surface is the closest unreached one past the player
+        for (i = 0; i < surfaces.length; i += 1) {
+            other = surfaces[i];
+            
+            if (
+                !reached[i] 
+                && (!results.blockedAt || other.right > results.blockedAt.right)
+                && (!results.blockedBy || other.left < results.blockedBy.left)
+            ) {
+                results.blockedBy = other;
+            }
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Patcher for commands generated by the WorldSeeder that never passed 
+     * validateRandomCommands. Wherever the player is blocked, Stones are added
+     * as a bridge over a too-wide gap, or as stairs up to a too-tall surface.
+     * This repeats until the commands are valid or the generator's 
+     * validationPatches limit is reached.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object[]} generatedCommands   The commands generated by a
+     *                                       WorldSeedr.generateFull call.
+     * @param {Object} position   The generated schema's position, containing
+     *                            .top, .right, .bottom, and .left.
+     * @param {Object} results   The failed results of validateRandomCommands.
+     */
+    function patchRandomCommands(EightBitter, generatedCommands, position, results) {
+        var stepHeight = EightBitter.settings.generator.validationStepHeight,
+            patches = EightBitter.settings.generator.validationPatches,
+            from, to, steps, top, i;
+        
+        while (!results.valid && results.blockedAt && patches > 0) {
+            from = results.blockedAt;
+            to = results.blockedBy;
+            
+            // Nothing left to stand on: extend the floor to the end
+            if (!to) {
+                generatedCommands.push(EightBitter.createPatchStone(
+                    from.right, from.top, results.end - from.right, 8
+                ));
+            }
+            // Too tall to jump onto: stairs lead up to it
+            else if (to.top - from.top > stepHeight) {
+                steps = Math.ceil((to.top - from.top) / stepHeight) - 1;
+                
+                for (i = 1; i <= steps; i += 1) {
+                    top = to.top - stepHeight * i;
+                    generatedCommands.push(EightBitter.createPatchStone(
+                        to.left - 8 * i, top, 8, top - from.top
+                    ));
+                }
+            }
+            // Too far to jump onto: a bridge leads over to it
+            else {
+                generatedCommands.push(EightBitter.createPatchStone(
+                    from.right, from.top, to.left - from.right, 8
+                ));
+            }
+            
+            patches -= 1;
+            results = EightBitter.validateRandomCommands(
+                EightBitter, generatedCommands, position
+            );
+        }
+    }
+    
+    /**
+     * Helper for patchRandomCommands that creates a command for a Stone in 
+     * the same format as those generated by the WorldSeeder.
+     * 
+     * @param {Number} left
+     * @param {Number} top
+     * @param {Number} width
+     * @param {Number} height
+     * @return {Object}
+     */
+    function createPatchStone(left, top, width, height) {
+        return {
+            "type": "Known",
+            "title": "Stone",
+            "top": top,
+            "right": left + width,
+            "bottom": top - height,
+            "left": left,
+            "width": width,
+            "height": height,
+            "arguments": {
+                "width": width,
+                "height": height
+            }
+        };
+    }
+    
+    /**
+     * Finds the standable surfaces among commands generated by the WorldSeeder.
+     * The generator's validationSurfaces determine which titles are surfaces 
+     * and where their tops are: a Number is an offset from the command's y,
+     * "height" means the top is its y plus its height (as with Pipe macros), 
+     * and "column" means a surface at every 8 units of its height (as with 
+     * PlatformGenerators). Touching surfaces of the same top are merged.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object[]} generatedCommands
+     * @return {Object[]} Surfaces, each with a .top, .right, .bottom, and 
+     *                    .left, sorted by top and then left.
+     */
+    function getRandomCommandSurfaces(EightBitter, generatedCommands) {
+        var types = EightBitter.settings.generator.validationSurfaces,
+            surfaces = [],
+            merged = [],
+            command, args, type, left, right, y, surface, i;
+        
+        for (i = 0; i < generatedCommands.length; i += 1) {
+            command = generatedCommands[i];
+            type = types[command.title];
+            
+            if (typeof type === "undefined") {
+                continue;
+            }
+            
+            args = command.arguments || {};
+            left = command.left;
+            right = left + (args.width || command.right - command.left);
+            y = typeof args.y === "undefined" ? command.top : args.y;
+            
+            switch (type) {
+                case "height":
+                    surfaces.push({
+                        "top": y + (args.height || 0),
+                        "right": right,
+                        "bottom": y,
+                        "left": left
+                    });
+                    break;
+                
+                case "column":
+                    for (y = command.bottom + 8; y <= command.top; y += 8) {
+                        surfaces.push({
+                            "top": y,
+                            "right": right,
+                            "bottom": y - 8,
+                            "left": left
+                        });
+                    }
+                    break;
+                
+                default:
+                    surfaces.push({
+                        "top": y + type,
+                        "right": right,
+                        "bottom": y - (args.height || command.top - command.bottom),
+                        "left": left
+                    });
+                    break;
+            }
+        }
+        
+        surfaces.sort(function (a, b) {
+            return a.top === b.top ? a.left - b.left : a.top - b.top;
+        });
+        
+        for (i = 0; i < surfaces.length; i += 1) {
+            if (
+                surface
+                && surface.top === surfaces[i].top 
+                && surface.right >= surfaces[i].left
+            ) {
+                surface.right = Math.max(surface.right, surfaces[i].right);
+                surface.bottom = Math.min(surface.bottom, surfaces[i].bottom);
+            } else {
+                surface = EightBitter.proliferate({}, surfaces[i]);
+                merged.push(surface);
+            }
+        }
+        
+        return merged;
+    }
+    
+    /**
+     * Simulates the path of a player jumping at full speed and holding the 
+     * jump key, using the same physics as movePlayer and maintainCharacters.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Number} depth   How far below the starting height to simulate.
+     * @return {Number[][]} The [x, y] offsets from the starting position (in
+     *                      game units) after each upkeep.
+     */
+    function getPlayerJumpArc(EightBitter, depth) {
+        var unitsize = EightBitter.unitsize,
+            MapScreener = EightBitter.MapScreener,
+            xvel = EightBitter.ObjectMaker.getFullPropertiesOf("Player").maxspeed,
+            yvel = 0,
+            jumplev = 0,
+            jumping = true,
+            x = xvel,
+            y = 0,
+            arc = [[x / unitsize, 0]];
+        
+        while (y / unitsize > -depth) {
+            if (jumping) {
+                jumplev += 1;
+                yvel = Math.max(
+                    yvel - unitsize / Math.pow(jumplev, MapScreener.jumpmod - .0014 * xvel),
+                    MapScreener.maxyvelinv
+                );
+            }
+            
+            yvel = Math.min(yvel + MapScreener.gravity, MapScreener.maxyvel);
+            if (yvel > 0) {
+                jumping = false;
+            }
+            
+            x += xvel;
+            y -= yvel;
+            arc.push([x / unitsize, y / unitsize]);
+        }
+        
+        return arc;
+    }
+    
+    /**
+     * Determines whether a player standing on one surface could land on 
+     * another by jumping (or falling) along an arc from getPlayerJumpArc. A 
+     * jump may not pass through a wall: any surface in between that's too
+     * tall to clear and low enough to run into.
+     * 
+     * @param {Object} from   The surface being jumped from.
+     * @param {Object} to   The surface being jumped to.
+     * @param {Object[]} surfaces   All surfaces that might be in the way.
+     * @param {Number[][]} arc
+     * @param {Number} playerWidth   How wide the player is, in game units.
+     * @return {Boolean}
+     */
+    function canJumpBetweenSurfaces(from, to, surfaces, arc, playerWidth) {
+        var height = to.top - from.top,
+            distance, peak, left, right, other, i;
+        
+        if (from === to) {
+            return false;
+        }
+        
+        if (to.left >= from.right) {
+            distance = to.left - from.right - playerWidth;
+            left = from.right;
+            right = to.left;
+        } else if (to.right <= from.left) {
+            distance = from.left - to.right - playerWidth;
+            left = to.right;
+            right = from.left;
+        } else {
+            distance = 0;
+        }
+        
+        // Find the peak and the first point falling to the target's height
+        peak = 0;
+        for (i = 0; i < arc.length; i += 1) {
+            peak = Math.max(peak, arc[i][1]);
+            
+            if (i > 0 && arc[i][1] < arc[i - 1][1] && arc[i][1] <= height) {
+                break;
+            }
+        }
+        
+        if (peak < height || i === arc.length || arc[i][0] < distance) {
+            return false;
+        }
+        
+        if (!distance) {
+            return true;
+        }
+        
+        for (i = 0; i < surfaces.length; i += 1) {
+            other = surfaces[i];
+            
+            if (
+                other !== from && other !== to
+                && other.left < right && other.right > left
+                && other.top > from.top + peak
+                && other.bottom < Math.max(from.top, to.top) + playerWidth
+            ) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+
 
     /* Map macros
     */
@@ -8598,6 +10787,7 @@ var FullScreenMario = (function(GameStartr) {
         "resetAudioPlayer": resetAudioPlayer,
         "resetThingHitter": resetThingHitter,
         "resetMapsHandler": resetMapsHandler,
+        "resetWorldSeeder": resetWorldSeeder,
         "resetStatsHolder": resetStatsHolder,
         "resetContainer": resetContainer,
         // Global manipulations
@@ -8616,6 +10806,7 @@ var FullScreenMario = (function(GameStartr) {
         "keyDownDown": keyDownDown,
         "keyDownSprint": keyDownSprint,
         "keyDownPause": keyDownPause,
+        "keyDownCheckpoint": keyDownCheckpoint,
         "keyDownMute": keyDownMute,
         "keyUpLeft": keyUpLeft,
         "keyUpRight": keyUpRight,
@@ -8688,6 +10879,7 @@ var FullScreenMario = (function(GameStartr) {
         "spawnCollectionComponent": spawnCollectionComponent,
         "spawnCollectionPartner": spawnCollectionPartner,
         "spawnRandomSpawner": spawnRandomSpawner,
+        "generateRandomSpawner": generateRandomSpawner,
         "activateCheepsStart": activateCheepsStart,
         "activateCheepsStop": activateCheepsStop,
         "activateBulletBillsStart": activateBulletBillsStart,
@@ -8796,6 +10988,7 @@ var FullScreenMario = (function(GameStartr) {
         "animateCastleChainOpen": animateCastleChainOpen,
         "animatePlayerFire": animatePlayerFire,
         "animatePlayerPaddling": animatePlayerPaddling,
+        "animatePlayerPaddlingEnd": animatePlayerPaddlingEnd,
         "animatePlayerLanding": animatePlayerLanding,
         "animatePlayerRestingOff": animatePlayerRestingOff,
         "animatePlayerBubbling": animatePlayerBubbling,
@@ -8834,6 +11027,32 @@ var FullScreenMario = (function(GameStartr) {
         // Map sets
         "setMap": setMap,
         "setLocation": setLocation,
+        "addLocationTimer": addLocationTimer,
+        "decreaseLocationTime": decreaseLocationTime,
+        "getGeneratedMap": getGeneratedMap,
+        // Ghosts
+        "startGhostRecording": startGhostRecording,
+        "getGhost": getGhost,
+        "clearGhost": clearGhost,
+        "maintainGhost": maintainGhost,
+        "animateGhost": animateGhost,
+        "addPlayerGhost": addPlayerGhost,
+        "finishGhostRecording": finishGhostRecording,
+        "getGhostIndex": getGhostIndex,
+        // Practice
+        "startPractice": startPractice,
+        "stopPractice": stopPractice,
+        "setPracticeCheckpoint": setPracticeCheckpoint,
+        "respawnPractice": respawnPractice,
+        // Two players
+        "gameStartTwoPlayer": gameStartTwoPlayer,
+        "isTwoPlayer": isTwoPlayer,
+        "leaveMap": leaveMap,
+        "switchPlayerTurn": switchPlayerTurn,
+        "startPlayerTurn": startPlayerTurn,
+        // Save states
+        "saveState": saveState,
+        "loadState": loadState,
         // Map entrances
         "mapEntranceNormal": mapEntranceNormal,
         "mapEntrancePlain": mapEntrancePlain,
@@ -8844,15 +11063,24 @@ var FullScreenMario = (function(GameStartr) {
         "mapEntrancePipeVertical": mapEntrancePipeVertical,
         "mapEntrancePipeHorizontal": mapEntrancePipeHorizontal,
         "mapEntranceRespawn": mapEntranceRespawn,
+        "mapEntrancePractice": mapEntrancePractice,
         // Map exits
         "mapExitPipeVertical": mapExitPipeVertical,
         "mapExitPipeHorizontal": mapExitPipeHorizontal,
         // Map creation
         "initializeArea": initializeArea,
         "setAreaBackground": setAreaBackground,
+        "applyAreaBackground": applyAreaBackground,
         "getAbsoluteHeight": getAbsoluteHeight,
         "mapAddStretched": mapAddStretched,
         "mapAddAfter": mapAddAfter,
+        // Random map validation
+        "validateRandomCommands": validateRandomCommands,
+        "patchRandomCommands": patchRandomCommands,
+        "getRandomCommandSurfaces": getRandomCommandSurfaces,
+        "getPlayerJumpArc": getPlayerJumpArc,
+        "canJumpBetweenSurfaces": canJumpBetweenSurfaces,
+        "createPatchStone": createPatchStone,
         // Map macros
         "macroExample": macroExample,
         "macroFillPreThings": macroFillPreThings,
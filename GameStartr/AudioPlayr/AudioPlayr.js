@@ -568,6 +568,264 @@ var StatsHoldr = (function () {
     return StatsHoldr;
 })();
 /// <reference path="External/StatsHoldr.ts" />
+/**
+ * A stand-in for an <audio> Element used by AudioPlayr's Web Audio backend.
+ * The sound is decoded once into an AudioBuffer, and each play starts a new
+ * buffer source routed through the sound's own gain and then its bus. The
+ * parts of the HTMLAudioElement interface used by AudioPlayr are kept, so
+ * sounds are played, paused, and listened to the same way either way.
+ */
+var AudioPlayrSound = (function () {
+    /**
+     * @param {AudioContext} context   The Web Audio context to play in.
+     * @param {AudioNode} bus   The node (typically a GainNode) to output to.
+     * @param {Boolean} overlapping   Whether plays may overlap.
+     */
+    function AudioPlayrSound(context, bus, overlapping) {
+        this.context = context;
+        this.overlapping = overlapping;
+        this.paused = true;
+        this.sources = [];
+        this.offset = 0;
+        this.attributes = {};
+        this.listeners = {};
+        this.gain = context.createGain();
+        this.gain.connect(bus);
+        Object.defineProperty(this, "volume", {
+            "get": function () {
+                return this.gain.gain.value;
+            },
+            "set": function (volume) {
+                this.gain.gain.value = volume;
+            }
+        });
+        Object.defineProperty(this, "loop", {
+            "get": function () {
+                return Boolean(this.attributes.loop);
+            },
+            "set": function (loop) {
+                this.attributes.loop = loop;
+                for (var i = 0; i < this.sources.length; i += 1) {
+                    this.sources[i].loop = loop;
+                }
+            }
+        });
+        Object.defineProperty(this, "currentTime", {
+            "get": function () {
+                return this.getCurrentTime();
+            },
+            "set": function (time) {
+                this.offset = time;
+            }
+        });
+        Object.defineProperty(this, "readyState", {
+            "get": function () {
+                return this.buffer ? 4 : 0;
+            }
+        });
+    }
+    /**
+     * Sets the decoded audio, and starts playing if play was called before
+     * it was ready.
+     *
+     * @param {AudioBuffer} buffer
+     */
+    AudioPlayrSound.prototype.setBuffer = function (buffer) {
+        this.buffer = buffer;
+        if (this.waiting) {
+            this.waiting = false;
+            this.startSource();
+        }
+    };
+    /**
+     * Marks the sound as unable to be loaded. Any play waiting on it, and any
+     * later play, ends right away so listeners waiting for the sound to end
+     * (such as those finishing castles) aren't stuck.
+     */
+    AudioPlayrSound.prototype.setFailed = function () {
+        this.failed = true;
+        if (this.waiting) {
+            this.waiting = false;
+            this.endFailed();
+        }
+    };
+    /**
+     * Resumes the sound if it's paused, as with <audio> Elements.
+     */
+    AudioPlayrSound.prototype.play = function () {
+        if (!this.paused) {
+            return;
+        }
+        this.paused = false;
+        if (this.buffer) {
+            this.startSource();
+        }
+        else if (this.failed) {
+            this.endFailed();
+        }
+        else {
+            this.waiting = true;
+        }
+    };
+    /**
+     * Starts another play of the sound from the beginning, overlapping any
+     * plays already going.
+     */
+    AudioPlayrSound.prototype.playAgain = function () {
+        if (this.paused) {
+            this.offset = 0;
+            this.play();
+        }
+        else if (this.buffer) {
+            this.offset = 0;
+            this.startSource();
+        }
+    };
+    /**
+     * Stops all plays of the sound, remembering where the most recent one
+     * was so it may be resumed, as with <audio> Elements.
+     */
+    AudioPlayrSound.prototype.pause = function () {
+        var source;
+        if (this.paused) {
+            return;
+        }
+        this.offset = this.getCurrentTime();
+        this.paused = true;
+        this.waiting = false;
+        while (this.sources.length) {
+            source = this.sources.pop();
+            source.stopped = true;
+            source.stop(0);
+        }
+    };
+    /**
+     * @param {String} name
+     * @return {String} The value of the attribute, or null if there isn't one.
+     */
+    AudioPlayrSound.prototype.getAttribute = function (name) {
+        return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+    };
+    /**
+     * @param {String} name
+     * @param {String} value
+     */
+    AudioPlayrSound.prototype.setAttribute = function (name, value) {
+        this.attributes[name] = String(value);
+    };
+    /**
+     * @param {String} name
+     * @return {Boolean}
+     */
+    AudioPlayrSound.prototype.hasAttribute = function (name) {
+        return this.attributes.hasOwnProperty(name);
+    };
+    /**
+     * @param {String} event   The name of the event, such as "ended".
+     * @param {Function} callback
+     */
+    AudioPlayrSound.prototype.addEventListener = function (event, callback) {
+        if (!this.listeners.hasOwnProperty(event)) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    };
+    /**
+     * @param {String} event   The name of the event, such as "ended".
+     * @param {Function} callback
+     */
+    AudioPlayrSound.prototype.removeEventListener = function (event, callback) {
+        var listeners = this.listeners[event], index;
+        if (!listeners) {
+            return;
+        }
+        index = listeners.indexOf(callback);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    };
+    /**
+     * Calls each listener for an event, as with <audio> Elements.
+     *
+     * @param {String} event   The name of the event, such as "ended".
+     */
+    AudioPlayrSound.prototype.dispatchEvent = function (event) {
+        var listeners = (this.listeners[event] || []).slice(), i;
+        for (i = 0; i < listeners.length; i += 1) {
+            listeners[i].call(this, {
+                "type": event,
+                "target": this
+            });
+        }
+    };
+    /**
+     * @return {Number} How far into the buffer the sound is, in seconds.
+     */
+    AudioPlayrSound.prototype.getCurrentTime = function () {
+        var time;
+        if (this.paused || !this.buffer || !this.sources.length) {
+            return this.offset;
+        }
+        time = this.context.currentTime - this.startedAt;
+        return this.loop ? time % this.buffer.duration : Math.min(time, this.buffer.duration);
+    };
+    /**
+     * Starts a new buffer source from the current offset. Once every source
+     * has ended on its own (rather than by pause), the sound is paused and
+     * its "ended" listeners are called.
+     */
+    AudioPlayrSound.prototype.startSource = function () {
+        var source = this.context.createBufferSource(), offset = this.offset % this.buffer.duration || 0;
+        // Browsers may keep contexts suspended until a user gesture
+        if (this.context.state === "suspended") {
+            this.context.resume();
+        }
+        source.buffer = this.buffer;
+        source.loop = this.loop;
+        source.connect(this.gain);
+        source.onended = this.onSourceEnded.bind(this, source);
+        source.start(0, offset);
+        this.sources.push(source);
+        this.startedAt = this.context.currentTime - offset;
+    };
+    /**
+     * Ends a play of a sound that couldn't be loaded, after the current call
+     * stack as with <audio> Elements. Looping sounds never end, so they stay
+     * playing (silently) until paused.
+     */
+    AudioPlayrSound.prototype.endFailed = function () {
+        if (this.loop) {
+            return;
+        }
+        setTimeout(function () {
+            if (this.paused) {
+                return;
+            }
+            this.paused = true;
+            this.dispatchEvent("ended");
+        }.bind(this));
+    };
+    /**
+     * Removes a finished buffer source, and finishes the sound if it was the
+     * last one to end on its own.
+     *
+     * @param {AudioBufferSourceNode} source
+     */
+    AudioPlayrSound.prototype.onSourceEnded = function (source) {
+        var index = this.sources.indexOf(source);
+        if (source.stopped || index === -1) {
+            return;
+        }
+        this.sources.splice(index, 1);
+        if (this.sources.length) {
+            return;
+        }
+        this.paused = true;
+        this.offset = 0;
+        this.dispatchEvent("ended");
+    };
+    return AudioPlayrSound;
+})();
 /**
  * AudioPlayr
  * An audio library to automate preloading and controlled playback of multiple
@@ -668,11 +926,27 @@ var AudioPlayr = (function () {
         this.fileTypes = settings.fileTypes;
         this.getThemeDefault = settings.getThemeDefault || "Theme";
         this.getVolumeLocal = typeof settings.getVolumeLocal === "undefined" ? 1 : settings.getVolumeLocal;
+        this.musicSections = settings.musicSections || ["Themes"];
+        this.synthesizer = settings.synthesizer;
+        this.crossfadeDuration = settings.crossfadeDuration || 0;
+        this.temporaryThemes = settings.temporaryThemes || [];
+        this.duckingSounds = settings.duckingSounds || [];
+        this.duckingVolume = typeof settings.duckingVolume === "undefined" ? .35 : settings.duckingVolume;
+        this.duckingDuration = typeof settings.duckingDuration === "undefined" ? 140 : settings.duckingDuration;
+        this.duckingPlaying = {};
+        this.duckingLevel = 1;
         // Sounds should always start blank
         this.sounds = {};
+        if (settings.webAudio) {
+            this.resetContext();
+        }
         // Preload everything!
         this.libraryLoad();
         this.StatsHolder = new StatsHoldr(settings.statistics);
+        if (this.buses) {
+            this.buses.music.gain.value = this.getVolumeBus("music");
+            this.buses.sfx.gain.value = this.getVolumeBus("sfx");
+        }
         this.setVolume(this.StatsHolder.get("volume"));
         this.setMuted(this.StatsHolder.get("muted"));
     }
@@ -709,6 +983,20 @@ var AudioPlayr = (function () {
     AudioPlayr.prototype.getDirectory = function () {
         return this.directory;
     };
+    /**
+     * @return {AudioContext} The Web Audio context sounds are played in, or
+     *                        undefined if sounds are <audio> Elements.
+     */
+    AudioPlayr.prototype.getContext = function () {
+        return this.context;
+    };
+    /**
+     * @return {IAudioPlayrSynthesizer} The synthesizer for sounds rendered from
+     *                                  songs, if one was given.
+     */
+    AudioPlayr.prototype.getSynthesizer = function () {
+        return this.synthesizer;
+    };
     /* Playback modifiers
     */
     /**
@@ -729,12 +1017,40 @@ var AudioPlayr = (function () {
         if (!this.getMuted()) {
             for (i in this.sounds) {
                 if (this.sounds.hasOwnProperty(i)) {
-                    this.sounds[i].volume = this.sounds[i].volumeReal * volume;
+                    this.sounds[i].volume = this.getSoundVolume(this.sounds[i], volume);
                 }
             }
         }
         this.StatsHolder.set("volume", volume);
     };
+    /**
+     * @param {String} bus   The name of a bus, as "music" or "sfx".
+     * @return {Number} The volume of the bus, which is a Number in [0,1]
+     *                  retrieved by the StatsHoldr (by default, 1).
+     */
+    AudioPlayr.prototype.getVolumeBus = function (bus) {
+        var key = this.getVolumeBusKey(bus);
+        return this.StatsHolder.hasKey(key) ? this.StatsHolder.get(key) : 1;
+    };
+    /**
+     * Sets the volume of a bus, which scales the overall volume for sounds
+     * played through it. If not muted, its sounds will have their volume
+     * updated.
+     *
+     * @param {String} bus   The name of a bus, as "music" or "sfx".
+     * @param {Number} volume   A Number in [0,1] to set as the bus' volume.
+     */
+    AudioPlayr.prototype.setVolumeBus = function (bus, volume) {
+        var key = this.getVolumeBusKey(bus);
+        if (!this.StatsHolder.hasKey(key)) {
+            throw new Error("Statistics given to AudioPlayr don't include " + key + ".");
+        }
+        this.StatsHolder.set(key, volume);
+        if (this.buses) {
+            this.buses[bus].gain.value = volume;
+        }
+        this.updateSoundVolumes();
+    };
     /**
      * @return {Boolean} whether this is currently muted.
      */
@@ -772,11 +1088,10 @@ var AudioPlayr = (function () {
      * as off in the internal StatsHoldr.
      */
     AudioPlayr.prototype.setMutedOff = function () {
-        var volume = this.getVolume(), sound, i;
+        var volume = this.getVolume(), i;
         for (i in this.sounds) {
             if (this.sounds.hasOwnProperty(i)) {
-                sound = this.sounds[i];
-                sound.volume = Number(sound.getAttribute("volumeReal")) * volume;
+                this.sounds[i].volume = this.getSoundVolume(this.sounds[i], volume);
             }
         }
         this.StatsHolder.set("muted", 0);
@@ -811,6 +1126,33 @@ var AudioPlayr = (function () {
     AudioPlayr.prototype.setGetThemeDefault = function (getThemeDefaultNew) {
         this.getThemeDefault = getThemeDefaultNew;
     };
+    /**
+     * @return {Number} How many milliseconds playTheme fades between themes.
+     */
+    AudioPlayr.prototype.getCrossfadeDuration = function () {
+        return this.crossfadeDuration;
+    };
+    /**
+     * @param {Number} crossfadeDuration   How many milliseconds playTheme
+     *                                     should fade between themes (0 for
+     *                                     an immediate switch).
+     */
+    AudioPlayr.prototype.setCrossfadeDuration = function (crossfadeDuration) {
+        this.crossfadeDuration = crossfadeDuration;
+    };
+    /**
+     * @return {String[]} Names of sounds that duck the "music" bus.
+     */
+    AudioPlayr.prototype.getDuckingSounds = function () {
+        return this.duckingSounds;
+    };
+    /**
+     * @param {String[]} duckingSounds   Names of sounds that should duck the
+     *                                   "music" bus while they play.
+     */
+    AudioPlayr.prototype.setDuckingSounds = function (duckingSounds) {
+        this.duckingSounds = duckingSounds;
+    };
     /* Playback
     */
     /**
@@ -818,9 +1160,10 @@ var AudioPlayr = (function () {
      *
      * Plays the sound of the given name. Internally, this stops any previously
      * playing sound of that name and starts a new one, with volume set to the
-     * current volume and muted status. If the name wasn't previously being
-     * played (and therefore a new Element has been created), an event listener
-     * is added to delete it from sounds after.
+     * current volume and muted status. Web Audio sounds on the "sfx" bus are
+     * instead played again over themselves. If the name wasn't previously
+     * being played (and therefore a new Element has been created), an event
+     * listener is added to delete it from sounds after.
      *
      * @return {HTMLAudioElement} The sound's <audio> element, now playing.
      */
@@ -837,15 +1180,29 @@ var AudioPlayr = (function () {
         else {
             sound = this.sounds[name];
         }
-        this.soundStop(sound);
+        this.stopFade(sound);
+        if (this.themeFading === sound) {
+            this.themeFading = undefined;
+        }
+        sound.setAttribute("volumeReal", "1");
+        sound.setAttribute("volumeFade", "1");
         if (this.getMuted()) {
             sound.volume = 0;
         }
         else {
-            sound.setAttribute("volumeReal", "1");
-            sound.volume = this.getVolume();
+            sound.volume = this.getSoundVolume(sound);
+        }
+        if (this.duckingSounds.indexOf(name) !== -1) {
+            this.duckingPlaying[name] = true;
+            this.setDuckingLevel(this.duckingVolume);
+        }
+        if (sound.overlapping && !sound.paused) {
+            sound.playAgain();
+        }
+        else {
+            this.soundStop(sound);
+            this.playSound(sound);
         }
-        this.playSound(sound);
         used = Number(sound.getAttribute("used"));
         // If this is the song's first play, let it know how to stop
         if (!used) {
@@ -899,14 +1256,19 @@ var AudioPlayr = (function () {
         this.pauseAll();
         this.clearTheme();
         this.sounds = {};
+        this.duckingPlaying = {};
+        this.setDuckingLevel(1, 0);
     };
     /**
      * Pauses and removes the theme, if there is one.
      */
     AudioPlayr.prototype.clearTheme = function () {
+        this.finishThemeFading();
+        this.themeResume = undefined;
         if (!this.theme) {
             return;
         }
+        this.stopFade(this.theme);
         this.pauseTheme();
         delete this.sounds[this.theme.getAttribute("name")];
         this.theme = undefined;
@@ -941,7 +1303,7 @@ var AudioPlayr = (function () {
             sound.volume = 0;
         }
         else {
-            sound.volume = volumeReal * this.getVolume();
+            sound.volume = this.getSoundVolume(sound);
         }
         return sound;
     };
@@ -951,6 +1313,11 @@ var AudioPlayr = (function () {
      * is controlled by pauseTheme and co. If loop is on and the sound wasn't
      * already playing, an event listener is added for when it ends.
      *
+     * If crossfadeDuration is set, a different playing theme is faded out as
+     * the new one fades in. Switching to one of the temporaryThemes remembers
+     * where the previous theme was, so playing it again afterwards resumes it
+     * from there.
+     *
      * @param {String} [name]   The name of the sound to be used as the theme.
      *                          If not provided, getThemeDefault is used to
      *                          provide one.
@@ -961,7 +1328,7 @@ var AudioPlayr = (function () {
     AudioPlayr.prototype.playTheme = function (name, loop) {
         if (name === void 0) { name = undefined; }
         if (loop === void 0) { loop = undefined; }
-        this.pauseTheme();
+        var resume = this.themeResume, nameOld, crossfading;
         // Loop defaults to true
         loop = typeof loop !== "undefined" ? loop : true;
         // If name isn't given, use the default getter
@@ -975,12 +1342,31 @@ var AudioPlayr = (function () {
                     break;
             }
         }
-        // If a theme already exists, kill it
+        // If a theme already exists, kill it (remembering where it was if the
+        // new theme is only temporary)
         if (typeof this.theme !== "undefined" && this.theme.hasAttribute("name")) {
-            delete this.sounds[this.theme.getAttribute("name")];
+            nameOld = this.theme.getAttribute("name");
+            if (nameOld !== name && !this.theme.paused && this.temporaryThemes.indexOf(name) !== -1 && this.temporaryThemes.indexOf(nameOld) === -1) {
+                this.themeResume = {
+                    "name": nameOld,
+                    "time": this.theme.currentTime
+                };
+            }
+            crossfading = nameOld !== name && this.fadeThemeOut();
+            delete this.sounds[nameOld];
         }
         this.theme = this.sounds[name] = this.play(name);
         this.theme.loop = loop;
+        if (resume && resume.name === name) {
+            this.soundSeek(this.theme, resume.time);
+        }
+        if (this.temporaryThemes.indexOf(name) === -1) {
+            this.themeResume = undefined;
+        }
+        if (crossfading) {
+            this.theme.setAttribute("volumeFade", "0");
+            this.fadeSound(this.theme, 1, this.crossfadeDuration);
+        }
         // If it's used (no repeat), add the event listener to resume theme
         if (this.theme.used === 1) {
             this.theme.addEventListener("ended", this.playTheme);
@@ -1004,7 +1390,7 @@ var AudioPlayr = (function () {
         if (name === void 0) { name = undefined; }
         if (loop === void 0) { loop = undefined; }
         var sound = this.play(prefix);
-        this.pauseTheme();
+        this.fadeThemeOut();
         // If name isn't given, use the default getter
         if (typeof (name) === "undefined") {
             switch (this.getThemeDefault.constructor) {
@@ -1016,11 +1402,85 @@ var AudioPlayr = (function () {
                     break;
             }
         }
-        this.addEventListener(prefix, "ended", this.playTheme.bind(self, prefix + " " + name, loop));
+        this.addEventListener(prefix, "ended", this.playTheme.bind(this, prefix + " " + name, loop));
         return sound;
     };
     /* Public utilities
     */
+    /**
+     * Adds (or replaces) a sound synthesized from a song, such as for mods to
+     * bring their own music. If the sound was the theme, the new version of
+     * it starts playing as the theme.
+     *
+     * @param {String} name   The name of the sound.
+     * @param {Object} song   The song for the synthesizer to render.
+     * @param {String} [sectionName]   Which section of the library the sound
+     *                                 is in, if it's a new one.
+     */
+    AudioPlayr.prototype.addSong = function (name, song, sectionName) {
+        if (sectionName === void 0) { sectionName = undefined; }
+        if (!this.synthesizer) {
+            throw new Error("No synthesizer given to AudioPlayr.");
+        }
+        this.synthesizer.addSong(name, song);
+        this.loadSound(name, sectionName);
+    };
+    /**
+     * Removes a sound's synthesized song, so it goes back to being loaded from
+     * its files.
+     *
+     * @param {String} name   The name of the sound.
+     */
+    AudioPlayr.prototype.removeSong = function (name) {
+        if (!this.synthesizer || !this.synthesizer.hasSong(name)) {
+            return;
+        }
+        this.synthesizer.removeSong(name);
+        this.loadSound(name);
+    };
+    /**
+     * (Re)creates a sound in the library, stopping any previous version of it.
+     * If the previous version was the theme, the new one is played as the
+     * theme.
+     *
+     * @param {String} name   The name of the sound.
+     * @param {String} [sectionName]   Which section of the library the sound
+     *                                 is in (by default, its current one).
+     */
+    AudioPlayr.prototype.loadSound = function (name, sectionName) {
+        if (sectionName === void 0) { sectionName = undefined; }
+        var soundOld = this.library[name], themeLoop;
+        if (soundOld && !sectionName) {
+            sectionName = soundOld.getAttribute("section");
+        }
+        if (!sectionName) {
+            throw new Error("No section given to AudioPlayr.loadSound for '" + name + "'.");
+        }
+        if (!this.library.hasOwnProperty(sectionName)) {
+            this.library[sectionName] = [];
+        }
+        if (this.library[sectionName].indexOf(name) === -1) {
+            this.library[sectionName].push(name);
+        }
+        if (soundOld) {
+            if (soundOld === this.theme) {
+                themeLoop = soundOld.loop;
+                this.theme = undefined;
+            }
+            if (soundOld === this.themeFading) {
+                this.themeFading = undefined;
+            }
+            this.stopFade(soundOld);
+            this.soundStop(soundOld);
+            if (this.sounds[name] === soundOld) {
+                delete this.sounds[name];
+            }
+        }
+        this.library[name] = this.createSound(name, sectionName);
+        if (typeof themeLoop !== "undefined") {
+            this.playTheme(name, themeLoop);
+        }
+    };
     /**
      * Adds an event listener to a currently playing sound. The sound will keep
      * track of event listeners via an .addedEvents attribute, so they can be
@@ -1096,6 +1556,12 @@ var AudioPlayr = (function () {
         if (this.sounds.hasOwnProperty(name)) {
             delete this.sounds[name];
         }
+        if (this.duckingPlaying.hasOwnProperty(name)) {
+            delete this.duckingPlaying[name];
+            if (!Object.keys(this.duckingPlaying).length) {
+                this.setDuckingLevel(1);
+            }
+        }
     };
     /**
      * Carefully stops a sound. HTMLAudioElement don't natively have a .stop()
@@ -1107,11 +1573,214 @@ var AudioPlayr = (function () {
             sound.currentTime = 0;
         }
     };
+    /**
+     * Moves a sound to a time, if it's loaded enough to know its times.
+     *
+     * @param {HTMLAudioElement} sound
+     * @param {Number} time   How many seconds into the sound to play from.
+     */
+    AudioPlayr.prototype.soundSeek = function (sound, time) {
+        if (!sound.readyState) {
+            return;
+        }
+        sound.pause();
+        sound.currentTime = time;
+        this.playSound(sound);
+    };
+    /**
+     * Determines the volume a sound should be played at, including any fading
+     * and ducking. Web Audio sounds have their bus' volume applied by the bus
+     * itself, so only <audio> Elements have it included here.
+     *
+     * @param {HTMLAudioElement} sound
+     * @param {Number} [volume]   The overall volume (by default, getVolume()).
+     * @return {Number} The sound's volume, ignoring whether this is muted.
+     */
+    AudioPlayr.prototype.getSoundVolume = function (sound, volume) {
+        if (volume === void 0) { volume = this.getVolume(); }
+        var volumeSound = Number(sound.getAttribute("volumeReal")) * volume, bus = sound.getAttribute("bus");
+        if (sound.hasAttribute("volumeFade")) {
+            volumeSound *= Number(sound.getAttribute("volumeFade"));
+        }
+        if (bus === "music") {
+            volumeSound *= this.duckingLevel;
+        }
+        if (!this.context) {
+            volumeSound *= this.getVolumeBus(bus);
+        }
+        return volumeSound;
+    };
+    /**
+     * Sets each playing sound's volume to what it should be, unless muted.
+     */
+    AudioPlayr.prototype.updateSoundVolumes = function () {
+        var i;
+        if (this.getMuted()) {
+            return;
+        }
+        for (i in this.sounds) {
+            if (this.sounds.hasOwnProperty(i)) {
+                this.sounds[i].volume = this.getSoundVolume(this.sounds[i]);
+            }
+        }
+    };
+    /**
+     * Fades out the current theme over crossfadeDuration, then pauses it. If
+     * there's no crossfadeDuration or the theme isn't playing, it's paused
+     * immediately instead.
+     *
+     * @return {Boolean} Whether the theme is fading out.
+     */
+    AudioPlayr.prototype.fadeThemeOut = function () {
+        if (!this.theme) {
+            return false;
+        }
+        if (this.themeFading === this.theme) {
+            return true;
+        }
+        if (!this.crossfadeDuration || this.theme.paused) {
+            this.pauseTheme();
+            return false;
+        }
+        this.finishThemeFading();
+        this.themeFading = this.theme;
+        this.fadeSound(this.theme, 0, this.crossfadeDuration, this.finishThemeFading.bind(this));
+        return true;
+    };
+    /**
+     * Immediately stops any previous theme that's fading out.
+     */
+    AudioPlayr.prototype.finishThemeFading = function () {
+        if (!this.themeFading) {
+            return;
+        }
+        this.stopFade(this.themeFading);
+        this.themeFading.pause();
+        this.themeFading = undefined;
+    };
+    /**
+     * Gradually changes a sound's "volumeFade" attribute, which scales its
+     * volume. Any previous fade on the sound is stopped.
+     *
+     * @param {HTMLAudioElement} sound
+     * @param {Number} volumeFade   The fade to end with, in [0,1].
+     * @param {Number} duration   How many milliseconds the fade takes.
+     * @param {Function} [callback]   A Function to call once it's done.
+     */
+    AudioPlayr.prototype.fadeSound = function (sound, volumeFade, duration, callback) {
+        if (callback === void 0) { callback = undefined; }
+        var volumeStart = sound.hasAttribute("volumeFade") ? Number(sound.getAttribute("volumeFade")) : 1;
+        this.stopFade(sound);
+        sound.fadeInterval = this.animateValue(volumeStart, volumeFade, duration, function (value) {
+            sound.setAttribute("volumeFade", String(value));
+            if (!this.getMuted()) {
+                sound.volume = this.getSoundVolume(sound);
+            }
+        }.bind(this), function () {
+            sound.fadeInterval = undefined;
+            if (callback) {
+                callback();
+            }
+        });
+    };
+    /**
+     * Stops any fade on a sound, leaving its volume where it is.
+     *
+     * @param {HTMLAudioElement} sound
+     */
+    AudioPlayr.prototype.stopFade = function (sound) {
+        if (sound.fadeInterval) {
+            clearInterval(sound.fadeInterval);
+            sound.fadeInterval = undefined;
+        }
+    };
+    /**
+     * Gradually changes how much of its volume the "music" bus has from
+     * ducking.
+     *
+     * @param {Number} level   The level to end with, in [0,1].
+     * @param {Number} [duration]   How many milliseconds the change takes (by
+     *                              default, duckingDuration).
+     */
+    AudioPlayr.prototype.setDuckingLevel = function (level, duration) {
+        if (duration === void 0) { duration = this.duckingDuration; }
+        if (this.duckingInterval) {
+            clearInterval(this.duckingInterval);
+        }
+        this.duckingInterval = this.animateValue(this.duckingLevel, level, duration, function (value) {
+            this.duckingLevel = value;
+            this.updateSoundVolumes();
+        }.bind(this), function () {
+            this.duckingInterval = undefined;
+        }.bind(this));
+    };
+    /**
+     * Linearly animates a value on an interval.
+     *
+     * @param {Number} start   The value to start from.
+     * @param {Number} end   The value to end at.
+     * @param {Number} duration   How many milliseconds the animation takes.
+     * @param {Function} update   A Function called with each new value.
+     * @param {Function} callback   A Function called after the end value.
+     * @return {Number} The interval running the animation, or undefined if
+     *                  it was immediately done.
+     */
+    AudioPlayr.prototype.animateValue = function (start, end, duration, update, callback) {
+        var timeStart = Date.now(), interval;
+        if (duration <= 0 || start === end) {
+            update(end);
+            callback();
+            return undefined;
+        }
+        update(start);
+        interval = setInterval(function () {
+            var progress = Math.min((Date.now() - timeStart) / duration, 1);
+            update(start + (end - start) * progress);
+            if (progress === 1) {
+                clearInterval(interval);
+                callback();
+            }
+        }, 35);
+        return interval;
+    };
+    /**
+     * @param {String} bus   The name of a bus, as "music" or "sfx".
+     * @return {String} The key for the bus' volume in the StatsHoldr.
+     */
+    AudioPlayr.prototype.getVolumeBusKey = function (bus) {
+        if (bus !== "music" && bus !== "sfx") {
+            throw new Error("Unknown bus given to AudioPlayr: '" + bus + "'.");
+        }
+        return "volume" + bus.charAt(0).toUpperCase() + bus.slice(1);
+    };
+    /**
+     * @param {String} sectionName   The name of a section of the library.
+     * @return {String} The bus sounds in that section play through.
+     */
+    AudioPlayr.prototype.getSectionBus = function (sectionName) {
+        return this.musicSections.indexOf(sectionName) !== -1 ? "music" : "sfx";
+    };
     /* Private loading / resetting
     */
     /**
-     * Loads every sound defined in the library via AJAX. Sounds are loaded
-     * into <audio> elements via createAudio and stored in the library.
+     * Creates the Web Audio context and its "music" and "sfx" bus GainNodes,
+     * if the browser supports it.
+     */
+    AudioPlayr.prototype.resetContext = function () {
+        var AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) {
+            return;
+        }
+        this.context = new AudioContext();
+        this.buses = {
+            "music": this.context.createGain(),
+            "sfx": this.context.createGain()
+        };
+        this.buses.music.connect(this.context.destination);
+        this.buses.sfx.connect(this.context.destination);
+    };
+    /**
+     * Loads every sound defined in the library via createSound.
      */
     AudioPlayr.prototype.libraryLoad = function () {
         var section, name, sectionName, j;
@@ -1126,10 +1795,21 @@ var AudioPlayr = (function () {
                 }
                 name = section[j];
                 // Create the sound and store it in the container
-                this.library[name] = this.createAudio(name, sectionName);
+                this.library[name] = this.createSound(name, sectionName);
             }
         }
     };
+    /**
+     * Creates a sound as an AudioPlayrSound via createBufferedAudio if there's
+     * a context, or as an <audio> element via createAudio otherwise.
+     *
+     * @param {String} name
+     * @param {String} sectionName
+     * @return {HTMLAudioElement}
+     */
+    AudioPlayr.prototype.createSound = function (name, sectionName) {
+        return this.context ? this.createBufferedAudio(name, sectionName) : this.createAudio(name, sectionName);
+    };
     /**
      * Creates an audio element, gives it sources, and starts preloading.
      *
@@ -1149,10 +1829,66 @@ var AudioPlayr = (function () {
         // This preloads the sound.
         sound.volume = 0;
         sound.setAttribute("volumeReal", "1");
+        sound.setAttribute("volumeFade", "1");
         sound.setAttribute("used", "0");
+        sound.setAttribute("bus", this.getSectionBus(sectionName));
+        sound.setAttribute("section", sectionName);
         this.playSound(sound);
         return sound;
     };
+    /**
+     * Creates an AudioPlayrSound routed through its section's bus, and starts
+     * loading its buffer. If the synthesizer has a song of the name, that's
+     * rendered as the buffer instead of the file. Sounds on the "sfx" bus may
+     * overlap themselves.
+     *
+     * @param {String} name
+     * @param {String} sectionName
+     * @return {HTMLAudioElement} An AudioPlayrSound, which acts as one.
+     */
+    AudioPlayr.prototype.createBufferedAudio = function (name, sectionName) {
+        var bus = this.getSectionBus(sectionName), sound = new AudioPlayrSound(this.context, this.buses[bus], bus === "sfx");
+        sound.setAttribute("volumeReal", "1");
+        sound.setAttribute("volumeFade", "1");
+        sound.setAttribute("used", "0");
+        sound.setAttribute("bus", bus);
+        sound.setAttribute("section", sectionName);
+        if (this.synthesizer && this.synthesizer.hasSong(name)) {
+            this.synthesizer.renderSong(name, sound.setBuffer.bind(sound));
+        }
+        else {
+            this.loadBuffer(sound, name, sectionName, 0);
+        }
+        return sound;
+    };
+    /**
+     * AJAXes and decodes a sound's file into its buffer. If the file can't be
+     * retrieved or decoded, the next of the fileTypes is tried, and once they
+     * have all failed the sound is marked as failed.
+     *
+     * @param {AudioPlayrSound} sound
+     * @param {String} name
+     * @param {String} sectionName
+     * @param {Number} typeIndex   Which of the fileTypes to try.
+     */
+    AudioPlayr.prototype.loadBuffer = function (sound, name, sectionName, typeIndex) {
+        var sourceType = this.fileTypes[typeIndex], request = new XMLHttpRequest(), retry = this.loadBuffer.bind(this, sound, name, sectionName, typeIndex + 1);
+        if (!sourceType) {
+            sound.setFailed();
+            return;
+        }
+        request.open("GET", this.directory + "/" + sectionName + "/" + sourceType + "/" + name + "." + sourceType);
+        request.responseType = "arraybuffer";
+        request.onerror = retry;
+        request.onload = function () {
+            if (request.status >= 400) {
+                retry();
+                return;
+            }
+            this.context.decodeAudioData(request.response, sound.setBuffer.bind(sound), retry);
+        }.bind(this);
+        request.send();
+    };
     /**
      * Utility to try to play a sound, which may not be possible in headless
      * environments like PhantomJS.
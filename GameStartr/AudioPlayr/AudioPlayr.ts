@@ -1,5 +1,19 @@
 /// <reference path="External/StatsHoldr.ts" />
 
+interface IAudioPlayrSynthesizer {
+    // Whether there's a song to be synthesized under a name.
+    hasSong(name: string): boolean;
+
+    // Adds (or replaces) a song under a name.
+    addSong(name: string, song: any): void;
+
+    // Removes the song under a name.
+    removeSong(name: string): void;
+
+    // Renders a song into an AudioBuffer, which is passed to the callback.
+    renderSong(name: string, callback: (buffer: any) => void): void;
+}
+
 interface IAudioPlayrSettings {
     // The names of the audio files to be preloaded so they can later be played
     // by the AudioPlayr. The internal library stores Objects inside it, 
@@ -15,9 +29,42 @@ interface IAudioPlayrSettings {
     fileTypes: string[];
 
     // The arguments to be passed to the internal StatsHoldr. This must contain
-    // values for "volume" and "muted".
+    // values for "volume" and "muted", and may contain "volumeMusic" and 
+    // "volumeSfx" for the volumes of the music and sfx buses.
     statistics: IStatsHoldrSettings;
 
+    // Whether sounds should be decoded and played through the Web Audio API,
+    // if the browser supports it, rather than as <audio> Elements (defaults 
+    // to false).
+    webAudio?: boolean;
+
+    // Which sections of the library are played through the "music" bus, with
+    // all others on the "sfx" bus (defaults to ["Themes"]).
+    musicSections?: string[];
+
+    // How many milliseconds playTheme fades between a playing theme and a new
+    // one (defaults to 0, for an immediate switch).
+    crossfadeDuration?: number;
+
+    // Names of sounds that lower ("duck") the "music" bus while they play.
+    duckingSounds?: string[];
+
+    // How much of the "music" bus' volume is kept while ducked (defaults to 
+    // .35).
+    duckingVolume?: number;
+
+    // How many milliseconds the "music" bus takes to duck and recover 
+    // (defaults to 140).
+    duckingDuration?: number;
+
+    // Names of themes, such as power-up music, after which playing the 
+    // previous theme again resumes it where it left off.
+    temporaryThemes?: string[];
+
+    // A synthesizer, such as an AudioSynthr, for sounds to be rendered from
+    // songs rather than loaded from files. This requires webAudio.
+    synthesizer?: IAudioPlayrSynthesizer;
+
     // A Function or String to get the default theme for playTheme calls. 
     // Functions are called for a return value, and Strings are constant
     // (defaults to "Theme").
@@ -29,6 +76,360 @@ interface IAudioPlayrSettings {
     getVolumeLocal?: any;
 }
 
+/**
+ * A stand-in for an <audio> Element used by AudioPlayr's Web Audio backend.
+ * The sound is decoded once into an AudioBuffer, and each play starts a new 
+ * buffer source routed through the sound's own gain and then its bus. The 
+ * parts of the HTMLAudioElement interface used by AudioPlayr are kept, so 
+ * sounds are played, paused, and listened to the same way either way.
+ */
+class AudioPlayrSound {
+    // Whether new plays may start while the sound is already playing, rather
+    // than restarting it.
+    public overlapping: boolean;
+
+    // Whether the sound isn't currently playing.
+    public paused: boolean;
+
+    // The decoded audio, once it has loaded.
+    public buffer: any;
+
+    // The sound's volume in [0,1], as with <audio> Elements.
+    public volume: number;
+
+    // Whether the sound restarts when it ends, as with <audio> Elements.
+    public loop: boolean;
+
+    // The current playback position in seconds, as with <audio> Elements.
+    public currentTime: number;
+
+    // 4 once the sound is loaded and 0 before, as with <audio> Elements.
+    public readyState: number;
+
+    // The Web Audio context the sound plays in.
+    private context: any;
+
+    // The GainNode used for the sound's volume, which outputs to its bus.
+    private gain: any;
+
+    // Buffer sources currently playing the sound.
+    private sources: any[];
+
+    // Where in the buffer to start the next play from, in seconds.
+    private offset: number;
+
+    // The context time the most recent source would have started at to be at
+    // its current position.
+    private startedAt: number;
+
+    // Whether the sound was played before its buffer finished loading.
+    private waiting: boolean;
+
+    // Whether the sound's buffer couldn't be loaded, so it can't be heard.
+    private failed: boolean;
+
+    // Attributes stored via setAttribute, as with <audio> Elements.
+    private attributes: any;
+
+    // Event listeners added via addEventListener, keyed by event name.
+    private listeners: any;
+
+    /**
+     * @param {AudioContext} context   The Web Audio context to play in.
+     * @param {AudioNode} bus   The node (typically a GainNode) to output to.
+     * @param {Boolean} overlapping   Whether plays may overlap.
+     */
+    constructor(context: any, bus: any, overlapping: boolean) {
+        this.context = context;
+        this.overlapping = overlapping;
+        this.paused = true;
+        this.sources = [];
+        this.offset = 0;
+        this.attributes = {};
+        this.listeners = {};
+
+        this.gain = context.createGain();
+        this.gain.connect(bus);
+
+        Object.defineProperty(this, "volume", {
+            "get": function (): number {
+                return this.gain.gain.value;
+            },
+            "set": function (volume: number): void {
+                this.gain.gain.value = volume;
+            }
+        });
+
+        Object.defineProperty(this, "loop", {
+            "get": function (): boolean {
+                return Boolean(this.attributes.loop);
+            },
+            "set": function (loop: boolean): void {
+                this.attributes.loop = loop;
+
+                for (var i: number = 0; i < this.sources.length; i += 1) {
+                    this.sources[i].loop = loop;
+                }
+            }
+        });
+
+        Object.defineProperty(this, "currentTime", {
+            "get": function (): number {
+                return this.getCurrentTime();
+            },
+            "set": function (time: number): void {
+                this.offset = time;
+            }
+        });
+
+        Object.defineProperty(this, "readyState", {
+            "get": function (): number {
+                return this.buffer ? 4 : 0;
+            }
+        });
+    }
+
+    /**
+     * Sets the decoded audio, and starts playing if play was called before 
+     * it was ready.
+     * 
+     * @param {AudioBuffer} buffer
+     */
+    setBuffer(buffer: any): void {
+        this.buffer = buffer;
+
+        if (this.waiting) {
+            this.waiting = false;
+            this.startSource();
+        }
+    }
+
+    /**
+     * Marks the sound as unable to be loaded. Any play waiting on it, and any
+     * later play, ends right away so listeners waiting for the sound to end
+     * (such as those finishing castles) aren't stuck.
+     */
+    setFailed(): void {
+        this.failed = true;
+
+        if (this.waiting) {
+            this.waiting = false;
+            this.endFailed();
+        }
+    }
+
+    /**
+     * Resumes the sound if it's paused, as with <audio> Elements.
+     */
+    play(): void {
+        if (!this.paused) {
+            return;
+        }
+
+        this.paused = false;
+
+        if (this.buffer) {
+            this.startSource();
+        } else if (this.failed) {
+            this.endFailed();
+        } else {
+            this.waiting = true;
+        }
+    }
+
+    /**
+     * Starts another play of the sound from the beginning, overlapping any
+     * plays already going.
+     */
+    playAgain(): void {
+        if (this.paused) {
+            this.offset = 0;
+            this.play();
+        } else if (this.buffer) {
+            this.offset = 0;
+            this.startSource();
+        }
+    }
+
+    /**
+     * Stops all plays of the sound, remembering where the most recent one 
+     * was so it may be resumed, as with <audio> Elements.
+     */
+    pause(): void {
+        var source: any;
+
+        if (this.paused) {
+            return;
+        }
+
+        this.offset = this.getCurrentTime();
+        this.paused = true;
+        this.waiting = false;
+
+        while (this.sources.length) {
+            source = this.sources.pop();
+            source.stopped = true;
+            source.stop(0);
+        }
+    }
+
+    /**
+     * @param {String} name
+     * @return {String} The value of the attribute, or null if there isn't one.
+     */
+    getAttribute(name: string): string {
+        return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+    }
+
+    /**
+     * @param {String} name
+     * @param {String} value
+     */
+    setAttribute(name: string, value: string): void {
+        this.attributes[name] = String(value);
+    }
+
+    /**
+     * @param {String} name
+     * @return {Boolean}
+     */
+    hasAttribute(name: string): boolean {
+        return this.attributes.hasOwnProperty(name);
+    }
+
+    /**
+     * @param {String} event   The name of the event, such as "ended".
+     * @param {Function} callback
+     */
+    addEventListener(event: string, callback: any): void {
+        if (!this.listeners.hasOwnProperty(event)) {
+            this.listeners[event] = [];
+        }
+
+        this.listeners[event].push(callback);
+    }
+
+    /**
+     * @param {String} event   The name of the event, such as "ended".
+     * @param {Function} callback
+     */
+    removeEventListener(event: string, callback: any): void {
+        var listeners: any[] = this.listeners[event],
+            index: number;
+
+        if (!listeners) {
+            return;
+        }
+
+        index = listeners.indexOf(callback);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Calls each listener for an event, as with <audio> Elements.
+     * 
+     * @param {String} event   The name of the event, such as "ended".
+     */
+    dispatchEvent(event: string): void {
+        var listeners: any[] = (this.listeners[event] || []).slice(),
+            i: number;
+
+        for (i = 0; i < listeners.length; i += 1) {
+            listeners[i].call(this, {
+                "type": event,
+                "target": this
+            });
+        }
+    }
+
+    /**
+     * @return {Number} How far into the buffer the sound is, in seconds.
+     */
+    private getCurrentTime(): number {
+        var time: number;
+
+        if (this.paused || !this.buffer || !this.sources.length) {
+            return this.offset;
+        }
+
+        time = this.context.currentTime - this.startedAt;
+
+        return this.loop
+            ? time % this.buffer.duration
+            : Math.min(time, this.buffer.duration);
+    }
+
+    /**
+     * Starts a new buffer source from the current offset. Once every source
+     * has ended on its own (rather than by pause), the sound is paused and
+     * its "ended" listeners are called.
+     */
+    private startSource(): void {
+        var source: any = this.context.createBufferSource(),
+            offset: number = this.offset % this.buffer.duration || 0;
+
+        // Browsers may keep contexts suspended until a user gesture
+        if (this.context.state === "suspended") {
+            this.context.resume();
+        }
+
+        source.buffer = this.buffer;
+        source.loop = this.loop;
+        source.connect(this.gain);
+        source.onended = this.onSourceEnded.bind(this, source);
+        source.start(0, offset);
+
+        this.sources.push(source);
+        this.startedAt = this.context.currentTime - offset;
+    }
+
+    /**
+     * Ends a play of a sound that couldn't be loaded, after the current call
+     * stack as with <audio> Elements. Looping sounds never end, so they stay
+     * playing (silently) until paused.
+     */
+    private endFailed(): void {
+        if (this.loop) {
+            return;
+        }
+
+        setTimeout(function (): void {
+            if (this.paused) {
+                return;
+            }
+
+            this.paused = true;
+            this.dispatchEvent("ended");
+        }.bind(this));
+    }
+
+    /**
+     * Removes a finished buffer source, and finishes the sound if it was the
+     * last one to end on its own.
+     * 
+     * @param {AudioBufferSourceNode} source
+     */
+    private onSourceEnded(source: any): void {
+        var index: number = this.sources.indexOf(source);
+
+        if (source.stopped || index === -1) {
+            return;
+        }
+
+        this.sources.splice(index, 1);
+
+        if (this.sources.length) {
+            return;
+        }
+
+        this.paused = true;
+        this.offset = 0;
+        this.dispatchEvent("ended");
+    }
+}
+
 /**
  * AudioPlayr
  * An audio library to automate preloading and controlled playback of multiple
@@ -127,6 +528,49 @@ class AudioPlayr {
     // Storage container for settings like volume and muted status.
     private StatsHolder: StatsHoldr;
 
+    // The Web Audio context sounds are played in, if webAudio is enabled and
+    // supported.
+    private context: any;
+
+    // GainNodes for the "music" and "sfx" buses, if there's a context.
+    private buses: any;
+
+    // Which sections of the library are played through the "music" bus.
+    private musicSections: string[];
+
+    // A synthesizer for sounds rendered from songs, if given.
+    private synthesizer: IAudioPlayrSynthesizer;
+
+    // How many milliseconds playTheme fades between themes.
+    private crossfadeDuration: number;
+
+    // A previous theme that's fading out after a crossfade.
+    private themeFading: any;
+
+    // The theme to resume after a temporary theme, as its name and time.
+    private themeResume: any;
+
+    // Names of themes after which the previous theme resumes.
+    private temporaryThemes: string[];
+
+    // Names of sounds that duck the "music" bus while they play.
+    private duckingSounds: string[];
+
+    // How much of the "music" bus' volume is kept while ducked.
+    private duckingVolume: number;
+
+    // How many milliseconds the "music" bus takes to duck and recover.
+    private duckingDuration: number;
+
+    // Currently playing ducking sounds, keyed by name.
+    private duckingPlaying: any;
+
+    // How much of its volume the "music" bus currently has, from ducking.
+    private duckingLevel: number;
+
+    // The interval animating duckingLevel, if it's changing.
+    private duckingInterval: number;
+
     /**
      * Resets the AudioPlayr.
      * 
@@ -159,15 +603,35 @@ class AudioPlayr {
         this.getThemeDefault = settings.getThemeDefault || "Theme";
         this.getVolumeLocal = typeof settings.getVolumeLocal === "undefined"
             ? 1 : settings.getVolumeLocal;
+        this.musicSections = settings.musicSections || ["Themes"];
+        this.synthesizer = settings.synthesizer;
+        this.crossfadeDuration = settings.crossfadeDuration || 0;
+        this.temporaryThemes = settings.temporaryThemes || [];
+        this.duckingSounds = settings.duckingSounds || [];
+        this.duckingVolume = typeof settings.duckingVolume === "undefined"
+            ? .35 : settings.duckingVolume;
+        this.duckingDuration = typeof settings.duckingDuration === "undefined"
+            ? 140 : settings.duckingDuration;
+        this.duckingPlaying = {};
+        this.duckingLevel = 1;
 
         // Sounds should always start blank
         this.sounds = {};
 
+        if (settings.webAudio) {
+            this.resetContext();
+        }
+
         // Preload everything!
         this.libraryLoad();
 
         this.StatsHolder = new StatsHoldr(settings.statistics);
 
+        if (this.buses) {
+            this.buses.music.gain.value = this.getVolumeBus("music");
+            this.buses.sfx.gain.value = this.getVolumeBus("sfx");
+        }
+
         this.setVolume(this.StatsHolder.get("volume"));
         this.setMuted(this.StatsHolder.get("muted"));
     }
@@ -212,6 +676,22 @@ class AudioPlayr {
         return this.directory;
     }
 
+    /**
+     * @return {AudioContext} The Web Audio context sounds are played in, or
+     *                        undefined if sounds are <audio> Elements.
+     */
+    getContext(): any {
+        return this.context;
+    }
+
+    /**
+     * @return {IAudioPlayrSynthesizer} The synthesizer for sounds rendered from
+     *                                  songs, if one was given.
+     */
+    getSynthesizer(): IAudioPlayrSynthesizer {
+        return this.synthesizer;
+    }
+
 
     /* Playback modifiers
     */
@@ -236,7 +716,7 @@ class AudioPlayr {
         if (!this.getMuted()) {
             for (i in this.sounds) {
                 if (this.sounds.hasOwnProperty(i)) {
-                    this.sounds[i].volume = this.sounds[i].volumeReal * volume;
+                    this.sounds[i].volume = this.getSoundVolume(this.sounds[i], volume);
                 }
             }
         }
@@ -244,6 +724,41 @@ class AudioPlayr {
         this.StatsHolder.set("volume", volume);
     }
 
+    /**
+     * @param {String} bus   The name of a bus, as "music" or "sfx".
+     * @return {Number} The volume of the bus, which is a Number in [0,1] 
+     *                  retrieved by the StatsHoldr (by default, 1).
+     */
+    getVolumeBus(bus: string): number {
+        var key: string = this.getVolumeBusKey(bus);
+
+        return this.StatsHolder.hasKey(key) ? this.StatsHolder.get(key) : 1;
+    }
+
+    /**
+     * Sets the volume of a bus, which scales the overall volume for sounds 
+     * played through it. If not muted, its sounds will have their volume
+     * updated.
+     * 
+     * @param {String} bus   The name of a bus, as "music" or "sfx".
+     * @param {Number} volume   A Number in [0,1] to set as the bus' volume.
+     */
+    setVolumeBus(bus: string, volume: number): void {
+        var key: string = this.getVolumeBusKey(bus);
+
+        if (!this.StatsHolder.hasKey(key)) {
+            throw new Error("Statistics given to AudioPlayr don't include " + key + ".");
+        }
+
+        this.StatsHolder.set(key, volume);
+
+        if (this.buses) {
+            this.buses[bus].gain.value = volume;
+        }
+
+        this.updateSoundVolumes();
+    }
+
     /**
      * @return {Boolean} whether this is currently muted.
      */
@@ -287,13 +802,11 @@ class AudioPlayr {
      */
     setMutedOff(): void {
         var volume: number = this.getVolume(),
-            sound: HTMLAudioElement,
             i: string;
 
         for (i in this.sounds) {
             if (this.sounds.hasOwnProperty(i)) {
-                sound = this.sounds[i];
-                sound.volume = Number(sound.getAttribute("volumeReal")) * volume;
+                this.sounds[i].volume = this.getSoundVolume(this.sounds[i], volume);
             }
         }
 
@@ -336,6 +849,37 @@ class AudioPlayr {
         this.getThemeDefault = getThemeDefaultNew;
     }
 
+    /**
+     * @return {Number} How many milliseconds playTheme fades between themes.
+     */
+    getCrossfadeDuration(): number {
+        return this.crossfadeDuration;
+    }
+
+    /**
+     * @param {Number} crossfadeDuration   How many milliseconds playTheme 
+     *                                     should fade between themes (0 for
+     *                                     an immediate switch).
+     */
+    setCrossfadeDuration(crossfadeDuration: number): void {
+        this.crossfadeDuration = crossfadeDuration;
+    }
+
+    /**
+     * @return {String[]} Names of sounds that duck the "music" bus.
+     */
+    getDuckingSounds(): string[] {
+        return this.duckingSounds;
+    }
+
+    /**
+     * @param {String[]} duckingSounds   Names of sounds that should duck the
+     *                                   "music" bus while they play.
+     */
+    setDuckingSounds(duckingSounds: string[]): void {
+        this.duckingSounds = duckingSounds;
+    }
+
 
     /* Playback
     */
@@ -345,14 +889,15 @@ class AudioPlayr {
      * 
      * Plays the sound of the given name. Internally, this stops any previously
      * playing sound of that name and starts a new one, with volume set to the
-     * current volume and muted status. If the name wasn't previously being 
-     * played (and therefore a new Element has been created), an event listener
-     * is added to delete it from sounds after.
+     * current volume and muted status. Web Audio sounds on the "sfx" bus are 
+     * instead played again over themselves. If the name wasn't previously 
+     * being played (and therefore a new Element has been created), an event
+     * listener is added to delete it from sounds after.
      * 
      * @return {HTMLAudioElement} The sound's <audio> element, now playing.
      */
     play(name: string): HTMLAudioElement {
-        var sound: HTMLAudioElement,
+        var sound: any,
             used: number;
 
         // If the sound isn't yet being played, see if it's in the library
@@ -366,16 +911,32 @@ class AudioPlayr {
             sound = this.sounds[name];
         }
 
-        this.soundStop(sound);
+        this.stopFade(sound);
+        if (this.themeFading === sound) {
+            this.themeFading = undefined;
+        }
+
+        sound.setAttribute("volumeReal", "1");
+        sound.setAttribute("volumeFade", "1");
 
         if (this.getMuted()) {
             sound.volume = 0;
         } else {
-            sound.setAttribute("volumeReal", "1");
-            sound.volume = this.getVolume();
+            sound.volume = this.getSoundVolume(sound);
+        }
+
+        if (this.duckingSounds.indexOf(name) !== -1) {
+            this.duckingPlaying[name] = true;
+            this.setDuckingLevel(this.duckingVolume);
+        }
+
+        if (sound.overlapping && !sound.paused) {
+            sound.playAgain();
+        } else {
+            this.soundStop(sound);
+            this.playSound(sound);
         }
 
-        this.playSound(sound);
         used = Number(sound.getAttribute("used"));
 
         // If this is the song's first play, let it know how to stop
@@ -436,16 +997,23 @@ class AudioPlayr {
         this.pauseAll();
         this.clearTheme();
         this.sounds = {};
+
+        this.duckingPlaying = {};
+        this.setDuckingLevel(1, 0);
     }
 
     /**
      * Pauses and removes the theme, if there is one.
      */
     clearTheme(): void {
+        this.finishThemeFading();
+        this.themeResume = undefined;
+
         if (!this.theme) {
             return;
         }
 
+        this.stopFade(this.theme);
         this.pauseTheme();
         delete this.sounds[this.theme.getAttribute("name")];
         this.theme = undefined;
@@ -483,7 +1051,7 @@ class AudioPlayr {
         if (this.getMuted()) {
             sound.volume = 0;
         } else {
-            sound.volume = volumeReal * this.getVolume();
+            sound.volume = this.getSoundVolume(sound);
         }
 
         return sound;
@@ -495,6 +1063,11 @@ class AudioPlayr {
      * is controlled by pauseTheme and co. If loop is on and the sound wasn't
      * already playing, an event listener is added for when it ends.
      * 
+     * If crossfadeDuration is set, a different playing theme is faded out as
+     * the new one fades in. Switching to one of the temporaryThemes remembers
+     * where the previous theme was, so playing it again afterwards resumes it
+     * from there.
+     * 
      * @param {String} [name]   The name of the sound to be used as the theme.
      *                          If not provided, getThemeDefault is used to 
      *                          provide one.
@@ -503,7 +1076,9 @@ class AudioPlayr {
      * @return {HTMLAudioElement} The theme's <audio> element, now playing.
      */
     playTheme(name: string = undefined, loop: boolean = undefined): HTMLAudioElement {
-        this.pauseTheme();
+        var resume: any = this.themeResume,
+            nameOld: string,
+            crossfading: boolean;
 
         // Loop defaults to true
         loop = typeof loop !== "undefined" ? loop : true;
@@ -520,14 +1095,42 @@ class AudioPlayr {
             }
         }
 
-        // If a theme already exists, kill it
+        // If a theme already exists, kill it (remembering where it was if the
+        // new theme is only temporary)
         if (typeof this.theme !== "undefined" && this.theme.hasAttribute("name")) {
-            delete this.sounds[this.theme.getAttribute("name")];
+            nameOld = this.theme.getAttribute("name");
+
+            if (
+                nameOld !== name
+                && !this.theme.paused
+                && this.temporaryThemes.indexOf(name) !== -1
+                && this.temporaryThemes.indexOf(nameOld) === -1) {
+                this.themeResume = {
+                    "name": nameOld,
+                    "time": this.theme.currentTime
+                };
+            }
+
+            crossfading = nameOld !== name && this.fadeThemeOut();
+            delete this.sounds[nameOld];
         }
 
         this.theme = this.sounds[name] = this.play(name);
         this.theme.loop = loop;
 
+        if (resume && resume.name === name) {
+            this.soundSeek(this.theme, resume.time);
+        }
+
+        if (this.temporaryThemes.indexOf(name) === -1) {
+            this.themeResume = undefined;
+        }
+
+        if (crossfading) {
+            this.theme.setAttribute("volumeFade", "0");
+            this.fadeSound(this.theme, 1, this.crossfadeDuration);
+        }
+
         // If it's used (no repeat), add the event listener to resume theme
         if (this.theme.used === 1) {
             this.theme.addEventListener("ended", this.playTheme);
@@ -551,7 +1154,7 @@ class AudioPlayr {
     playThemePrefixed(prefix: string = undefined, name: string = undefined, loop: boolean = undefined): HTMLAudioElement {
         var sound: HTMLAudioElement = this.play(prefix);
 
-        this.pauseTheme();
+        this.fadeThemeOut();
 
         // If name isn't given, use the default getter
         if (typeof (name) === "undefined") {
@@ -565,7 +1168,7 @@ class AudioPlayr {
             }
         }
 
-        this.addEventListener(prefix, "ended", this.playTheme.bind(self, prefix + " " + name, loop));
+        this.addEventListener(prefix, "ended", this.playTheme.bind(this, prefix + " " + name, loop));
 
         return sound;
     }
@@ -574,6 +1177,94 @@ class AudioPlayr {
     /* Public utilities
     */
 
+    /**
+     * Adds (or replaces) a sound synthesized from a song, such as for mods to
+     * bring their own music. If the sound was the theme, the new version of 
+     * it starts playing as the theme.
+     * 
+     * @param {String} name   The name of the sound.
+     * @param {Object} song   The song for the synthesizer to render.
+     * @param {String} [sectionName]   Which section of the library the sound
+     *                                 is in, if it's a new one.
+     */
+    addSong(name: string, song: any, sectionName: string = undefined): void {
+        if (!this.synthesizer) {
+            throw new Error("No synthesizer given to AudioPlayr.");
+        }
+
+        this.synthesizer.addSong(name, song);
+        this.loadSound(name, sectionName);
+    }
+
+    /**
+     * Removes a sound's synthesized song, so it goes back to being loaded from
+     * its files.
+     * 
+     * @param {String} name   The name of the sound.
+     */
+    removeSong(name: string): void {
+        if (!this.synthesizer || !this.synthesizer.hasSong(name)) {
+            return;
+        }
+
+        this.synthesizer.removeSong(name);
+        this.loadSound(name);
+    }
+
+    /**
+     * (Re)creates a sound in the library, stopping any previous version of it.
+     * If the previous version was the theme, the new one is played as the 
+     * theme.
+     * 
+     * @param {String} name   The name of the sound.
+     * @param {String} [sectionName]   Which section of the library the sound
+     *                                 is in (by default, its current one).
+     */
+    loadSound(name: string, sectionName: string = undefined): void {
+        var soundOld: any = this.library[name],
+            themeLoop: boolean;
+
+        if (soundOld && !sectionName) {
+            sectionName = soundOld.getAttribute("section");
+        }
+
+        if (!sectionName) {
+            throw new Error("No section given to AudioPlayr.loadSound for '" + name + "'.");
+        }
+
+        if (!this.library.hasOwnProperty(sectionName)) {
+            this.library[sectionName] = [];
+        }
+
+        if (this.library[sectionName].indexOf(name) === -1) {
+            this.library[sectionName].push(name);
+        }
+
+        if (soundOld) {
+            if (soundOld === this.theme) {
+                themeLoop = soundOld.loop;
+                this.theme = undefined;
+            }
+
+            if (soundOld === this.themeFading) {
+                this.themeFading = undefined;
+            }
+
+            this.stopFade(soundOld);
+            this.soundStop(soundOld);
+
+            if (this.sounds[name] === soundOld) {
+                delete this.sounds[name];
+            }
+        }
+
+        this.library[name] = this.createSound(name, sectionName);
+
+        if (typeof themeLoop !== "undefined") {
+            this.playTheme(name, themeLoop);
+        }
+    }
+
     /**
      * Adds an event listener to a currently playing sound. The sound will keep
      * track of event listeners via an .addedEvents attribute, so they can be
@@ -667,6 +1358,14 @@ class AudioPlayr {
         if (this.sounds.hasOwnProperty(name)) {
             delete this.sounds[name];
         }
+
+        if (this.duckingPlaying.hasOwnProperty(name)) {
+            delete this.duckingPlaying[name];
+
+            if (!Object.keys(this.duckingPlaying).length) {
+                this.setDuckingLevel(1);
+            }
+        }
     }
 
     /**
@@ -680,13 +1379,265 @@ class AudioPlayr {
         }
     }
 
+    /**
+     * Moves a sound to a time, if it's loaded enough to know its times.
+     * 
+     * @param {HTMLAudioElement} sound
+     * @param {Number} time   How many seconds into the sound to play from.
+     */
+    soundSeek(sound: HTMLAudioElement, time: number): void {
+        if (!sound.readyState) {
+            return;
+        }
+
+        sound.pause();
+        sound.currentTime = time;
+        this.playSound(sound);
+    }
+
+    /**
+     * Determines the volume a sound should be played at, including any fading
+     * and ducking. Web Audio sounds have their bus' volume applied by the bus
+     * itself, so only <audio> Elements have it included here.
+     * 
+     * @param {HTMLAudioElement} sound
+     * @param {Number} [volume]   The overall volume (by default, getVolume()).
+     * @return {Number} The sound's volume, ignoring whether this is muted.
+     */
+    getSoundVolume(sound: HTMLAudioElement, volume: number = this.getVolume()): number {
+        var volumeSound: number = Number(sound.getAttribute("volumeReal")) * volume,
+            bus: string = sound.getAttribute("bus");
+
+        if (sound.hasAttribute("volumeFade")) {
+            volumeSound *= Number(sound.getAttribute("volumeFade"));
+        }
+
+        if (bus === "music") {
+            volumeSound *= this.duckingLevel;
+        }
+
+        if (!this.context) {
+            volumeSound *= this.getVolumeBus(bus);
+        }
+
+        return volumeSound;
+    }
+
+    /**
+     * Sets each playing sound's volume to what it should be, unless muted.
+     */
+    updateSoundVolumes(): void {
+        var i: string;
+
+        if (this.getMuted()) {
+            return;
+        }
+
+        for (i in this.sounds) {
+            if (this.sounds.hasOwnProperty(i)) {
+                this.sounds[i].volume = this.getSoundVolume(this.sounds[i]);
+            }
+        }
+    }
+
+    /**
+     * Fades out the current theme over crossfadeDuration, then pauses it. If
+     * there's no crossfadeDuration or the theme isn't playing, it's paused
+     * immediately instead.
+     * 
+     * @return {Boolean} Whether the theme is fading out.
+     */
+    fadeThemeOut(): boolean {
+        if (!this.theme) {
+            return false;
+        }
+
+        if (this.themeFading === this.theme) {
+            return true;
+        }
+
+        if (!this.crossfadeDuration || this.theme.paused) {
+            this.pauseTheme();
+            return false;
+        }
+
+        this.finishThemeFading();
+        this.themeFading = this.theme;
+        this.fadeSound(this.theme, 0, this.crossfadeDuration, this.finishThemeFading.bind(this));
+
+        return true;
+    }
+
+    /**
+     * Immediately stops any previous theme that's fading out.
+     */
+    finishThemeFading(): void {
+        if (!this.themeFading) {
+            return;
+        }
+
+        this.stopFade(this.themeFading);
+        this.themeFading.pause();
+        this.themeFading = undefined;
+    }
+
+    /**
+     * Gradually changes a sound's "volumeFade" attribute, which scales its
+     * volume. Any previous fade on the sound is stopped.
+     * 
+     * @param {HTMLAudioElement} sound
+     * @param {Number} volumeFade   The fade to end with, in [0,1].
+     * @param {Number} duration   How many milliseconds the fade takes.
+     * @param {Function} [callback]   A Function to call once it's done.
+     */
+    fadeSound(sound: any, volumeFade: number, duration: number, callback: () => void = undefined): void {
+        var volumeStart: number = sound.hasAttribute("volumeFade")
+            ? Number(sound.getAttribute("volumeFade"))
+            : 1;
+
+        this.stopFade(sound);
+
+        sound.fadeInterval = this.animateValue(
+            volumeStart,
+            volumeFade,
+            duration,
+            function (value: number): void {
+                sound.setAttribute("volumeFade", String(value));
+
+                if (!this.getMuted()) {
+                    sound.volume = this.getSoundVolume(sound);
+                }
+            }.bind(this),
+            function (): void {
+                sound.fadeInterval = undefined;
+
+                if (callback) {
+                    callback();
+                }
+            });
+    }
+
+    /**
+     * Stops any fade on a sound, leaving its volume where it is.
+     * 
+     * @param {HTMLAudioElement} sound
+     */
+    stopFade(sound: any): void {
+        if (sound.fadeInterval) {
+            clearInterval(sound.fadeInterval);
+            sound.fadeInterval = undefined;
+        }
+    }
+
+    /**
+     * Gradually changes how much of its volume the "music" bus has from 
+     * ducking.
+     * 
+     * @param {Number} level   The level to end with, in [0,1].
+     * @param {Number} [duration]   How many milliseconds the change takes (by
+     *                              default, duckingDuration).
+     */
+    setDuckingLevel(level: number, duration: number = this.duckingDuration): void {
+        if (this.duckingInterval) {
+            clearInterval(this.duckingInterval);
+        }
+
+        this.duckingInterval = this.animateValue(
+            this.duckingLevel,
+            level,
+            duration,
+            function (value: number): void {
+                this.duckingLevel = value;
+                this.updateSoundVolumes();
+            }.bind(this),
+            function (): void {
+                this.duckingInterval = undefined;
+            }.bind(this));
+    }
+
+    /**
+     * Linearly animates a value on an interval.
+     * 
+     * @param {Number} start   The value to start from.
+     * @param {Number} end   The value to end at.
+     * @param {Number} duration   How many milliseconds the animation takes.
+     * @param {Function} update   A Function called with each new value.
+     * @param {Function} callback   A Function called after the end value.
+     * @return {Number} The interval running the animation, or undefined if 
+     *                  it was immediately done.
+     */
+    animateValue(start: number, end: number, duration: number, update: (value: number) => void, callback: () => void): number {
+        var timeStart: number = Date.now(),
+            interval: number;
+
+        if (duration <= 0 || start === end) {
+            update(end);
+            callback();
+            return undefined;
+        }
+
+        update(start);
+
+        interval = setInterval(function (): void {
+            var progress: number = Math.min((Date.now() - timeStart) / duration, 1);
+
+            update(start + (end - start) * progress);
+
+            if (progress === 1) {
+                clearInterval(interval);
+                callback();
+            }
+        }, 35);
+
+        return interval;
+    }
+
+    /**
+     * @param {String} bus   The name of a bus, as "music" or "sfx".
+     * @return {String} The key for the bus' volume in the StatsHoldr.
+     */
+    getVolumeBusKey(bus: string): string {
+        if (bus !== "music" && bus !== "sfx") {
+            throw new Error("Unknown bus given to AudioPlayr: '" + bus + "'.");
+        }
+
+        return "volume" + bus.charAt(0).toUpperCase() + bus.slice(1);
+    }
+
+    /**
+     * @param {String} sectionName   The name of a section of the library.
+     * @return {String} The bus sounds in that section play through.
+     */
+    getSectionBus(sectionName: string): string {
+        return this.musicSections.indexOf(sectionName) !== -1 ? "music" : "sfx";
+    }
+
 
     /* Private loading / resetting
     */
 
     /**
-     * Loads every sound defined in the library via AJAX. Sounds are loaded
-     * into <audio> elements via createAudio and stored in the library.
+     * Creates the Web Audio context and its "music" and "sfx" bus GainNodes,
+     * if the browser supports it.
+     */
+    resetContext(): void {
+        var AudioContext: any = (<any>window).AudioContext || (<any>window).webkitAudioContext;
+
+        if (!AudioContext) {
+            return;
+        }
+
+        this.context = new AudioContext();
+        this.buses = {
+            "music": this.context.createGain(),
+            "sfx": this.context.createGain()
+        };
+        this.buses.music.connect(this.context.destination);
+        this.buses.sfx.connect(this.context.destination);
+    }
+
+    /**
+     * Loads every sound defined in the library via createSound.
      */
     libraryLoad(): void {
         var section: any,
@@ -709,11 +1660,25 @@ class AudioPlayr {
                 name = section[j];
 
                 // Create the sound and store it in the container
-                this.library[name] = this.createAudio(name, sectionName);
+                this.library[name] = this.createSound(name, sectionName);
             }
         }
     }
 
+    /**
+     * Creates a sound as an AudioPlayrSound via createBufferedAudio if there's
+     * a context, or as an <audio> element via createAudio otherwise.
+     * 
+     * @param {String} name
+     * @param {String} sectionName
+     * @return {HTMLAudioElement}
+     */
+    createSound(name: string, sectionName: string): HTMLAudioElement {
+        return this.context
+            ? this.createBufferedAudio(name, sectionName)
+            : this.createAudio(name, sectionName);
+    }
+
     /**
      * Creates an audio element, gives it sources, and starts preloading.
      * 
@@ -741,12 +1706,78 @@ class AudioPlayr {
         // This preloads the sound.
         sound.volume = 0;
         sound.setAttribute("volumeReal", "1");
+        sound.setAttribute("volumeFade", "1");
         sound.setAttribute("used", "0");
+        sound.setAttribute("bus", this.getSectionBus(sectionName));
+        sound.setAttribute("section", sectionName);
         this.playSound(sound);
 
         return sound;
     }
 
+    /**
+     * Creates an AudioPlayrSound routed through its section's bus, and starts
+     * loading its buffer. If the synthesizer has a song of the name, that's
+     * rendered as the buffer instead of the file. Sounds on the "sfx" bus may
+     * overlap themselves.
+     * 
+     * @param {String} name
+     * @param {String} sectionName
+     * @return {HTMLAudioElement} An AudioPlayrSound, which acts as one.
+     */
+    createBufferedAudio(name: string, sectionName: string): HTMLAudioElement {
+        var bus: string = this.getSectionBus(sectionName),
+            sound: AudioPlayrSound = new AudioPlayrSound(this.context, this.buses[bus], bus === "sfx");
+
+        sound.setAttribute("volumeReal", "1");
+        sound.setAttribute("volumeFade", "1");
+        sound.setAttribute("used", "0");
+        sound.setAttribute("bus", bus);
+        sound.setAttribute("section", sectionName);
+
+        if (this.synthesizer && this.synthesizer.hasSong(name)) {
+            this.synthesizer.renderSong(name, sound.setBuffer.bind(sound));
+        } else {
+            this.loadBuffer(sound, name, sectionName, 0);
+        }
+
+        return <any>sound;
+    }
+
+    /**
+     * AJAXes and decodes a sound's file into its buffer. If the file can't be
+     * retrieved or decoded, the next of the fileTypes is tried, and once they
+     * have all failed the sound is marked as failed.
+     * 
+     * @param {AudioPlayrSound} sound
+     * @param {String} name
+     * @param {String} sectionName
+     * @param {Number} typeIndex   Which of the fileTypes to try.
+     */
+    loadBuffer(sound: AudioPlayrSound, name: string, sectionName: string, typeIndex: number): void {
+        var sourceType: string = this.fileTypes[typeIndex],
+            request: XMLHttpRequest = new XMLHttpRequest(),
+            retry: () => void = this.loadBuffer.bind(this, sound, name, sectionName, typeIndex + 1);
+
+        if (!sourceType) {
+            sound.setFailed();
+            return;
+        }
+
+        request.open("GET", this.directory + "/" + sectionName + "/" + sourceType + "/" + name + "." + sourceType);
+        request.responseType = "arraybuffer";
+        request.onerror = retry;
+        request.onload = function (): void {
+            if (request.status >= 400) {
+                retry();
+                return;
+            }
+
+            this.context.decodeAudioData(request.response, sound.setBuffer.bind(sound), retry);
+        }.bind(this);
+        request.send();
+    }
+
     /**
      * Utility to try to play a sound, which may not be possible in headless
      * environments like PhantomJS.
@@ -0,0 +1,499 @@
+interface IAudioSynthrChannel {
+    // The waveform to play notes with: "square", "triangle", "sawtooth",
+    // "sine", or "noise".
+    wave: string;
+
+    // Space-separated notes, such as "C5/8" (an eighth-note C in octave 5),
+    // "r/4" (a quarter-note rest), or "x/16" (a sixteenth-note hit, for noise).
+    // A trailing "." dots a note, and "[ ... ]3" repeats notes three times.
+    notes: string;
+
+    // How loud the channel is, in [0,1] (defaults depend on the wave).
+    volume?: number;
+
+    // The note length to use when a note doesn't give one (defaults to 4).
+    length?: number;
+
+    // The octave to use when a note doesn't give one (defaults to 4).
+    octave?: number;
+}
+
+interface IAudioSynthrSong {
+    // Beats (quarter notes) per minute (defaults to 120).
+    tempo?: number;
+
+    // Whether the song is meant to loop, such as for themes.
+    loop?: boolean;
+
+    // The channels played together to make the song.
+    channels: IAudioSynthrChannel[];
+}
+
+interface IAudioSynthrNote {
+    // The note's frequency in Hz, or 0 for a rest.
+    frequency: number;
+
+    // How many beats (quarter notes) the note lasts.
+    beats: number;
+}
+
+interface IAudioSynthrSettings {
+    // Songs to start with, keyed by name.
+    songs?: any;
+
+    // The sample rate songs are rendered at (defaults to 44100).
+    sampleRate?: number;
+
+    // The OfflineAudioContext class to render with (defaults to the
+    // browser's).
+    OfflineAudioContext?: any;
+}
+
+/**
+ * AudioSynthr
+ * A chiptune synthesizer that turns compact note sequences into audio. Songs
+ * are plain JSON, with square, triangle, sawtooth, sine, and noise channels
+ * played at a tempo, so they may be shipped and tweaked without recordings.
+ * Songs are rendered into AudioBuffers by an OfflineAudioContext, so they can
+ * be played like decoded files (such as by AudioPlayr) or inspected in tests.
+ *
+ * @example
+ * // Creating and rendering a simple two-channel jingle.
+ * var AudioSynthesizer = new AudioSynthr({
+ *     "songs": {
+ *         "Jingle": {
+ *             "tempo": 180,
+ *             "channels": [{
+ *                 "wave": "square",
+ *                 "notes": "C5/8 E5/8 G5/8 C6/4."
+ *             }, {
+ *                 "wave": "triangle",
+ *                 "notes": "C3/2 G2/4."
+ *             }]
+ *         }
+ *     }
+ * });
+ * AudioSynthesizer.renderSong("Jingle", function (buffer) {
+ *     console.log("Rendered", buffer.duration, "seconds.");
+ * });
+ * @author "Josh Goldberg" <josh@fullscreenmario.com>
+ */
+class AudioSynthr {
+    // Known songs, keyed by name.
+    private songs: any;
+
+    // The sample rate songs are rendered at.
+    private sampleRate: number;
+
+    // The OfflineAudioContext class songs are rendered with.
+    private OfflineAudioContext: any;
+
+    // Semitones above C for each note letter.
+    private static semitones: any = {
+        "C": 0,
+        "D": 2,
+        "E": 4,
+        "F": 5,
+        "G": 7,
+        "A": 9,
+        "B": 11
+    };
+
+    // Default channel volumes for each wave, as squares sound much louder.
+    private static volumes: any = {
+        "square": .2,
+        "sawtooth": .2,
+        "triangle": .4,
+        "sine": .4,
+        "noise": .15
+    };
+
+    /**
+     * @param {IAudioSynthrSettings} [settings]
+     */
+    constructor(settings: IAudioSynthrSettings = {}) {
+        this.songs = {};
+        this.sampleRate = settings.sampleRate || 44100;
+        this.OfflineAudioContext = settings.OfflineAudioContext
+            || (<any>window).OfflineAudioContext
+            || (<any>window).webkitOfflineAudioContext;
+
+        if (settings.songs) {
+            for (var name in settings.songs) {
+                if (settings.songs.hasOwnProperty(name)) {
+                    this.addSong(name, settings.songs[name]);
+                }
+            }
+        }
+    }
+
+
+    /* Songs
+    */
+
+    /**
+     * @return {Object} The known songs, keyed by name.
+     */
+    getSongs(): any {
+        return this.songs;
+    }
+
+    /**
+     * @param {String} name
+     * @return {IAudioSynthrSong} The song under the name.
+     */
+    getSong(name: string): IAudioSynthrSong {
+        return this.songs[name];
+    }
+
+    /**
+     * @param {String} name
+     * @return {Boolean} Whether there's a song under the name.
+     */
+    hasSong(name: string): boolean {
+        return this.songs.hasOwnProperty(name);
+    }
+
+    /**
+     * Adds (or replaces) a song under a name.
+     *
+     * @param {String} name
+     * @param {IAudioSynthrSong} song
+     */
+    addSong(name: string, song: IAudioSynthrSong): void {
+        if (!song || !song.channels) {
+            throw new Error("Song '" + name + "' given to AudioSynthr has no channels.");
+        }
+
+        this.songs[name] = song;
+    }
+
+    /**
+     * @param {String} name
+     */
+    removeSong(name: string): void {
+        delete this.songs[name];
+    }
+
+
+    /* Rendering
+    */
+
+    /**
+     * Renders a known song into an AudioBuffer using an OfflineAudioContext.
+     *
+     * @param {String} name
+     * @param {Function} callback   A Function called with the AudioBuffer
+     *                              once it's rendered.
+     */
+    renderSong(name: string, callback: (buffer: any) => void): void {
+        var song: IAudioSynthrSong = this.songs[name],
+            context: any;
+
+        if (!song) {
+            throw new Error("Unknown song given to AudioSynthr: '" + name + "'.");
+        }
+
+        if (!this.OfflineAudioContext) {
+            throw new Error("AudioSynthr requires an OfflineAudioContext to render.");
+        }
+
+        context = new this.OfflineAudioContext(
+            1, Math.max(Math.ceil(this.getSongDuration(song) * this.sampleRate), 1), this.sampleRate);
+
+        this.scheduleSong(context, context.destination, song, 0);
+
+        context.oncomplete = function (event: any): void {
+            callback(event.renderedBuffer);
+        };
+        context.startRendering();
+    }
+
+    /**
+     * Schedules each note of a song to play in a context. This may be used
+     * with live AudioContexts as well as OfflineAudioContexts.
+     *
+     * @param {BaseAudioContext} context
+     * @param {AudioNode} destination   Where the song's output should go.
+     * @param {IAudioSynthrSong} song
+     * @param {Number} [when]   The context time to start at (by default, 0).
+     * @return {Number} The context time the song ends at.
+     */
+    scheduleSong(context: any, destination: any, song: IAudioSynthrSong, when: number = 0): number {
+        var beatDuration: number = 60 / (song.tempo || 120),
+            end: number = when,
+            i: number;
+
+        for (i = 0; i < song.channels.length; i += 1) {
+            end = Math.max(
+                end,
+                this.scheduleChannel(context, destination, song.channels[i], beatDuration, when));
+        }
+
+        return end;
+    }
+
+    /**
+     * @param {IAudioSynthrSong} song
+     * @return {Number} How many seconds the song lasts (its longest channel).
+     */
+    getSongDuration(song: IAudioSynthrSong): number {
+        var beats: number = 0,
+            i: number;
+
+        for (i = 0; i < song.channels.length; i += 1) {
+            beats = Math.max(beats, this.getNotesBeats(this.parseChannel(song.channels[i])));
+        }
+
+        return beats * 60 / (song.tempo || 120);
+    }
+
+
+    /* Parsing
+    */
+
+    /**
+     * Parses a channel's notes into frequencies and lengths.
+     *
+     * @param {IAudioSynthrChannel} channel
+     * @return {IAudioSynthrNote[]}
+     */
+    parseChannel(channel: IAudioSynthrChannel): IAudioSynthrNote[] {
+        return this.parseNotes(channel.notes, channel.length || 4, channel.octave || 4);
+    }
+
+    /**
+     * Parses a String of notes into frequencies and lengths. Repeated groups
+     * are expanded.
+     *
+     * @param {String} notes   Space-separated notes, such as "C5/8 r/4 x".
+     * @param {Number} lengthDefault   The note length for notes without one.
+     * @param {Number} octaveDefault   The octave for notes without one.
+     * @return {IAudioSynthrNote[]}
+     */
+    parseNotes(notes: string, lengthDefault: number, octaveDefault: number): IAudioSynthrNote[] {
+        var tokens: string[] = notes
+                .replace(/\[/g, " [ ")
+                .replace(/\](\d*)/g, " ]$1 ")
+                .split(/\s+/),
+            groups: IAudioSynthrNote[][] = [[]],
+            group: IAudioSynthrNote[],
+            repeats: number,
+            token: string,
+            i: number,
+            j: number;
+
+        for (i = 0; i < tokens.length; i += 1) {
+            token = tokens[i];
+
+            if (!token) {
+                continue;
+            }
+
+            if (token === "[") {
+                groups.push([]);
+                continue;
+            }
+
+            if (token.charAt(0) === "]") {
+                if (groups.length < 2) {
+                    throw new Error("Unmatched ']' given to AudioSynthr in '" + notes + "'.");
+                }
+
+                group = groups.pop();
+                repeats = Number(token.slice(1)) || 2;
+
+                for (j = 0; j < repeats; j += 1) {
+                    groups[groups.length - 1].push.apply(groups[groups.length - 1], group);
+                }
+                continue;
+            }
+
+            groups[groups.length - 1].push(this.parseNote(token, lengthDefault, octaveDefault));
+        }
+
+        if (groups.length !== 1) {
+            throw new Error("Unmatched '[' given to AudioSynthr in '" + notes + "'.");
+        }
+
+        return groups[0];
+    }
+
+    /**
+     * Parses a single note, such as "C#5/8." (a dotted eighth-note C sharp in
+     * octave 5), "r/4" (a quarter-note rest), or "x/16" (a sixteenth-note hit
+     * at no particular pitch, for noise).
+     *
+     * @param {String} token
+     * @param {Number} lengthDefault   The note length if none is given.
+     * @param {Number} octaveDefault   The octave if none is given.
+     * @return {IAudioSynthrNote}
+     */
+    parseNote(token: string, lengthDefault: number, octaveDefault: number): IAudioSynthrNote {
+        var match: string[] = token.match(/^([A-Ga-g][#b]?|r|x)(\d)?(?:\/(\d+))?(\.)?$/),
+            beats: number,
+            frequency: number,
+            pitch: string,
+            semitone: number;
+
+        if (!match) {
+            throw new Error("Unknown note given to AudioSynthr: '" + token + "'.");
+        }
+
+        beats = 4 / Number(match[3] || lengthDefault);
+        if (match[4]) {
+            beats *= 1.5;
+        }
+
+        pitch = match[1];
+        if (pitch === "r") {
+            frequency = 0;
+        } else if (pitch === "x") {
+            frequency = 440;
+        } else {
+            semitone = AudioSynthr.semitones[pitch.charAt(0).toUpperCase()];
+            if (pitch.charAt(1) === "#") {
+                semitone += 1;
+            } else if (pitch.charAt(1) === "b") {
+                semitone -= 1;
+            }
+
+            // MIDI numbering: C4 is 60 and A4 (440Hz) is 69
+            frequency = 440 * Math.pow(
+                2, ((Number(match[2] || octaveDefault) + 1) * 12 + semitone - 69) / 12);
+        }
+
+        return {
+            "frequency": frequency,
+            "beats": beats
+        };
+    }
+
+
+    /* Private utilities
+    */
+
+    /**
+     * @param {IAudioSynthrNote[]} notes
+     * @return {Number} How many beats the notes last in total.
+     */
+    private getNotesBeats(notes: IAudioSynthrNote[]): number {
+        var beats: number = 0,
+            i: number;
+
+        for (i = 0; i < notes.length; i += 1) {
+            beats += notes[i].beats;
+        }
+
+        return beats;
+    }
+
+    /**
+     * Schedules each note of a channel, each with a short envelope to avoid
+     * clicks between notes.
+     *
+     * @param {BaseAudioContext} context
+     * @param {AudioNode} destination
+     * @param {IAudioSynthrChannel} channel
+     * @param {Number} beatDuration   How many seconds each beat lasts.
+     * @param {Number} when   The context time to start at.
+     * @return {Number} The context time the channel ends at.
+     */
+    private scheduleChannel(
+        context: any,
+        destination: any,
+        channel: IAudioSynthrChannel,
+        beatDuration: number,
+        when: number): number {
+        var notes: IAudioSynthrNote[] = this.parseChannel(channel),
+            output: any = context.createGain(),
+            time: number = when,
+            end: number,
+            envelope: any,
+            source: any,
+            i: number;
+
+        output.gain.value = typeof channel.volume === "undefined"
+            ? AudioSynthr.volumes[channel.wave] || .25
+            : channel.volume;
+        output.connect(destination);
+
+        for (i = 0; i < notes.length; i += 1) {
+            end = time + notes[i].beats * beatDuration;
+
+            if (notes[i].frequency) {
+                source = this.createSource(context, channel.wave, notes[i].frequency);
+
+                envelope = context.createGain();
+                envelope.gain.setValueAtTime(0, time);
+                envelope.gain.linearRampToValueAtTime(1, Math.min(time + .005, end));
+                envelope.gain.setValueAtTime(1, Math.max(time + .005, end - .01));
+                envelope.gain.linearRampToValueAtTime(0, end);
+
+                source.connect(envelope);
+                envelope.connect(output);
+                source.start(time);
+                source.stop(end);
+            }
+
+            time = end;
+        }
+
+        return time;
+    }
+
+    /**
+     * @param {BaseAudioContext} context
+     * @param {String} wave   "square", "triangle", "sawtooth", "sine", or
+     *                        "noise".
+     * @param {Number} frequency   The note's frequency, in Hz. For noise,
+     *                             this scales the playback rate from 440Hz.
+     * @return {AudioScheduledSourceNode} A source playing the note.
+     */
+    private createSource(context: any, wave: string, frequency: number): any {
+        var source: any;
+
+        if (wave === "noise") {
+            source = context.createBufferSource();
+            source.buffer = this.createNoiseBuffer(context);
+            source.loop = true;
+            source.playbackRate.value = frequency / 440;
+            return source;
+        }
+
+        if (!AudioSynthr.volumes.hasOwnProperty(wave)) {
+            throw new Error("Unknown wave given to AudioSynthr: '" + wave + "'.");
+        }
+
+        source = context.createOscillator();
+        source.type = wave;
+        source.frequency.value = frequency;
+        return source;
+    }
+
+    /**
+     * Creates (or reuses) a one-second buffer of white noise for a context.
+     *
+     * @param {BaseAudioContext} context
+     * @return {AudioBuffer}
+     */
+    private createNoiseBuffer(context: any): any {
+        var buffer: any,
+            data: Float32Array,
+            i: number;
+
+        if (context.noiseBuffer) {
+            return context.noiseBuffer;
+        }
+
+        buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        data = buffer.getChannelData(0);
+
+        for (i = 0; i < data.length; i += 1) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        context.noiseBuffer = buffer;
+        return buffer;
+    }
+}
@@ -57,11 +57,7 @@ var FPSAnalyzr = (function () {
     function FPSAnalyzr(settings) {
         if (settings === void 0) { settings = {}; }
         this.maxKept = settings.maxKept || 35;
-        this.numRecorded = 0;
-        this.ticker = -1;
-        // If maxKept is a Number, make the measurements array that long
-        // If it's infinite, make measurements an {} (infinite array)
-        this.measurements = isFinite(this.maxKept) ? new Array(this.maxKept) : {};
+        this.reset();
         // Headless browsers like PhantomJS won't know performance, so Date.now
         // is used as a backup
         if (typeof settings.getTimestamp === "undefined") {
@@ -107,6 +103,18 @@ var FPSAnalyzr = (function () {
         this.measurements[this.ticker] = fps;
         this.numRecorded += 1;
     };
+    /**
+     * Forgets all FPS measurements and the most recent timestamp, such as
+     * when what's being measured has changed.
+     */
+    FPSAnalyzr.prototype.reset = function () {
+        this.numRecorded = 0;
+        this.ticker = -1;
+        this.timeCurrent = undefined;
+        // If maxKept is a Number, make the measurements array that long
+        // If it's infinite, make measurements an {} (infinite array)
+        this.measurements = isFinite(this.maxKept) ? new Array(this.maxKept) : {};
+    };
     /* Gets
     */
     /**
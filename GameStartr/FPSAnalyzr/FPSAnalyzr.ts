@@ -80,12 +80,7 @@ class FPSAnalyzr {
      */
     constructor(settings: IFPSAnalyzrSettings = {}) {
         this.maxKept = settings.maxKept || 35;
-        this.numRecorded = 0;
-        this.ticker = -1;
-
-        // If maxKept is a Number, make the measurements array that long
-        // If it's infinite, make measurements an {} (infinite array)
-        this.measurements = isFinite(this.maxKept) ? new Array(this.maxKept) : {};
+        this.reset();
 
         // Headless browsers like PhantomJS won't know performance, so Date.now
         // is used as a backup
@@ -141,6 +136,20 @@ class FPSAnalyzr {
         this.numRecorded += 1;
     }
 
+    /**
+     * Forgets all FPS measurements and the most recent timestamp, such as 
+     * when what's being measured has changed.
+     */
+    reset(): void {
+        this.numRecorded = 0;
+        this.ticker = -1;
+        this.timeCurrent = undefined;
+
+        // If maxKept is a Number, make the measurements array that long
+        // If it's infinite, make measurements an {} (infinite array)
+        this.measurements = isFinite(this.maxKept) ? new Array(this.maxKept) : {};
+    }
+
 
     /* Gets
     */
@@ -70,13 +70,17 @@ var GameStartr = (function (EightBittr) {
     // Subsequent settings will be stored in GameStartr.prototype.settings
     EightBitterProto.settings = {};
     EightBitterProto.resets = [
+        "resetHeadless",
         "resetObjectMaker",
         "resetPixelRender",
         "resetTimeHandler",
+        "resetAudioSynthesizer",
         "resetAudioPlayer",
         "resetQuadsKeeper",
         "resetGamesRunner",
         "resetStatsHolder",
+        "resetSplitTimer",
+        "resetGhostHolder",
         "resetGroupHolder",
         "resetThingHitter",
         "resetMapScreener",
@@ -92,6 +96,9 @@ var GameStartr = (function (EightBittr) {
         "resetContainer"
     ];
 
+    // The format version of replays made by getReplay, which playReplay checks
+    EightBitterProto.replayVersion = 1;
+
 
     /* Resets
     */
@@ -121,6 +128,23 @@ var GameStartr = (function (EightBittr) {
         );
     };
 
+    /**
+     * Sets self.createCanvas and self.createElement to headless stand-ins if
+     * customs.headless is given, so no document is needed to run the game. 
+     * The renderer and audio modules will similarly be no-op adapters.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object} [customs]
+     */
+    function resetHeadless(EightBitter, customs) {
+        if (!customs.headless) {
+            return;
+        }
+
+        EightBitter.createCanvas = createHeadlessCanvas;
+        EightBitter.createElement = createHeadlessElement;
+    }
+
     /**
      * Sets self.ObjectMaker.
      * 
@@ -178,6 +202,11 @@ var GameStartr = (function (EightBittr) {
      *                          sprites.js (settings/sprites.js)
      */
     function resetPixelRender(EightBitter, customs) {
+        if (customs.headless) {
+            EightBitter.PixelRender = EightBitter.createHeadlessAdapter(PixelRendr);
+            return;
+        }
+
         EightBitter.PixelRender = new PixelRendr(EightBitter.proliferate({
             "QuadsKeeper": EightBitter.QuadsKeeper,
             "unitsize": EightBitter.unitsize,
@@ -191,16 +220,27 @@ var GameStartr = (function (EightBittr) {
      * @param {EightBittr} EightBitter
      * @param {Object} [customs]
      * @remarks Requirement(s): PixelDrawr (src/PixelDrawr/PixelDrawr.js)
+     *                          FPSAnalyzr (src/FPSAnalyzr/FPSAnalyzr.js)
      *                          renderer.js (settings/renderer.js)
      */
     function resetPixelDrawer(EightBitter, customs) {
+        if (customs.headless) {
+            EightBitter.PixelDrawer = EightBitter.createHeadlessAdapter(PixelDrawr, {
+                "getFramerateSkip": function () {
+                    return 1;
+                }
+            });
+            return;
+        }
+
         EightBitter.PixelDrawer = new PixelDrawr(EightBitter.proliferate({
             "PixelRender": EightBitter.PixelRender,
             "MapScreener": EightBitter.MapScreener,
             "createCanvas": EightBitter.createCanvas,
             "unitsize": EightBitter.unitsize,
             "innerWidth": customs.width,
-            "generateObjectKey": EightBitter.generateObjectKey
+            "generateObjectKey": EightBitter.generateObjectKey,
+            "FPSAnalyzer": new FPSAnalyzr()
         }, EightBitter.settings.renderer));
     }
 
@@ -219,6 +259,25 @@ var GameStartr = (function (EightBittr) {
         }, EightBitter.settings.events));
     }
 
+    /**
+     * Sets self.AudioSynthesizer.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object} [customs]
+     * @remarks Requirement(s): AudioSynthr (src/AudioSynthr/AudioSynthr.js)
+     *                          synthesizer.js (settings/synthesizer.js)
+     */
+    function resetAudioSynthesizer(EightBitter, customs) {
+        if (customs.headless) {
+            EightBitter.AudioSynthesizer = EightBitter.createHeadlessAdapter(AudioSynthr);
+            return;
+        }
+
+        EightBitter.AudioSynthesizer = new AudioSynthr(
+            EightBitter.proliferate({}, EightBitter.settings.synthesizer)
+        );
+    }
+
     /**
      * Sets self.AudioPlayer.
      * 
@@ -226,13 +285,36 @@ var GameStartr = (function (EightBittr) {
      * @param {Object} [customs]
      * @remarks Requirement(s): AudioPlayr (src/AudioPlayr/AudioPlayr.js)
      *                          audio.js (settings/audio.js)
+     *                          resetAudioSynthesizer (for the synthesizer)
      */
     function resetAudioPlayer(EightBitter, customs) {
-        EightBitter.AudioPlayer = new AudioPlayr(EightBitter.proliferate({
+        var settings;
+
+        if (customs.headless) {
+            EightBitter.AudioPlayer = EightBitter.createHeadlessAdapter(AudioPlayr, {
+                "getTheme": function () {
+                    return {
+                        "paused": true
+                    };
+                },
+                "addEventImmediate": function (name, event, callback) {
+                    callback();
+                }
+            });
+            return;
+        }
+
+        settings = EightBitter.proliferate({
             "statistics": {
                 "proliferate": EightBitter.proliferate
             }
-        }, EightBitter.settings.audio));
+        }, EightBitter.settings.audio);
+
+        // The synthesizer is shared rather than copied, so songs added to it
+        // are available to the AudioPlayer
+        settings.synthesizer = EightBitter.AudioSynthesizer;
+
+        EightBitter.AudioPlayer = new AudioPlayr(settings);
     }
 
     /**
@@ -244,11 +326,23 @@ var GameStartr = (function (EightBittr) {
      *                          runner.js (settings/runner.js)
      */
     function resetGamesRunner(EightBitter, customs) {
-        EightBitter.GamesRunner = new GamesRunnr(EightBitter.proliferate({
+        var settings = EightBitter.proliferate({
             "scope": EightBitter,
             "onPlay": EightBitter.onGamePlay.bind(EightBitter, EightBitter),
             "onPause": EightBitter.onGamePause.bind(EightBitter, EightBitter)
-        }, EightBitter.settings.runner));
+        }, EightBitter.settings.runner);
+
+        if (typeof customs.fixedTimestep !== "undefined") {
+            settings.fixedTimestep = customs.fixedTimestep;
+        }
+
+        // Headless games are only advanced by explicit GamesRunner.tick calls
+        if (customs.headless) {
+            settings.upkeepScheduler = headlessNoop;
+            settings.upkeepCanceller = headlessNoop;
+        }
+
+        EightBitter.GamesRunner = new GamesRunnr(settings);
     }
 
     /**
@@ -263,10 +357,46 @@ var GameStartr = (function (EightBittr) {
         EightBitter.StatsHolder = new StatsHoldr(EightBitter.proliferate({
             "callbackArgs": [EightBitter],
             "proliferate": EightBitter.proliferate,
-            "createElement": EightBitter.createElement
+            "createElement": EightBitter.createElement.bind(EightBitter)
         }, EightBitter.settings.statistics));
     }
 
+    /**
+     * Sets self.SplitTimer.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object} [customs]
+     * @remarks Requirement(s): SplitTimr (src/SplitTimr/SplitTimr.js)
+     *                          splits.js (settings/splits.js)
+     */
+    function resetSplitTimer(EightBitter, customs) {
+        if (customs.headless) {
+            EightBitter.SplitTimer = EightBitter.createHeadlessAdapter(SplitTimr);
+            return;
+        }
+
+        EightBitter.SplitTimer = new SplitTimr(EightBitter.proliferate({
+            "createElement": EightBitter.createElement.bind(EightBitter)
+        }, EightBitter.settings.splits));
+    }
+
+    /**
+     * Sets self.GhostHolder, a StatsHoldr storing recordings of runs through
+     * maps to race against. Headless games keep them in memory.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object} [customs]
+     * @remarks Requirement(s): StatsHoldr (src/StatsHoldr/StatsHoldr.js)
+     *                          ghosts.js (settings/ghosts.js)
+     */
+    function resetGhostHolder(EightBitter, customs) {
+        EightBitter.GhostHolder = new StatsHoldr(EightBitter.proliferate({
+            "proliferate": EightBitter.proliferate,
+            "createElement": EightBitter.createElement.bind(EightBitter),
+            "localStorage": customs.headless ? {} : undefined
+        }, EightBitter.settings.ghosts));
+    }
+
     /**
      * Sets self.GroupHolder.
      * 
@@ -313,7 +443,8 @@ var GameStartr = (function (EightBittr) {
     }
 
     /**
-     * Sets self.NumberMaker.
+     * Sets self.NumberMaker and self.WorldNumberMaker. The WorldNumberMaker is
+     * kept separate so generated maps don't depend on gameplay's random calls.
      * 
      * @param {EightBittr} EightBitter
      * @param {Object} [customs]
@@ -321,6 +452,7 @@ var GameStartr = (function (EightBittr) {
      */
     function resetNumberMaker(EightBitter, customs) {
         EightBitter.NumberMaker = new NumberMakr();
+        EightBitter.WorldNumberMaker = new NumberMakr();
     }
 
     /**
@@ -367,9 +499,17 @@ var GameStartr = (function (EightBittr) {
      *                          input.js (settings/input.js)
      */
     function resetInputWriter(EightBitter, customs) {
-        EightBitter.InputWriter = new InputWritr(EightBitter.proliferate({
-            "canTrigger": EightBitter.canInputsTrigger.bind(EightBitter, EightBitter)
-        }, EightBitter.settings.input.InputWritrArgs));
+        var settings = EightBitter.proliferate({
+            "canTrigger": EightBitter.canInputsTrigger.bind(EightBitter, EightBitter),
+            "getTick": EightBitter.GamesRunner.getTicks.bind(EightBitter.GamesRunner)
+        }, EightBitter.settings.input.InputWritrArgs);
+
+        // Headless games only take inputs given to them directly
+        if (customs.headless) {
+            settings.getGamepads = headlessGamepads;
+        }
+
+        EightBitter.InputWriter = new InputWritr(settings);
     }
 
     /**
@@ -397,7 +537,7 @@ var GameStartr = (function (EightBittr) {
      */
     function resetWorldSeeder(EightBitter, customs) {
         EightBitter.WorldSeeder = new WorldSeedr(EightBitter.proliferate({
-            "random": EightBitter.NumberMaker.random.bind(EightBitter.NumberMaker),
+            "random": EightBitter.WorldNumberMaker.random.bind(EightBitter.WorldNumberMaker),
             "onPlacement": EightBitter.mapPlaceRandomCommands.bind(EightBitter, EightBitter)
         }, EightBitter.settings.generator));
     }
@@ -742,7 +882,9 @@ var GameStartr = (function (EightBittr) {
 
     /**
      * Runs through commands generated by a WorldSeedr and evaluates all of 
-     * to create PreThings via MapsCreator.analyzePreSwitch. 
+     * to create PreThings via MapsCreator.analyzePreSwitch. Copies of the
+     * created references are kept in the area's creationGenerated, so the
+     * generated area may be exported as a normal map.
      * 
      * @param {EightBittr} EightBitter
      * @param {Object[]} generatedCommands   The commands generated by a
@@ -754,25 +896,47 @@ var GameStartr = (function (EightBittr) {
             prethings = MapsHandler.getPreThings(),
             area = MapsHandler.getArea(),
             map = MapsHandler.getMap(),
-            command, output, i;
+            output, reference, i;
+        
+        if (!area.creationGenerated) {
+            area.creationGenerated = [];
+        }
 
         for (i = 0; i < generatedCommands.length; i += 1) {
-            command = generatedCommands[i];
-
-            output = {
-                "thing": command.title,
-                "x": command.left,
-                "y": command.top
-            };
+            output = EightBitter.mapMakeRandomCommand(EightBitter, generatedCommands[i]);
 
-            if (command.arguments) {
-                EightBitter.proliferateHard(output, command.arguments, true);
+            // Macros are written in maps by their macro name alone
+            reference = EightBitter.proliferate({}, output);
+            if (reference.macro) {
+                delete reference.thing;
             }
 
+            area.creationGenerated.push(reference);
             MapsCreator.analyzePreSwitch(output, prethings, area, map);
         }
     }
 
+    /**
+     * Creates the PreThing reference for a command generated by a WorldSeedr.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {Object} command   A command from a WorldSeedr.generateFull call.
+     * @return {Object}   A reference for MapsCreator.analyzePreSwitch.
+     */
+    function mapMakeRandomCommand(EightBitter, command) {
+        var output = {
+            "thing": command.title,
+            "x": command.left,
+            "y": command.top
+        };
+
+        if (command.arguments) {
+            EightBitter.proliferateHard(output, command.arguments, true);
+        }
+
+        return output;
+    }
+
 
     /* Physics & similar
     */
@@ -1165,14 +1329,16 @@ var GameStartr = (function (EightBittr) {
     /**
      * Generates a key for a Thing based off the current area and the Thing's
      * basic attributes. This key should be used for PixelRender.get calls, to
-     * cache the Thing's sprite.
+     * cache the Thing's sprite. Things drawn with another group's sprites 
+     * (such as ghosts) may give a spriteGroupType to use instead of their 
+     * groupType.
      * 
      * @param {Thing} thing
      * @return {String} A key that to identify the Thing's sprite.
      */
     function generateObjectKey(thing) {
         return thing.EightBitter.MapsHandler.getArea().setting
-                + ' ' + thing.groupType + ' '
+                + ' ' + (thing.spriteGroupType || thing.groupType) + ' '
                 + thing.title + ' ' + thing.className;
     }
 
@@ -1356,6 +1522,57 @@ var GameStartr = (function (EightBittr) {
         thing.EightBitter.markChanged(thing);
     }
 
+    /**
+     * Switches sprites to a palette theme from the sprites settings' 
+     * paletteThemes. Each theme maps palette indices to replacement colors,
+     * which are applied over paletteDefault to make the full palette given to
+     * the PixelRender. Things' sprites are regenerated the next time they're
+     * drawn.
+     * 
+     * @param {String} name   The name of the theme, such as "Classic".
+     */
+    function setPaletteTheme(name) {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this),
+            themes = EightBitter.settings.sprites.paletteThemes || {},
+            palette = EightBitter.settings.sprites.paletteDefault.slice(),
+            theme, i;
+
+        if (!themes.hasOwnProperty(name)) {
+            throw new Error("Unknown palette theme: '" + name + "'.");
+        }
+
+        theme = themes[name];
+        for (i in theme) {
+            if (theme.hasOwnProperty(i)) {
+                palette[Number(i)] = theme[i];
+            }
+        }
+
+        EightBitter.PixelRender.setPalette(palette);
+        EightBitter.paletteTheme = name;
+
+        EightBitter.GroupHolder.callOnAll(undefined, function (thing) {
+            thing.numSprites = undefined;
+            EightBitter.markChanged(thing);
+        });
+
+        // Background layers are re-rendered with the new palette
+        EightBitter.PixelDrawer.setBackgroundLayers(
+            EightBitter.PixelDrawer.getBackgroundLayers()
+        );
+    }
+
+    /**
+     * @return {String} The name of the current palette theme (by default, the
+     *                  first in the sprites settings' paletteThemes).
+     */
+    function getPaletteTheme() {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this);
+
+        return EightBitter.paletteTheme
+            || Object.keys(EightBitter.settings.sprites.paletteThemes || {})[0];
+    }
+
 
     /* Miscellaneous utilities
     */
@@ -1410,6 +1627,115 @@ var GameStartr = (function (EightBittr) {
         link.click();
     }
 
+    /**
+     * Exports every sprite in the PixelRender's library as a PNG atlas and a
+     * JSON manifest of where each sprite is in it, both saved by simulating
+     * click events on dummy links. Sprite dimensions are determined by
+     * getSpriteAtlasDimensions.
+     * 
+     * @param {String} [name]   A name for the files to be saved as (by 
+     *                          default, "FullScreenMario Sprites").
+     * @return {Object} The manifest, with the atlas' width and height, frames
+     *                  keyed by sprite, and keys of any skipped sprites.
+     * @remarks As with takeScreenshot, browsers won't allow this unless it's
+     *          called within a callback of a genuine user-triggered event.
+     */
+    function exportSpriteAtlas(name) {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this),
+            atlas = EightBitter.PixelRender.getAtlas(
+                getSpriteAtlasDimensions.bind(undefined, EightBitter)
+            ),
+            canvas = EightBitter.createCanvas(atlas.width, atlas.height),
+            context = canvas.getContext("2d"),
+            imageData = context.getImageData(0, 0, atlas.width, atlas.height),
+            manifest;
+
+        name = name || (EightBitter.settings.ui.globalName + " Sprites");
+        manifest = {
+            "image": name + ".png",
+            "width": atlas.width,
+            "height": atlas.height,
+            "frames": atlas.frames,
+            "skipped": atlas.skipped
+        };
+
+        EightBitter.PixelRender.memcpyU8(atlas.data, imageData.data);
+        context.putImageData(imageData, 0, 0);
+
+        EightBitter.createElement("a", {
+            "download": name + ".png",
+            "href": canvas.toDataURL("image/png")
+                .replace("image/png", "image/octet-stream")
+        }).click();
+
+        EightBitter.createElement("a", {
+            "download": name + ".json",
+            "href": "data:application/json;charset=utf-8,"
+                + encodeURIComponent(JSON.stringify(manifest, undefined, 4))
+        }).click();
+
+        return manifest;
+    }
+
+    /**
+     * Determines a sprite's [width, height] in sprite pixels for 
+     * exportSpriteAtlas. Sprites whose titles (second classes) are mapped to
+     * others in the sprite settings' atlas.titles are treated as having those
+     * titles, and sprites listed in atlas.dimensions use the dimensions given
+     * there. Otherwise, the width (or height, for horizontal "multiple" 
+     * sprites) comes from the properties of the sprite's title, and the other
+     * dimension from the number of pixels. Sprites whose width doesn't fit are
+     * tried with their height, and sprites without usable properties are 
+     * assumed to be square if possible.
+     * 
+     * @param {GameStartr} EightBitter
+     * @param {String} key   The sprite's key, such as "Character Goomba normal".
+     * @param {Number} pixels   How many pixels are in the sprite.
+     * @param {String} [direction]   The direction of the sprite's "multiple"
+     *                               sprite, if it's in one.
+     * @return {Number[]} The sprite's dimensions, or undefined if unknown.
+     */
+    function getSpriteAtlasDimensions(EightBitter, key, pixels, direction) {
+        var atlas = EightBitter.settings.sprites.atlas || {},
+            dimensions = atlas.dimensions || {},
+            classes = key.split(" "),
+            properties, ratio, width, height, side;
+
+        // Sprites of mapped titles are sized as their title's would be
+        if (atlas.titles && atlas.titles.hasOwnProperty(classes[1])) {
+            classes[1] = atlas.titles[classes[1]];
+            key = classes.join(" ");
+        }
+
+        if (dimensions.hasOwnProperty(key)) {
+            return dimensions[key].slice();
+        }
+
+        properties = EightBitter.ObjectMaker.getFullPropertiesOf(classes[1]) || {};
+        ratio = EightBitter.unitsize / EightBitter.scale;
+        width = (properties.spritewidth || properties.width) * ratio;
+        height = (properties.spriteheight || properties.height) * ratio;
+        side = Math.sqrt(pixels);
+
+        if (direction === "horizontal" && height && pixels % height === 0) {
+            return [pixels / height, height];
+        }
+
+        if (width && pixels % width === 0) {
+            return [width, pixels / width];
+        }
+
+        if (height && pixels % height === 0) {
+            return [pixels / height, height];
+        }
+
+        if (side % 1 === 0) {
+            return [side, side];
+        }
+
+        return undefined;
+    }
+
     /**
      * 
      */
@@ -1438,17 +1764,259 @@ var GameStartr = (function (EightBittr) {
     }
 
 
+    /* Replays
+    */
+
+    /**
+     * Restarts the InputWriter's history and the NumberMaker's seed, and 
+     * stores what's needed to start the map again identically for a replay.
+     * Child Functions should call this when a replay should start, directly
+     * before the map is set, such as when starting a new game.
+     * 
+     * @param {EightBittr} EightBitter
+     * @param {String} name   The name of the map being set.
+     * @param {Mixed} location   The name of the location within the map.
+     */
+    function startReplayRecording(EightBitter, name, location) {
+        var mods = EightBitter.ModAttacher.getMods(),
+            modsEnabled = [],
+            i;
+
+        for (i in mods) {
+            if (mods.hasOwnProperty(i) && mods[i].enabled) {
+                modsEnabled.push(i);
+            }
+        }
+
+        EightBitter.NumberMaker.resetFromSeed(EightBitter.NumberMaker.getSeed());
+
+        EightBitter.replayStart = {
+            "map": name,
+            "location": location,
+            "seed": EightBitter.NumberMaker.getSeed(),
+            "mods": modsEnabled,
+            "paused": EightBitter.GamesRunner.getPaused()
+        };
+
+        EightBitter.InputWriter.restartHistory();
+    }
+
+    /**
+     * Creates a replay of everything inputted since the replay recording was
+     * last started. 
+     * Replays are JSON-friendly, so they may be saved and shared.
+     * 
+     * @return {Object} A replay with the format version, the starting map, 
+     *                  location, NumberMaker seed, enabled mods, whether the
+     *                  GamesRunner was paused, and the InputWriter's events
+     *                  keyed by tick.
+     */
+    function getReplay() {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this);
+
+        if (!EightBitter.replayStart) {
+            throw new Error("No map has been set to create a replay from.");
+        }
+
+        return {
+            "version": EightBitter.replayVersion,
+            "map": EightBitter.replayStart.map,
+            "location": EightBitter.replayStart.location,
+            "seed": EightBitter.replayStart.seed,
+            "mods": EightBitter.replayStart.mods.slice(),
+            "paused": EightBitter.replayStart.paused,
+            "events": EightBitter.InputWriter.getHistory()
+        };
+    }
+
+    /**
+     * Plays back a replay from getReplay. Mods are enabled or disabled to
+     * match it, the map is set with the replay's seed, and its events are
+     * given to the InputWriter to call on the ticks they were recorded on.
+     * 
+     * @param {Mixed} replay   A replay Object, or a JSON String of one.
+     */
+    function playReplay(replay) {
+        var EightBitter = EightBittr.prototype.ensureCorrectCaller(this),
+            mods = EightBitter.ModAttacher.getMods(),
+            autoResolve = EightBitter.ModAttacher.getAutoResolve(),
+            i;
+
+        if (replay.constructor === String) {
+            replay = JSON.parse(replay);
+        }
+
+        if (replay.version !== EightBitter.replayVersion) {
+            throw new Error("Unsupported replay version: '" + replay.version + "'.");
+        }
+
+        // The recorded mods were valid together, so switching to them may 
+        // safely resolve whatever's currently enabled in the way
+        EightBitter.ModAttacher.setAutoResolve(true);
+
+        try {
+            for (i in mods) {
+                if (mods.hasOwnProperty(i)) {
+                    if (replay.mods.indexOf(i) !== -1) {
+                        if (!mods[i].enabled) {
+                            EightBitter.ModAttacher.enableMod(i);
+                        }
+                    } else if (mods[i].enabled) {
+                        EightBitter.ModAttacher.disableMod(i);
+                    }
+                }
+            }
+        } finally {
+            EightBitter.ModAttacher.setAutoResolve(autoResolve);
+        }
+
+        // Watching a replay isn't a run, so it can't set personal bests
+        EightBitter.SplitTimer.stop();
+
+        // Playing the GamesRunner runs a tick, so it's paused if it was when
+        // recording for the same ticks to be counted from the replay's start
+        if (replay.paused) {
+            EightBitter.GamesRunner.pause();
+        }
+
+        EightBitter.NumberMaker.resetFromSeed(replay.seed);
+        EightBitter.startReplayRecording(EightBitter, replay.map, replay.location);
+        EightBitter.InputWriter.playEvents(replay.events);
+        EightBitter.setMap(replay.map, replay.location);
+    }
+
+
+    /* Headless utilities
+    */
+
+    /**
+     * Creates a stand-in for a module that only produces output for the user,
+     * such as a renderer or audio player. Every method of the module's class 
+     * becomes a no-op, unless a replacement is given in overrides.
+     * 
+     * @param {Function} ModuleClass   The class to create a stand-in for.
+     * @param {Object} [overrides]   Replacements for methods whose results are
+     *                               needed by the game.
+     * @return {Object}
+     */
+    function createHeadlessAdapter(ModuleClass, overrides) {
+        var adapter = {},
+            i;
+
+        for (i in ModuleClass.prototype) {
+            if (typeof ModuleClass.prototype[i] === "function") {
+                adapter[i] = headlessNoop;
+            }
+        }
+
+        if (overrides) {
+            for (i in overrides) {
+                if (overrides.hasOwnProperty(i)) {
+                    adapter[i] = overrides[i];
+                }
+            }
+        }
+
+        return adapter;
+    }
+
+    /**
+     * Headless replacement for createCanvas. The result has the sizing and
+     * getContext members used by Things and modules, but draws nothing.
+     * 
+     * @param {Number} width   How wide the canvas should be.
+     * @param {Number} height   How tall the canvas should be.
+     * @return {Object}
+     */
+    function createHeadlessCanvas(width, height) {
+        var canvas = {
+            "width": width,
+            "height": height,
+            "style": {}
+        },
+            context = {
+                "canvas": canvas,
+                "getImageData": function (left, top, width, height) {
+                    return {
+                        "width": width,
+                        "height": height,
+                        "data": []
+                    };
+                },
+                "putImageData": headlessNoop,
+                "drawImage": headlessNoop,
+                "fillRect": headlessNoop,
+                "clearRect": headlessNoop
+            };
+
+        canvas.getContext = function () {
+            return context;
+        };
+
+        return canvas;
+    }
+
+    /**
+     * Headless replacement for createElement. The result keeps its children,
+     * style, and any other given settings, but is never displayed.
+     * 
+     * @param {String} type   The tag of the Element to be created.
+     * @param {Object} [settings]   Additional settings for the Element, such as
+     *                              className or style.
+     * @return {Object}
+     */
+    function createHeadlessElement(type) {
+        var element = {
+            "tagName": (type || "div").toUpperCase(),
+            "children": [],
+            "style": {},
+            "appendChild": function (child) {
+                element.children.push(child);
+                return child;
+            },
+            "removeChild": function (child) {
+                element.children.splice(element.children.indexOf(child), 1);
+                return child;
+            }
+        },
+            i;
+
+        for (i = 1; i < arguments.length; i += 1) {
+            EightBittr.prototype.proliferateElement(element, arguments[i]);
+        }
+
+        return element;
+    }
+
+    /**
+     * Does nothing, as the stand-in for module methods in headless mode.
+     */
+    function headlessNoop() { }
+
+    /**
+     * @return {Array} An empty list, as the stand-in for connected gamepads in
+     *                 headless mode.
+     */
+    function headlessGamepads() {
+        return [];
+    }
+
+
     EightBitterProto.proliferateHard(EightBitterProto, {
         // Resets
         "reset": reset,
         "resetTimed": resetTimed,
+        "resetHeadless": resetHeadless,
         "resetObjectMaker": resetObjectMaker,
         "resetQuadsKeeper": resetQuadsKeeper,
         "resetPixelRender": resetPixelRender,
         "resetTimeHandler": resetTimeHandler,
+        "resetAudioSynthesizer": resetAudioSynthesizer,
         "resetAudioPlayer": resetAudioPlayer,
         "resetGamesRunner": resetGamesRunner,
         "resetStatsHolder": resetStatsHolder,
+        "resetSplitTimer": resetSplitTimer,
+        "resetGhostHolder": resetGhostHolder,
         "resetGroupHolder": resetGroupHolder,
         "resetThingHitter": resetThingHitter,
         "resetMapScreener": resetMapScreener,
@@ -1471,6 +2039,7 @@ var GameStartr = (function (EightBittr) {
         "thingProcess": thingProcess,
         "thingProcessAttributes": thingProcessAttributes,
         "mapPlaceRandomCommands": mapPlaceRandomCommands,
+        "mapMakeRandomCommand": mapMakeRandomCommand,
         // Physics & similar
         "markChanged": markChanged,
         "shiftVert": shiftVert,
@@ -1508,10 +2077,22 @@ var GameStartr = (function (EightBittr) {
         "unflipHoriz": unflipHoriz,
         "unflipVert": unflipVert,
         "setOpacity": setOpacity,
+        "setPaletteTheme": setPaletteTheme,
+        "getPaletteTheme": getPaletteTheme,
         // Miscellaneous utilities
         "arrayDeleteThing": arrayDeleteThing,
         "takeScreenshot": takeScreenshot,
-        "addPageStyles": addPageStyles
+        "exportSpriteAtlas": exportSpriteAtlas,
+        "getSpriteAtlasDimensions": getSpriteAtlasDimensions,
+        "addPageStyles": addPageStyles,
+        // Replays
+        "startReplayRecording": startReplayRecording,
+        "getReplay": getReplay,
+        "playReplay": playReplay,
+        // Headless utilities
+        "createHeadlessAdapter": createHeadlessAdapter,
+        "createHeadlessCanvas": createHeadlessCanvas,
+        "createHeadlessElement": createHeadlessElement
     });
 
     return GameStartr;
@@ -274,6 +274,8 @@ var GamesRunnr = (function () {
             throw new Error("No games given to GamesRunnr.");
         }
         this.games = settings.games;
+        this.renders = settings.renders || [];
+        this.ticks = 0;
         this.interval = settings.interval || 1000 / 60;
         this.speed = settings.speed || 1;
         this.onPause = settings.onPause;
@@ -281,6 +283,9 @@ var GamesRunnr = (function () {
         this.callbackArguments = settings.callbackArguments || [this];
         this.FPSAnalyzer = settings.FPSAnalyzer || new FPSAnalyzr();
         this.adjustFramerate = settings.adjustFramerate;
+        this.fixedTimestep = settings.fixedTimestep;
+        this.maxCatchUpTicks = settings.maxCatchUpTicks || 5;
+        this.timeAccumulated = 0;
         this.scope = settings.scope || this;
         this.paused = true;
         this.upkeepScheduler = settings.upkeepScheduler || function (handler, timeout) {
@@ -293,6 +298,9 @@ var GamesRunnr = (function () {
         for (i = 0; i < this.games.length; i += 1) {
             this.games[i] = this.games[i].bind(this.scope);
         }
+        for (i = 0; i < this.renders.length; i += 1) {
+            this.renders[i] = this.renders[i].bind(this.scope);
+        }
         this.setIntervalReal();
     }
     /* Gets
@@ -315,6 +323,32 @@ var GamesRunnr = (function () {
     GamesRunnr.prototype.getGames = function () {
         return this.games;
     };
+    /**
+     * @return {Function[]} The Array of render Functions.
+     */
+    GamesRunnr.prototype.getRenders = function () {
+        return this.renders;
+    };
+    /**
+     * @return {Number} How many times the games have been run.
+     */
+    GamesRunnr.prototype.getTicks = function () {
+        return this.ticks;
+    };
+    /**
+     * @return {Boolean} Whether games are run in fixed ticks from accumulated
+     *                   elapsed time.
+     */
+    GamesRunnr.prototype.getFixedTimestep = function () {
+        return this.fixedTimestep;
+    };
+    /**
+     * @return {Number} The most ticks that may be run in a single fixed
+     *                  timestep upkeep.
+     */
+    GamesRunnr.prototype.getMaxCatchUpTicks = function () {
+        return this.maxCatchUpTicks;
+    };
     /**
      * @return {Number} The interval between upkeeps.
      */
@@ -369,12 +403,17 @@ var GamesRunnr = (function () {
         }
         // Prevents double upkeeping, in case a new upkeepNext was scheduled.
         this.upkeepCanceller(this.upkeepNext);
-        if (this.adjustFramerate) {
+        if (this.fixedTimestep) {
+            this.upkeepNext = this.upkeepScheduler(this.upkeepBound, this.intervalReal);
+            this.upkeepFixed();
+        }
+        else if (this.adjustFramerate) {
             this.upkeepNext = this.upkeepScheduler(this.upkeepBound, this.intervalReal - (this.upkeepTimed() | 0));
         }
         else {
             this.upkeepNext = this.upkeepScheduler(this.upkeepBound, this.intervalReal);
-            this.games.forEach(this.run);
+            this.tick();
+            this.renders.forEach(this.run);
         }
         this.FPSAnalyzer.measure();
     };
@@ -386,9 +425,43 @@ var GamesRunnr = (function () {
      */
     GamesRunnr.prototype.upkeepTimed = function () {
         var now = this.FPSAnalyzer.getTimestamp();
-        this.games.forEach(this.run);
+        this.tick();
+        this.renders.forEach(this.run);
         return this.FPSAnalyzer.getTimestamp() - now;
     };
+    /**
+     * A utility for this.upkeep in fixed timestep mode. Time elapsed since the
+     * previous upkeep is added to an accumulator, and a tick is run for each
+     * intervalReal within it, up to maxCatchUpTicks. Any time left over past
+     * that cap is dropped so a slow machine doesn't spiral further behind.
+     * Renders are run once afterwards if any ticks happened.
+     *
+     * @return {Number} How many ticks were run.
+     */
+    GamesRunnr.prototype.upkeepFixed = function () {
+        var now = this.FPSAnalyzer.getTimestamp(), ticks = 0;
+        this.timeAccumulated += now - this.timePrevious;
+        this.timePrevious = now;
+        while (this.timeAccumulated >= this.intervalReal && ticks < this.maxCatchUpTicks) {
+            this.tick();
+            this.timeAccumulated -= this.intervalReal;
+            ticks += 1;
+        }
+        if (this.timeAccumulated >= this.intervalReal) {
+            this.timeAccumulated = 0;
+        }
+        if (ticks > 0) {
+            this.renders.forEach(this.run);
+        }
+        return ticks;
+    };
+    /**
+     * Runs every game once, in order, and increments the ticks count.
+     */
+    GamesRunnr.prototype.tick = function () {
+        this.games.forEach(this.run);
+        this.ticks += 1;
+    };
     /**
      * Continues execution of this.upkeep by calling it. If an onPlay has been
      * defined, it's called before.
@@ -398,6 +471,10 @@ var GamesRunnr = (function () {
             return;
         }
         this.paused = false;
+        // The first upkeep after playing always runs exactly one fixed tick,
+        // so time spent paused is never caught up on
+        this.timePrevious = this.FPSAnalyzer.getTimestamp();
+        this.timeAccumulated = this.intervalReal;
         if (this.onPlay) {
             this.onPlay(this);
         }
@@ -450,6 +527,17 @@ var GamesRunnr = (function () {
         this.interval = intervalReal;
         this.setIntervalReal();
     };
+    /**
+     * Sets whether games are run in fixed ticks from accumulated elapsed time.
+     * The accumulator is reset so the switch doesn't cause a burst of ticks.
+     *
+     * @param {Boolean} fixedTimestep
+     */
+    GamesRunnr.prototype.setFixedTimestep = function (fixedTimestep) {
+        this.fixedTimestep = fixedTimestep;
+        this.timePrevious = this.FPSAnalyzer.getTimestamp();
+        this.timeAccumulated = 0;
+    };
     /**
      * Sets the speed multiplier for the interval.
      *
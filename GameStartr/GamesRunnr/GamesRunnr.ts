@@ -4,6 +4,10 @@ interface IGamesRunnrSettings {
     // The Array of Functions to run on each upkeep.
     games: any[];
 
+    // Functions to run after the games on each upkeep that ran at least one
+    // tick, such as drawing to a canvas.
+    renders?: any[];
+
     // How often, in milliseconds, to call upkeep when playing (defaults to
     // 1000 / 60).
     interval?: number;
@@ -18,6 +22,14 @@ interface IGamesRunnrSettings {
     // Whether scheduling timeouts should adjust to elapsed upkeep time.
     adjustFramerate?: boolean;
 
+    // Whether games should be run in fixed interval-sized ticks from an
+    // accumulator of elapsed time, independent of upkeep timing.
+    fixedTimestep?: boolean;
+
+    // The maximum number of ticks to run in a single fixed timestep upkeep
+    // before dropping the remaining accumulated time (defaults to 5).
+    maxCatchUpTicks?: number;
+
     // A callback to run when upkeep is paused.
     onPause?: any;
 
@@ -84,6 +96,12 @@ class GamesRunnr {
     // Array of Functions to be run on each upkeep
     private games: any[];
 
+    // Array of Functions to be run after the games on each upkeep that ticked
+    private renders: any[];
+
+    // How many times the games have been run
+    private ticks: number;
+
     // Optional trigger Functions triggered on...
     private onPause: any; // this.pause()
     private onPlay: any; // this.play()
@@ -124,6 +142,18 @@ class GamesRunnr {
     // Whether scheduling timeouts should adjust to elapsed upkeep time
     private adjustFramerate: boolean;
 
+    // Whether games are run in fixed ticks from accumulated elapsed time
+    private fixedTimestep: boolean;
+
+    // The most ticks that may be run in a single fixed timestep upkeep
+    private maxCatchUpTicks: number;
+
+    // Elapsed time, in milliseconds, not yet consumed by fixed timestep ticks
+    private timeAccumulated: number;
+
+    // The timestamp of the previous fixed timestep upkeep
+    private timePrevious: number;
+
     /**
      * Resets the GamesRunnr.
      * 
@@ -137,6 +167,8 @@ class GamesRunnr {
         }
 
         this.games = settings.games;
+        this.renders = settings.renders || [];
+        this.ticks = 0;
         this.interval = settings.interval || 1000 / 60;
         this.speed = settings.speed || 1;
         this.onPause = settings.onPause;
@@ -144,6 +176,9 @@ class GamesRunnr {
         this.callbackArguments = settings.callbackArguments || [this];
         this.FPSAnalyzer = settings.FPSAnalyzer || new FPSAnalyzr();
         this.adjustFramerate = settings.adjustFramerate;
+        this.fixedTimestep = settings.fixedTimestep;
+        this.maxCatchUpTicks = settings.maxCatchUpTicks || 5;
+        this.timeAccumulated = 0;
         this.scope = settings.scope || this;
         this.paused = true;
 
@@ -160,6 +195,10 @@ class GamesRunnr {
             this.games[i] = this.games[i].bind(this.scope);
         }
 
+        for (i = 0; i < this.renders.length; i += 1) {
+            this.renders[i] = this.renders[i].bind(this.scope);
+        }
+
         this.setIntervalReal();
     }
 
@@ -188,6 +227,36 @@ class GamesRunnr {
         return this.games;
     }
 
+    /**
+     * @return {Function[]} The Array of render Functions.
+     */
+    getRenders(): any[] {
+        return this.renders;
+    }
+
+    /**
+     * @return {Number} How many times the games have been run.
+     */
+    getTicks(): number {
+        return this.ticks;
+    }
+
+    /**
+     * @return {Boolean} Whether games are run in fixed ticks from accumulated
+     *                   elapsed time.
+     */
+    getFixedTimestep(): boolean {
+        return this.fixedTimestep;
+    }
+
+    /**
+     * @return {Number} The most ticks that may be run in a single fixed 
+     *                  timestep upkeep.
+     */
+    getMaxCatchUpTicks(): number {
+        return this.maxCatchUpTicks;
+    }
+
     /**
      * @return {Number} The interval between upkeeps.
      */
@@ -253,11 +322,15 @@ class GamesRunnr {
         // Prevents double upkeeping, in case a new upkeepNext was scheduled.
         this.upkeepCanceller(this.upkeepNext);
 
-        if (this.adjustFramerate) {
+        if (this.fixedTimestep) {
+            this.upkeepNext = this.upkeepScheduler(this.upkeepBound, this.intervalReal);
+            this.upkeepFixed();
+        } else if (this.adjustFramerate) {
             this.upkeepNext = this.upkeepScheduler(this.upkeepBound, this.intervalReal - (this.upkeepTimed() | 0));
         } else {
             this.upkeepNext = this.upkeepScheduler(this.upkeepBound, this.intervalReal);
-            this.games.forEach(this.run);
+            this.tick();
+            this.renders.forEach(this.run);
         }
 
 
@@ -272,10 +345,52 @@ class GamesRunnr {
      */
     upkeepTimed(): number {
         var now: number = this.FPSAnalyzer.getTimestamp();
-        this.games.forEach(this.run);
+        this.tick();
+        this.renders.forEach(this.run);
         return this.FPSAnalyzer.getTimestamp() - now;
     }
 
+    /**
+     * A utility for this.upkeep in fixed timestep mode. Time elapsed since the
+     * previous upkeep is added to an accumulator, and a tick is run for each
+     * intervalReal within it, up to maxCatchUpTicks. Any time left over past
+     * that cap is dropped so a slow machine doesn't spiral further behind.
+     * Renders are run once afterwards if any ticks happened.
+     * 
+     * @return {Number} How many ticks were run.
+     */
+    upkeepFixed(): number {
+        var now: number = this.FPSAnalyzer.getTimestamp(),
+            ticks: number = 0;
+
+        this.timeAccumulated += now - this.timePrevious;
+        this.timePrevious = now;
+
+        while (this.timeAccumulated >= this.intervalReal && ticks < this.maxCatchUpTicks) {
+            this.tick();
+            this.timeAccumulated -= this.intervalReal;
+            ticks += 1;
+        }
+
+        if (this.timeAccumulated >= this.intervalReal) {
+            this.timeAccumulated = 0;
+        }
+
+        if (ticks > 0) {
+            this.renders.forEach(this.run);
+        }
+
+        return ticks;
+    }
+
+    /**
+     * Runs every game once, in order, and increments the ticks count.
+     */
+    tick(): void {
+        this.games.forEach(this.run);
+        this.ticks += 1;
+    }
+
     /**
      * Continues execution of this.upkeep by calling it. If an onPlay has been
      * defined, it's called before.
@@ -286,6 +401,11 @@ class GamesRunnr {
         }
         this.paused = false;
 
+        // The first upkeep after playing always runs exactly one fixed tick,
+        // so time spent paused is never caught up on
+        this.timePrevious = this.FPSAnalyzer.getTimestamp();
+        this.timeAccumulated = this.intervalReal;
+
         if (this.onPlay) {
             this.onPlay(this);
         }
@@ -350,6 +470,18 @@ class GamesRunnr {
         this.setIntervalReal();
     }
 
+    /**
+     * Sets whether games are run in fixed ticks from accumulated elapsed time.
+     * The accumulator is reset so the switch doesn't cause a burst of ticks.
+     * 
+     * @param {Boolean} fixedTimestep
+     */
+    setFixedTimestep(fixedTimestep: boolean): void {
+        this.fixedTimestep = fixedTimestep;
+        this.timePrevious = this.FPSAnalyzer.getTimestamp();
+        this.timeAccumulated = 0;
+    }
+
     /**
      * Sets the speed multiplier for the interval.
      * 
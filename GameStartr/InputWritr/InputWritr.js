@@ -66,10 +66,12 @@ var InputWritr = (function () {
         else {
             this.getTimestamp = settings.getTimestamp;
         }
+        this.getTick = settings.getTick || this.getTimestamp;
         this.eventInformation = settings.eventInformation;
         this.canTrigger = settings.hasOwnProperty("canTrigger") ? settings.canTrigger : true;
         this.isRecording = settings.hasOwnProperty("isRecording") ? settings.isRecording : true;
         this.history = {};
+        this.startingTick = this.getTick();
         this.histories = {
             "length": 0
         };
@@ -93,9 +95,49 @@ var InputWritr = (function () {
             "39": "right",
             "40": "down"
         };
+        if (typeof settings.getGamepads !== "undefined") {
+            this.getGamepads = settings.getGamepads;
+        }
+        else if (typeof navigator !== "undefined" && navigator.getGamepads) {
+            this.getGamepads = navigator.getGamepads.bind(navigator);
+        }
+        else {
+            this.getGamepads = function () {
+                return [];
+            };
+        }
+        this.gamepadButtons = settings.gamepadButtons || [
+            "pad a",
+            "pad b",
+            "pad x",
+            "pad y",
+            "pad lb",
+            "pad rb",
+            "pad lt",
+            "pad rt",
+            "pad select",
+            "pad start",
+            "pad ls",
+            "pad rs",
+            "pad up",
+            "pad down",
+            "pad left",
+            "pad right",
+            "pad home"
+        ];
+        this.gamepadAxes = settings.gamepadAxes || [
+            ["stick left", "stick right"],
+            ["stick up", "stick down"],
+            ["right stick left", "right stick right"],
+            ["right stick up", "right stick down"]
+        ];
+        this.gamepadDeadzone = settings.hasOwnProperty("gamepadDeadzone") ? settings.gamepadDeadzone : .5;
+        this.gamepadTriggerDown = settings.gamepadTriggerDown || "onkeydown";
+        this.gamepadTriggerUp = settings.gamepadTriggerUp || "onkeyup";
+        this.gamepadPressed = {};
     }
     /**
-     * Clears the currently tracked inputs history and resets the starting time,
+     * Clears the currently tracked inputs history and resets the starting tick,
      * and (optionally) saves the current history.
      *
      * @param {Boolean} [keepHistory]   Whether the currently tracked history
@@ -105,10 +147,10 @@ var InputWritr = (function () {
     InputWritr.prototype.restartHistory = function (keepHistory) {
         if (keepHistory === void 0) { keepHistory = true; }
         if (keepHistory) {
-            this.saveHistory(this.history);
+            this.saveHistory();
         }
         this.history = {};
-        this.startingTime = this.getTimestamp();
+        this.startingTick = this.getTick();
     };
     /* Simple gets
     */
@@ -168,11 +210,33 @@ var InputWritr = (function () {
         if (key.constructor === Number) {
             return key;
         }
+        if (this.isGamepadInput(key)) {
+            return key;
+        }
         if (key.length === 1) {
             return key.charCodeAt(0) - 32;
         }
         return typeof this.keyAliasesToCodes[key] !== "undefined" ? this.keyAliasesToCodes[key] : -1;
     };
+    /**
+     * @return {String[]} The alias names of every gamepad button and axis
+     *                    direction, such as "pad a" or "stick left".
+     */
+    InputWritr.prototype.getGamepadInputs = function () {
+        var output = this.gamepadButtons.slice(), i;
+        for (i = 0; i < this.gamepadAxes.length; i += 1) {
+            output.push.apply(output, this.gamepadAxes[i]);
+        }
+        return output;
+    };
+    /**
+     * @param {Mixed} key   An alias or key String of an input.
+     * @return {Boolean} Whether the key is the name of a gamepad button or
+     *                   axis direction.
+     */
+    InputWritr.prototype.isGamepadInput = function (key) {
+        return this.getGamepadInputs().indexOf(key) !== -1;
+    };
     /**
      * Get function for a single history, either the current or a past one.
      *
@@ -182,7 +246,7 @@ var InputWritr = (function () {
      */
     InputWritr.prototype.getHistory = function (name) {
         if (name === void 0) { name = undefined; }
-        return arguments.length ? this.histories[name] : history;
+        return arguments.length ? this.histories[name] : this.history;
     };
     /**
      * @return {Object} All previously stored histories.
@@ -190,6 +254,18 @@ var InputWritr = (function () {
     InputWritr.prototype.getHistories = function () {
         return this.histories;
     };
+    /**
+     * @return {Number} The tick the current history was started on.
+     */
+    InputWritr.prototype.getStartingTick = function () {
+        return this.startingTick;
+    };
+    /**
+     * @return {Boolean} Whether a history is currently being played back.
+     */
+    InputWritr.prototype.getIsPlaying = function () {
+        return !!this.playbackEvents;
+    };
     /**
      * @return {Boolean} Whether this is currently allowing inputs.
      */
@@ -277,7 +353,7 @@ var InputWritr = (function () {
             return;
         }
         for (i = 0; i < values.length; i += 1) {
-            this.aliases[name].splice(this.aliases[name].indexOf(values[i], 1));
+            this.aliases[name].splice(this.aliases[name].indexOf(values[i]), 1);
         }
         for (triggerName in this.triggers) {
             if (this.triggers.hasOwnProperty(triggerName)) {
@@ -371,12 +447,26 @@ var InputWritr = (function () {
      */
     InputWritr.prototype.saveHistory = function (name) {
         if (name === void 0) { name = undefined; }
-        this.histories[this.histories.length] = history;
+        this.histories[this.histories.length] = this.history;
         this.histories.length += 1;
         if (arguments.length) {
-            this.histories[name] = history;
+            this.histories[name] = this.history;
         }
     };
+    /**
+     * Adds an event to the current history under the current tick.
+     *
+     * @param {String} trigger   The label of the triggered event's trigger.
+     * @param {Mixed} alias   The alias of the event under triggers[trigger],
+     *                        typically a character code.
+     */
+    InputWritr.prototype.recordEvent = function (trigger, alias) {
+        var tick = this.getTick() - this.startingTick;
+        if (!this.history.hasOwnProperty(tick)) {
+            this.history[tick] = [];
+        }
+        this.history[tick].push([trigger, alias]);
+    };
     /**
      * Plays back the current history using this.playEvents.
      */
@@ -384,33 +474,55 @@ var InputWritr = (function () {
         this.playEvents(this.history);
     };
     /**
-     * "Plays" back an Array of event information by simulating each keystroke
-     * in a new call, timed by setTimeout.
+     * Starts playing back a history of events. Each tick's events are called
+     * by updatePlayback once that many ticks have passed since starting, so
+     * the same actions happen on the same ticks as when they were recorded.
      *
-     * @param {Object} events   The events history to play back.
-     * @remarks This will execute the same actions in the same order as before,
-     *          but the arguments object may be different.
+     * @param {Object} events   The events history to play back, such as one
+     *                          returned by getHistory.
      */
     InputWritr.prototype.playEvents = function (events) {
-        var timeouts = {}, time, call;
-        for (time in events) {
-            if (events.hasOwnProperty(time)) {
-                call = this.makeEventCall(events[time]);
-                timeouts[time] = setTimeout(call, (Number(time) - this.startingTime) | 0);
+        var tick;
+        this.playbackEvents = events;
+        this.playbackTicks = [];
+        this.playbackIndex = 0;
+        this.playbackStartingTick = this.getTick();
+        for (tick in events) {
+            if (events.hasOwnProperty(tick)) {
+                this.playbackTicks.push(Number(tick));
             }
         }
+        this.playbackTicks.sort(function (a, b) {
+            return a - b;
+        });
     };
     /**
-     * Curry utility to create a closure that runs call() when called.
-     *
-     * @param {Array} info   An array containing [alias, keycode].
-     * @return {Function} A closure Function that activates a trigger
-     *                    when called.
+     * Calls any played back events due on or before the current tick. This
+     * should be called once per tick, before anything else happens in it.
+     * Playback stops once all events have been called.
      */
-    InputWritr.prototype.makeEventCall = function (info) {
-        return function () {
-            this.callEvent(info[0], info[1]);
-        };
+    InputWritr.prototype.updatePlayback = function () {
+        var tick = this.getTick() - this.playbackStartingTick, events, i;
+        if (!this.playbackEvents) {
+            return;
+        }
+        while (this.playbackIndex < this.playbackTicks.length && this.playbackTicks[this.playbackIndex] <= tick) {
+            events = this.playbackEvents[this.playbackTicks[this.playbackIndex]];
+            for (i = 0; i < events.length; i += 1) {
+                this.callEvent(events[i][0], events[i][1]);
+            }
+            this.playbackIndex += 1;
+        }
+        if (this.playbackIndex >= this.playbackTicks.length) {
+            this.stopPlayback();
+        }
+    };
+    /**
+     * Stops playing back events, if any are being played back.
+     */
+    InputWritr.prototype.stopPlayback = function () {
+        this.playbackEvents = undefined;
+        this.playbackTicks = undefined;
     };
     /**
      * Primary driver function to run an event. The event is chosen from the
@@ -479,11 +591,80 @@ var InputWritr = (function () {
             // If there's a function under that alias, run it
             if (functions.hasOwnProperty(alias)) {
                 if (InputWriter.isRecording) {
-                    InputWriter.history[InputWriter.getTimestamp() | 0] = [trigger, alias];
+                    InputWriter.recordEvent(trigger, alias);
                 }
                 InputWriter.callEvent(functions[alias], alias, event);
             }
         };
     };
+    /* Gamepads
+    */
+    /**
+     * Polls the connected gamepads and calls the gamepad down or up trigger
+     * for each button or axis direction that was pressed or released since
+     * the last poll. Inputs are recorded into history the same as those from
+     * Pipe functions. This should be called once per tick.
+     */
+    InputWritr.prototype.updateGamepads = function () {
+        var gamepads = this.getGamepads() || [], pressed = {}, gamepad, name, i, j;
+        for (i = 0; i < gamepads.length; i += 1) {
+            gamepad = gamepads[i];
+            if (!gamepad || gamepad.connected === false) {
+                continue;
+            }
+            for (j = 0; j < gamepad.buttons.length && j < this.gamepadButtons.length; j += 1) {
+                if (this.isGamepadButtonPressed(gamepad.buttons[j])) {
+                    pressed[this.gamepadButtons[j]] = true;
+                }
+            }
+            for (j = 0; j < gamepad.axes.length && j < this.gamepadAxes.length; j += 1) {
+                if (gamepad.axes[j] <= -this.gamepadDeadzone) {
+                    pressed[this.gamepadAxes[j][0]] = true;
+                }
+                else if (gamepad.axes[j] >= this.gamepadDeadzone) {
+                    pressed[this.gamepadAxes[j][1]] = true;
+                }
+            }
+        }
+        for (name in this.gamepadPressed) {
+            if (this.gamepadPressed.hasOwnProperty(name) && !pressed[name]) {
+                this.callGamepadEvent(this.gamepadTriggerUp, name);
+            }
+        }
+        for (name in pressed) {
+            if (pressed.hasOwnProperty(name) && !this.gamepadPressed[name]) {
+                this.callGamepadEvent(this.gamepadTriggerDown, name);
+            }
+        }
+        this.gamepadPressed = pressed;
+    };
+    /**
+     * @param {Mixed} button   A gamepad button, which may be either a
+     *                         GamepadButton or (in older browsers) a Number.
+     * @return {Boolean} Whether the button is pressed.
+     */
+    InputWritr.prototype.isGamepadButtonPressed = function (button) {
+        if (typeof button === "number") {
+            return button > .5;
+        }
+        return button.pressed;
+    };
+    /**
+     * Calls and records an event for a gamepad input, if its trigger has a
+     * callback under the input's alias name.
+     *
+     * @param {String} trigger   The label of the trigger to call within.
+     * @param {String} alias   The alias name of the gamepad input.
+     */
+    InputWritr.prototype.callGamepadEvent = function (trigger, alias) {
+        var functions = this.triggers[trigger];
+        if (!functions || !functions.hasOwnProperty(alias)) {
+            return;
+        }
+        if (this.isRecording) {
+            this.recordEvent(trigger, alias);
+        }
+        this.callEvent(functions[alias], alias);
+    };
     return InputWritr;
 })();
@@ -10,6 +10,12 @@ interface IInputWritrSettings {
     // is used.
     getTimestamp?: any;
 
+    // A Function to return the current tick as a Number, such as the number of
+    // game upkeeps run so far. Histories are keyed by ticks since they were
+    // started, and played back by updatePlayback. If not provided, getTimestamp
+    // is used.
+    getTick?: any;
+
     // Known, allowed aliases for triggers.
     aliases?: any;
 
@@ -22,6 +28,31 @@ interface IInputWritrSettings {
     // Whether triggered inputs are initally allowed to be written to history
     // (defaults to true).
     isRecording?: boolean;
+
+    // A Function to return the currently connected gamepads, such as
+    // navigator.getGamepads. If not provided, navigator.getGamepads is used if
+    // it exists; otherwise no gamepads are ever polled.
+    getGamepads?: any;
+
+    // Alias names for each gamepad button, by button index. If not provided,
+    // names for the W3C "standard" gamepad mapping are used.
+    gamepadButtons?: string[];
+
+    // Alias names for each gamepad axis, as [negative, positive] pairs by axis
+    // index. If not provided, names for the two standard sticks are used.
+    gamepadAxes?: string[][];
+
+    // How far from center an axis must be pushed to count as pressed (by 
+    // default, .5).
+    gamepadDeadzone?: number;
+
+    // The trigger called when a gamepad input is pressed (by default, 
+    // "onkeydown").
+    gamepadTriggerDown?: string;
+
+    // The trigger called when a gamepad input is released (by default, 
+    // "onkeyup").
+    gamepadTriggerUp?: string;
 };
 
 /**
@@ -71,7 +102,8 @@ class InputWritr {
     // Known, allowed aliases for triggers.
     private aliases: any;
 
-    // A listing of every action that has happened, with a timestamp.
+    // A listing of every action that has happened, as Arrays of 
+    // [trigger, alias] keyed by the tick they happened on.
     private history: any;
 
     // A listing of all histories, with indices set by this.saveHistory.
@@ -80,8 +112,23 @@ class InputWritr {
     // For compatibility, a reference to performance.now() or an equivalent.
     private getTimestamp: any;
 
-    // A starting time used for calculating playback delays in playHistory.
-    private startingTime: number;
+    // A Function to return the current tick, which histories are keyed by.
+    private getTick: any;
+
+    // The tick the current history was started on.
+    private startingTick: number;
+
+    // A history of events currently being played back, if any.
+    private playbackEvents: any;
+
+    // The ticks of playbackEvents that have events, in ascending order.
+    private playbackTicks: number[];
+
+    // How many of playbackTicks have already been played back.
+    private playbackIndex: number;
+
+    // The tick playback of playbackEvents was started on.
+    private playbackStartingTick: number;
 
     // An object to be passed to event calls, commonly with key information.
     // (such as "Down" => 0 }
@@ -99,6 +146,25 @@ class InputWritr {
     // A quick lookup table of character codes to their key aliases.
     private keyCodesToAliases: any;
 
+    // A Function to return the currently connected gamepads.
+    private getGamepads: any;
+
+    // Alias names for each gamepad button, by button index.
+    private gamepadButtons: string[];
+
+    // Alias names for each gamepad axis, as [negative, positive] pairs.
+    private gamepadAxes: string[][];
+
+    // How far from center an axis must be pushed to count as pressed.
+    private gamepadDeadzone: number;
+
+    // The triggers called when gamepad inputs are pressed and released.
+    private gamepadTriggerDown: string;
+    private gamepadTriggerUp: string;
+
+    // Which gamepad alias names were pressed as of the last updateGamepads.
+    private gamepadPressed: any;
+
     /**
      * Resests the InputWritr.
      * 
@@ -131,12 +197,15 @@ class InputWritr {
             this.getTimestamp = settings.getTimestamp;
         }
 
+        this.getTick = settings.getTick || this.getTimestamp;
+
         this.eventInformation = settings.eventInformation;
 
         this.canTrigger = settings.hasOwnProperty("canTrigger") ? settings.canTrigger : true;
         this.isRecording = settings.hasOwnProperty("isRecording") ? settings.isRecording : true;
 
         this.history = {};
+        this.startingTick = this.getTick();
         this.histories = {
             "length": 0
         };
@@ -163,10 +232,40 @@ class InputWritr {
             "39": "right",
             "40": "down"
         };
+
+        if (typeof settings.getGamepads !== "undefined") {
+            this.getGamepads = settings.getGamepads;
+        } else if (typeof navigator !== "undefined" && (<any>navigator).getGamepads) {
+            this.getGamepads = (<any>navigator).getGamepads.bind(navigator);
+        } else {
+            this.getGamepads = function (): any[] {
+                return [];
+            };
+        }
+
+        this.gamepadButtons = settings.gamepadButtons || [
+            "pad a", "pad b", "pad x", "pad y",
+            "pad lb", "pad rb", "pad lt", "pad rt",
+            "pad select", "pad start", "pad ls", "pad rs",
+            "pad up", "pad down", "pad left", "pad right",
+            "pad home"
+        ];
+
+        this.gamepadAxes = settings.gamepadAxes || [
+            ["stick left", "stick right"],
+            ["stick up", "stick down"],
+            ["right stick left", "right stick right"],
+            ["right stick up", "right stick down"]
+        ];
+
+        this.gamepadDeadzone = settings.hasOwnProperty("gamepadDeadzone") ? settings.gamepadDeadzone : .5;
+        this.gamepadTriggerDown = settings.gamepadTriggerDown || "onkeydown";
+        this.gamepadTriggerUp = settings.gamepadTriggerUp || "onkeyup";
+        this.gamepadPressed = {};
     }
 
     /**
-     * Clears the currently tracked inputs history and resets the starting time,
+     * Clears the currently tracked inputs history and resets the starting tick,
      * and (optionally) saves the current history.
      * 
      * @param {Boolean} [keepHistory]   Whether the currently tracked history
@@ -175,11 +274,11 @@ class InputWritr {
      */
     restartHistory(keepHistory: boolean = true): void {
         if (keepHistory) {
-            this.saveHistory(this.history);
+            this.saveHistory();
         }
 
         this.history = {};
-        this.startingTime = this.getTimestamp();
+        this.startingTick = this.getTick();
     }
 
 
@@ -254,6 +353,10 @@ class InputWritr {
             return key;
         }
 
+        if (this.isGamepadInput(key)) {
+            return key;
+        }
+
         if ((<string>key).length === 1) {
             return (<string>key).charCodeAt(0) - 32;
         }
@@ -261,6 +364,30 @@ class InputWritr {
         return typeof this.keyAliasesToCodes[<string>key] !== "undefined" ? this.keyAliasesToCodes[<string>key] : -1;
     }
 
+    /**
+     * @return {String[]} The alias names of every gamepad button and axis 
+     *                    direction, such as "pad a" or "stick left".
+     */
+    getGamepadInputs(): string[] {
+        var output: string[] = this.gamepadButtons.slice(),
+            i: number;
+
+        for (i = 0; i < this.gamepadAxes.length; i += 1) {
+            output.push.apply(output, this.gamepadAxes[i]);
+        }
+
+        return output;
+    }
+
+    /**
+     * @param {Mixed} key   An alias or key String of an input.
+     * @return {Boolean} Whether the key is the name of a gamepad button or 
+     *                   axis direction.
+     */
+    isGamepadInput(key: any): boolean {
+        return this.getGamepadInputs().indexOf(key) !== -1;
+    }
+
     /**
      * Get function for a single history, either the current or a past one.
      * 
@@ -269,7 +396,7 @@ class InputWritr {
      * @return {Object}   A history of inputs in JSON-friendly form.
      */
     getHistory(name: string = undefined): any {
-        return arguments.length ? this.histories[name] : history;
+        return arguments.length ? this.histories[name] : this.history;
     }
 
     /**
@@ -279,6 +406,20 @@ class InputWritr {
         return this.histories;
     }
 
+    /**
+     * @return {Number} The tick the current history was started on.
+     */
+    getStartingTick(): number {
+        return this.startingTick;
+    }
+
+    /**
+     * @return {Boolean} Whether a history is currently being played back.
+     */
+    getIsPlaying(): boolean {
+        return !!this.playbackEvents;
+    }
+
 
     /**
      * @return {Boolean} Whether this is currently allowing inputs.
@@ -386,7 +527,7 @@ class InputWritr {
         }
 
         for (i = 0; i < values.length; i += 1) {
-            this.aliases[name].splice(this.aliases[name].indexOf(values[i], 1));
+            this.aliases[name].splice(this.aliases[name].indexOf(values[i]), 1);
         }
 
         // triggerName = "onkeydown", "onkeyup", ...
@@ -496,12 +637,29 @@ class InputWritr {
      * is typically called directly after.
      */
     saveHistory(name: string = undefined): void {
-        this.histories[this.histories.length] = history;
+        this.histories[this.histories.length] = this.history;
         this.histories.length += 1;
 
         if (arguments.length) {
-            this.histories[name] = history;
+            this.histories[name] = this.history;
+        }
+    }
+
+    /**
+     * Adds an event to the current history under the current tick.
+     * 
+     * @param {String} trigger   The label of the triggered event's trigger.
+     * @param {Mixed} alias   The alias of the event under triggers[trigger],
+     *                        typically a character code.
+     */
+    recordEvent(trigger: string, alias: any): void {
+        var tick: number = this.getTick() - this.startingTick;
+
+        if (!this.history.hasOwnProperty(tick)) {
+            this.history[tick] = [];
         }
+
+        this.history[tick].push([trigger, alias]);
     }
 
     /**
@@ -512,37 +670,69 @@ class InputWritr {
     }
 
     /**
-     * "Plays" back an Array of event information by simulating each keystroke
-     * in a new call, timed by setTimeout.
+     * Starts playing back a history of events. Each tick's events are called
+     * by updatePlayback once that many ticks have passed since starting, so
+     * the same actions happen on the same ticks as when they were recorded.
      * 
-     * @param {Object} events   The events history to play back.
-     * @remarks This will execute the same actions in the same order as before,
-     *          but the arguments object may be different.
+     * @param {Object} events   The events history to play back, such as one
+     *                          returned by getHistory.
      */
     playEvents(events: any): void {
-        var timeouts: any = {},
-            time: string,
-            call: Function;
-
-        for (time in events) {
-            if (events.hasOwnProperty(time)) {
-                call = this.makeEventCall(events[time]);
-                timeouts[time] = setTimeout(call, (Number(time) - this.startingTime) | 0);
+        var tick: string;
+
+        this.playbackEvents = events;
+        this.playbackTicks = [];
+        this.playbackIndex = 0;
+        this.playbackStartingTick = this.getTick();
+
+        for (tick in events) {
+            if (events.hasOwnProperty(tick)) {
+                this.playbackTicks.push(Number(tick));
             }
         }
+
+        this.playbackTicks.sort(function (a: number, b: number): number {
+            return a - b;
+        });
     }
 
     /**
-     * Curry utility to create a closure that runs call() when called.
-     * 
-     * @param {Array} info   An array containing [alias, keycode].
-     * @return {Function} A closure Function that activates a trigger
-     *                    when called.
+     * Calls any played back events due on or before the current tick. This 
+     * should be called once per tick, before anything else happens in it.
+     * Playback stops once all events have been called.
      */
-    makeEventCall(info: any[]): Function {
-        return function (): void {
-            this.callEvent(info[0], info[1]);
-        };
+    updatePlayback(): void {
+        var tick: number = this.getTick() - this.playbackStartingTick,
+            events: any[][],
+            i: number;
+
+        if (!this.playbackEvents) {
+            return;
+        }
+
+        while (
+            this.playbackIndex < this.playbackTicks.length
+            && this.playbackTicks[this.playbackIndex] <= tick) {
+            events = this.playbackEvents[this.playbackTicks[this.playbackIndex]];
+
+            for (i = 0; i < events.length; i += 1) {
+                this.callEvent(events[i][0], events[i][1]);
+            }
+
+            this.playbackIndex += 1;
+        }
+
+        if (this.playbackIndex >= this.playbackTicks.length) {
+            this.stopPlayback();
+        }
+    }
+
+    /**
+     * Stops playing back events, if any are being played back.
+     */
+    stopPlayback(): void {
+        this.playbackEvents = undefined;
+        this.playbackTicks = undefined;
     }
 
     /**
@@ -617,11 +807,99 @@ class InputWritr {
             // If there's a function under that alias, run it
             if (functions.hasOwnProperty(alias)) {
                 if (InputWriter.isRecording) {
-                    InputWriter.history[InputWriter.getTimestamp() | 0] = [trigger, alias];
+                    InputWriter.recordEvent(trigger, alias);
                 }
 
                 InputWriter.callEvent(functions[alias], <number>alias, event);
             }
         };
     }
+
+
+    /* Gamepads
+    */
+
+    /**
+     * Polls the connected gamepads and calls the gamepad down or up trigger
+     * for each button or axis direction that was pressed or released since
+     * the last poll. Inputs are recorded into history the same as those from
+     * Pipe functions. This should be called once per tick.
+     */
+    updateGamepads(): void {
+        var gamepads: any = this.getGamepads() || [],
+            pressed: any = {},
+            gamepad: any,
+            name: string,
+            i: number,
+            j: number;
+
+        for (i = 0; i < gamepads.length; i += 1) {
+            gamepad = gamepads[i];
+            if (!gamepad || gamepad.connected === false) {
+                continue;
+            }
+
+            for (j = 0; j < gamepad.buttons.length && j < this.gamepadButtons.length; j += 1) {
+                if (this.isGamepadButtonPressed(gamepad.buttons[j])) {
+                    pressed[this.gamepadButtons[j]] = true;
+                }
+            }
+
+            for (j = 0; j < gamepad.axes.length && j < this.gamepadAxes.length; j += 1) {
+                if (gamepad.axes[j] <= -this.gamepadDeadzone) {
+                    pressed[this.gamepadAxes[j][0]] = true;
+                } else if (gamepad.axes[j] >= this.gamepadDeadzone) {
+                    pressed[this.gamepadAxes[j][1]] = true;
+                }
+            }
+        }
+
+        for (name in this.gamepadPressed) {
+            if (this.gamepadPressed.hasOwnProperty(name) && !pressed[name]) {
+                this.callGamepadEvent(this.gamepadTriggerUp, name);
+            }
+        }
+
+        for (name in pressed) {
+            if (pressed.hasOwnProperty(name) && !this.gamepadPressed[name]) {
+                this.callGamepadEvent(this.gamepadTriggerDown, name);
+            }
+        }
+
+        this.gamepadPressed = pressed;
+    }
+
+    /**
+     * @param {Mixed} button   A gamepad button, which may be either a 
+     *                         GamepadButton or (in older browsers) a Number.
+     * @return {Boolean} Whether the button is pressed.
+     */
+    private isGamepadButtonPressed(button: any): boolean {
+        if (typeof button === "number") {
+            return button > .5;
+        }
+
+        return button.pressed;
+    }
+
+    /**
+     * Calls and records an event for a gamepad input, if its trigger has a
+     * callback under the input's alias name.
+     * 
+     * @param {String} trigger   The label of the trigger to call within.
+     * @param {String} alias   The alias name of the gamepad input.
+     */
+    private callGamepadEvent(trigger: string, alias: string): void {
+        var functions: any = this.triggers[trigger];
+
+        if (!functions || !functions.hasOwnProperty(alias)) {
+            return;
+        }
+
+        if (this.isRecording) {
+            this.recordEvent(trigger, alias);
+        }
+
+        this.callEvent(functions[alias], <any>alias);
+    }
 }
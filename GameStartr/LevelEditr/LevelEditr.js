@@ -5,7 +5,7 @@
 var LevelEditr = (function (pageStyles) {
     return function LevelEditr(settings) {
         "use strict";
-        if (!this || this === window) {
+        if (!(this instanceof LevelEditr)) {
             return new LevelEditr(settings);
         }
         var self = this,
@@ -40,6 +40,9 @@ var LevelEditr = (function (pageStyles) {
             // The default string entry of the map's locations
             mapEntryDefault,
             
+            // Named lists of background layers that areas may choose from
+            mapBackgrounds,
+            
             // The starting object used as a default template for new maps
             mapDefault,
             
@@ -74,7 +77,20 @@ var LevelEditr = (function (pageStyles) {
             pageStylesAdded,
             
             // A key to use in dropdowns to should indicate an undefined value
-            keyUndefined;
+            keyUndefined,
+            
+            // Commands that may be undone, each with a title and the map JSON
+            // from before and after it
+            historyUndo,
+            
+            // Commands that have been undone and may be redone
+            historyRedo,
+            
+            // The map JSON as of the most recent command
+            historyCurrent,
+            
+            // How many commands may be kept for undoing (by default, 210)
+            historyMaximum;
         
         /**
          * 
@@ -90,13 +106,18 @@ var LevelEditr = (function (pageStyles) {
             mapTimeDefault = settings.mapTimeDefault || Infinity;
             mapSettingDefault = settings.mapSettingDefault || "";
             mapEntryDefault = settings.mapEntryDefault || "";
+            mapBackgrounds = settings.mapBackgrounds || {};
             mapDefault = settings.mapDefault || {};
             blocksize = settings.blocksize || 1;
             keyUndefined = settings.keyUndefined || "-none-";
+            historyMaximum = settings.historyMaximum || 210;
             
             currentThings = [];
             currentMode = "Build";
             currentClickMode = "Thing";
+            
+            historyUndo = [];
+            historyRedo = [];
         };
         
         
@@ -122,6 +143,9 @@ var LevelEditr = (function (pageStyles) {
             resetDisplayMap();
             disableThing(GameStarter.player);
             
+            self.clearHistory();
+            document.addEventListener("keydown", onKeyDownEditing);
+            
             if (!pageStylesAdded) {
                 GameStarter.addPageStyles(pageStyles);
                 pageStylesAdded = true;
@@ -133,6 +157,7 @@ var LevelEditr = (function (pageStyles) {
          */
         self.disable = function () {
             if (display) {
+                document.removeEventListener("keydown", onKeyDownEditing);
                 GameStarter.container.removeChild(display["container"]);
                 display = undefined;
                 GameStarter.InputWriter.setCanTrigger(true);
@@ -252,6 +277,7 @@ var LevelEditr = (function (pageStyles) {
             self.startBuilding();
             setTextareaValue(json, true);
             getMapObjectAndTry();
+            addHistoryCommand("Load");
         };
         
         /**
@@ -402,6 +428,7 @@ var LevelEditr = (function (pageStyles) {
             }
             
             onClickEditingGenericAdd(x, y, currentType, currentArgs);
+            addHistoryCommand("Place " + currentType);
         }
         
         /**
@@ -433,6 +460,8 @@ var LevelEditr = (function (pageStyles) {
                 );
                 
             }
+            
+            addHistoryCommand("Place " + currentType);
         }
         
         /**
@@ -457,6 +486,28 @@ var LevelEditr = (function (pageStyles) {
             );
         }
         
+        /**
+         * Removes the most recently placed Thing or macro under the cursor.
+         */
+        function onContextMenuEditing(event) {
+            cancelEvent(event);
+            
+            if (currentMode !== "Build") {
+                return;
+            }
+            
+            var x = roundTo(event.x || event.clientX || 0, blocksize),
+                y = roundTo(event.y || event.clientY || 0, blocksize),
+                title = removeMapCreationReference(x, y);
+            
+            if (!title) {
+                return;
+            }
+            
+            setDisplayMap(true);
+            addHistoryCommand("Remove " + title);
+        }
+        
         /**
          * 
          */
@@ -574,6 +625,7 @@ var LevelEditr = (function (pageStyles) {
                 display["namer"].value = name;
                 setTextareaValue(stringifySmart(map), true);
                 GameStarter.StatsHolder.set("world", name)
+                addHistoryCommand("Map Name", true);
             }
         }
         
@@ -603,6 +655,7 @@ var LevelEditr = (function (pageStyles) {
             setTextareaValue(stringifySmart(map), true);
             GameStarter.StatsHolder.set("time", time)
             GameStarter.TimeHandler.cancelAllEvents();
+            addHistoryCommand("Map Time");
         }
         
         
@@ -640,6 +693,61 @@ var LevelEditr = (function (pageStyles) {
             
             setTextareaValue(stringifySmart(map), true);
             setDisplayMap(true);
+            addHistoryCommand("Area Setting");
+        }
+        
+        /**
+         * Sets the current area's backgroundLayers to a copy of one of the
+         * named mapBackgrounds, or removes them for an empty list.
+         * 
+         * @param {Boolean} fromGui   Whether this is from the MapSettings section
+         *                             of the GUI (true), or from the Raw JSON 
+         *                             section (false).
+         */
+        function setMapBackground(fromGui) {
+            var map = getMapObject(),
+                area, name;
+            
+            if (!map) {
+                return;
+            }
+            
+            area = getCurrentAreaObject(map);
+            if (fromGui) {
+                name = display["sections"]["MapSettings"]["Background"].value;
+                if (mapBackgrounds[name] && mapBackgrounds[name].length) {
+                    area.backgroundLayers = JSON.parse(JSON.stringify(mapBackgrounds[name]));
+                } else {
+                    delete area.backgroundLayers;
+                }
+            } else {
+                display["sections"]["MapSettings"]["Background"].value = getMapBackgroundName(area);
+            }
+            
+            setTextareaValue(stringifySmart(map), true);
+            setDisplayMap(true);
+            addHistoryCommand("Area Background");
+        }
+        
+        /**
+         * @param {Object} area
+         * @return {String} The name of the mapBackgrounds entry matching the 
+         *                  area's backgroundLayers, or "" if none do.
+         */
+        function getMapBackgroundName(area) {
+            var layers = JSON.stringify(area.backgroundLayers || []),
+                i;
+            
+            for (i in mapBackgrounds) {
+                if (
+                    mapBackgrounds.hasOwnProperty(i)
+                    && JSON.stringify(mapBackgrounds[i]) === layers
+                ) {
+                    return i;
+                }
+            }
+            
+            return "";
         }
         
         /**
@@ -658,6 +766,7 @@ var LevelEditr = (function (pageStyles) {
             
             setTextareaValue(stringifySmart(map), true);
             setDisplayMap(true);
+            addHistoryCommand("Location Area");
         }
         
         /**
@@ -704,6 +813,7 @@ var LevelEditr = (function (pageStyles) {
             
             setTextareaValue(stringifySmart(map), true);
             setDisplayMap(true);
+            addHistoryCommand("Location Entry");
         }
         
         /**
@@ -751,6 +861,7 @@ var LevelEditr = (function (pageStyles) {
             
             setTextareaValue(stringifySmart(map), true);
             setDisplayMap(true);
+            addHistoryCommand("Add Location");
         }
         
         /**
@@ -773,6 +884,7 @@ var LevelEditr = (function (pageStyles) {
             
             setTextareaValue(stringifySmart(map), true);
             setDisplayMap(true);
+            addHistoryCommand("Add Area");
         }
         
         function resetAllVisualOptionSelects(className, options) {
@@ -796,6 +908,10 @@ var LevelEditr = (function (pageStyles) {
                 element.textContent = "";
                 GameStarter.proliferateElement(element, attributes);
                 element.value = value;
+                
+                if (element.selectedIndex < 0) {
+                    element.selectedIndex = 0;
+                }
             }
         }
         
@@ -891,6 +1007,222 @@ var LevelEditr = (function (pageStyles) {
             return true;
         }
         
+        /**
+         * Removes the last creation reference placed at the given position in
+         * the current area, as placed by addMapCreationThing or 
+         * addMapCreationMacro.
+         * 
+         * @param {Number} x   The horizontal position on the screen.
+         * @param {Number} y   The vertical position on the screen.
+         * @return {String} The removed reference's Thing or macro title, if 
+         *                  one was found.
+         */
+        function removeMapCreationReference(x, y) {
+            var mapObject = getMapObject(),
+                xloc = getNormalizedX(x) + (GameStarter.MapScreener.left / GameStarter.unitsize),
+                yloc = getNormalizedY(y),
+                creation, reference, i;
+            
+            if (!mapObject) {
+                return undefined;
+            }
+            
+            creation = mapObject.areas[getCurrentArea()].creation;
+            
+            for (i = creation.length - 1; i >= 0; i -= 1) {
+                reference = creation[i];
+                
+                if ((reference.x || 0) === xloc && (reference.y || 0) === yloc) {
+                    creation.splice(i, 1);
+                    setTextareaValue(stringifySmart(mapObject), true);
+                    
+                    return reference.thing || reference.macro;
+                }
+            }
+            
+            return undefined;
+        }
+        
+        
+        /* History
+        */
+        
+        /**
+         * Reverts the most recent command, such as placing a Thing or changing
+         * a map setting.
+         * 
+         * @return {Boolean} Whether there was a command to undo.
+         */
+        self.undo = function () {
+            var command = historyUndo.pop();
+            
+            if (!command) {
+                return false;
+            }
+            
+            historyRedo.push(command);
+            setHistoryValue(command.before);
+            
+            return true;
+        };
+        
+        /**
+         * Reapplies the most recently undone command.
+         * 
+         * @return {Boolean} Whether there was a command to redo.
+         */
+        self.redo = function () {
+            var command = historyRedo.pop();
+            
+            if (!command) {
+                return false;
+            }
+            
+            historyUndo.push(command);
+            setHistoryValue(command.after);
+            
+            return true;
+        };
+        
+        /**
+         * @return {String[]} The titles of commands that may be undone, from 
+         *                    oldest to newest.
+         */
+        self.getHistoryUndo = function () {
+            return historyUndo.map(function (command) {
+                return command.title;
+            });
+        };
+        
+        /**
+         * @return {String[]} The titles of commands that may be redone, from 
+         *                    oldest to newest.
+         */
+        self.getHistoryRedo = function () {
+            return historyRedo.map(function (command) {
+                return command.title;
+            });
+        };
+        
+        /**
+         * Forgets all commands, starting the history from the current map.
+         */
+        self.clearHistory = function () {
+            historyUndo = [];
+            historyRedo = [];
+            historyCurrent = display ? display.stringer.textarea.value : undefined;
+        };
+        
+        /**
+         * Records a command that changed the map JSON since the previous one,
+         * and forgets any commands that had been undone.
+         * 
+         * @param {String} title   A description of the command.
+         * @param {Boolean} [merge]   Whether the command may be merged into
+         *                            the previous one if they share a title, 
+         *                            such as for each key typed into a name.
+         * @remarks Commands store whole map JSON snapshots rather than diffs,
+         *          since every command already re-stringifies the whole map.
+         *          One command's after is the same String as the next one's
+         *          before, so each command costs about one copy of the map,
+         *          and historyMaximum bounds how many are kept.
+         */
+        function addHistoryCommand(title, merge) {
+            var value = display.stringer.textarea.value,
+                previous = historyUndo[historyUndo.length - 1];
+            
+            if (typeof historyCurrent === "undefined" || value === historyCurrent) {
+                historyCurrent = value;
+                return;
+            }
+            
+            historyRedo = [];
+            
+            if (merge && previous && previous.title === title && previous.after === historyCurrent) {
+                previous.after = value;
+                historyCurrent = value;
+                return;
+            }
+            
+            historyUndo.push({
+                "title": title,
+                "before": historyCurrent,
+                "after": value
+            });
+            historyCurrent = value;
+            
+            if (historyUndo.length > historyMaximum) {
+                historyUndo.shift();
+            }
+        }
+        
+        /**
+         * Sets the map JSON to a value from the history, then updates the map
+         * settings display and the game to match it.
+         * 
+         * @param {String} value   Map JSON from a command.
+         */
+        function setHistoryValue(value) {
+            var map, area, location, setting;
+            
+            setTextareaValue(value);
+            historyCurrent = value;
+            
+            map = getMapObject();
+            if (!map) {
+                return;
+            }
+            
+            resetAllVisualOptionSelects("VisualOptionLocation", Object.keys(map.locations));
+            resetAllVisualOptionSelects("VisualOptionArea", Object.keys(map.areas));
+            
+            location = getCurrentLocationObject(map);
+            area = getCurrentAreaObject(map);
+            setting = (area.setting || "").split(" ");
+            
+            display["sections"]["MapSettings"]["Time"].value = String(map.time || Infinity);
+            display["sections"]["MapSettings"]["Area"].value = location.area || 0;
+            display["sections"]["MapSettings"]["Setting"]["Primary"].value = setting[0];
+            display["sections"]["MapSettings"]["Setting"]["Secondary"].value = setting[1] || "";
+            display["sections"]["MapSettings"]["Setting"]["Tertiary"].value = setting[2] || "";
+            display["sections"]["MapSettings"]["Background"].value = getMapBackgroundName(area);
+            display["sections"]["MapSettings"]["Entry"].value = location.entry || mapEntryDefault;
+            
+            setDisplayMap(true);
+        }
+        
+        /**
+         * Records edits typed into the JSON textarea once they're valid.
+         */
+        function onChangeTextarea() {
+            if (getMapObjectAndTry() !== false) {
+                addHistoryCommand("Edit JSON");
+            }
+        }
+        
+        /**
+         * Undoes on Ctrl+Z and redoes on Ctrl+Y or Ctrl+Shift+Z, unless the 
+         * user is typing into an input (which has its own undo).
+         */
+        function onKeyDownEditing(event) {
+            var key = String.fromCharCode(event.keyCode || event.which),
+                target = event.target && event.target.nodeName;
+            
+            if (!(event.ctrlKey || event.metaKey) || target === "INPUT" || target === "TEXTAREA") {
+                return;
+            }
+            
+            if (key === "Z" && !event.shiftKey) {
+                self.undo();
+            } else if (key === "Y" || key === "Z") {
+                self.redo();
+            } else {
+                return;
+            }
+            
+            cancelEvent(event);
+        }
+        
         
         /* HTML manipulations
         */
@@ -930,6 +1262,7 @@ var LevelEditr = (function (pageStyles) {
                             "Secondary": undefined,
                             "Tertiary": undefined
                         },
+                        "Background": undefined,
                         "Location": undefined,
                         "Entry": undefined
                     },
@@ -957,6 +1290,7 @@ var LevelEditr = (function (pageStyles) {
                         "className": "EditorScrollers",
                         "onmousemove": onMouseMoveEditing,
                         "onclick": onClickEditingThing,
+                        "oncontextmenu": onContextMenuEditing,
                         "children": [
                             display["scrollers"]["left"] = GameStarter.createElement("div", {
                                 "className": "EditorScroller EditorScrollerLeft",
@@ -1246,6 +1580,19 @@ var LevelEditr = (function (pageStyles) {
                                                     })
                                                 ]
                                             }),
+                                            GameStarter.createElement("div", {
+                                                "className": "EditorMapSettingsSubGroup",
+                                                "children": [
+                                                    GameStarter.createElement("label", {
+                                                        "textContent": "Background"
+                                                    }),
+                                                    display["sections"]["MapSettings"]["Background"] = createSelect(
+                                                        Object.keys(mapBackgrounds), {
+                                                            "onchange": setMapBackground.bind(undefined, true)
+                                                        }
+                                                    )
+                                                ]
+                                            }),
                                             GameStarter.createElement("div", {
                                                 "className": "EditorMapSettingsSubGroup",
                                                 "children": [
@@ -1284,7 +1631,7 @@ var LevelEditr = (function (pageStyles) {
                                         "className": "EditorJSONInput",
                                         "spellcheck": false,
                                         "onkeyup": getMapObjectAndTry,
-                                        "onchange": getMapObjectAndTry
+                                        "onchange": onChangeTextarea
                                     }),
                                     display["stringer"]["messenger"] = GameStarter.createElement("div", {
                                         "className": "EditorJSONInfo"
@@ -1636,6 +1983,7 @@ var LevelEditr = (function (pageStyles) {
             setTextareaValue(stringifySmart(mapDefault), true);
             setDisplayMap(true);
             GameStarter.InputWriter.setCanTrigger(false);
+            addHistoryCommand("Reset");
         }
         
         /**
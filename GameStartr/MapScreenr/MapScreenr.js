@@ -44,7 +44,7 @@
  */
 function MapScreenr(settings) {
     "use strict";
-    if (!this || this === window) {
+    if (!(this instanceof MapScreenr)) {
         return new MapScreenr(settings);
     }
     var self = this,
@@ -1188,6 +1188,12 @@ var MapsHandlr = (function () {
     MapsHandlr.prototype.getAreaName = function () {
         return this.areaCurrent.name;
     };
+    /**
+     * @return {String} The name of the current Location.
+     */
+    MapsHandlr.prototype.getLocationName = function () {
+        return this.locationCurrent.name;
+    };
     /**
      * @param {String} location   The key of the Location to return.
      * @return {Location} A Location within the current Map.
@@ -199,6 +199,13 @@ class MapsHandlr {
         return this.areaCurrent.name;
     }
 
+    /**
+     * @return {String} The name of the current Location.
+     */
+    getLocationName(): string {
+        return this.locationCurrent.name;
+    }
+
     /**
      * @param {String} location   The key of the Location to return.
      * @return {Location} A Location within the current Map.
@@ -586,14 +586,24 @@ var ModAttachr = (function () {
     function ModAttachr(settings) {
         this.mods = {};
         this.events = {};
+        this.enabling = {};
+        this.bundleErrors = {};
         if (settings) {
             this.scopeDefault = settings.scopeDefault;
+            this.autoResolve = Boolean(settings.autoResolve);
             if (settings.storeLocally) {
                 this.StatsHolder = new StatsHoldr(settings.storageSettings);
+                this.StatsHolder.addStatistic(ModAttachr.bundlesKey, {
+                    "valueDefault": {},
+                    "storeLocally": true
+                });
             }
             if (settings.mods) {
                 this.addMods(settings.mods);
             }
+            if (this.StatsHolder) {
+                this.addStoredModBundles();
+            }
         }
     }
     /* Simple gets
@@ -611,6 +621,22 @@ var ModAttachr = (function () {
     ModAttachr.prototype.getMod = function (name) {
         return this.mods[name];
     };
+    /**
+     * @param {String} name   The name of a mod.
+     * @return {IModAttachrModOption[]} The mod's configurable options.
+     */
+    ModAttachr.prototype.getModOptions = function (name) {
+        return this.getModStrict(name).options || [];
+    };
+    /**
+     * @param {String} name   The name of a mod.
+     * @param {String} title   The title of one of the mod's options.
+     * @return {Mixed} The current value of the option.
+     */
+    ModAttachr.prototype.getModOption = function (name, title) {
+        this.getModOptionStrict(name, title);
+        return this.mods[name].optionValues[title];
+    };
     /**
      * @return {Object} An Object keying each event by their name.
      */
@@ -630,6 +656,115 @@ var ModAttachr = (function () {
     ModAttachr.prototype.getStatsHolder = function () {
         return this.StatsHolder;
     };
+    /**
+     * @return {Boolean} Whether enabling and disabling mods resolves their
+     *                   requirements and conflicts, rather than refusing.
+     */
+    ModAttachr.prototype.getAutoResolve = function () {
+        return this.autoResolve;
+    };
+    /**
+     * @param {Boolean} autoResolve   Whether enabling and disabling mods
+     *                                should resolve their requirements and
+     *                                conflicts, rather than refusing.
+     */
+    ModAttachr.prototype.setAutoResolve = function (autoResolve) {
+        this.autoResolve = autoResolve;
+    };
+    /* Requirements and conflicts
+    */
+    /**
+     * @param {String} name   The name of a mod.
+     * @return {String[]} Names of mods the mod requires that aren't enabled.
+     */
+    ModAttachr.prototype.getMissingRequirements = function (name) {
+        var mod = this.getModStrict(name), requires = mod.requires || [], output = [], i;
+        for (i = 0; i < requires.length; i += 1) {
+            if (!this.enabling[requires[i]] && !(this.mods.hasOwnProperty(requires[i]) && this.mods[requires[i]].enabled)) {
+                output.push(requires[i]);
+            }
+        }
+        return output;
+    };
+    /**
+     * @param {String} name   The name of a mod.
+     * @return {String[]} Names of enabled mods that conflict with the mod,
+     *                    whichever of the two lists the other.
+     */
+    ModAttachr.prototype.getEnabledConflicts = function (name) {
+        var mod = this.getModStrict(name), output = [], other, i;
+        for (i in this.mods) {
+            if (!this.mods.hasOwnProperty(i) || i === name) {
+                continue;
+            }
+            other = this.mods[i];
+            if (other.enabled && ((mod.conflicts && mod.conflicts.indexOf(i) !== -1) || (other.conflicts && other.conflicts.indexOf(name) !== -1))) {
+                output.push(i);
+            }
+        }
+        return output;
+    };
+    /**
+     * @param {String} name   The name of a mod.
+     * @return {String[]} Names of enabled mods that require the mod.
+     */
+    ModAttachr.prototype.getEnabledDependents = function (name) {
+        var output = [], other, i;
+        this.getModStrict(name);
+        for (i in this.mods) {
+            if (!this.mods.hasOwnProperty(i)) {
+                continue;
+            }
+            other = this.mods[i];
+            if (other.enabled && other.requires && other.requires.indexOf(name) !== -1) {
+                output.push(i);
+            }
+        }
+        return output;
+    };
+    /**
+     * @param {String} name   The name of a mod.
+     * @return {String[]} Descriptions of why the mod can't be enabled without
+     *                    resolving other mods, such as "Requires Luigi".
+     */
+    ModAttachr.prototype.getEnableBlockers = function (name) {
+        var requirements = this.getMissingRequirements(name), conflicts = this.getEnabledConflicts(name), output = [], i;
+        for (i = 0; i < requirements.length; i += 1) {
+            output.push("Requires " + requirements[i]);
+        }
+        for (i = 0; i < conflicts.length; i += 1) {
+            output.push("Conflicts with " + conflicts[i]);
+        }
+        return output;
+    };
+    /**
+     * @param {String} name   The name of a mod.
+     * @return {String[]} Descriptions of why the mod can't be disabled without
+     *                    resolving other mods, such as "Required by Luigi".
+     */
+    ModAttachr.prototype.getDisableBlockers = function (name) {
+        var dependents = this.getEnabledDependents(name), output = [], i;
+        for (i = 0; i < dependents.length; i += 1) {
+            output.push("Required by " + dependents[i]);
+        }
+        return output;
+    };
+    /**
+     * @param {String} name   The name of a mod.
+     * @return {Boolean} Whether enableMod may be called for the mod, which is
+     *                   true if nothing blocks it or autoResolve is on.
+     */
+    ModAttachr.prototype.canEnableMod = function (name) {
+        return this.autoResolve || !this.getEnableBlockers(name).length;
+    };
+    /**
+     * @param {String} name   The name of a mod.
+     * @return {Boolean} Whether disableMod may be called for the mod, which is
+     *                   true if nothing blocks it or autoResolve is on.
+     */
+    ModAttachr.prototype.canDisableMod = function (name) {
+        return this.autoResolve || !this.getDisableBlockers(name).length;
+    };
     /* Alterations
     */
     /**
@@ -649,13 +784,15 @@ var ModAttachr = (function () {
                 this.events[name] = [mod];
             }
             else {
-                this.events[name].push(mod);
+                this.insertModByPriority(this.events[name], mod);
             }
         }
         // Mod scope defaults to the ModAttacher's scopeDefault.
         mod.scope = mod.scope || this.scopeDefault;
         // Record the mod in the ModAttachr's mods listing.
         this.mods[mod.name] = mod;
+        // Options start with their stored or default values
+        this.addModOptions(mod);
         // If the mod is enabled, trigger its "onModEnable" event
         if (mod.enabled && mod.events.onModEnable) {
             this.fireModEvent("onModEnable", mod.name, arguments);
@@ -667,11 +804,61 @@ var ModAttachr = (function () {
                 "storeLocally": true
             });
             // If there was already a (true) value, immediately enable the mod
-            if (this.StatsHolder.get(mod.name)) {
+            // (unless it's since been blocked by other mods)
+            if (this.StatsHolder.get(mod.name) && this.canEnableMod(mod.name)) {
                 this.enableMod(mod.name);
             }
         }
     };
+    /**
+     * Sets the value of one of a mod's options. Numbers are bounded by the
+     * option's minimum and maximum, and Selects must be one of the option's
+     * options. If there's a StatsHoldr, the value is stored. If the mod is
+     * enabled and has an "onModOptionChange" event, that's fired with the
+     * mod, option title, new value, and old value.
+     *
+     * @param {String} name   The name of a mod.
+     * @param {String} title   The title of one of the mod's options.
+     * @param {Mixed} value   A new value for the option. Strings, such as from
+     *                        inputs, are converted to the option's type.
+     */
+    ModAttachr.prototype.setModOption = function (name, title, value) {
+        var option = this.getModOptionStrict(name, title), mod = this.mods[name], valueOld = mod.optionValues[title];
+        value = this.parseModOptionValue(option, value);
+        if (value === valueOld) {
+            return;
+        }
+        mod.optionValues[title] = value;
+        if (this.StatsHolder) {
+            this.StatsHolder.set(this.getModOptionKey(name, title), value);
+        }
+        if (mod.enabled && mod.events.onModOptionChange) {
+            this.fireModEvent("onModOptionChange", name, mod, title, value, valueOld);
+        }
+    };
+    /**
+     * Removes a mod from the pool of mods and all its events. If the mod is
+     * enabled, it's disabled first.
+     *
+     * @param {String} name   The name of the mod to remove.
+     */
+    ModAttachr.prototype.removeMod = function (name) {
+        var mod = this.getModStrict(name), fires, event;
+        if (mod.enabled) {
+            this.disableMod(name);
+        }
+        for (event in mod.events) {
+            if (!mod.events.hasOwnProperty(event) || !this.events.hasOwnProperty(event)) {
+                continue;
+            }
+            fires = this.events[event];
+            fires.splice(fires.indexOf(mod), 1);
+            if (!fires.length) {
+                delete this.events[event];
+            }
+        }
+        delete this.mods[name];
+    };
     /**
      * Adds each mod in a given Array.
      *
@@ -684,15 +871,31 @@ var ModAttachr = (function () {
     };
     /**
      * Enables a mod of the given name, if it exists. The onModEnable event is
-     * called for the mod.
+     * called for the mod. If other mods block it, they're resolved first when
+     * autoResolve is on (enabling requirements and disabling conflicts), or
+     * an Error is thrown otherwise.
      *
      * @param {String} name   The name of the mod to enable.
      */
     ModAttachr.prototype.enableMod = function (name) {
-        var mod = this.mods[name], args;
+        var mod = this.mods[name], blockers, args;
         if (!mod) {
             throw new Error("No mod of name: '" + name + "'");
         }
+        blockers = this.getEnableBlockers(name);
+        if (blockers.length) {
+            if (!this.autoResolve) {
+                throw new Error("Mod '" + name + "' can't be enabled: " + blockers.join(", ") + ".");
+            }
+            this.enabling[name] = true;
+            try {
+                this.disableMods.apply(this, this.getEnabledConflicts(name));
+                this.enableMods.apply(this, this.getMissingRequirements(name));
+            }
+            finally {
+                delete this.enabling[name];
+            }
+        }
         mod.enabled = true;
         args = Array.prototype.slice.call(arguments);
         args[0] = mod;
@@ -718,15 +921,23 @@ var ModAttachr = (function () {
     };
     /**
      * Disables a mod of the given name, if it exists. The onModDisable event is
-     * called for the mod.
+     * called for the mod. If enabled mods require it, they're disabled first
+     * when autoResolve is on, or an Error is thrown otherwise.
      *
      * @param {String} name   The name of the mod to disable.
      */
     ModAttachr.prototype.disableMod = function (name) {
-        var mod = this.mods[name], args;
+        var mod = this.mods[name], blockers, args;
         if (!this.mods[name]) {
             throw new Error("No mod of name: '" + name + "'");
         }
+        blockers = this.getDisableBlockers(name);
+        if (blockers.length) {
+            if (!this.autoResolve) {
+                throw new Error("Mod '" + name + "' can't be disabled: " + blockers.join(", ") + ".");
+            }
+            this.disableMods.apply(this, this.getEnabledDependents(name));
+        }
         this.mods[name].enabled = false;
         args = Array.prototype.slice.call(arguments);
         args[0] = mod;
@@ -780,6 +991,214 @@ var ModAttachr = (function () {
         }
         names.forEach(this.toggleMod.bind(this));
     };
+    /* Third-party mods
+    */
+    /**
+     * Parses the source of a mod bundle, which is either JSON or a JavaScript
+     * expression, of a mod or Array of mods. Events given as Strings (as they
+     * must be in JSON) are evaluated as Function sources.
+     *
+     * @param {String} source   The text of a mod bundle file.
+     * @return {IModAttachrMod[]} The mods in the bundle.
+     */
+    ModAttachr.prototype.parseModBundle = function (source) {
+        var bundle, mods, i;
+        try {
+            bundle = JSON.parse(source);
+        }
+        catch (errorJSON) {
+            try {
+                bundle = new Function("return (" + source.replace(/;\s*$/, "") + "\n);")();
+            }
+            catch (error) {
+                throw new Error("Mod bundle couldn't be parsed: " + error.message);
+            }
+        }
+        mods = bundle instanceof Array ? bundle : [bundle];
+        for (i = 0; i < mods.length; i += 1) {
+            if (mods[i] && typeof mods[i].events === "object") {
+                this.parseModEvents(mods[i]);
+            }
+        }
+        return mods;
+    };
+    /**
+     * Checks a mod against the mod schema.
+     *
+     * @param {IModAttachrMod} mod
+     * @return {String[]} Descriptions of what's wrong with the mod, if anything.
+     */
+    ModAttachr.prototype.validateMod = function (mod) {
+        var schema = ModAttachr.modSchema, problems = [], key, i;
+        if (!mod || typeof mod !== "object" || mod instanceof Array) {
+            return ["Mods must be Objects"];
+        }
+        if (!mod.name) {
+            problems.push("Mods must have a name");
+        }
+        if (!mod.events) {
+            problems.push("Mods must have events");
+        }
+        for (key in schema) {
+            if (schema.hasOwnProperty(key) && mod.hasOwnProperty(key) && !this.checkSchemaType(mod[key], schema[key])) {
+                problems.push("'" + key + "' must be of type " + schema[key]);
+            }
+        }
+        if (mod.events && typeof mod.events === "object") {
+            for (key in mod.events) {
+                if (mod.events.hasOwnProperty(key) && typeof mod.events[key] !== "function") {
+                    problems.push("Event '" + key + "' must be a Function");
+                }
+            }
+        }
+        if (mod.options instanceof Array) {
+            for (i = 0; i < mod.options.length; i += 1) {
+                try {
+                    this.parseModOptionValue(mod.options[i], mod.options[i].valueDefault);
+                }
+                catch (error) {
+                    problems.push(error.message);
+                }
+            }
+        }
+        if (typeof mod.name === "string" && this.mods.hasOwnProperty(mod.name) && !this.mods[mod.name].origin) {
+            problems.push("A built-in mod is already named '" + mod.name + "'");
+        }
+        return problems;
+    };
+    /**
+     * Parses, validates, and adds each mod in a third-party mod bundle. A
+     * previously installed third-party mod of the same name is replaced. If
+     * there's a StatsHoldr, the bundle is stored so it's added again by future
+     * ModAttachrs.
+     *
+     * @param {String} source   The text of a mod bundle file.
+     * @param {String} origin   Where the bundle came from, such as its file
+     *                          name. Adding a bundle from the same origin again
+     *                          replaces the stored one.
+     * @return {IModAttachrMod[]} The added mods.
+     */
+    ModAttachr.prototype.addModBundle = function (source, origin) {
+        var mods = this.parseModBundle(source), problems = [], names = {}, modProblems, wasEnabled, bundles, i, j;
+        for (i = 0; i < mods.length; i += 1) {
+            modProblems = this.validateMod(mods[i]);
+            if (mods[i] && names[mods[i].name]) {
+                modProblems.push("Mod names must be unique in a bundle");
+            }
+            for (j = 0; j < modProblems.length; j += 1) {
+                problems.push((mods[i] && mods[i].name || "Mod " + i) + ": " + modProblems[j]);
+            }
+            if (mods[i]) {
+                names[mods[i].name] = true;
+            }
+        }
+        if (problems.length) {
+            throw new Error("Invalid mod bundle '" + origin + "': " + problems.join("; ") + ".");
+        }
+        for (i = 0; i < mods.length; i += 1) {
+            wasEnabled = false;
+            if (this.mods.hasOwnProperty(mods[i].name)) {
+                wasEnabled = this.mods[mods[i].name].enabled;
+                this.removeMod(mods[i].name);
+            }
+            mods[i].origin = origin;
+            mods[i].enabled = false;
+            this.addMod(mods[i]);
+            if (wasEnabled && this.canEnableMod(mods[i].name)) {
+                this.enableMod(mods[i].name);
+            }
+        }
+        if (this.StatsHolder) {
+            bundles = this.getModBundles();
+            bundles[origin] = source;
+            this.StatsHolder.set(ModAttachr.bundlesKey, bundles);
+        }
+        return mods;
+    };
+    /**
+     * Removes each mod added from a third-party mod bundle, and forgets the
+     * stored bundle.
+     *
+     * @param {String} origin   Where the bundle came from, as given to
+     *                          addModBundle.
+     */
+    ModAttachr.prototype.removeModBundle = function (origin) {
+        var bundles, i;
+        for (i in this.mods) {
+            if (this.mods.hasOwnProperty(i) && this.mods[i].origin === origin) {
+                this.removeMod(i);
+            }
+        }
+        if (this.StatsHolder) {
+            bundles = this.getModBundles();
+            delete bundles[origin];
+            this.StatsHolder.set(ModAttachr.bundlesKey, bundles);
+        }
+    };
+    /**
+     * @return {Object} The sources of stored third-party mod bundles, keyed by
+     *                  their origins.
+     */
+    ModAttachr.prototype.getModBundles = function () {
+        var bundles = {}, stored, i;
+        if (!this.StatsHolder) {
+            return bundles;
+        }
+        stored = this.StatsHolder.get(ModAttachr.bundlesKey);
+        for (i in stored) {
+            if (stored.hasOwnProperty(i)) {
+                bundles[i] = stored[i];
+            }
+        }
+        return bundles;
+    };
+    /**
+     * @return {Object} Error messages for stored mod bundles that couldn't be
+     *                  added again, keyed by their origins.
+     */
+    ModAttachr.prototype.getModBundleErrors = function () {
+        return this.bundleErrors;
+    };
+    /**
+     * Retrieves a mod bundle file via AJAX and adds it with addModBundle.
+     *
+     * @param {String} path   The path (URL) of the bundle file.
+     * @param {Function} [callback]   A Function called with the added mods, or
+     *                                with undefined and an Error if the file
+     *                                couldn't be retrieved or added. If not
+     *                                given, Errors are thrown.
+     */
+    ModAttachr.prototype.loadModFile = function (path, callback) {
+        if (callback === void 0) { callback = undefined; }
+        var request = new XMLHttpRequest(), finish = function (mods, error) {
+            if (callback) {
+                callback(mods, error);
+            }
+            else if (error) {
+                throw error;
+            }
+        };
+        request.open("GET", path);
+        request.onerror = function () {
+            finish(undefined, new Error("Mod file '" + path + "' couldn't be retrieved."));
+        };
+        request.onload = function () {
+            var mods;
+            if (request.status >= 400) {
+                finish(undefined, new Error("Mod file '" + path + "' couldn't be retrieved (" + request.status + ")."));
+                return;
+            }
+            try {
+                mods = this.addModBundle(request.responseText, path);
+            }
+            catch (error) {
+                finish(undefined, error);
+                return;
+            }
+            finish(mods);
+        }.bind(this);
+        request.send();
+    };
     /* Actions
     */
     /**
@@ -825,5 +1244,193 @@ var ModAttachr = (function () {
         }
         return fires.apply(mod.scope, args);
     };
+    /* Private utilities
+    */
+    /**
+     * @param {String} name   The name of a mod.
+     * @return {IModAttachrMod} The mod under the name.
+     */
+    ModAttachr.prototype.getModStrict = function (name) {
+        if (!this.mods.hasOwnProperty(name)) {
+            throw new Error("No mod of name: '" + name + "'");
+        }
+        return this.mods[name];
+    };
+    /**
+     * Adds each stored third-party mod bundle. Bundles that can no longer be
+     * added (such as ones now conflicting with built-in mods) are forgotten,
+     * and why is kept for getModBundleErrors.
+     */
+    ModAttachr.prototype.addStoredModBundles = function () {
+        var bundles = this.getModBundles(), i;
+        for (i in bundles) {
+            if (!bundles.hasOwnProperty(i)) {
+                continue;
+            }
+            try {
+                this.addModBundle(bundles[i], i);
+            }
+            catch (error) {
+                this.bundleErrors[i] = error.message;
+                this.removeModBundle(i);
+            }
+        }
+    };
+    /**
+     * Evaluates any of a mod's events given as Function sources.
+     *
+     * @param {IModAttachrMod} mod
+     */
+    ModAttachr.prototype.parseModEvents = function (mod) {
+        var i;
+        for (i in mod.events) {
+            if (!mod.events.hasOwnProperty(i) || typeof mod.events[i] !== "string") {
+                continue;
+            }
+            try {
+                mod.events[i] = new Function("return (" + mod.events[i] + "\n);")();
+            }
+            catch (error) {
+                throw new Error("Event '" + i + "' of mod '" + mod.name + "' couldn't be parsed: " + error.message);
+            }
+        }
+    };
+    /**
+     * @param {Mixed} value
+     * @param {String} type   A type from the mod schema, such as "string" or
+     *                        "string[]".
+     * @return {Boolean} Whether the value is of the type.
+     */
+    ModAttachr.prototype.checkSchemaType = function (value, type) {
+        var i;
+        if (type.slice(-2) !== "[]") {
+            return typeof value === type && value !== null && !(value instanceof Array);
+        }
+        if (!(value instanceof Array)) {
+            return false;
+        }
+        for (i = 0; i < value.length; i += 1) {
+            if (!this.checkSchemaType(value[i], type.slice(0, -2))) {
+                return false;
+            }
+        }
+        return true;
+    };
+    /**
+     * @param {String} name   The name of a mod.
+     * @param {String} title   The title of one of the mod's options.
+     * @return {IModAttachrModOption} The mod's option under the title.
+     */
+    ModAttachr.prototype.getModOptionStrict = function (name, title) {
+        var options = this.getModOptions(name), i;
+        for (i = 0; i < options.length; i += 1) {
+            if (options[i].title === title) {
+                return options[i];
+            }
+        }
+        throw new Error("Mod '" + name + "' has no option: '" + title + "'");
+    };
+    /**
+     * @param {String} name   The name of a mod.
+     * @param {String} title   The title of one of the mod's options.
+     * @return {String} The StatsHoldr key the option's value is stored under.
+     */
+    ModAttachr.prototype.getModOptionKey = function (name, title) {
+        return name + "::" + title;
+    };
+    /**
+     * Sets the initial value of each of a mod's options, from the StatsHoldr
+     * if there is one or the option's default otherwise.
+     *
+     * @param {IModAttachrMod} mod
+     */
+    ModAttachr.prototype.addModOptions = function (mod) {
+        var options = mod.options || [], key, i;
+        mod.optionValues = {};
+        for (i = 0; i < options.length; i += 1) {
+            mod.optionValues[options[i].title] = this.parseModOptionValue(options[i], options[i].valueDefault);
+            if (!this.StatsHolder) {
+                continue;
+            }
+            key = this.getModOptionKey(mod.name, options[i].title);
+            this.StatsHolder.addStatistic(key, {
+                "valueDefault": mod.optionValues[options[i].title],
+                "storeLocally": true
+            });
+            try {
+                mod.optionValues[options[i].title] = this.parseModOptionValue(options[i], this.StatsHolder.get(key));
+            }
+            catch (error) {
+                this.StatsHolder.set(key, mod.optionValues[options[i].title]);
+            }
+        }
+    };
+    /**
+     * Converts a value to the type of a mod option.
+     *
+     * @param {IModAttachrModOption} option
+     * @param {Mixed} value
+     * @return {Mixed} The value as the option's type.
+     */
+    ModAttachr.prototype.parseModOptionValue = function (option, value) {
+        switch (option.type) {
+            case "Number":
+                value = Number(value);
+                if (isNaN(value)) {
+                    throw new Error("Option '" + option.title + "' must be a Number.");
+                }
+                if (typeof option.minimum !== "undefined") {
+                    value = Math.max(value, option.minimum);
+                }
+                if (typeof option.maximum !== "undefined") {
+                    value = Math.min(value, option.maximum);
+                }
+                return value;
+            case "Boolean":
+                if (value === "false" || value === "off") {
+                    return false;
+                }
+                return !!value;
+            case "Select":
+                if ((option.options || []).indexOf(value) === -1) {
+                    throw new Error("Option '" + option.title + "' can't be '" + value + "'.");
+                }
+                return value;
+            default:
+                throw new Error("Unknown mod option type: '" + option.type + "'");
+        }
+    };
+    /**
+     * Inserts a mod into an event's listing after every mod of at least the
+     * same priority, so higher priorities fire first.
+     *
+     * @param {IModAttachrMod[]} mods   The mods listed under an event.
+     * @param {IModAttachrMod} mod   The mod to insert.
+     */
+    ModAttachr.prototype.insertModByPriority = function (mods, mod) {
+        var priority = mod.priority || 0, i;
+        for (i = mods.length; i > 0; i -= 1) {
+            if ((mods[i - 1].priority || 0) >= priority) {
+                break;
+            }
+        }
+        mods.splice(i, 0, mod);
+    };
+    // The StatsHoldr key installed third-party mod bundles are stored under.
+    ModAttachr.bundlesKey = "ModAttachr::Bundles";
+    // The type each mod field must be, if it's given. Mods must have a name
+    // and events, and each event must be a Function (or the source of one).
+    ModAttachr.modSchema = {
+        "name": "string",
+        "description": "string",
+        "author": "object",
+        "enabled": "boolean",
+        "events": "object",
+        "requires": "string[]",
+        "conflicts": "string[]",
+        "priority": "number",
+        "settings": "object",
+        "options": "object[]"
+    };
     return ModAttachr;
 })();
@@ -174,7 +174,7 @@ var NumberMakr = (function () {
         k = this.stateLength > keyLength ? this.stateLength : keyLength;
         while (k > 0) {
             s = this.stateVector[i - 1] ^ (this.stateVector[i - 1] >>> 30);
-            this.stateVector[i] = (this.stateVector[i] ^ (((((s & 0xffff0000) >>> 16) * 1664525) << 16) + ((s & 0x0000ffff) * 1664525)) + keyInitial[j] + j) >>> 0;
+            this.stateVector[i] = ((this.stateVector[i] ^ (((((s & 0xffff0000) >>> 16) * 1664525) << 16) + ((s & 0x0000ffff) * 1664525))) + keyInitial[j] + j) >>> 0;
             i += 1;
             j += 1;
             if (i >= this.stateLength) {
@@ -184,6 +184,7 @@ var NumberMakr = (function () {
             if (j >= keyLength) {
                 j = 0;
             }
+            k -= 1;
         }
         for (k = this.stateLength - 1; k; k -= 1) {
             s = this.stateVector[i - 1] ^ (this.stateVector[i - 1] >>> 30);
@@ -247,10 +247,10 @@ class NumberMakr {
 
         while (k > 0) {
             s = this.stateVector[i - 1] ^ (this.stateVector[i - 1] >>> 30);
-            this.stateVector[i] = (this.stateVector[i] ^ (
+            this.stateVector[i] = ((this.stateVector[i] ^ (
                 ((((s & 0xffff0000) >>> 16) * 1664525) << 16)
                 + ((s & 0x0000ffff) * 1664525)
-                ) + keyInitial[j] + j
+                )) + keyInitial[j] + j
                 ) >>> 0;
 
             i += 1;
@@ -264,6 +264,8 @@ class NumberMakr {
             if (j >= keyLength) {
                 j = 0;
             }
+
+            k -= 1;
         }
 
         for (k = this.stateLength - 1; k; k -= 1) {
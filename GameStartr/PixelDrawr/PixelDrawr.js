@@ -2350,8 +2350,9 @@ var QuadsKeepr = (function () {
  * A front-end to PixelRendr to automate drawing mass amounts of sprites to a
  * primary canvas. A PixelRendr keeps track of sprite sources, while a
  * MapScreenr maintains boundary information on the screen. Global screen
- * refills may be done by drawing every Thing in the thingArrays, or by
- * Quadrants as a form of dirty rectangles.
+ * refills may be done by drawing every Thing in the thingArrays, by
+ * Quadrants, or by redrawing only the dirty rectangles of the screen that have
+ * changed since the last refill.
  *
  * @author "Josh Goldberg" <josh@fullscreenmario.com>
  */
@@ -2381,9 +2382,15 @@ var PixelDrawr = (function () {
         this.keyLeft = settings.keyLeft || "left";
         this.keyOffsetX = settings.keyOffsetX;
         this.keyOffsetY = settings.keyOffsetY;
+        this.dirtyRefill = settings.dirtyRefill;
+        this.dirtyAreaThreshold = typeof settings.dirtyAreaThreshold === "undefined" ? .5 : settings.dirtyAreaThreshold;
+        this.FPSAnalyzer = settings.FPSAnalyzer;
+        this.drawnThings = [];
+        this.dirtyRects = [];
         this.generateObjectKey = settings.generateObjectKey || function (thing) {
             return thing.toString();
         };
+        this.backgroundLayers = [];
         this.resetBackground();
     }
     /* Simple gets
@@ -2426,6 +2433,13 @@ var PixelDrawr = (function () {
     PixelDrawr.prototype.getBackgroundContext = function () {
         return this.backgroundContext;
     };
+    /**
+     * @return {IPixelDrawrBackgroundLayer[]} The layers drawn over the
+     *                                        background.
+     */
+    PixelDrawr.prototype.getBackgroundLayers = function () {
+        return this.backgroundLayers;
+    };
     /**
      * @return {Boolean} Whether refills should skip redrawing the background
      *                   each time.
@@ -2439,6 +2453,26 @@ var PixelDrawr = (function () {
     PixelDrawr.prototype.getEpsilon = function () {
         return this.epsilon;
     };
+    /**
+     * @return {Boolean} Whether refills should only redraw dirty rectangles.
+     */
+    PixelDrawr.prototype.getDirtyRefill = function () {
+        return this.dirtyRefill;
+    };
+    /**
+     * @return {Number} How much of the screen's area may be dirty before a
+     *                  dirty refill redraws everything.
+     */
+    PixelDrawr.prototype.getDirtyAreaThreshold = function () {
+        return this.dirtyAreaThreshold;
+    };
+    /**
+     * @return {FPSAnalyzr} The FPSAnalyzr recording how quickly refills are
+     *                      drawn, if one was given.
+     */
+    PixelDrawr.prototype.getFPSAnalyzer = function () {
+        return this.FPSAnalyzer;
+    };
     /* Simple sets
     */
     /**
@@ -2452,6 +2486,7 @@ var PixelDrawr = (function () {
      */
     PixelDrawr.prototype.setThingArrays = function (thingArrays) {
         this.thingArrays = thingArrays;
+        this.doFullRefill = true;
     };
     /**
      * Sets the currently drawn canvas and context, and recreates
@@ -2462,6 +2497,7 @@ var PixelDrawr = (function () {
     PixelDrawr.prototype.setCanvas = function (canvas) {
         this.canvas = canvas;
         this.context = canvas.getContext("2d");
+        this.doFullRefill = true;
     };
     /**
      * @param {Boolean} noRefill   Whether refills should now skip redrawing the
@@ -2476,6 +2512,28 @@ var PixelDrawr = (function () {
     PixelDrawr.prototype.setEpsilon = function (epsilon) {
         this.epsilon = epsilon;
     };
+    /**
+     * Switches between dirty and full refills. The FPSAnalyzer, if there is
+     * one, is reset so the two modes' refill times aren't mixed together.
+     *
+     * @param {Boolean} dirtyRefill   Whether refills should now only redraw
+     *                                dirty rectangles.
+     */
+    PixelDrawr.prototype.setDirtyRefill = function (dirtyRefill) {
+        this.dirtyRefill = dirtyRefill;
+        this.doFullRefill = true;
+        if (this.FPSAnalyzer) {
+            this.FPSAnalyzer.reset();
+        }
+    };
+    /**
+     * @param {Number} dirtyAreaThreshold   How much of the screen's area may
+     *                                      now be dirty before a dirty refill
+     *                                      redraws everything, in [0, 1].
+     */
+    PixelDrawr.prototype.setDirtyAreaThreshold = function (dirtyAreaThreshold) {
+        this.dirtyAreaThreshold = dirtyAreaThreshold;
+    };
     /* Background manipulations
     */
     /**
@@ -2485,6 +2543,7 @@ var PixelDrawr = (function () {
     PixelDrawr.prototype.resetBackground = function () {
         this.backgroundCanvas = this.createCanvas(this.MapScreener[this.keyWidth], this.MapScreener[this.keyHeight]);
         this.backgroundContext = this.backgroundCanvas.getContext("2d");
+        this.doFullRefill = true;
     };
     /**
      * Refills the background canvas with a new fillStyle.
@@ -2494,12 +2553,128 @@ var PixelDrawr = (function () {
     PixelDrawr.prototype.setBackground = function (fillStyle) {
         this.backgroundContext.fillStyle = fillStyle;
         this.backgroundContext.fillRect(0, 0, this.MapScreener[this.keyWidth], this.MapScreener[this.keyHeight]);
+        this.doFullRefill = true;
+    };
+    /**
+     * Sets the layers drawn over the background, rendering each one's canvas.
+     * They're drawn in order, so the first layer is furthest back.
+     *
+     * @param {IPixelDrawrBackgroundLayer[]} layers
+     */
+    PixelDrawr.prototype.setBackgroundLayers = function (layers) {
+        var i;
+        for (i = 0; i < layers.length; i += 1) {
+            switch (layers[i].type) {
+                case "solid":
+                    break;
+                case "gradient":
+                    this.renderBackgroundGradient(layers[i]);
+                    break;
+                case "sprite":
+                case "scenery":
+                    this.renderBackgroundThings(layers[i]);
+                    break;
+                default:
+                    throw new Error("Unknown background layer type: '" + layers[i].type + "'.");
+            }
+        }
+        this.backgroundLayers = layers;
+        this.doFullRefill = true;
     };
     /**
-     * Draws the background canvas onto the main canvas' context.
+     * Draws the background canvas onto the main canvas' context, followed by
+     * the background layers.
      */
     PixelDrawr.prototype.drawBackground = function () {
         this.context.drawImage(this.backgroundCanvas, 0, 0);
+        this.drawBackgroundLayers();
+    };
+    /**
+     * Draws each background layer onto the main canvas' context, scrolled by
+     * its share of the MapScreener's scroll offset. Sprite and scenery layers
+     * repeat horizontally to fill the screen.
+     */
+    PixelDrawr.prototype.drawBackgroundLayers = function () {
+        var screenWidth = this.MapScreener[this.keyWidth], layer, scroll, left, top, i;
+        for (i = 0; i < this.backgroundLayers.length; i += 1) {
+            layer = this.backgroundLayers[i];
+            scroll = layer.scroll || 0;
+            top = -Math.round(this.MapScreener[this.keyTop] * scroll);
+            switch (layer.type) {
+                case "solid":
+                    this.context.fillStyle = layer.color;
+                    this.context.fillRect(0, 0, screenWidth, this.MapScreener[this.keyHeight]);
+                    break;
+                case "gradient":
+                    this.context.drawImage(layer.canvas, 0, top);
+                    break;
+                default:
+                    if (!layer.width) {
+                        break;
+                    }
+                    left = -(Math.round(this.MapScreener[this.keyLeft] * scroll) % layer.width);
+                    if (left > 0) {
+                        left -= layer.width;
+                    }
+                    for (; left < screenWidth; left += layer.width) {
+                        this.context.drawImage(layer.canvas, left, top);
+                    }
+                    break;
+            }
+        }
+    };
+    /**
+     * Renders a gradient layer's canvas as a vertical gradient the size of the
+     * MapScreener.
+     *
+     * @param {IPixelDrawrBackgroundLayer} layer
+     */
+    PixelDrawr.prototype.renderBackgroundGradient = function (layer) {
+        var width = this.MapScreener[this.keyWidth], height = this.MapScreener[this.keyHeight], context, gradient, i;
+        layer.canvas = this.createCanvas(width, height);
+        context = layer.canvas.getContext("2d");
+        gradient = context.createLinearGradient(0, 0, 0, height);
+        for (i in layer.colors) {
+            if (layer.colors.hasOwnProperty(i)) {
+                gradient.addColorStop(Number(i), layer.colors[i]);
+            }
+        }
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, width, height);
+    };
+    /**
+     * Renders a sprite or scenery layer's canvas by drawing each of its Things
+     * at their left and top. The layer's width defaults to the furthest right
+     * of its Things.
+     *
+     * @param {IPixelDrawrBackgroundLayer} layer
+     */
+    PixelDrawr.prototype.renderBackgroundThings = function (layer) {
+        var context, thing, i;
+        if (!layer.width) {
+            layer.width = 0;
+            for (i = 0; i < layer.things.length; i += 1) {
+                layer.width = Math.max(layer.width, Math.ceil(layer.things[i][this.keyRight]));
+            }
+        }
+        if (!layer.width) {
+            return;
+        }
+        layer.canvas = this.createCanvas(layer.width, this.MapScreener[this.keyHeight]);
+        context = layer.canvas.getContext("2d");
+        for (i = 0; i < layer.things.length; i += 1) {
+            thing = layer.things[i];
+            this.setThingSprite(thing);
+            if (thing.hidden || typeof thing.numSprites === "undefined") {
+                continue;
+            }
+            if (thing.canvas[this.keyWidth] > 0) {
+                this.drawThingOnContextSingle(context, thing.canvas, thing, thing[this.keyLeft], thing[this.keyTop]);
+            }
+            else {
+                this.drawThingOnContextMultiple(context, thing.canvases, thing, thing[this.keyLeft], thing[this.keyTop]);
+            }
+        }
     };
     /* Core rendering
     */
@@ -2597,10 +2772,66 @@ var PixelDrawr = (function () {
      * are made to call this.refillThingArray in order.
      */
     PixelDrawr.prototype.refillGlobalCanvas = function () {
+        var timestamp;
         this.framesDrawn += 1;
         if (this.framesDrawn % this.framerateSkip !== 0) {
             return;
         }
+        if (this.FPSAnalyzer) {
+            timestamp = this.FPSAnalyzer.getTimestamp();
+        }
+        this.refillAllThings();
+        if (this.FPSAnalyzer) {
+            this.measureRefill(timestamp);
+        }
+    };
+    /**
+     * Called every upkeep to refill only the parts of the main canvas that
+     * have changed since the last refill. Dirty rectangles come from changed
+     * Quadrants (see QuadsKeepr) and from Things that are marked as changed,
+     * have been shown or hidden, or have been removed. The whole canvas is
+     * refilled instead if the screen has scrolled, or if the dirty rectangles
+     * cover more than dirtyAreaThreshold of the screen.
+     *
+     * @param {QuadrantRow[]} [quadrantRows]   QuadrantRows whose changed
+     *                                         Quadrants should be redrawn.
+     */
+    PixelDrawr.prototype.refillDirtyCanvas = function (quadrantRows) {
+        var screenWidth = this.MapScreener[this.keyWidth], screenHeight = this.MapScreener[this.keyHeight], scrolled, timestamp, i;
+        this.framesDrawn += 1;
+        if (this.framesDrawn % this.framerateSkip !== 0) {
+            return;
+        }
+        if (this.FPSAnalyzer) {
+            timestamp = this.FPSAnalyzer.getTimestamp();
+        }
+        scrolled = this.MapScreener[this.keyLeft] !== this.scrollLeft || this.MapScreener[this.keyTop] !== this.scrollTop;
+        this.scrollLeft = this.MapScreener[this.keyLeft];
+        this.scrollTop = this.MapScreener[this.keyTop];
+        this.dirtyRects.length = 0;
+        if (quadrantRows) {
+            for (i = 0; i < quadrantRows.length; i += 1) {
+                this.markQuadrantsDirty(quadrantRows[i].quadrants);
+            }
+        }
+        this.markThingsDirty();
+        if (scrolled || this.doFullRefill || this.getDirtyArea() > screenWidth * screenHeight * this.dirtyAreaThreshold) {
+            this.refillAllThings();
+            this.doFullRefill = false;
+        }
+        else {
+            for (i = 0; i < this.dirtyRects.length; i += 1) {
+                this.refillDirtyRect(this.dirtyRects[i]);
+            }
+        }
+        if (this.FPSAnalyzer) {
+            this.measureRefill(timestamp);
+        }
+    };
+    /**
+     * Redraws the background and every Thing in the thingArrays.
+     */
+    PixelDrawr.prototype.refillAllThings = function () {
         if (!this.noRefill) {
             this.drawBackground();
         }
@@ -2675,7 +2906,8 @@ var PixelDrawr = (function () {
     };
     /**
      * General Function to draw a Thing onto a context. This will call
-     * drawThingOnContext[Single/Multiple] with more arguments
+     * drawThingOnContext[Single/Multiple] with more arguments. Once drawn, the
+     * Thing is no longer marked as changed.
      *
      * @param {CanvasRenderingContext2D} context   The context to have the Thing
      *                                             drawn on it.
@@ -2698,6 +2930,7 @@ var PixelDrawr = (function () {
         else {
             this.drawThingOnContextMultiple(context, thing.canvases, thing, this.getLeft(thing), this.getTop(thing));
         }
+        thing.changed = false;
     };
     /**
      * Draws a Thing onto a quadrant's canvas. This is a simple wrapper around
@@ -2828,8 +3061,151 @@ var PixelDrawr = (function () {
             }
         }
     };
+    /* Dirty rectangles
+    */
+    /**
+     * Adds a dirty rectangle for each changed Quadrant that's on screen, and
+     * marks all the Quadrants as no longer changed.
+     *
+     * @param {Quadrant[]} quadrants
+     */
+    PixelDrawr.prototype.markQuadrantsDirty = function (quadrants) {
+        var quadrant, i;
+        for (i = 0; i < quadrants.length; i += 1) {
+            quadrant = quadrants[i];
+            if (quadrant.changed) {
+                this.addDirtyRect(quadrant[this.keyLeft], quadrant[this.keyTop], quadrant[this.keyRight], quadrant[this.keyBottom]);
+                quadrant.changed = false;
+            }
+        }
+    };
+    /**
+     * Adds dirty rectangles for both the old and new areas of each Thing in
+     * the thingArrays that's marked as changed or has been shown or hidden.
+     * Things drawn last time that are no longer in the thingArrays have their
+     * old areas marked dirty as well. Each Thing's area is kept in its .drawn
+     * for the next refill.
+     */
+    PixelDrawr.prototype.markThingsDirty = function () {
+        var drawnThings = [], thing, drawn, visible, dirty, i, j;
+        for (i = 0; i < this.thingArrays.length; i += 1) {
+            for (j = 0; j < this.thingArrays[i].length; j += 1) {
+                thing = this.thingArrays[i][j];
+                drawn = thing.drawn;
+                visible = this.isThingVisible(thing);
+                if (!drawn) {
+                    drawn = thing.drawn = {
+                        "visible": false
+                    };
+                }
+                dirty = drawn.visible !== visible || (visible && thing.changed);
+                if (dirty && drawn.visible) {
+                    this.addDirtyRect(drawn.left, drawn.top, drawn.right, drawn.bottom);
+                }
+                drawn.visible = visible;
+                drawn.left = this.getLeft(thing);
+                drawn.top = this.getTop(thing);
+                drawn.right = this.getRight(thing);
+                drawn.bottom = this.getBottom(thing);
+                if (dirty && visible) {
+                    this.addDirtyRect(drawn.left, drawn.top, drawn.right, drawn.bottom);
+                }
+                drawn.frame = this.framesDrawn;
+                drawnThings.push(thing);
+            }
+        }
+        for (i = 0; i < this.drawnThings.length; i += 1) {
+            drawn = this.drawnThings[i].drawn;
+            if (drawn.frame !== this.framesDrawn && drawn.visible) {
+                this.addDirtyRect(drawn.left, drawn.top, drawn.right, drawn.bottom);
+                drawn.visible = false;
+            }
+        }
+        this.drawnThings = drawnThings;
+    };
+    /**
+     * Adds a dirty rectangle, clipped to the screen and expanded to whole
+     * pixels. Rectangles entirely off screen are ignored.
+     *
+     * @param {Number} left
+     * @param {Number} top
+     * @param {Number} right
+     * @param {Number} bottom
+     */
+    PixelDrawr.prototype.addDirtyRect = function (left, top, right, bottom) {
+        left = Math.max(0, Math.floor(left));
+        top = Math.max(0, Math.floor(top));
+        right = Math.min(this.MapScreener[this.keyWidth], Math.ceil(right));
+        bottom = Math.min(this.MapScreener[this.keyHeight], Math.ceil(bottom));
+        if (left >= right || top >= bottom) {
+            return;
+        }
+        this.dirtyRects.push({
+            "left": left,
+            "top": top,
+            "right": right,
+            "bottom": bottom
+        });
+    };
+    /**
+     * @return {Number} The total area of the dirty rectangles. Overlapping
+     *                  areas are counted more than once.
+     */
+    PixelDrawr.prototype.getDirtyArea = function () {
+        var area = 0, rect, i;
+        for (i = 0; i < this.dirtyRects.length; i += 1) {
+            rect = this.dirtyRects[i];
+            area += (rect.right - rect.left) * (rect.bottom - rect.top);
+        }
+        return area;
+    };
+    /**
+     * Redraws one dirty rectangle of the main canvas: the background is drawn
+     * over it, then each visible Thing overlapping it, clipped to the area.
+     *
+     * @param {IPixelDrawrRect} rect
+     */
+    PixelDrawr.prototype.refillDirtyRect = function (rect) {
+        var width = rect.right - rect.left, height = rect.bottom - rect.top, thing, drawn, i, j;
+        this.context.save();
+        this.context.beginPath();
+        this.context.rect(rect.left, rect.top, width, height);
+        this.context.clip();
+        if (!this.noRefill) {
+            this.context.drawImage(this.backgroundCanvas, rect.left, rect.top, width, height, rect.left, rect.top, width, height);
+            this.drawBackgroundLayers();
+        }
+        for (i = 0; i < this.thingArrays.length; i += 1) {
+            for (j = 0; j < this.thingArrays[i].length; j += 1) {
+                thing = this.thingArrays[i][j];
+                drawn = thing.drawn;
+                if (drawn.visible && drawn.left < rect.right && drawn.right > rect.left && drawn.top < rect.bottom && drawn.bottom > rect.top) {
+                    this.drawThingOnContext(this.context, thing);
+                }
+            }
+        }
+        this.context.restore();
+    };
+    /**
+     * Records how quickly a refill was drawn in the FPSAnalyzer. Refills that
+     * take less than the timestamps' precision are recorded as Infinity FPS,
+     * which the FPSAnalyzer's getDifferences turns back into 0ms.
+     *
+     * @param {Number} timestamp   When the refill started.
+     */
+    PixelDrawr.prototype.measureRefill = function (timestamp) {
+        this.FPSAnalyzer.addFPS(1000 / (this.FPSAnalyzer.getTimestamp() - timestamp));
+    };
     /* Position utilities (which will almost always become very optimized)
     */
+    /**
+     * @param {Thing} thing
+     * @return {Boolean} Whether the Thing would be drawn by drawThingOnContext,
+     *                   as in it's not hidden, transparent, or off screen.
+     */
+    PixelDrawr.prototype.isThingVisible = function (thing) {
+        return !(thing.hidden || thing.opacity < this.epsilon || thing[this.keyHeight] < 1 || thing[this.keyWidth] < 1 || this.getTop(thing) > this.MapScreener[this.keyHeight] || this.getRight(thing) < 0 || this.getBottom(thing) < 0 || this.getLeft(thing) > this.MapScreener[this.keyWidth]);
+    };
     /**
      * @param {Thing} thing
      * @return {Number} The Thing's top position, accounting for vertical
@@ -59,6 +59,70 @@ interface IPixelDrawrSettings {
 
     // The attribute name for a Thing's vertical offset(by default, ignored).
     keyOffsetY?: string;
+
+    // Whether refills should only redraw dirty rectangles, via 
+    // refillDirtyCanvas (by default, false).
+    dirtyRefill?: boolean;
+
+    // How much of the screen's area may be dirty before a dirty refill gives up
+    // and redraws everything, in [0, 1] (by default, .5).
+    dirtyAreaThreshold?: number;
+
+    // An FPSAnalyzr to record how quickly each refill is drawn (by default, 
+    // none).
+    FPSAnalyzer?: IPixelDrawrFPSAnalyzer;
+}
+
+// The parts of an FPSAnalyzr used to time refills.
+interface IPixelDrawrFPSAnalyzer {
+    getTimestamp: () => number;
+    addFPS: (fps: number) => void;
+    reset: () => void;
+}
+
+// A layer of the background, drawn in order over the background fill and
+// behind all Things in the thingArrays.
+interface IPixelDrawrBackgroundLayer {
+    // What kind of layer this is: "solid", "gradient", "sprite", or "scenery".
+    type: string;
+
+    // How far the layer moves for each pixel the MapScreenr scrolls, such as
+    // 0 to stay in place or 1 to move along with Things (by default, 0).
+    scroll?: number;
+
+    // For solid layers, the fillStyle to cover the screen with.
+    color?: string;
+
+    // For gradient layers, colors keyed by where they stop, from 0 at the top
+    // of the screen to 1 at the bottom.
+    colors?: any;
+
+    // For sprite and scenery layers, the Things to draw, positioned by their
+    // left and top within the layer. A sprite layer is a single Thing tiled.
+    things?: IThing[];
+
+    // For sprite and scenery layers, how wide the layer is before it repeats
+    // (by default, the furthest right of its Things).
+    width?: number;
+
+    // The layer's rendered image, created by setBackgroundLayers.
+    canvas?: HTMLCanvasElement;
+}
+
+interface IPixelDrawrRect {
+    left: number;
+    top: number;
+    right: number;
+    bottom: number;
+}
+
+// What a Thing looked like when it was last drawn by a dirty refill.
+interface IPixelDrawrDrawn extends IPixelDrawrRect {
+    // Whether the Thing was drawn at all (e.g. it was on screen and not hidden).
+    visible: boolean;
+
+    // The framesDrawn count the Thing was last seen in the thingArrays.
+    frame: number;
 }
 
 // @todo Rename to topRight, bottomRight, bottomLeft, topLeft
@@ -128,6 +192,13 @@ interface IThing {
 
     // Sprite height in real-life pixels, equal to spritewidth * unitsize.
     spriteheightpixels?: number;
+
+    // Whether the Thing has moved or changed its appearance since it was last
+    // drawn, as marked by GameStartr.markChanged.
+    changed?: boolean;
+
+    // How the Thing was last drawn, if dirty refills are being used.
+    drawn?: IPixelDrawrDrawn;
 }
 
 /**
@@ -136,8 +207,9 @@ interface IThing {
  * A front-end to PixelRendr to automate drawing mass amounts of sprites to a
  * primary canvas. A PixelRendr keeps track of sprite sources, while a
  * MapScreenr maintains boundary information on the screen. Global screen 
- * refills may be done by drawing every Thing in the thingArrays, or by 
- * Quadrants as a form of dirty rectangles.
+ * refills may be done by drawing every Thing in the thingArrays, by 
+ * Quadrants, or by redrawing only the dirty rectangles of the screen that have
+ * changed since the last refill.
  * 
  * @author "Josh Goldberg" <josh@fullscreenmario.com>
  */
@@ -160,6 +232,9 @@ class PixelDrawr {
     // The 2D canvas context associated with the background canvas.
     private backgroundContext: CanvasRenderingContext2D;
 
+    // Layers drawn over the background canvas, behind the thingArrays.
+    private backgroundLayers: IPixelDrawrBackgroundLayer[];
+
     // Arrays of Thing[]s that are to be drawn in each refill.
     private thingArrays: IThing[][];
 
@@ -200,6 +275,28 @@ class PixelDrawr {
     private keyOffsetX: string;
     private keyOffsetY: string;
 
+    // Whether refills should only redraw dirty rectangles.
+    private dirtyRefill: boolean;
+
+    // How much of the screen's area may be dirty before refilling everything.
+    private dirtyAreaThreshold: number;
+
+    // An optional FPSAnalyzr to record how quickly each refill is drawn.
+    private FPSAnalyzer: IPixelDrawrFPSAnalyzer;
+
+    // The Things seen by the last dirty refill, to find ones since removed.
+    private drawnThings: IThing[];
+
+    // Areas of the screen that must be redrawn in the current dirty refill.
+    private dirtyRects: IPixelDrawrRect[];
+
+    // The MapScreener's left and top during the last dirty refill.
+    private scrollLeft: number;
+    private scrollTop: number;
+
+    // Whether the next dirty refill must redraw everything.
+    private doFullRefill: boolean;
+
     /**
      * Resets the PixelDrawr.
      * 
@@ -228,10 +325,19 @@ class PixelDrawr {
         this.keyOffsetX = settings.keyOffsetX;
         this.keyOffsetY = settings.keyOffsetY;
 
+        this.dirtyRefill = settings.dirtyRefill;
+        this.dirtyAreaThreshold = typeof settings.dirtyAreaThreshold === "undefined"
+            ? .5
+            : settings.dirtyAreaThreshold;
+        this.FPSAnalyzer = settings.FPSAnalyzer;
+        this.drawnThings = [];
+        this.dirtyRects = [];
+
         this.generateObjectKey = settings.generateObjectKey || function (thing: IThing): string {
             return thing.toString();
         };
 
+        this.backgroundLayers = [];
         this.resetBackground();
     }
 
@@ -283,6 +389,14 @@ class PixelDrawr {
         return this.backgroundContext;
     }
 
+    /**
+     * @return {IPixelDrawrBackgroundLayer[]} The layers drawn over the 
+     *                                        background.
+     */
+    getBackgroundLayers(): IPixelDrawrBackgroundLayer[] {
+        return this.backgroundLayers;
+    }
+
     /**
      * @return {Boolean} Whether refills should skip redrawing the background 
      *                   each time.
@@ -298,6 +412,29 @@ class PixelDrawr {
         return this.epsilon;
     }
 
+    /**
+     * @return {Boolean} Whether refills should only redraw dirty rectangles.
+     */
+    getDirtyRefill(): boolean {
+        return this.dirtyRefill;
+    }
+
+    /**
+     * @return {Number} How much of the screen's area may be dirty before a 
+     *                  dirty refill redraws everything.
+     */
+    getDirtyAreaThreshold(): number {
+        return this.dirtyAreaThreshold;
+    }
+
+    /**
+     * @return {FPSAnalyzr} The FPSAnalyzr recording how quickly refills are
+     *                      drawn, if one was given.
+     */
+    getFPSAnalyzer(): IPixelDrawrFPSAnalyzer {
+        return this.FPSAnalyzer;
+    }
+
 
     /* Simple sets
     */
@@ -314,6 +451,7 @@ class PixelDrawr {
      */
     setThingArrays(thingArrays: IThing[][]): void {
         this.thingArrays = thingArrays;
+        this.doFullRefill = true;
     }
 
     /**
@@ -325,6 +463,7 @@ class PixelDrawr {
     setCanvas(canvas: HTMLCanvasElement): void {
         this.canvas = canvas;
         this.context = canvas.getContext("2d");
+        this.doFullRefill = true;
     }
 
     /**
@@ -342,6 +481,31 @@ class PixelDrawr {
         this.epsilon = epsilon;
     }
 
+    /**
+     * Switches between dirty and full refills. The FPSAnalyzer, if there is
+     * one, is reset so the two modes' refill times aren't mixed together.
+     * 
+     * @param {Boolean} dirtyRefill   Whether refills should now only redraw
+     *                                dirty rectangles.
+     */
+    setDirtyRefill(dirtyRefill: boolean): void {
+        this.dirtyRefill = dirtyRefill;
+        this.doFullRefill = true;
+
+        if (this.FPSAnalyzer) {
+            this.FPSAnalyzer.reset();
+        }
+    }
+
+    /**
+     * @param {Number} dirtyAreaThreshold   How much of the screen's area may 
+     *                                      now be dirty before a dirty refill
+     *                                      redraws everything, in [0, 1].
+     */
+    setDirtyAreaThreshold(dirtyAreaThreshold: number): void {
+        this.dirtyAreaThreshold = dirtyAreaThreshold;
+    }
+
 
     /* Background manipulations
     */
@@ -353,6 +517,7 @@ class PixelDrawr {
     resetBackground(): void {
         this.backgroundCanvas = this.createCanvas(this.MapScreener[this.keyWidth], this.MapScreener[this.keyHeight]);
         this.backgroundContext = this.backgroundCanvas.getContext("2d");
+        this.doFullRefill = true;
     }
 
     /**
@@ -363,13 +528,161 @@ class PixelDrawr {
     setBackground(fillStyle: any): void {
         this.backgroundContext.fillStyle = fillStyle;
         this.backgroundContext.fillRect(0, 0, this.MapScreener[this.keyWidth], this.MapScreener[this.keyHeight]);
+        this.doFullRefill = true;
     }
 
     /**
-     * Draws the background canvas onto the main canvas' context.
+     * Sets the layers drawn over the background, rendering each one's canvas.
+     * They're drawn in order, so the first layer is furthest back.
+     * 
+     * @param {IPixelDrawrBackgroundLayer[]} layers
+     */
+    setBackgroundLayers(layers: IPixelDrawrBackgroundLayer[]): void {
+        var i: number;
+
+        for (i = 0; i < layers.length; i += 1) {
+            switch (layers[i].type) {
+                case "solid":
+                    break;
+                case "gradient":
+                    this.renderBackgroundGradient(layers[i]);
+                    break;
+                case "sprite":
+                case "scenery":
+                    this.renderBackgroundThings(layers[i]);
+                    break;
+                default:
+                    throw new Error("Unknown background layer type: '" + layers[i].type + "'.");
+            }
+        }
+
+        this.backgroundLayers = layers;
+        this.doFullRefill = true;
+    }
+
+    /**
+     * Draws the background canvas onto the main canvas' context, followed by
+     * the background layers.
      */
     drawBackground(): void {
         this.context.drawImage(this.backgroundCanvas, 0, 0);
+        this.drawBackgroundLayers();
+    }
+
+    /**
+     * Draws each background layer onto the main canvas' context, scrolled by
+     * its share of the MapScreener's scroll offset. Sprite and scenery layers
+     * repeat horizontally to fill the screen.
+     */
+    private drawBackgroundLayers(): void {
+        var screenWidth: number = this.MapScreener[this.keyWidth],
+            layer: IPixelDrawrBackgroundLayer,
+            scroll: number,
+            left: number,
+            top: number,
+            i: number;
+
+        for (i = 0; i < this.backgroundLayers.length; i += 1) {
+            layer = this.backgroundLayers[i];
+            scroll = layer.scroll || 0;
+            top = -Math.round(this.MapScreener[this.keyTop] * scroll);
+
+            switch (layer.type) {
+                case "solid":
+                    this.context.fillStyle = layer.color;
+                    this.context.fillRect(0, 0, screenWidth, this.MapScreener[this.keyHeight]);
+                    break;
+
+                case "gradient":
+                    this.context.drawImage(layer.canvas, 0, top);
+                    break;
+
+                default:
+                    if (!layer.width) {
+                        break;
+                    }
+
+                    left = -(Math.round(this.MapScreener[this.keyLeft] * scroll) % layer.width);
+                    if (left > 0) {
+                        left -= layer.width;
+                    }
+
+                    for (; left < screenWidth; left += layer.width) {
+                        this.context.drawImage(layer.canvas, left, top);
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Renders a gradient layer's canvas as a vertical gradient the size of the
+     * MapScreener.
+     * 
+     * @param {IPixelDrawrBackgroundLayer} layer
+     */
+    private renderBackgroundGradient(layer: IPixelDrawrBackgroundLayer): void {
+        var width: number = this.MapScreener[this.keyWidth],
+            height: number = this.MapScreener[this.keyHeight],
+            context: CanvasRenderingContext2D,
+            gradient: CanvasGradient,
+            i: string;
+
+        layer.canvas = this.createCanvas(width, height);
+        context = layer.canvas.getContext("2d");
+        gradient = context.createLinearGradient(0, 0, 0, height);
+
+        for (i in layer.colors) {
+            if (layer.colors.hasOwnProperty(i)) {
+                gradient.addColorStop(Number(i), layer.colors[i]);
+            }
+        }
+
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, width, height);
+    }
+
+    /**
+     * Renders a sprite or scenery layer's canvas by drawing each of its Things
+     * at their left and top. The layer's width defaults to the furthest right
+     * of its Things.
+     * 
+     * @param {IPixelDrawrBackgroundLayer} layer
+     */
+    private renderBackgroundThings(layer: IPixelDrawrBackgroundLayer): void {
+        var context: CanvasRenderingContext2D,
+            thing: IThing,
+            i: number;
+
+        if (!layer.width) {
+            layer.width = 0;
+
+            for (i = 0; i < layer.things.length; i += 1) {
+                layer.width = Math.max(layer.width, Math.ceil(layer.things[i][this.keyRight]));
+            }
+        }
+
+        if (!layer.width) {
+            return;
+        }
+
+        layer.canvas = this.createCanvas(layer.width, this.MapScreener[this.keyHeight]);
+        context = layer.canvas.getContext("2d");
+
+        for (i = 0; i < layer.things.length; i += 1) {
+            thing = layer.things[i];
+            this.setThingSprite(thing);
+
+            if (thing.hidden || typeof thing.numSprites === "undefined") {
+                continue;
+            }
+
+            if (thing.canvas[this.keyWidth] > 0) {
+                this.drawThingOnContextSingle(context, thing.canvas, thing, thing[this.keyLeft], thing[this.keyTop]);
+            } else {
+                this.drawThingOnContextMultiple(context, thing.canvases, thing, thing[this.keyLeft], thing[this.keyTop]);
+            }
+        }
     }
 
 
@@ -491,11 +804,88 @@ class PixelDrawr {
      * are made to call this.refillThingArray in order.
      */
     refillGlobalCanvas(): void {
+        var timestamp: number;
+
+        this.framesDrawn += 1;
+        if (this.framesDrawn % this.framerateSkip !== 0) {
+            return;
+        }
+
+        if (this.FPSAnalyzer) {
+            timestamp = this.FPSAnalyzer.getTimestamp();
+        }
+
+        this.refillAllThings();
+
+        if (this.FPSAnalyzer) {
+            this.measureRefill(timestamp);
+        }
+    }
+
+    /**
+     * Called every upkeep to refill only the parts of the main canvas that 
+     * have changed since the last refill. Dirty rectangles come from changed 
+     * Quadrants (see QuadsKeepr) and from Things that are marked as changed,
+     * have been shown or hidden, or have been removed. The whole canvas is 
+     * refilled instead if the screen has scrolled, or if the dirty rectangles
+     * cover more than dirtyAreaThreshold of the screen.
+     * 
+     * @param {QuadrantRow[]} [quadrantRows]   QuadrantRows whose changed 
+     *                                         Quadrants should be redrawn.
+     */
+    refillDirtyCanvas(quadrantRows?: IQuadrantRow[]): void {
+        var screenWidth: number = this.MapScreener[this.keyWidth],
+            screenHeight: number = this.MapScreener[this.keyHeight],
+            scrolled: boolean,
+            timestamp: number,
+            i: number;
+
         this.framesDrawn += 1;
         if (this.framesDrawn % this.framerateSkip !== 0) {
             return;
         }
 
+        if (this.FPSAnalyzer) {
+            timestamp = this.FPSAnalyzer.getTimestamp();
+        }
+
+        scrolled = this.MapScreener[this.keyLeft] !== this.scrollLeft
+            || this.MapScreener[this.keyTop] !== this.scrollTop;
+        this.scrollLeft = this.MapScreener[this.keyLeft];
+        this.scrollTop = this.MapScreener[this.keyTop];
+
+        this.dirtyRects.length = 0;
+
+        if (quadrantRows) {
+            for (i = 0; i < quadrantRows.length; i += 1) {
+                this.markQuadrantsDirty(quadrantRows[i].quadrants);
+            }
+        }
+
+        this.markThingsDirty();
+
+        if (
+            scrolled
+            || this.doFullRefill
+            || this.getDirtyArea() > screenWidth * screenHeight * this.dirtyAreaThreshold
+            ) {
+            this.refillAllThings();
+            this.doFullRefill = false;
+        } else {
+            for (i = 0; i < this.dirtyRects.length; i += 1) {
+                this.refillDirtyRect(this.dirtyRects[i]);
+            }
+        }
+
+        if (this.FPSAnalyzer) {
+            this.measureRefill(timestamp);
+        }
+    }
+
+    /**
+     * Redraws the background and every Thing in the thingArrays.
+     */
+    private refillAllThings(): void {
         if (!this.noRefill) {
             this.drawBackground();
         }
@@ -602,7 +992,8 @@ class PixelDrawr {
 
     /**
      * General Function to draw a Thing onto a context. This will call
-     * drawThingOnContext[Single/Multiple] with more arguments
+     * drawThingOnContext[Single/Multiple] with more arguments. Once drawn, the
+     * Thing is no longer marked as changed.
      * 
      * @param {CanvasRenderingContext2D} context   The context to have the Thing
      *                                             drawn on it.
@@ -635,6 +1026,8 @@ class PixelDrawr {
         } else {
             this.drawThingOnContextMultiple(context, thing.canvases, thing, this.getLeft(thing), this.getTop(thing));
         }
+
+        thing.changed = false;
     }
 
     /**
@@ -879,9 +1272,218 @@ class PixelDrawr {
     }
 
 
+    /* Dirty rectangles
+    */
+
+    /**
+     * Adds a dirty rectangle for each changed Quadrant that's on screen, and
+     * marks all the Quadrants as no longer changed.
+     * 
+     * @param {Quadrant[]} quadrants
+     */
+    private markQuadrantsDirty(quadrants: IQuadrant[]): void {
+        var quadrant: IQuadrant,
+            i: number;
+
+        for (i = 0; i < quadrants.length; i += 1) {
+            quadrant = quadrants[i];
+
+            if (quadrant.changed) {
+                this.addDirtyRect(
+                    quadrant[this.keyLeft],
+                    quadrant[this.keyTop],
+                    quadrant[this.keyRight],
+                    quadrant[this.keyBottom]);
+                quadrant.changed = false;
+            }
+        }
+    }
+
+    /**
+     * Adds dirty rectangles for both the old and new areas of each Thing in 
+     * the thingArrays that's marked as changed or has been shown or hidden.
+     * Things drawn last time that are no longer in the thingArrays have their
+     * old areas marked dirty as well. Each Thing's area is kept in its .drawn
+     * for the next refill.
+     */
+    private markThingsDirty(): void {
+        var drawnThings: IThing[] = [],
+            thing: IThing,
+            drawn: IPixelDrawrDrawn,
+            visible: boolean,
+            dirty: boolean,
+            i: number,
+            j: number;
+
+        for (i = 0; i < this.thingArrays.length; i += 1) {
+            for (j = 0; j < this.thingArrays[i].length; j += 1) {
+                thing = this.thingArrays[i][j];
+                drawn = thing.drawn;
+                visible = this.isThingVisible(thing);
+
+                if (!drawn) {
+                    drawn = thing.drawn = <IPixelDrawrDrawn>{
+                        "visible": false
+                    };
+                }
+
+                dirty = drawn.visible !== visible || (visible && thing.changed);
+
+                if (dirty && drawn.visible) {
+                    this.addDirtyRect(drawn.left, drawn.top, drawn.right, drawn.bottom);
+                }
+
+                drawn.visible = visible;
+                drawn.left = this.getLeft(thing);
+                drawn.top = this.getTop(thing);
+                drawn.right = this.getRight(thing);
+                drawn.bottom = this.getBottom(thing);
+
+                if (dirty && visible) {
+                    this.addDirtyRect(drawn.left, drawn.top, drawn.right, drawn.bottom);
+                }
+
+                drawn.frame = this.framesDrawn;
+                drawnThings.push(thing);
+            }
+        }
+
+        for (i = 0; i < this.drawnThings.length; i += 1) {
+            drawn = this.drawnThings[i].drawn;
+
+            if (drawn.frame !== this.framesDrawn && drawn.visible) {
+                this.addDirtyRect(drawn.left, drawn.top, drawn.right, drawn.bottom);
+                drawn.visible = false;
+            }
+        }
+
+        this.drawnThings = drawnThings;
+    }
+
+    /**
+     * Adds a dirty rectangle, clipped to the screen and expanded to whole
+     * pixels. Rectangles entirely off screen are ignored.
+     * 
+     * @param {Number} left
+     * @param {Number} top
+     * @param {Number} right
+     * @param {Number} bottom
+     */
+    private addDirtyRect(left: number, top: number, right: number, bottom: number): void {
+        left = Math.max(0, Math.floor(left));
+        top = Math.max(0, Math.floor(top));
+        right = Math.min(this.MapScreener[this.keyWidth], Math.ceil(right));
+        bottom = Math.min(this.MapScreener[this.keyHeight], Math.ceil(bottom));
+
+        if (left >= right || top >= bottom) {
+            return;
+        }
+
+        this.dirtyRects.push({
+            "left": left,
+            "top": top,
+            "right": right,
+            "bottom": bottom
+        });
+    }
+
+    /**
+     * @return {Number} The total area of the dirty rectangles. Overlapping 
+     *                  areas are counted more than once.
+     */
+    private getDirtyArea(): number {
+        var area: number = 0,
+            rect: IPixelDrawrRect,
+            i: number;
+
+        for (i = 0; i < this.dirtyRects.length; i += 1) {
+            rect = this.dirtyRects[i];
+            area += (rect.right - rect.left) * (rect.bottom - rect.top);
+        }
+
+        return area;
+    }
+
+    /**
+     * Redraws one dirty rectangle of the main canvas: the background is drawn
+     * over it, then each visible Thing overlapping it, clipped to the area.
+     * 
+     * @param {IPixelDrawrRect} rect
+     */
+    private refillDirtyRect(rect: IPixelDrawrRect): void {
+        var width: number = rect.right - rect.left,
+            height: number = rect.bottom - rect.top,
+            thing: IThing,
+            drawn: IPixelDrawrDrawn,
+            i: number,
+            j: number;
+
+        this.context.save();
+        this.context.beginPath();
+        this.context.rect(rect.left, rect.top, width, height);
+        this.context.clip();
+
+        if (!this.noRefill) {
+            this.context.drawImage(
+                this.backgroundCanvas,
+                rect.left, rect.top, width, height,
+                rect.left, rect.top, width, height);
+            this.drawBackgroundLayers();
+        }
+
+        for (i = 0; i < this.thingArrays.length; i += 1) {
+            for (j = 0; j < this.thingArrays[i].length; j += 1) {
+                thing = this.thingArrays[i][j];
+                drawn = thing.drawn;
+
+                if (
+                    drawn.visible
+                    && drawn.left < rect.right
+                    && drawn.right > rect.left
+                    && drawn.top < rect.bottom
+                    && drawn.bottom > rect.top
+                    ) {
+                    this.drawThingOnContext(this.context, thing);
+                }
+            }
+        }
+
+        this.context.restore();
+    }
+
+    /**
+     * Records how quickly a refill was drawn in the FPSAnalyzer. Refills that
+     * take less than the timestamps' precision are recorded as Infinity FPS,
+     * which the FPSAnalyzer's getDifferences turns back into 0ms.
+     * 
+     * @param {Number} timestamp   When the refill started.
+     */
+    private measureRefill(timestamp: number): void {
+        this.FPSAnalyzer.addFPS(1000 / (this.FPSAnalyzer.getTimestamp() - timestamp));
+    }
+
+
     /* Position utilities (which will almost always become very optimized)
     */
 
+    /**
+     * @param {Thing} thing
+     * @return {Boolean} Whether the Thing would be drawn by drawThingOnContext,
+     *                   as in it's not hidden, transparent, or off screen.
+     */
+    private isThingVisible(thing: IThing): boolean {
+        return !(
+            thing.hidden
+            || thing.opacity < this.epsilon
+            || thing[this.keyHeight] < 1
+            || thing[this.keyWidth] < 1
+            || this.getTop(thing) > this.MapScreener[this.keyHeight]
+            || this.getRight(thing) < 0
+            || this.getBottom(thing) < 0
+            || this.getLeft(thing) > this.MapScreener[this.keyWidth]
+            );
+    }
+
     /**
      * @param {Thing} thing
      * @return {Number} The Thing's top position, accounting for vertical
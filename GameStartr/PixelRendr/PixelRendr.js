@@ -414,34 +414,6 @@ var PixelRendr = (function () {
         this.spriteWidth = settings.spriteWidth || "spriteWidth";
         this.spriteHeight = settings.spriteHeight || "spriteHeight";
         this.Uint8ClampedArray = (settings.Uint8ClampedArray || window.Uint8ClampedArray || window.Uint8Array);
-        // The first ChangeLinr does the raw processing of Strings to sprites
-        // This is used to load & parse sprites into memory on startup
-        this.ProcessorBase = new ChangeLinr({
-            "transforms": {
-                "spriteUnravel": this.spriteUnravel.bind(this),
-                "spriteApplyFilter": this.spriteApplyFilter.bind(this),
-                "spriteExpand": this.spriteExpand.bind(this),
-                "spriteGetArray": this.spriteGetArray.bind(this)
-            },
-            "pipeline": [
-                "spriteUnravel",
-                "spriteApplyFilter",
-                "spriteExpand",
-                "spriteGetArray"
-            ]
-        });
-        // The second ChangeLinr does row repeating and flipping
-        // This is done on demand when given a sprite's settings Object
-        this.ProcessorDims = new ChangeLinr({
-            "transforms": {
-                "spriteRepeatRows": this.spriteRepeatRows.bind(this),
-                "spriteFlipDimensions": this.spriteFlipDimensions.bind(this)
-            },
-            "pipeline": [
-                "spriteRepeatRows",
-                "spriteFlipDimensions"
-            ]
-        });
         // As a utility, a processor is included to encode image data to sprites
         this.ProcessorEncode = new ChangeLinr({
             "transforms": {
@@ -458,14 +430,7 @@ var PixelRendr = (function () {
             ],
             "doUseCache": false
         });
-        this.library.sprites = this.libraryParse(this.library.raws, "");
-        // Post commands are evaluated after the first processing run
-        this.libraryPosts();
-        // The BaseFiler provides a searchable 'view' on the library of sprites
-        this.BaseFiler = new StringFilr({
-            "library": this.library.sprites,
-            "normal": "normal" // to do: put this somewhere more official?
-        });
+        this.resetLibrary();
     }
     /* Simple gets
     */
@@ -502,6 +467,12 @@ var PixelRendr = (function () {
     PixelRendr.prototype.getProcessorEncode = function () {
         return this.ProcessorEncode;
     };
+    /**
+     * @return {Array[]} The palette of colors sprites are encoded against.
+     */
+    PixelRendr.prototype.getPaletteDefault = function () {
+        return this.paletteDefault;
+    };
     /**
      * @param {String} key
      * @return {Mixed} Returns the base sprite for a key. This will either be a
@@ -546,6 +517,22 @@ var PixelRendr = (function () {
         }
         return sprite;
     };
+    /**
+     * Replaces the palette of colors used for sprites, such as to switch to
+     * a different color theme. The library is parsed again with the new
+     * palette, so no previously rendered or cached sprites are kept. Since
+     * sprites refer to palette colors by index, the new palette must have as
+     * many colors as the old one.
+     *
+     * @param {Array[]} palette   The new palette, as Number[4]s of rgba values.
+     */
+    PixelRendr.prototype.setPalette = function (palette) {
+        if (!palette || palette.length !== this.paletteDefault.length) {
+            throw new Error("Palettes must have " + this.paletteDefault.length + " colors to replace paletteDefault.");
+        }
+        this.paletteDefault = palette;
+        this.resetLibrary();
+    };
     /**
      * Encodes an image into a sprite via ProcessorEncode.process.
      *
@@ -577,6 +564,40 @@ var PixelRendr = (function () {
         image.onload = this.encode.bind(self, image, callback);
         image.src = uri;
     };
+    /**
+     * Encodes raw pixel data into a sprite, as with encode but skipping the
+     * step of drawing an image onto a canvas. This is useful for pieces of
+     * images, such as frames cut out of a sprite sheet.
+     *
+     * @param {Uint8ClampedArray} data   The equivalent data from a context's
+     *                                   getImageData(...).data.
+     * @return {String}
+     */
+    PixelRendr.prototype.encodeData = function (data) {
+        return this.imageCombinePixels(this.imageMapPalette(this.imageGetPixels(data)));
+    };
+    /**
+     * Finds which rgba value in a palette is closest to a given value. This is
+     * useful for determining which color in a pre-existing palette matches up
+     * with a raw image's pixel. This is determined by which palette color has
+     * the lowest total difference in integer values between r, g, b, and a.
+     *
+     * @param {Array} palette   The palette of pre-existing colors.
+     * @param {Array} rgba   The RGBA values being assigned a color, as Numbers
+     *                       in [0, 255].
+     * @return {Number} The closest matching color index.
+     */
+    PixelRendr.prototype.getClosestInPalette = function (palette, rgba) {
+        var bestDifference = Infinity, difference, bestIndex, i;
+        for (i = palette.length - 1; i >= 0; i -= 1) {
+            difference = this.arrayDifference(palette[i], rgba);
+            if (difference < bestDifference) {
+                bestDifference = difference;
+                bestIndex = i;
+            }
+        }
+        return bestIndex;
+    };
     /**
      * Miscellaneous utility to generate a complete palette from raw image pixel
      * data. Unique [r,g,b,a] values are found using tree-based caching, and
@@ -656,6 +677,29 @@ var PixelRendr = (function () {
         }
         return output;
     };
+    /**
+     * Renders every sprite in the library onto one packed atlas, at one pixel
+     * per sprite pixel. Posts such as "same", "filter", and "multiple" are
+     * already evaluated in the library, so each resulting sprite is included
+     * under its own key (sections of "multiple" sprites are keyed as their
+     * sprite's key plus the section name). Sprites don't store their own
+     * dimensions, so getDimensions is asked for each; any without valid
+     * dimensions are left out and listed as skipped.
+     *
+     * @param {Function} getDimensions   Given a sprite's key, how many pixels
+     *                                   it has, and its direction if it's a
+     *                                   section of a "multiple" sprite, this
+     *                                   returns the sprite's [width, height].
+     * @param {Number} [padding]   How many transparent pixels to leave around
+     *                             each sprite (by default, 1).
+     * @return {IPixelRendrAtlas}
+     */
+    PixelRendr.prototype.getAtlas = function (getDimensions, padding) {
+        if (padding === void 0) { padding = 1; }
+        var frames = [], skipped = [];
+        this.atlasCollectFrames(this.library.sprites, "", getDimensions, frames, skipped);
+        return this.atlasPackFrames(frames, skipped, padding);
+    };
     /**
      * Copies a stretch of members from one Uint8ClampedArray or number[] to
      * another. This is a useful utility Function for code that may use this
@@ -690,6 +734,50 @@ var PixelRendr = (function () {
     };
     /* Library parsing
      */
+    /**
+     * Creates the base and dimensions processors, then parses the raw library
+     * into sprites with them. This is done on construction and whenever the
+     * palette changes, as the processors cache sprites made with the palette.
+     */
+    PixelRendr.prototype.resetLibrary = function () {
+        // The first ChangeLinr does the raw processing of Strings to sprites
+        // This is used to load & parse sprites into memory on startup
+        this.ProcessorBase = new ChangeLinr({
+            "transforms": {
+                "spriteUnravel": this.spriteUnravel.bind(this),
+                "spriteApplyFilter": this.spriteApplyFilter.bind(this),
+                "spriteExpand": this.spriteExpand.bind(this),
+                "spriteGetArray": this.spriteGetArray.bind(this)
+            },
+            "pipeline": [
+                "spriteUnravel",
+                "spriteApplyFilter",
+                "spriteExpand",
+                "spriteGetArray"
+            ]
+        });
+        // The second ChangeLinr does row repeating and flipping
+        // This is done on demand when given a sprite's settings Object
+        this.ProcessorDims = new ChangeLinr({
+            "transforms": {
+                "spriteRepeatRows": this.spriteRepeatRows.bind(this),
+                "spriteFlipDimensions": this.spriteFlipDimensions.bind(this)
+            },
+            "pipeline": [
+                "spriteRepeatRows",
+                "spriteFlipDimensions"
+            ]
+        });
+        this.library.posts = [];
+        this.library.sprites = this.libraryParse(this.library.raws, "");
+        // Post commands are evaluated after the first processing run
+        this.libraryPosts();
+        // The BaseFiler provides a searchable 'view' on the library of sprites
+        this.BaseFiler = new StringFilr({
+            "library": this.library.sprites,
+            "normal": "normal" // to do: put this somewhere more official?
+        });
+    };
     /**
      * Recursive Function to go throw a library and parse it. A copy of the
      * structure is made where each result is either a parsed sprite, a
@@ -1151,7 +1239,7 @@ var PixelRendr = (function () {
      */
     PixelRendr.prototype.imageCombinePixels = function (information) {
         var palette = information[0], numbers = information[1], digitsize = information[2], threshold = Math.max(3, Math.round(4 / digitsize)), output, current, digit, i = 0, j;
-        output = "p[" + palette.map(this.makeSizedDigit.bind(undefined, digitsize)).join(",") + "]";
+        output = "p[" + palette.map(this.makeSizedDigit.bind(this, digitsize)).join(",") + "]";
         while (i < numbers.length) {
             j = i + 1;
             current = numbers[i];
@@ -1172,6 +1260,136 @@ var PixelRendr = (function () {
         }
         return output;
     };
+    /* Atlas exporting
+    */
+    /**
+     * Recursively finds the sprites in a library and adds them as frames for
+     * an atlas.
+     *
+     * @param {Object} library   The parsed library (or part of one) to search.
+     * @param {String} path   The key of the current place within the library.
+     * @param {Function} getDimensions   Determines each sprite's dimensions.
+     * @param {Object[]} frames   Frames found so far.
+     * @param {String[]} skipped   Keys of sprites skipped so far.
+     */
+    PixelRendr.prototype.atlasCollectFrames = function (library, path, getDimensions, frames, skipped) {
+        var sprite, key, i, j;
+        for (i in library) {
+            if (!library.hasOwnProperty(i)) {
+                continue;
+            }
+            sprite = library[i];
+            key = path ? path + " " + i : i;
+            if (!sprite) {
+                skipped.push(key);
+            }
+            else if (sprite instanceof this.Uint8ClampedArray) {
+                this.atlasAddFrame(sprite, key, false, undefined, getDimensions, frames, skipped);
+            }
+            else if (sprite.multiple) {
+                for (j in sprite.sprites) {
+                    if (sprite.sprites.hasOwnProperty(j)) {
+                        this.atlasAddFrame(sprite.sprites[j], key + " " + j, sprite.processed, sprite.direction, getDimensions, frames, skipped);
+                    }
+                }
+            }
+            else {
+                this.atlasCollectFrames(sprite, key, getDimensions, frames, skipped);
+            }
+        }
+    };
+    /**
+     * Adds a sprite as a frame for an atlas, undoing the scaling done to it by
+     * the base processor (and the dimensions processor, if it was processed as
+     * part of a "multiple" sprite).
+     *
+     * @param {Uint8ClampedArray} sprite
+     * @param {String} key
+     * @param {Boolean} processed   Whether the dimensions processor has also
+     *                              been run on the sprite.
+     * @param {String} direction   The direction of the sprite's "multiple"
+     *                             sprite, if it's in one.
+     * @param {Function} getDimensions   Determines the sprite's dimensions.
+     * @param {Object[]} frames   Frames found so far.
+     * @param {String[]} skipped   Keys of sprites skipped so far.
+     */
+    PixelRendr.prototype.atlasAddFrame = function (sprite, key, processed, direction, getDimensions, frames, skipped) {
+        var rowstep = processed ? this.scale : 1, pixels = sprite.length / 4 / this.scale / rowstep, dimensions = getDimensions(key, pixels, direction), width, height, data, i, j;
+        if (!dimensions || dimensions[0] * dimensions[1] !== pixels || dimensions[0] % 1 !== 0 || dimensions[1] % 1 !== 0) {
+            skipped.push(key);
+            return;
+        }
+        width = dimensions[0];
+        height = dimensions[1];
+        data = new this.Uint8ClampedArray(pixels * 4);
+        for (i = 0; i < height; i += 1) {
+            for (j = 0; j < width; j += 1) {
+                this.memcpyU8(sprite, data, (i * rowstep * width + j) * this.scale * 4, (i * width + j) * 4, 4);
+            }
+        }
+        frames.push({
+            "key": key,
+            "width": width,
+            "height": height,
+            "data": data,
+            "multiple": direction
+        });
+    };
+    /**
+     * Packs frames into rows ("shelves") of an atlas, tallest first, with the
+     * atlas kept roughly square.
+     *
+     * @param {Object[]} frames
+     * @param {String[]} skipped
+     * @param {Number} padding
+     * @return {IPixelRendrAtlas}
+     */
+    PixelRendr.prototype.atlasPackFrames = function (frames, skipped, padding) {
+        var output, area = 0, width = 0, left = padding, top = padding, shelf = 0, positions = [], frame, i, j;
+        frames.sort(function (a, b) {
+            return (b.height - a.height) || (a.key < b.key ? -1 : 1);
+        });
+        for (i = 0; i < frames.length; i += 1) {
+            area += (frames[i].width + padding) * (frames[i].height + padding);
+            width = Math.max(width, frames[i].width + padding * 2);
+        }
+        width = Math.max(width, Math.ceil(Math.sqrt(area)) + padding);
+        for (i = 0; i < frames.length; i += 1) {
+            frame = frames[i];
+            if (left + frame.width + padding > width) {
+                left = padding;
+                top += shelf + padding;
+                shelf = 0;
+            }
+            positions.push([left, top]);
+            left += frame.width + padding;
+            shelf = Math.max(shelf, frame.height);
+        }
+        output = {
+            "width": width,
+            "height": top + shelf + padding,
+            "data": undefined,
+            "frames": {},
+            "skipped": skipped
+        };
+        output.data = new this.Uint8ClampedArray(output.width * output.height * 4);
+        for (i = 0; i < frames.length; i += 1) {
+            frame = frames[i];
+            for (j = 0; j < frame.height; j += 1) {
+                this.memcpyU8(frame.data, output.data, j * frame.width * 4, ((positions[i][1] + j) * output.width + positions[i][0]) * 4, frame.width * 4);
+            }
+            output.frames[frame.key] = {
+                "x": positions[i][0],
+                "y": positions[i][1],
+                "width": frame.width,
+                "height": frame.height
+            };
+            if (frame.multiple) {
+                output.frames[frame.key].multiple = frame.multiple;
+            }
+        }
+        return output;
+    };
     /* Misc. utility functions
     */
     /**
@@ -1213,28 +1431,6 @@ var PixelRendr = (function () {
         }
         return output;
     };
-    /**
-     * Finds which rgba value in a palette is closest to a given value. This is
-     * useful for determining which color in a pre-existing palette matches up
-     * with a raw image's pixel. This is determined by which palette color has
-     * the lowest total difference in integer values between r, g, b, and a.
-     *
-     * @param {Array} palette   The palette of pre-existing colors.
-     * @param {Array} rgba   The RGBA values being assigned a color, as Numbers
-     *                       in [0, 255].
-     * @return {Number} The closest matching color index.
-     */
-    PixelRendr.prototype.getClosestInPalette = function (palette, rgba) {
-        var bestDifference = Infinity, difference, bestIndex, i;
-        for (i = palette.length - 1; i >= 0; i -= 1) {
-            difference = this.arrayDifference(palette[i], rgba);
-            if (difference < bestDifference) {
-                bestDifference = difference;
-                bestIndex = i;
-            }
-        }
-        return bestIndex;
-    };
     /**
      * Creates a new String equivalent to an old String repeated any number of
      * times. If times is 0, a blank String is returned.
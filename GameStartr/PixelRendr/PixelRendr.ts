@@ -18,6 +18,64 @@ interface ISpriteMultiple {
     middleStretch: boolean;
 }
 
+interface IPixelRendrAtlasDimensions {
+    (key: string, pixels: number, direction?: string): number[];
+}
+
+interface IPixelRendrAtlasFrame {
+    /**
+     * How far from the left of the atlas the frame starts.
+     */
+    x: number;
+
+    /**
+     * How far from the top of the atlas the frame starts.
+     */
+    y: number;
+
+    /**
+     * How many pixels wide the frame is.
+     */
+    width: number;
+
+    /**
+     * How many pixels tall the frame is.
+     */
+    height: number;
+
+    /**
+     * For sections of "multiple" sprites, the direction of the sprite.
+     */
+    multiple?: string;
+}
+
+interface IPixelRendrAtlas {
+    /**
+     * How many pixels wide the atlas is.
+     */
+    width: number;
+
+    /**
+     * How many pixels tall the atlas is.
+     */
+    height: number;
+
+    /**
+     * The atlas' RGBA pixel data, as with a context's getImageData().data.
+     */
+    data: Uint8ClampedArray;
+
+    /**
+     * Where each sprite is in the atlas, keyed by its path in the library.
+     */
+    frames: { [i: string]: IPixelRendrAtlasFrame };
+
+    /**
+     * Keys of sprites that couldn't be given dimensions, and so were left out.
+     */
+    skipped: string[];
+}
+
 interface IPixelRendrSettings {
     /**
      * The palette of colors to use for sprites. This should be a number[][]
@@ -181,36 +239,6 @@ class PixelRendr {
             || (<any>window).Uint8Array
             );
 
-        // The first ChangeLinr does the raw processing of Strings to sprites
-        // This is used to load & parse sprites into memory on startup
-        this.ProcessorBase = new ChangeLinr({
-            "transforms": {
-                "spriteUnravel": this.spriteUnravel.bind(this),
-                "spriteApplyFilter": this.spriteApplyFilter.bind(this),
-                "spriteExpand": this.spriteExpand.bind(this),
-                "spriteGetArray": this.spriteGetArray.bind(this)
-            },
-            "pipeline": [
-                "spriteUnravel",
-                "spriteApplyFilter",
-                "spriteExpand",
-                "spriteGetArray"
-            ]
-        });
-
-        // The second ChangeLinr does row repeating and flipping
-        // This is done on demand when given a sprite's settings Object
-        this.ProcessorDims = new ChangeLinr({
-            "transforms": {
-                "spriteRepeatRows": this.spriteRepeatRows.bind(this),
-                "spriteFlipDimensions": this.spriteFlipDimensions.bind(this)
-            },
-            "pipeline": [
-                "spriteRepeatRows",
-                "spriteFlipDimensions"
-            ]
-        });
-
         // As a utility, a processor is included to encode image data to sprites
         this.ProcessorEncode = new ChangeLinr({
             "transforms": {
@@ -228,16 +256,7 @@ class PixelRendr {
             "doUseCache": false
         });
 
-        this.library.sprites = this.libraryParse(this.library.raws, "");
-
-        // Post commands are evaluated after the first processing run
-        this.libraryPosts();
-
-        // The BaseFiler provides a searchable 'view' on the library of sprites
-        this.BaseFiler = new StringFilr({
-            "library": this.library.sprites,
-            "normal": "normal" // to do: put this somewhere more official?
-        });
+        this.resetLibrary();
     }
 
 
@@ -282,6 +301,13 @@ class PixelRendr {
         return this.ProcessorEncode;
     }
 
+    /**
+     * @return {Array[]} The palette of colors sprites are encoded against.
+     */
+    getPaletteDefault(): number[][] {
+        return this.paletteDefault;
+    }
+
     /**
      * @param {String} key
      * @return {Mixed} Returns the base sprite for a key. This will either be a
@@ -332,6 +358,24 @@ class PixelRendr {
         return sprite;
     }
 
+    /**
+     * Replaces the palette of colors used for sprites, such as to switch to
+     * a different color theme. The library is parsed again with the new
+     * palette, so no previously rendered or cached sprites are kept. Since
+     * sprites refer to palette colors by index, the new palette must have as
+     * many colors as the old one.
+     * 
+     * @param {Array[]} palette   The new palette, as Number[4]s of rgba values.
+     */
+    setPalette(palette: number[][]): void {
+        if (!palette || palette.length !== this.paletteDefault.length) {
+            throw new Error("Palettes must have " + this.paletteDefault.length + " colors to replace paletteDefault.");
+        }
+
+        this.paletteDefault = palette;
+        this.resetLibrary();
+    }
+
     /**
      * Encodes an image into a sprite via ProcessorEncode.process.
      * 
@@ -367,6 +411,47 @@ class PixelRendr {
         image.src = uri;
     }
 
+    /**
+     * Encodes raw pixel data into a sprite, as with encode but skipping the
+     * step of drawing an image onto a canvas. This is useful for pieces of
+     * images, such as frames cut out of a sprite sheet.
+     * 
+     * @param {Uint8ClampedArray} data   The equivalent data from a context's
+     *                                   getImageData(...).data.
+     * @return {String}
+     */
+    encodeData(data: Uint8ClampedArray): string {
+        return this.imageCombinePixels(this.imageMapPalette(this.imageGetPixels(data)));
+    }
+
+    /**
+     * Finds which rgba value in a palette is closest to a given value. This is
+     * useful for determining which color in a pre-existing palette matches up
+     * with a raw image's pixel. This is determined by which palette color has
+     * the lowest total difference in integer values between r, g, b, and a.
+     * 
+     * @param {Array} palette   The palette of pre-existing colors.
+     * @param {Array} rgba   The RGBA values being assigned a color, as Numbers
+     *                       in [0, 255].    
+     * @return {Number} The closest matching color index.
+     */
+    getClosestInPalette(palette: number[][], rgba: number[]| Uint8ClampedArray): number {
+        var bestDifference: number = Infinity,
+            difference: number,
+            bestIndex: number,
+            i: number;
+
+        for (i = palette.length - 1; i >= 0; i -= 1) {
+            difference = this.arrayDifference(palette[i], rgba);
+            if (difference < bestDifference) {
+                bestDifference = difference;
+                bestIndex = i;
+            }
+        }
+
+        return bestIndex;
+    }
+
     /**
      * Miscellaneous utility to generate a complete palette from raw image pixel
      * data. Unique [r,g,b,a] values are found using tree-based caching, and
@@ -470,6 +555,32 @@ class PixelRendr {
         return output;
     }
 
+    /**
+     * Renders every sprite in the library onto one packed atlas, at one pixel
+     * per sprite pixel. Posts such as "same", "filter", and "multiple" are
+     * already evaluated in the library, so each resulting sprite is included 
+     * under its own key (sections of "multiple" sprites are keyed as their
+     * sprite's key plus the section name). Sprites don't store their own
+     * dimensions, so getDimensions is asked for each; any without valid
+     * dimensions are left out and listed as skipped.
+     * 
+     * @param {Function} getDimensions   Given a sprite's key, how many pixels
+     *                                   it has, and its direction if it's a
+     *                                   section of a "multiple" sprite, this
+     *                                   returns the sprite's [width, height].
+     * @param {Number} [padding]   How many transparent pixels to leave around
+     *                             each sprite (by default, 1).
+     * @return {IPixelRendrAtlas}
+     */
+    getAtlas(getDimensions: IPixelRendrAtlasDimensions, padding: number = 1): IPixelRendrAtlas {
+        var frames: any[] = [],
+            skipped: string[] = [];
+
+        this.atlasCollectFrames(this.library.sprites, "", getDimensions, frames, skipped);
+
+        return this.atlasPackFrames(frames, skipped, padding);
+    }
+
     /**
      * Copies a stretch of members from one Uint8ClampedArray or number[] to
      * another. This is a useful utility Function for code that may use this 
@@ -513,6 +624,55 @@ class PixelRendr {
     /* Library parsing
      */
 
+    /**
+     * Creates the base and dimensions processors, then parses the raw library
+     * into sprites with them. This is done on construction and whenever the
+     * palette changes, as the processors cache sprites made with the palette.
+     */
+    private resetLibrary(): void {
+        // The first ChangeLinr does the raw processing of Strings to sprites
+        // This is used to load & parse sprites into memory on startup
+        this.ProcessorBase = new ChangeLinr({
+            "transforms": {
+                "spriteUnravel": this.spriteUnravel.bind(this),
+                "spriteApplyFilter": this.spriteApplyFilter.bind(this),
+                "spriteExpand": this.spriteExpand.bind(this),
+                "spriteGetArray": this.spriteGetArray.bind(this)
+            },
+            "pipeline": [
+                "spriteUnravel",
+                "spriteApplyFilter",
+                "spriteExpand",
+                "spriteGetArray"
+            ]
+        });
+
+        // The second ChangeLinr does row repeating and flipping
+        // This is done on demand when given a sprite's settings Object
+        this.ProcessorDims = new ChangeLinr({
+            "transforms": {
+                "spriteRepeatRows": this.spriteRepeatRows.bind(this),
+                "spriteFlipDimensions": this.spriteFlipDimensions.bind(this)
+            },
+            "pipeline": [
+                "spriteRepeatRows",
+                "spriteFlipDimensions"
+            ]
+        });
+
+        this.library.posts = [];
+        this.library.sprites = this.libraryParse(this.library.raws, "");
+
+        // Post commands are evaluated after the first processing run
+        this.libraryPosts();
+
+        // The BaseFiler provides a searchable 'view' on the library of sprites
+        this.BaseFiler = new StringFilr({
+            "library": this.library.sprites,
+            "normal": "normal" // to do: put this somewhere more official?
+        });
+    }
+
     /**
      * Recursive Function to go throw a library and parse it. A copy of the
      * structure is made where each result is either a parsed sprite, a
@@ -1147,7 +1307,7 @@ class PixelRendr {
             i: number = 0,
             j: number;
 
-        output = "p[" + palette.map(this.makeSizedDigit.bind(undefined, digitsize)).join(",") + "]";
+        output = "p[" + palette.map(this.makeSizedDigit.bind(this, digitsize)).join(",") + "]";
 
         while (i < numbers.length) {
             j = i + 1;
@@ -1174,6 +1334,204 @@ class PixelRendr {
     }
 
 
+    /* Atlas exporting
+    */
+
+    /**
+     * Recursively finds the sprites in a library and adds them as frames for
+     * an atlas.
+     * 
+     * @param {Object} library   The parsed library (or part of one) to search.
+     * @param {String} path   The key of the current place within the library.
+     * @param {Function} getDimensions   Determines each sprite's dimensions.
+     * @param {Object[]} frames   Frames found so far.
+     * @param {String[]} skipped   Keys of sprites skipped so far.
+     */
+    private atlasCollectFrames(
+        library: any,
+        path: string,
+        getDimensions: IPixelRendrAtlasDimensions,
+        frames: any[],
+        skipped: string[]): void {
+        var sprite: any,
+            key: string,
+            i: string,
+            j: string;
+
+        for (i in library) {
+            if (!library.hasOwnProperty(i)) {
+                continue;
+            }
+
+            sprite = library[i];
+            key = path ? path + " " + i : i;
+
+            if (!sprite) {
+                skipped.push(key);
+            } else if (sprite instanceof this.Uint8ClampedArray) {
+                this.atlasAddFrame(sprite, key, false, undefined, getDimensions, frames, skipped);
+            } else if (sprite.multiple) {
+                for (j in sprite.sprites) {
+                    if (sprite.sprites.hasOwnProperty(j)) {
+                        this.atlasAddFrame(
+                            sprite.sprites[j],
+                            key + " " + j,
+                            sprite.processed,
+                            sprite.direction,
+                            getDimensions,
+                            frames,
+                            skipped);
+                    }
+                }
+            } else {
+                this.atlasCollectFrames(sprite, key, getDimensions, frames, skipped);
+            }
+        }
+    }
+
+    /**
+     * Adds a sprite as a frame for an atlas, undoing the scaling done to it by
+     * the base processor (and the dimensions processor, if it was processed as
+     * part of a "multiple" sprite).
+     * 
+     * @param {Uint8ClampedArray} sprite
+     * @param {String} key
+     * @param {Boolean} processed   Whether the dimensions processor has also
+     *                              been run on the sprite.
+     * @param {String} direction   The direction of the sprite's "multiple"
+     *                             sprite, if it's in one.
+     * @param {Function} getDimensions   Determines the sprite's dimensions.
+     * @param {Object[]} frames   Frames found so far.
+     * @param {String[]} skipped   Keys of sprites skipped so far.
+     */
+    private atlasAddFrame(
+        sprite: Uint8ClampedArray,
+        key: string,
+        processed: boolean,
+        direction: string,
+        getDimensions: IPixelRendrAtlasDimensions,
+        frames: any[],
+        skipped: string[]): void {
+        var rowstep: number = processed ? this.scale : 1,
+            pixels: number = sprite.length / 4 / this.scale / rowstep,
+            dimensions: number[] = getDimensions(key, pixels, direction),
+            width: number,
+            height: number,
+            data: Uint8ClampedArray,
+            i: number,
+            j: number;
+
+        if (
+            !dimensions
+            || dimensions[0] * dimensions[1] !== pixels
+            || dimensions[0] % 1 !== 0
+            || dimensions[1] % 1 !== 0) {
+            skipped.push(key);
+            return;
+        }
+
+        width = dimensions[0];
+        height = dimensions[1];
+        data = new this.Uint8ClampedArray(pixels * 4);
+
+        for (i = 0; i < height; i += 1) {
+            for (j = 0; j < width; j += 1) {
+                this.memcpyU8(sprite, data, (i * rowstep * width + j) * this.scale * 4, (i * width + j) * 4, 4);
+            }
+        }
+
+        frames.push({
+            "key": key,
+            "width": width,
+            "height": height,
+            "data": data,
+            "multiple": direction
+        });
+    }
+
+    /**
+     * Packs frames into rows ("shelves") of an atlas, tallest first, with the
+     * atlas kept roughly square.
+     * 
+     * @param {Object[]} frames
+     * @param {String[]} skipped
+     * @param {Number} padding
+     * @return {IPixelRendrAtlas}
+     */
+    private atlasPackFrames(frames: any[], skipped: string[], padding: number): IPixelRendrAtlas {
+        var output: IPixelRendrAtlas,
+            area: number = 0,
+            width: number = 0,
+            left: number = padding,
+            top: number = padding,
+            shelf: number = 0,
+            positions: number[][] = [],
+            frame: any,
+            i: number,
+            j: number;
+
+        frames.sort(function (a: any, b: any): number {
+            return (b.height - a.height) || (a.key < b.key ? -1 : 1);
+        });
+
+        for (i = 0; i < frames.length; i += 1) {
+            area += (frames[i].width + padding) * (frames[i].height + padding);
+            width = Math.max(width, frames[i].width + padding * 2);
+        }
+
+        width = Math.max(width, Math.ceil(Math.sqrt(area)) + padding);
+
+        for (i = 0; i < frames.length; i += 1) {
+            frame = frames[i];
+
+            if (left + frame.width + padding > width) {
+                left = padding;
+                top += shelf + padding;
+                shelf = 0;
+            }
+
+            positions.push([left, top]);
+            left += frame.width + padding;
+            shelf = Math.max(shelf, frame.height);
+        }
+
+        output = {
+            "width": width,
+            "height": top + shelf + padding,
+            "data": undefined,
+            "frames": {},
+            "skipped": skipped
+        };
+        output.data = new this.Uint8ClampedArray(output.width * output.height * 4);
+
+        for (i = 0; i < frames.length; i += 1) {
+            frame = frames[i];
+
+            for (j = 0; j < frame.height; j += 1) {
+                this.memcpyU8(
+                    frame.data,
+                    output.data,
+                    j * frame.width * 4,
+                    ((positions[i][1] + j) * output.width + positions[i][0]) * 4,
+                    frame.width * 4);
+            }
+
+            output.frames[frame.key] = {
+                "x": positions[i][0],
+                "y": positions[i][1],
+                "width": frame.width,
+                "height": frame.height
+            };
+
+            if (frame.multiple) {
+                output.frames[frame.key].multiple = frame.multiple;
+            }
+        }
+
+        return output;
+    }
+
+
     /* Misc. utility functions
     */
 
@@ -1226,34 +1584,6 @@ class PixelRendr {
         return output;
     }
 
-    /**
-     * Finds which rgba value in a palette is closest to a given value. This is
-     * useful for determining which color in a pre-existing palette matches up
-     * with a raw image's pixel. This is determined by which palette color has
-     * the lowest total difference in integer values between r, g, b, and a.
-     * 
-     * @param {Array} palette   The palette of pre-existing colors.
-     * @param {Array} rgba   The RGBA values being assigned a color, as Numbers
-     *                       in [0, 255].    
-     * @return {Number} The closest matching color index.
-     */
-    private getClosestInPalette(palette: number[][], rgba: number[]| Uint8ClampedArray): number {
-        var bestDifference: number = Infinity,
-            difference: number,
-            bestIndex: number,
-            i: number;
-
-        for (i = palette.length - 1; i >= 0; i -= 1) {
-            difference = this.arrayDifference(palette[i], rgba);
-            if (difference < bestDifference) {
-                bestDifference = difference;
-                bestIndex = i;
-            }
-        }
-
-        return bestIndex;
-    }
-
     /**
      * Creates a new String equivalent to an old String repeated any number of
      * times. If times is 0, a blank String is returned.
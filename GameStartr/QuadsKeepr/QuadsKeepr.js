@@ -289,6 +289,9 @@ var QuadsKeepr = (function () {
             throw new Error("No groupNames given to QuadsKeepr.");
         }
         this.groupNames = settings.groupNames;
+        if (settings.createCanvas) {
+            this.createCanvas = settings.createCanvas;
+        }
         this.onAdd = settings.onAdd;
         this.onRemove = settings.onRemove;
         this.startLeft = settings.startLeft | 0;
@@ -344,6 +347,20 @@ var QuadsKeepr = (function () {
     QuadsKeepr.prototype.getQuadrantHeight = function () {
         return this.quadrantHeight;
     };
+    /**
+     * @return {Number} How far the Quadrants have scrolled horizontally
+     *                  since the last column was added or removed.
+     */
+    QuadsKeepr.prototype.getOffsetX = function () {
+        return this.offsetX;
+    };
+    /**
+     * @return {Number} How far the Quadrants have scrolled vertically since
+     *                  the last row was added or removed.
+     */
+    QuadsKeepr.prototype.getOffsetY = function () {
+        return this.offsetY;
+    };
     /* Quadrant updates
     */
     /**
@@ -19,6 +19,10 @@ interface IQuadsKeeprSettings {
     // The names of groups Things may be in.
     groupNames: string[];
 
+    // A Function to create canvas elements for the Quadrants (by default,
+    // document.createElement is used).
+    createCanvas?: (width: number, height: number) => HTMLCanvasElement;
+
     // A callback for when Quadrants are added, called on the newly contained
     // area.
     onAdd?: IQuadrantChangeCallback;
@@ -220,6 +224,10 @@ class QuadsKeepr {
         }
         this.groupNames = settings.groupNames;
 
+        if (settings.createCanvas) {
+            this.createCanvas = settings.createCanvas;
+        }
+
         this.onAdd = settings.onAdd;
         this.onRemove = settings.onRemove;
 
@@ -286,6 +294,22 @@ class QuadsKeepr {
         return this.quadrantHeight;
     }
 
+    /**
+     * @return {Number} How far the Quadrants have scrolled horizontally 
+     *                  since the last column was added or removed.
+     */
+    getOffsetX(): number {
+        return this.offsetX;
+    }
+
+    /**
+     * @return {Number} How far the Quadrants have scrolled vertically since
+     *                  the last row was added or removed.
+     */
+    getOffsetY(): number {
+        return this.offsetY;
+    }
+
 
     /* Quadrant updates
     */
@@ -0,0 +1,474 @@
+/// <reference path="External/StatsHoldr.ts" />
+
+interface ISplitTimrSplit {
+    // What the split is for, such as a map's name.
+    name: string;
+
+    // How many ticks the segment leading up to the split took.
+    segment: number;
+
+    // How many ticks into the run the split happened.
+    total: number;
+
+    // How many ticks ahead (negative) or behind (positive) of the personal
+    // best for the split this is, if there is one.
+    delta?: number;
+
+    // Whether the segment was faster than any before it.
+    bestSegment: boolean;
+}
+
+interface ISplitTimrSettings {
+    // Settings for the internal StatsHoldr that stores personal bests and best
+    // segments (give a prefix and autoSave to keep them in localStorage).
+    statistics?: IStatsHoldrSettings;
+
+    // How many ticks happen each second, for displaying times (defaults to
+    // 60, as with GamesRunnr).
+    ticksPerSecond?: number;
+
+    // Whether an HTML container should be made to show splits.
+    doMakeContainer?: boolean;
+
+    // A Function to create elements for the container, as with StatsHoldr
+    // (defaults to StatsHoldr.prototype.createElement).
+    createElement?: (tag: string, ...args: any[]) => HTMLElement;
+}
+
+/**
+ * SplitTimr
+ * A speedrun timer driven by game ticks rather than the system clock, so that
+ * pauses and slowdowns don't count against runs. Runs are divided into splits
+ * (such as one per level), and the best total time reaching each split and the
+ * best time of each split's segment are kept in a StatsHoldr.
+ *
+ * @example
+ * // Timing a run of one level, at 60 ticks per second.
+ * var SplitTimer = new SplitTimr();
+ * SplitTimer.start();
+ * for (var i = 0; i < 1800; i += 1) {
+ *     SplitTimer.tick();
+ * }
+ * SplitTimer.split("1-1"); // { "name": "1-1", "segment": 1800, ... }
+ * console.log(SplitTimer.formatTicks(SplitTimer.getTicks())); // "0:30.00"
+ * @author "Josh Goldberg" <josh@fullscreenmario.com>
+ */
+class SplitTimr {
+    // The internal StatsHoldr storing "personalBests" and "bestSegments".
+    private StatsHolder: StatsHoldr;
+
+    // How many ticks happen each second.
+    private ticksPerSecond: number;
+
+    // Whether ticks currently count towards the run.
+    private running: boolean;
+
+    // How many ticks the run has taken.
+    private ticks: number;
+
+    // The tick count of the most recent split (or 0 at the start of a run).
+    private segmentStart: number;
+
+    // Splits made so far in the run.
+    private splits: ISplitTimrSplit[];
+
+    // A Function to create elements for the container.
+    private createElement: (tag: string, ...args: any[]) => HTMLElement;
+
+    // The HTML container showing splits, if doMakeContainer was given.
+    private container: HTMLElement;
+
+    // The element listing splits within the container.
+    private containerSplits: HTMLElement;
+
+    // The element showing the running time within the container.
+    private containerTime: HTMLElement;
+
+    /**
+     * @param {ISplitTimrSettings} [settings]
+     */
+    constructor(settings: ISplitTimrSettings = {}) {
+        this.ticksPerSecond = settings.ticksPerSecond || 60;
+
+        this.StatsHolder = new StatsHoldr(settings.statistics || <IStatsHoldrSettings>{
+            "prefix": ""
+        });
+        this.StatsHolder.addStatistic("personalBests", {
+            "valueDefault": {},
+            "storeLocally": true
+        });
+        this.StatsHolder.addStatistic("bestSegments", {
+            "valueDefault": {},
+            "storeLocally": true
+        });
+
+        this.createElement = settings.createElement
+            || StatsHoldr.prototype.createElement.bind(StatsHoldr.prototype);
+
+        if (settings.doMakeContainer) {
+            this.container = this.makeContainer();
+        }
+
+        this.reset();
+    }
+
+
+    /* Simple gets
+    */
+
+    /**
+     * @return {StatsHoldr} The internal StatsHoldr.
+     */
+    getStatsHolder(): StatsHoldr {
+        return this.StatsHolder;
+    }
+
+    /**
+     * @return {Number} How many ticks happen each second.
+     */
+    getTicksPerSecond(): number {
+        return this.ticksPerSecond;
+    }
+
+    /**
+     * @return {Boolean} Whether ticks currently count towards the run.
+     */
+    getRunning(): boolean {
+        return this.running;
+    }
+
+    /**
+     * @return {Number} How many ticks the run has taken.
+     */
+    getTicks(): number {
+        return this.ticks;
+    }
+
+    /**
+     * @return {ISplitTimrSplit[]} Splits made so far in the run.
+     */
+    getSplits(): ISplitTimrSplit[] {
+        return this.splits.slice();
+    }
+
+    /**
+     * @return {Object} The fewest ticks taken to reach each split, keyed by
+     *                  split name.
+     */
+    getPersonalBests(): any {
+        return this.copyTimes(this.StatsHolder.get("personalBests"));
+    }
+
+    /**
+     * @return {Object} The fewest ticks taken by each split's segment, keyed
+     *                  by split name.
+     */
+    getBestSegments(): any {
+        return this.copyTimes(this.StatsHolder.get("bestSegments"));
+    }
+
+    /**
+     * @return {HTMLElement} The HTML container showing splits, if one was made.
+     */
+    getContainer(): HTMLElement {
+        return this.container;
+    }
+
+
+    /* Runs
+    */
+
+    /**
+     * Starts a new run from zero ticks, clearing any previous splits.
+     */
+    start(): void {
+        this.reset();
+        this.running = true;
+    }
+
+    /**
+     * Stops the current run, such as on a game over. Its splits are kept
+     * until the next start or reset.
+     */
+    stop(): void {
+        this.running = false;
+    }
+
+    /**
+     * Stops and clears the current run.
+     */
+    reset(): void {
+        this.running = false;
+        this.ticks = 0;
+        this.segmentStart = 0;
+        this.splits = [];
+
+        if (this.container) {
+            this.containerSplits.innerHTML = "";
+            this.updateContainerTime();
+        }
+    }
+
+    /**
+     * Counts a tick towards the run, if it's running. This should be called
+     * once for each game tick, such as by a GamesRunnr.
+     */
+    tick(): void {
+        if (!this.running) {
+            return;
+        }
+
+        this.ticks += 1;
+
+        if (this.container) {
+            this.updateContainerTime();
+        }
+    }
+
+    /**
+     * Ends the current segment of the run with a split. If it reached the
+     * split in fewer ticks than the personal best, or finished the segment in
+     * fewer ticks than the best segment, those are stored.
+     *
+     * @param {String} name   What the split is for, such as a map's name.
+     * @return {ISplitTimrSplit} The new split, or undefined if the run isn't
+     *                           running.
+     */
+    split(name: string): ISplitTimrSplit {
+        var personalBests: any,
+            bestSegments: any,
+            split: ISplitTimrSplit;
+
+        if (!this.running) {
+            return undefined;
+        }
+
+        personalBests = this.getPersonalBests();
+        bestSegments = this.getBestSegments();
+        split = {
+            "name": name,
+            "segment": this.ticks - this.segmentStart,
+            "total": this.ticks,
+            "bestSegment": false
+        };
+
+        if (personalBests.hasOwnProperty(name)) {
+            split.delta = split.total - personalBests[name];
+        }
+
+        if (!personalBests.hasOwnProperty(name) || split.total < personalBests[name]) {
+            personalBests[name] = split.total;
+            this.StatsHolder.set("personalBests", personalBests);
+        }
+
+        if (!bestSegments.hasOwnProperty(name) || split.segment < bestSegments[name]) {
+            split.bestSegment = true;
+            bestSegments[name] = split.segment;
+            this.StatsHolder.set("bestSegments", bestSegments);
+        }
+
+        this.splits.push(split);
+        this.segmentStart = this.ticks;
+
+        if (this.container) {
+            this.containerSplits.appendChild(this.makeSplitElement(split));
+        }
+
+        return split;
+    }
+
+
+    /* Personal bests
+    */
+
+    /**
+     * @return {String} The personal bests and best segments as JSON, for
+     *                  importBests.
+     */
+    exportBests(): string {
+        return JSON.stringify({
+            "personalBests": this.getPersonalBests(),
+            "bestSegments": this.getBestSegments()
+        });
+    }
+
+    /**
+     * Replaces the personal bests and best segments with ones from JSON, as
+     * created by exportBests.
+     *
+     * @param {String} json
+     */
+    importBests(json: string): void {
+        var bests: any;
+
+        try {
+            bests = JSON.parse(json);
+        } catch (error) {
+            throw new Error("Split times couldn't be parsed: " + error.message);
+        }
+
+        if (!bests || !this.checkTimes(bests.personalBests) || !this.checkTimes(bests.bestSegments)) {
+            throw new Error("Split times must have personalBests and bestSegments of tick counts.");
+        }
+
+        this.StatsHolder.set("personalBests", this.copyTimes(bests.personalBests));
+        this.StatsHolder.set("bestSegments", this.copyTimes(bests.bestSegments));
+    }
+
+    /**
+     * Forgets all personal bests and best segments.
+     */
+    clearBests(): void {
+        this.StatsHolder.set("personalBests", {});
+        this.StatsHolder.set("bestSegments", {});
+    }
+
+
+    /* Formatting
+    */
+
+    /**
+     * @param {Number} ticks
+     * @return {String} The ticks as a time, such as "1:23.45".
+     */
+    formatTicks(ticks: number): string {
+        var hundredths: number = Math.floor(Math.abs(ticks) * 100 / this.ticksPerSecond),
+            minutes: number = Math.floor(hundredths / 6000),
+            seconds: number = Math.floor(hundredths / 100) % 60;
+
+        hundredths %= 100;
+
+        return (ticks < 0 ? "-" : "")
+            + minutes + ":"
+            + (seconds < 10 ? "0" : "") + seconds + "."
+            + (hundredths < 10 ? "0" : "") + hundredths;
+    }
+
+    /**
+     * @param {Number} ticks
+     * @return {String} The ticks as a signed time, such as "+0:01.50".
+     */
+    formatDelta(ticks: number): string {
+        return (ticks < 0 ? "" : "+") + this.formatTicks(ticks);
+    }
+
+
+    /* HTML
+    */
+
+    /**
+     * Hides the container, if one was made.
+     */
+    hideContainer(): void {
+        if (this.container) {
+            this.container.style.visibility = "hidden";
+        }
+    }
+
+    /**
+     * Shows the container, if one was made.
+     */
+    displayContainer(): void {
+        if (this.container) {
+            this.container.style.visibility = "";
+        }
+    }
+
+    /**
+     * @return {HTMLElement} A new container with elements for splits and the
+     *                       running time.
+     */
+    private makeContainer(): HTMLElement {
+        var container: HTMLElement = this.createElement("div", {
+            "className": "SplitTimr"
+        });
+
+        this.containerSplits = this.createElement("table", {
+            "className": "SplitTimr-splits"
+        });
+        this.containerTime = this.createElement("div", {
+            "className": "SplitTimr-time"
+        });
+
+        container.appendChild(this.containerSplits);
+        container.appendChild(this.containerTime);
+
+        return container;
+    }
+
+    /**
+     * @param {ISplitTimrSplit} split
+     * @return {HTMLElement} A table row showing the split's name, total time,
+     *                       and difference from the personal best.
+     */
+    private makeSplitElement(split: ISplitTimrSplit): HTMLElement {
+        var row: HTMLElement = this.createElement("tr", {
+                "className": "SplitTimr-split" + (split.bestSegment ? " SplitTimr-best" : "")
+            }),
+            delta: string = typeof split.delta === "undefined" ? "" : this.formatDelta(split.delta);
+
+        row.appendChild(this.createElement("td", {
+            "className": "SplitTimr-name",
+            "textContent": split.name
+        }));
+        row.appendChild(this.createElement("td", {
+            "className": "SplitTimr-total",
+            "textContent": this.formatTicks(split.total)
+        }));
+        row.appendChild(this.createElement("td", {
+            "className": "SplitTimr-delta" + (split.delta < 0 ? " SplitTimr-ahead" : ""),
+            "textContent": delta
+        }));
+
+        return row;
+    }
+
+    /**
+     * Shows the run's current time in the container.
+     */
+    private updateContainerTime(): void {
+        this.containerTime.textContent = this.formatTicks(this.ticks);
+    }
+
+
+    /* Utilities
+    */
+
+    /**
+     * @param {Object} times   Tick counts keyed by split name.
+     * @return {Object} A copy of the times.
+     */
+    private copyTimes(times: any): any {
+        var copy: any = {},
+            i: string;
+
+        for (i in times) {
+            if (times.hasOwnProperty(i)) {
+                copy[i] = times[i];
+            }
+        }
+
+        return copy;
+    }
+
+    /**
+     * @param {Mixed} times
+     * @return {Boolean} Whether the times are an Object of non-negative tick
+     *                   counts.
+     */
+    private checkTimes(times: any): boolean {
+        var i: string;
+
+        if (!times || typeof times !== "object" || times instanceof Array) {
+            return false;
+        }
+
+        for (i in times) {
+            if (times.hasOwnProperty(i) && !(typeof times[i] === "number" && times[i] >= 0)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+}
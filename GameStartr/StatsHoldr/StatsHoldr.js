@@ -119,7 +119,7 @@ var StatsValue = (function () {
      * @return {Mixed}
      */
     StatsValue.prototype.retrieveLocalStorage = function () {
-        var value = localStorage.getItem(this.StatsHolder.getPrefix() + this.key);
+        var value = this.StatsHolder.getLocalStorage()[this.StatsHolder.getPrefix() + this.key];
         switch (value) {
             case "undefined":
                 return undefined;
@@ -256,6 +256,9 @@ var StatsHoldr = (function () {
         this.prefix = settings.prefix || "";
         this.autoSave = settings.autoSave;
         this.callbackArgs = settings.callbackArgs || [];
+        if (settings.createElement) {
+            this.createElement = settings.createElement;
+        }
         if (settings.localStorage) {
             this.localStorage = settings.localStorage;
         }
@@ -191,7 +191,7 @@ class StatsValue {
      * @return {Mixed}
      */
     retrieveLocalStorage(): void {
-        var value: any = localStorage.getItem(this.StatsHolder.getPrefix() + this.key);
+        var value: any = this.StatsHolder.getLocalStorage()[this.StatsHolder.getPrefix() + this.key];
 
         switch (value) {
             case "undefined":
@@ -359,6 +359,10 @@ class StatsHoldr {
         this.autoSave = settings.autoSave;
         this.callbackArgs = settings.callbackArgs || [];
 
+        if (settings.createElement) {
+            this.createElement = settings.createElement;
+        }
+
         if (settings.localStorage) {
             this.localStorage = settings.localStorage;
         } else if (typeof localStorage === "undefined") {
@@ -206,6 +206,54 @@ class TimeHandlr {
         return this.events;
     }
 
+    /**
+     * @param {Mixed} thing   The thing whose cycle is being checked.
+     * @param {String} name   The name of the cycle.
+     * @return {Event} The event running the thing's class cycle under that 
+     *                 name, or undefined if the cycle isn't running (such as
+     *                 a synched cycle waiting to start).
+     */
+    getClassCycleEvent(thing: any, name: string): IEvent {
+        var cycle: ITimeCycle = thing[this.keyCycles] && thing[this.keyCycles][name],
+            currentEvents: IEvent[],
+            i: string,
+            j: number;
+
+        if (!cycle) {
+            return undefined;
+        }
+
+        for (i in this.events) {
+            if (!this.events.hasOwnProperty(i)) {
+                continue;
+            }
+
+            currentEvents = this.events[i];
+            for (j = 0; j < currentEvents.length; j += 1) {
+                if (
+                    <any>currentEvents[j].callback === this.cycleClass
+                    && currentEvents[j].args[1] === cycle
+                    && currentEvents[j].repeat > 0
+                ) {
+                    return currentEvents[j];
+                }
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * @param {Event} event
+     * @return {Boolean} Whether the event is part of a class cycle, either 
+     *                   running it or waiting to start it (for synched 
+     *                   cycles).
+     */
+    isClassCycleEvent(event: IEvent): boolean {
+        return <any>event.callback === this.cycleClass
+            || (event.args[0] === this && event.args[1] && event.args[1][0] === this.cycleClass);
+    }
+
 
     /* Event adding
     */
@@ -338,6 +386,32 @@ class TimeHandlr {
         this.addEvent(adder, entryTime - this.time, scope, args, thing);
     }
 
+    /**
+     * Adds an event that picks up partway through its timing, such as one 
+     * being restored from a saved state. Unlike addEventInterval, the first
+     * call may be sooner or later than the time between the ones after it.
+     * 
+     * @param {Function} callback   The callback to be run some number of times.
+     *                              If it returns true, repetition stops.
+     * @param {Number} timeDelay   How long from now to first run the callback.
+     * @param {Number} timeRepeat   How many steps to leave between each call
+     *                              after the first.
+     * @param {Number} numRepeats   How many times to run the event. Infinity 
+     *                              is an acceptable option.
+     */
+    addEventResumed(callback: IEventCallback, timeDelay: number, timeRepeat: number, numRepeats: number, ...args: any[]): IEvent {
+        var event: IEvent;
+
+        if (typeof callback !== "function") {
+            throw new Error("Invalid event given to addEventResumed.");
+        }
+
+        event = this.createEvent(callback, this.time + (timeDelay || 1), timeRepeat || 1, args, numRepeats || 1);
+        this.insertEvent(event, event.timeDelay);
+
+        return event;
+    }
+
 
     /* General event handling
     */
@@ -566,6 +640,33 @@ class TimeHandlr {
         return cycle;
     }
 
+    /**
+     * Adds a sprite cycle (settings) for a thing that picks up partway 
+     * through, such as one being restored from a saved state. Unlike 
+     * addClassCycle, the cycle isn't immediately moved on: settings should
+     * already have its .loc and .oldclass, and the thing its current class.
+     * 
+     * @param {Mixed} thing   The object whose class is to be cycled.
+     * @param {Mixed} settings   A container for repetition settings, as with
+     *                           addClassCycle.
+     * @param {String} name   The name of the cycle, to be referenced in the
+     *                        thing's keyCycles Object.
+     * @param {Number} timing   How many steps to leave between cycle changes.
+     * @param {Number} timeDelay   How long from now to make the next change.
+     */
+    resumeClassCycle(thing: any, settings: any, name: string, timing: number, timeDelay: number): ITimeCycle {
+        if (!thing[this.keyCycles]) {
+            thing[this.keyCycles] = {};
+        }
+
+        this.cancelClassCycle(thing, name);
+
+        thing[this.keyCycles][name] = settings;
+        this.addEventResumed(this.cycleClass, timeDelay, timing, Infinity, thing, settings);
+
+        return settings;
+    }
+
     /**
      * Initialization utility for sprite keyCycles of things. The settings are 
      * added at the right time (immediately if not synched, or on a delay if 
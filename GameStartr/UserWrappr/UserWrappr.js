@@ -32,6 +32,20 @@ function UserWrappr(settings) {
         
         isFullScreen,
         
+        touchControls,
+        
+        touchControlsLayout,
+        
+        touchControlsSize,
+        
+        touchControlsOpacity,
+        
+        touchControlsPosition,
+        
+        touchAliases,
+        
+        touchAliasCounts,
+        
         documentElement = document.documentElement,
         
         requestFullScreen = (
@@ -86,6 +100,16 @@ function UserWrappr(settings) {
             "up", "right", "down", "left", "space", "shift", "ctrl"
         ];
         
+        touchControlsLayout = settings.touchControls || {
+            "pad": [["up", "^"], ["left", "<"], ["right", ">"], ["down", "v"]],
+            "actions": [["sprint", "B"], ["up", "A"]]
+        };
+        touchControlsSize = 100;
+        touchControlsOpacity = 50;
+        touchControlsPosition = "bottom";
+        touchAliases = {};
+        touchAliasCounts = {};
+        
         self.resetGameStarter(customs);
         
         if (GameStarter.settings.ui.styleSheet) {
@@ -170,6 +194,219 @@ function UserWrappr(settings) {
     }
     
     
+    /* Touch controls
+    */
+    
+    /**
+     * 
+     */
+    self.getTouchControlsEnabled = function () {
+        return !!touchControls;
+    };
+    
+    /**
+     * 
+     */
+    self.enableTouchControls = function () {
+        if (touchControls) {
+            return;
+        }
+        
+        touchControls = createTouchControls();
+        updateTouchControlsStyle();
+        document.body.appendChild(touchControls);
+    };
+    
+    /**
+     * 
+     */
+    self.disableTouchControls = function () {
+        var identifier;
+        
+        if (!touchControls) {
+            return;
+        }
+        
+        for (identifier in touchAliases) {
+            if (touchAliases.hasOwnProperty(identifier)) {
+                setTouchAlias(identifier, undefined);
+            }
+        }
+        
+        touchControls.parentNode.removeChild(touchControls);
+        touchControls = undefined;
+    };
+    
+    /**
+     * 
+     */
+    self.getTouchControlsSize = function () {
+        return touchControlsSize;
+    };
+    
+    /**
+     * 
+     */
+    self.setTouchControlsSize = function (size) {
+        touchControlsSize = Number(size);
+        updateTouchControlsStyle();
+    };
+    
+    /**
+     * 
+     */
+    self.getTouchControlsOpacity = function () {
+        return touchControlsOpacity;
+    };
+    
+    /**
+     * 
+     */
+    self.setTouchControlsOpacity = function (opacity) {
+        touchControlsOpacity = Number(opacity);
+        updateTouchControlsStyle();
+    };
+    
+    /**
+     * 
+     */
+    self.getTouchControlsPosition = function () {
+        return touchControlsPosition;
+    };
+    
+    /**
+     * 
+     */
+    self.setTouchControlsPosition = function (position) {
+        touchControlsPosition = position;
+        updateTouchControlsStyle();
+    };
+    
+    /**
+     * 
+     */
+    function createTouchControls() {
+        var output = document.createElement("div"),
+            group, groupName, button, i;
+        
+        output.id = "touch-controls";
+        
+        for (groupName in touchControlsLayout) {
+            if (!touchControlsLayout.hasOwnProperty(groupName)) {
+                continue;
+            }
+            
+            group = document.createElement("div");
+            group.className = "touch-controls-group touch-controls-" + groupName;
+            
+            for (i = 0; i < touchControlsLayout[groupName].length; i += 1) {
+                button = document.createElement("div");
+                button.className = "touch-control touch-control-" + touchControlsLayout[groupName][i][0];
+                button.textContent = touchControlsLayout[groupName][i][1];
+                button.setAttribute("touch-alias", touchControlsLayout[groupName][i][0]);
+                group.appendChild(button);
+            }
+            
+            output.appendChild(group);
+        }
+        
+        output.addEventListener("touchstart", handleTouches);
+        output.addEventListener("touchmove", handleTouches);
+        output.addEventListener("touchend", handleTouches);
+        output.addEventListener("touchcancel", handleTouches);
+        
+        return output;
+    }
+    
+    /**
+     * 
+     */
+    function updateTouchControlsStyle() {
+        if (!touchControls) {
+            return;
+        }
+        
+        touchControls.className = "touch-controls-" + touchControlsPosition;
+        touchControls.style.fontSize = (16 * touchControlsSize / 100) + "px";
+        touchControls.style.opacity = touchControlsOpacity / 100;
+    }
+    
+    /**
+     * Each touch is tracked by its identifier, so several fingers may hold 
+     * different controls at once and slide between them.
+     */
+    function handleTouches(event) {
+        var ended = event.type === "touchend" || event.type === "touchcancel",
+            touch, element, i;
+        
+        event.preventDefault();
+        
+        for (i = 0; i < event.changedTouches.length; i += 1) {
+            touch = event.changedTouches[i];
+            
+            if (ended) {
+                setTouchAlias(touch.identifier, undefined);
+                continue;
+            }
+            
+            element = document.elementFromPoint(touch.clientX, touch.clientY);
+            setTouchAlias(
+                touch.identifier,
+                (element && element.getAttribute("touch-alias")) || undefined
+            );
+        }
+    }
+    
+    /**
+     * 
+     */
+    function setTouchAlias(identifier, alias) {
+        var aliasOld = touchAliases[identifier];
+        
+        if (aliasOld === alias) {
+            return;
+        }
+        
+        if (aliasOld) {
+            delete touchAliases[identifier];
+            touchAliasCounts[aliasOld] -= 1;
+            
+            if (touchAliasCounts[aliasOld] === 0) {
+                callTouchPipe("onkeyup", aliasOld);
+            }
+        }
+        
+        if (alias) {
+            touchAliases[identifier] = alias;
+            touchAliasCounts[alias] = (touchAliasCounts[alias] || 0) + 1;
+            
+            if (touchAliasCounts[alias] === 1) {
+                callTouchPipe("onkeydown", alias);
+            }
+        }
+    }
+    
+    /**
+     * 
+     */
+    function callTouchPipe(trigger, alias) {
+        var buttons = touchControls.querySelectorAll(
+                "[touch-alias='" + alias + "']"
+            ),
+            i;
+        
+        for (i = 0; i < buttons.length; i += 1) {
+            buttons[i].setAttribute(
+                "touch-active", touchAliasCounts[alias] > 0 ? "on" : "off"
+            );
+        }
+        
+        GameStarter.InputWriter.makePipe(trigger, "alias")({
+            "alias": alias
+        });
+    }
+    
+    
     /* Help dialog
     */
     
@@ -380,13 +617,10 @@ function UserWrappr(settings) {
      */
     var generatorOptionsButtons = function (schema) {
         var output = document.createElement("div"),
-            options = schema.options instanceof Function 
-                ? schema.options.call(self, GameStarter)
-                : schema.options,
-            optionKeys = Object.keys(options),
+            buttons = document.createElement("div"),
             keyActive = schema.keyActive || "active",
             classNameStart = "select-option options-button-option",
-            option, element, i;
+            options, optionKeys, elements, status;
     
         function getParentControlDiv(element) {
             if (element.className === "control") {
@@ -397,41 +631,165 @@ function UserWrappr(settings) {
             return getParentControlDiv(element.parentNode);
         }
         
-        output.className = "select-options select-options-buttons";
-        
-        for (i = 0; i < optionKeys.length; i += 1) {
-            option = options[optionKeys[i]];
-            
-            element = document.createElement("div");
-            element.className = classNameStart;
-            element.textContent = optionKeys[i];
-            
-            element.onclick = function (schema, element) {
-                if (getParentControlDiv(element).getAttribute("active") !== "on") {
-                    return;
-                }
-                schema.callback.call(self, GameStarter, schema, element);
-                
-                if (element.getAttribute("option-enabled") == "true") {
-                    element.setAttribute("option-enabled", false);
-                    element.className = classNameStart + " option-disabled";
-                } else {
-                    element.setAttribute("option-enabled", true);
-                    element.className = classNameStart + " option-enabled";
-               }
-            }.bind(undefined, schema, element);
+        // Each button's status comes from its option, which the callback may
+        // have changed for any number of options (not just the clicked one)
+        function updateElement(element, option, key) {
+            var reason = schema.reasonInactive
+                    ? schema.reasonInactive.call(self, GameStarter, key)
+                    : undefined,
+                reasonElement;
             
             if (option[keyActive]) {
-                element.className += " option-enabled";
+                element.className = classNameStart + " option-enabled";
                 element.setAttribute("option-enabled", true);
             } else if (schema.assumeInactive) {
-                element.className += " option-disabled";
+                element.className = classNameStart + " option-disabled";
                 element.setAttribute("option-enabled", false);
             } else {
+                element.className = classNameStart;
                 element.setAttribute("option-enabled", true);
             }
             
-            output.appendChild(element);
+            element.textContent = key;
+            
+            if (reason && !option[keyActive]) {
+                element.className += " option-blocked";
+                reasonElement = document.createElement("div");
+                reasonElement.className = "options-button-reason";
+                reasonElement.textContent = reason;
+                element.appendChild(reasonElement);
+            }
+        }
+        
+        function updateElements() {
+            var j;
+            
+            for (j = 0; j < elements.length; j += 1) {
+                updateElement(elements[j], options[optionKeys[j]], optionKeys[j]);
+            }
+        }
+        
+        // Options may be added or removed (such as by loading files), so the
+        // buttons are recreated from scratch
+        function createElements() {
+            var element, details, table, i;
+            
+            options = schema.options instanceof Function 
+                ? schema.options.call(self, GameStarter)
+                : schema.options;
+            optionKeys = Object.keys(options);
+            elements = [];
+            
+            buttons.innerHTML = "";
+            
+            for (i = 0; i < optionKeys.length; i += 1) {
+                element = document.createElement("div");
+                element.setAttribute("value", optionKeys[i]);
+                
+                element.onclick = function (schema, element) {
+                    if (getParentControlDiv(element).getAttribute("active") !== "on") {
+                        return;
+                    }
+                    schema.callback.call(self, GameStarter, schema, element);
+                    
+                    updateElements();
+                }.bind(undefined, schema, element);
+                
+                updateElement(element, options[optionKeys[i]], optionKeys[i]);
+                
+                elements.push(element);
+                buttons.appendChild(element);
+                
+                // Each option may have its own settings, such as mod options
+                if (schema.optionsDetails) {
+                    details = schema.optionsDetails.call(self, GameStarter, optionKeys[i]);
+                    
+                    if (details && details.length) {
+                        table = generatorOptionsTable({
+                            "options": details
+                        });
+                        table.className = "options-button-details";
+                        buttons.appendChild(table);
+                    }
+                }
+            }
+        }
+        
+        function finishLoading(message) {
+            status.textContent = message || "";
+            createElements();
+        }
+        
+        function handleUploadCompletion(event, file) {
+            var message;
+            
+            try {
+                message = schema.uploader.callback.call(
+                    self, GameStarter, schema, event.currentTarget.result, file
+                );
+            } catch (error) {
+                message = error.message;
+            }
+            
+            finishLoading(message);
+        }
+        
+        function createPathLoader() {
+            var loader = document.createElement("div"),
+                input = document.createElement("input"),
+                button = document.createElement("div");
+            
+            loader.className = "options-path-loader";
+            
+            input.type = "text";
+            input.className = "options-path-input";
+            input.placeholder = schema.pathLoader.placeholder || "";
+            
+            button.className = classNameStart;
+            button.textContent = schema.pathLoader.title;
+            button.onclick = function () {
+                if (!input.value) {
+                    return;
+                }
+                status.textContent = "Loading '" + input.value + "'...";
+                schema.pathLoader.callback.call(
+                    self, GameStarter, schema, input.value, finishLoading
+                );
+            };
+            
+            loader.appendChild(input);
+            loader.appendChild(button);
+            
+            return loader;
+        }
+        
+        output.className = "select-options select-options-buttons";
+        
+        createElements();
+        output.appendChild(buttons);
+        
+        if (schema.uploader || schema.pathLoader) {
+            status = document.createElement("div");
+            status.className = "select-option-title options-load-status";
+            
+            // Problems from loading before the menu existed may be reported
+            if (schema.status) {
+                status.textContent = schema.status.call(self, GameStarter) || "";
+            }
+        }
+        
+        if (schema.uploader) {
+            output.appendChild(createUploaderDiv(
+                schema.uploader.title, handleUploadCompletion
+            ));
+        }
+        
+        if (schema.pathLoader) {
+            output.appendChild(createPathLoader());
+        }
+        
+        if (status) {
+            output.appendChild(status);
         }
         
         return output;
@@ -480,6 +838,16 @@ function UserWrappr(settings) {
         }
         
         function setKeyInput(input, details, schema) {
+            return setInputSelects(input, details, allPossibleKeys);
+        }
+        
+        function setButtonInput(input, details, schema) {
+            return setInputSelects(
+                input, details, GameStarter.InputWriter.getGamepadInputs()
+            );
+        }
+        
+        function setInputSelects(input, details, possibleValues) {
             var values = details.source.call(self, GameStarter),
                 children = [],
                 child, i, j;
@@ -488,8 +856,8 @@ function UserWrappr(settings) {
                 child = document.createElement("select");
                 child.className = "options-key-option";
                 
-                for (j = 0; j < allPossibleKeys.length; j += 1) {
-                    child.appendChild(new Option(allPossibleKeys[j]));
+                for (j = 0; j < possibleValues.length; j += 1) {
+                    child.appendChild(new Option(possibleValues[j]));
                 }
                 child.value = child.valueOld = values[i].toLowerCase();
                 
@@ -497,6 +865,7 @@ function UserWrappr(settings) {
                     details.callback.call(
                         self, GameStarter, child.valueOld, child.value
                     );
+                    child.valueOld = child.value;
                     if (details.storeLocally) {
                         storeLocalStorageValue(child, child.value);
                     }
@@ -533,7 +902,7 @@ function UserWrappr(settings) {
         
         function setSelectInput(input, details, schema) {
             var child = document.createElement("select"),
-                options = details.options(),
+                options = details.options.call(self, GameStarter),
                 i;
             
             for (i = 0; i < options.length; i += 1) {
@@ -600,6 +969,7 @@ function UserWrappr(settings) {
         var optionTypes = {
             "Boolean": setBooleanInput,
             "Keys": setKeyInput,
+            "Buttons": setButtonInput,
             "Number": setNumberInput,
             "Select": setSelectInput,
             "ScreenSize": setScreenSizeInput
@@ -662,82 +1032,8 @@ function UserWrappr(settings) {
      * 
      */
     var generatorLevelEditor = (function () {
-        function createUploaderDiv() {
-            var uploader = document.createElement("div"),
-                input = document.createElement("input");
-            
-            uploader.className = "select-option select-option-large options-button-option";
-            uploader.textContent = "Click to upload and continue your editor files!";
-            uploader.setAttribute("textOld", uploader.textContent);
-            
-            input.type = "file";
-            input.className = "select-upload-input";
-            input.onchange = handleFileDrop.bind(undefined, input, uploader);
-            
-            uploader.ondragenter = handleFileDragEnter.bind(undefined, uploader);
-            uploader.ondragover = handleFileDragOver.bind(undefined, uploader);
-            uploader.ondragleave = input.ondragend = handleFileDragLeave.bind(undefined, uploader);
-            uploader.ondrop = handleFileDrop.bind(undefined, input, uploader);
-            uploader.onclick = input.click.bind(input);
-            
-            uploader.appendChild(input);
-            
-            return uploader;
-        };
-        
-        function handleFileDragEnter(uploader, event) {
-            if (event.dataTransfer) {
-                event.dataTransfer.dropEFfect = "copy";
-            }
-            uploader.className += " hovering";
-        }
-        
-        function handleFileDragOver(uploader, event) {
-            event.preventDefault();
-            return false;
-        }
-        
-        function handleFileDragLeave(uploader, event) {
-            if (event.dataTransfer) {
-                event.dataTransfer.dropEffect = "none"
-            }
-            uploader.className = uploader.className.replace(" hovering", "");
-        }
-        
-        function handleFileDrop(input, uploader, event) {
-            var files = input.files || event.dataTransfer.files,
-                file = files[0],
-                reader = new FileReader();
-            
-            handleFileDragLeave(input, event);
-            event.preventDefault();
-            event.stopPropagation();
-            
-            reader.onprogress = handleFileUploadProgress.bind(undefined, file, uploader);
-            reader.onloadend = handleFileUploadCompletion.bind(undefined, file, uploader);
-            
-            reader.readAsText(file);
-        }
-        
-        function handleFileUploadProgress(file, uploader, event) {
-            var percent;
-            
-            if (!event.lengthComputable) {
-                return;
-            }
-            
-            percent = Math.round((event.loaded / event.total) * 100);
-            
-            if (percent > 100) {
-                percent = 100;
-            }
-            
-            uploader.innerText = "Uploading '" + file.name + "' (" + percent + "%)...";
-        }
-        
-        function handleFileUploadCompletion(file, uploader, event) {
+        function handleUploadCompletion(event) {
             GameStarter.LevelEditor.handleUploadCompletion(event);
-            uploader.innerText = uploader.getAttribute("textOld");
         }
         
         return function (schema) {
@@ -745,7 +1041,10 @@ function UserWrappr(settings) {
                 title = document.createElement("div"),
                 button = document.createElement("div"),
                 between = document.createElement("div"),
-                uploader = createUploaderDiv();
+                uploader = createUploaderDiv(
+                    "Click to upload and continue your editor files!",
+                    handleUploadCompletion
+                );
             
             output.className = "select-options select-options-level-editor";
             
@@ -845,6 +1144,95 @@ function UserWrappr(settings) {
     };
     
     
+    /* Uploading utilities
+    */
+    
+    /**
+     * 
+     */
+    var createUploaderDiv = (function () {
+        function createUploaderDiv(text, onUpload) {
+            var uploader = document.createElement("div"),
+                input = document.createElement("input");
+            
+            uploader.className = "select-option select-option-large options-button-option";
+            uploader.textContent = text;
+            uploader.setAttribute("textOld", uploader.textContent);
+            
+            input.type = "file";
+            input.className = "select-upload-input";
+            input.onchange = handleFileDrop.bind(undefined, input, uploader, onUpload);
+            
+            uploader.ondragenter = handleFileDragEnter.bind(undefined, uploader);
+            uploader.ondragover = handleFileDragOver.bind(undefined, uploader);
+            uploader.ondragleave = input.ondragend = handleFileDragLeave.bind(undefined, uploader);
+            uploader.ondrop = handleFileDrop.bind(undefined, input, uploader, onUpload);
+            uploader.onclick = input.click.bind(input);
+            
+            uploader.appendChild(input);
+            
+            return uploader;
+        };
+        
+        function handleFileDragEnter(uploader, event) {
+            if (event.dataTransfer) {
+                event.dataTransfer.dropEFfect = "copy";
+            }
+            uploader.className += " hovering";
+        }
+        
+        function handleFileDragOver(uploader, event) {
+            event.preventDefault();
+            return false;
+        }
+        
+        function handleFileDragLeave(uploader, event) {
+            if (event.dataTransfer) {
+                event.dataTransfer.dropEffect = "none"
+            }
+            uploader.className = uploader.className.replace(" hovering", "");
+        }
+        
+        function handleFileDrop(input, uploader, onUpload, event) {
+            var files = input.files || event.dataTransfer.files,
+                file = files[0],
+                reader = new FileReader();
+            
+            handleFileDragLeave(input, event);
+            event.preventDefault();
+            event.stopPropagation();
+            
+            reader.onprogress = handleFileUploadProgress.bind(undefined, file, uploader);
+            reader.onloadend = handleFileUploadCompletion.bind(undefined, file, uploader, onUpload);
+            
+            reader.readAsText(file);
+        }
+        
+        function handleFileUploadProgress(file, uploader, event) {
+            var percent;
+            
+            if (!event.lengthComputable) {
+                return;
+            }
+            
+            percent = Math.round((event.loaded / event.total) * 100);
+            
+            if (percent > 100) {
+                percent = 100;
+            }
+            
+            uploader.innerText = "Uploading '" + file.name + "' (" + percent + "%)...";
+        }
+        
+        function handleFileUploadCompletion(file, uploader, onUpload, event) {
+            onUpload(event, file);
+            uploader.innerText = uploader.getAttribute("textOld");
+        }
+        
+        return createUploaderDiv;
+    })();
+    
+    
     /* Utilities
     */
     
@@ -207,7 +207,7 @@
  */
 function WorldSeedr(settings) {
     "use strict";
-    if (!this || this === window) {
+    if (!(this instanceof WorldSeedr)) {
         return new WorldSeedr(settings);
     }
     var self = this,
@@ -221,6 +221,22 @@ function WorldSeedr(settings) {
         // Function called in self.generateFull to place a child
         onPlacement,
         
+        // Function called in self.generateValidated to check generated commands
+        validator,
+        
+        // Function called in self.generateValidated to fix generated commands
+        // that never passed the validator
+        patcher,
+        
+        // How many times self.generateValidated may generate before patching
+        validationAttempts,
+        
+        // Summaries of each self.generateValidated call, for tuning
+        validations,
+        
+        // How many summaries validations may keep before dropping the oldest
+        validationsMax,
+        
         // A constant listing of direction opposites, like top-bottom
         directionOpposites = {
             "top": "bottom",
@@ -258,6 +274,17 @@ function WorldSeedr(settings) {
      *                                   possibilities of type "known" to be
      *                                   called in runGeneratedCommands (by 
      *                                   default, console.log).
+     * @param {Function} [validator]   A Function to check generated commands
+     *                                 in generateValidated, which returns an 
+     *                                 Object with a .valid Boolean.
+     * @param {Function} [patcher]   A Function to fix generated commands that
+     *                               never passed the validator.
+     * @param {Number} [validationAttempts]   How many times generateValidated
+     *                                        may generate before patching (by
+     *                                        default, 7).
+     * @param {Number} [validationsMax]   How many generateValidated summaries
+     *                                    are kept for getValidations (by 
+     *                                    default, 210).
      */
     self.reset = function (settings) {
         if (typeof settings.possibilities === "undefined") {
@@ -267,8 +294,13 @@ function WorldSeedr(settings) {
         possibilities = settings.possibilities;
         random = settings.random || Math.random.bind(Math);
         onPlacement = settings.onPlacement || console.log.bind(console, "Got:");
+        validator = settings.validator;
+        patcher = settings.patcher;
+        validationAttempts = settings.validationAttempts || 7;
+        validationsMax = settings.validationsMax || 210;
         
         self.clearGeneratedCommands();
+        self.clearValidations();
     };
     
     
@@ -306,10 +338,67 @@ function WorldSeedr(settings) {
         onPlacement = onPlacementNew;
     };
     
+    /**
+     * @return {Function} The Function used to check generated commands in
+     *                    generateValidated.
+     */
+    self.getValidator = function () {
+        return validator;
+    };
+    
+    /**
+     * @param {Function} validatorNew   A new Function to be used as the 
+     *                                  validator callback.
+     */
+    self.setValidator = function (validatorNew) {
+        validator = validatorNew;
+    };
+    
+    /**
+     * @return {Function} The Function used to fix generated commands that 
+     *                    never passed the validator.
+     */
+    self.getPatcher = function () {
+        return patcher;
+    };
+    
+    /**
+     * @param {Function} patcherNew   A new Function to be used as the patcher
+     *                                callback.
+     */
+    self.setPatcher = function (patcherNew) {
+        patcher = patcherNew;
+    };
+    
+    /**
+     * @return {Object[]} Summaries of the most recent generateValidated calls
+     *                    (up to validationsMax) since the last 
+     *                    clearValidations, useful for tuning how often
+     *                    possibilities fail validation.
+     */
+    self.getValidations = function () {
+        return validations;
+    };
+    
+    /**
+     * Resets the validations Array of generateValidated summaries.
+     */
+    self.clearValidations = function () {
+        validations = [];
+    };
+    
     
     /* Generated commands
     */
     
+    /**
+     * @return {Object[]} The commands generated since the last 
+     *                    clearGeneratedCommands.
+     */
+    self.getGeneratedCommands = function () {
+        return generatedCommands;
+    };
+    
     /**
      * Resets the generatedCommands Array so runGeneratedCommands can start.    
      */
@@ -383,6 +472,53 @@ function WorldSeedr(settings) {
         return generatedCommands;
     };
     
+    /**
+     * Clears generatedCommands and fills them with generateFull, repeating 
+     * until the validator approves of them or validationAttempts run out. If
+     * they never pass, the patcher (if there is one) is given the last 
+     * attempt to fix. A summary of the results is added to validations, 
+     * dropping the oldest if there are more than validationsMax.
+     * 
+     * @param {Object} schema   A simple Object with basic information on the
+     *                          chosen possibility.
+     * @return {Object}   A summary of the validation, containing the schema's
+     *                    .title, the number of .attempts, whether the commands
+     *                    were .patched, and the validator's last .results.
+     */
+    self.generateValidated = function (schema) {
+        var validation = {
+                "title": schema.title,
+                "attempts": 0,
+                "patched": false
+            },
+            results;
+        
+        do {
+            self.clearGeneratedCommands();
+            self.generateFull(schema);
+            validation.attempts += 1;
+            
+            results = validator 
+                ? validator(generatedCommands, schema) 
+                : { "valid": true };
+        } while (!results.valid && validation.attempts < validationAttempts);
+        
+        if (!results.valid && patcher) {
+            patcher(generatedCommands, schema, results);
+            validation.patched = true;
+            results = validator(generatedCommands, schema);
+        }
+        
+        validation.results = results;
+        validations.push(validation);
+        
+        if (validations.length > validationsMax) {
+            validations.shift();
+        }
+        
+        return validation;
+    };
+    
     /**
      * Generates the children for a given schema, position, and direction. This
      * is the real hardcore function called by self.generate, which calls the
@@ -206,7 +206,7 @@ document.onreadystatechange = (function (settings) {
                 continue;
             }
             
-            elements.push(createWorkerElement(files[i], event.target));
+            elements.push(createWorkerElement(files[i], input));
         }
         
         for (i = 0; i < elements.length; i += 1) {
@@ -400,6 +400,264 @@ document.onreadystatechange = (function (settings) {
         chooser.click();
     };
     
+    
+    /* Sprite sheets
+    */
+    
+    /**
+     * 
+     */
+    var initializeImporter = function (selector) {
+        var input = document.querySelector(selector);
+        
+        initializeClickInput(input);
+        initializeDragInput(input);
+        
+        input.workerCallback = input.children[0].workerCallback = workerImporterStart;
+    };
+    
+    /**
+     * Reads the sprite path, frame size, and frame classes for importing from
+     * the importer's fields.
+     */
+    var getImporterOptions = function (settings) {
+        return {
+            "path": splitWords(document.querySelector(settings.importerPathSelector).value),
+            "classes": splitWords(document.querySelector(settings.importerClassesSelector).value),
+            "width": Number(document.querySelector(settings.importerWidthSelector).value) || 0,
+            "height": Number(document.querySelector(settings.importerHeightSelector).value) || 0
+        };
+    };
+    
+    /**
+     * 
+     */
+    var workerImporterStart = function (result, file, element, event) {
+        var image = document.createElement("img");
+        image.onload = workerImporterFinish.bind(
+            undefined, image, file, element, getImporterOptions(settings)
+        );
+        image.src = result;
+        
+        element.className = "output output-working";
+        element.innerText = "Working on " + file.name + "...";
+    };
+    
+    /**
+     * 
+     */
+    var workerImporterFinish = function (image, file, element, options, event) {
+        var frames = importSpriteSheet(image, options),
+            displayResult = document.createElement("textarea");
+        
+        if (!frames.length) {
+            element.className = "output output-failed";
+            element.innerText = "No frames with visible pixels were found in '" + file.name + "'.";
+            return;
+        }
+        
+        element.className = "output output-complete";
+        element.innerText = "Imported " + frames.length + " frame" + (frames.length === 1 ? "" : "s")
+            + " from '" + file.name + "' ('" + element.getAttribute("palette") + "' palette).";
+        element.style.backgroundImage = "url('" + image.src + "')";
+        
+        displayResult.spellcheck = false;
+        displayResult.className = "selectable";
+        displayResult.rows = frames.length + options.path.length * 2;
+        displayResult.value = printLibraryEntries(frames, options.path);
+        
+        element.appendChild(displayResult);
+    };
+    
+    /**
+     * Cuts an image into frames along a grid, skipping fully transparent
+     * cells, and encodes each against the current palette. Frames that are
+     * identical to an earlier frame are marked with its path as "same", and
+     * frames that are horizontal mirrors of one are marked as "flipped".
+     * 
+     * @param {HTMLImageElement} image
+     * @param {Object} options   The sprite path, frame classes, and frame size
+     *                           (0 for the whole image) from getImporterOptions.
+     * @return {Object[]} The frames, in left-to-right then top-to-bottom order.
+     */
+    var importSpriteSheet = function (image, options) {
+        var canvas = document.createElement("canvas"),
+            context = canvas.getContext("2d"),
+            width = Math.min(options.width || image.width, image.width),
+            height = Math.min(options.height || image.height, image.height),
+            frames = [],
+            frame, data, pixels, name, i, j, k;
+        
+        canvas.width = image.width;
+        canvas.height = image.height;
+        context.drawImage(image, 0, 0);
+        
+        for (i = 0; i + height <= image.height; i += height) {
+            for (j = 0; j + width <= image.width; j += width) {
+                data = context.getImageData(j, i, width, height).data;
+                
+                if (isTransparent(data)) {
+                    continue;
+                }
+                
+                pixels = getPaletteIndices(data);
+                name = options.classes[frames.length]
+                    || (frames.length ? "frame" + frames.length : "normal");
+                frame = {
+                    "name": name,
+                    "path": options.path.concat([name]),
+                    "pixels": pixels.join(","),
+                    "mirrored": mirrorRows(pixels, width).join(",")
+                };
+                
+                for (k = 0; k < frames.length; k += 1) {
+                    if (frames[k].same || frames[k].flipped) {
+                        continue;
+                    }
+                    
+                    if (frames[k].pixels === frame.pixels) {
+                        frame.same = frames[k].path;
+                        break;
+                    }
+                    
+                    if (frames[k].pixels === frame.mirrored) {
+                        frame.flipped = frames[k].path;
+                        break;
+                    }
+                }
+                
+                if (!frame.same && !frame.flipped) {
+                    frame.sprite = PixelRender.encodeData(data);
+                }
+                
+                frames.push(frame);
+            }
+        }
+        
+        return frames;
+    };
+    
+    /**
+     * Prints frames as library entries nested under their path, ready to be
+     * pasted into a sprites library. Flipped frames are left as comments, as
+     * they should use their original's sprite with the flipHoriz class.
+     * 
+     * @param {Object[]} frames   Frames from importSpriteSheet.
+     * @param {String[]} path   The names of the library Objects to nest under.
+     * @return {String}
+     */
+    var printLibraryEntries = function (frames, path) {
+        var lines = [],
+            entries = [],
+            indent = "",
+            frame, i;
+        
+        for (i = 0; i < path.length; i += 1) {
+            lines.push(indent + JSON.stringify(path[i]) + ": {");
+            indent += "    ";
+        }
+        
+        for (i = 0; i < frames.length; i += 1) {
+            frame = frames[i];
+            
+            if (frame.same) {
+                entries.push(indent + JSON.stringify(frame.name) + ": "
+                    + "[\"same\", " + printPath(frame.same) + "]");
+            } else if (!frame.flipped) {
+                entries.push(indent + JSON.stringify(frame.name) + ": "
+                    + JSON.stringify(frame.sprite));
+            }
+        }
+        
+        if (entries.length) {
+            lines.push(entries.join(",\n"));
+        }
+        
+        for (i = 0; i < frames.length; i += 1) {
+            frame = frames[i];
+            
+            if (frame.flipped) {
+                lines.push(
+                    indent + "// " + JSON.stringify(frame.name) + " is " 
+                    + printPath(frame.flipped) + " with the \""
+                    + settings.flipHoriz + "\" class"
+                );
+            }
+        }
+        
+        for (i = 0; i < path.length; i += 1) {
+            indent = indent.substring(4);
+            lines.push(indent + "}");
+        }
+        
+        return lines.join("\n");
+    };
+    
+    /**
+     * @return {String} A path printed as an Array of Strings, as in library
+     *                  post commands.
+     */
+    var printPath = function (path) {
+        return "[\"" + path.join("\", \"") + "\"]";
+    };
+    
+    /**
+     * @return {Number[]} The index of the closest current palette color for
+     *                    each pixel in raw image data.
+     */
+    var getPaletteIndices = function (data) {
+        var palette = PixelRender.getPaletteDefault(),
+            output = new Array(data.length / 4),
+            i;
+        
+        for (i = 0; i < output.length; i += 1) {
+            output[i] = PixelRender.getClosestInPalette(palette, data.subarray(i * 4, i * 4 + 4));
+        }
+        
+        return output;
+    };
+    
+    /**
+     * @return {Number[]} A copy of pixels with each row of the given width
+     *                    reversed, as if flipped horizontally.
+     */
+    var mirrorRows = function (pixels, width) {
+        var output = new Array(pixels.length),
+            i, j;
+        
+        for (i = 0; i < pixels.length; i += width) {
+            for (j = 0; j < width; j += 1) {
+                output[i + j] = pixels[i + width - j - 1];
+            }
+        }
+        
+        return output;
+    };
+    
+    /**
+     * @return {Boolean} Whether every pixel in raw image data has no alpha.
+     */
+    var isTransparent = function (data) {
+        var i;
+        
+        for (i = 3; i < data.length; i += 4) {
+            if (data[i] !== 0) {
+                return false;
+            }
+        }
+        
+        return true;
+    };
+    
+    /**
+     * @return {String[]} The whitespace-separated words in a String.
+     */
+    var splitWords = function (text) {
+        return text.split(/\s+/).filter(function (word) {
+            return word.length > 0;
+        });
+    };
+    
 
     /**
      * 
@@ -416,6 +674,7 @@ document.onreadystatechange = (function (settings) {
         );
         
         initializeInput(settings.inputSelector);
+        initializeImporter(settings.importerSelector);
     };
 })({
     "allowedFiles": {
@@ -425,6 +684,12 @@ document.onreadystatechange = (function (settings) {
         "jpg": true
     },
     "inputSelector": "#input",
+    "importerSelector": "#importer",
+    "importerPathSelector": "#importer-path",
+    "importerClassesSelector": "#importer-classes",
+    "importerWidthSelector": "#importer-width",
+    "importerHeightSelector": "#importer-height",
+    "flipHoriz": "flipped",
     "outputSelector": "#output",
     "paletteDefault": "Mario",
     "palettes": {
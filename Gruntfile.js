@@ -34,6 +34,7 @@ module.exports = function (grunt) {
                     "<%= meta.GameStartrPath %>/EightBittr/*.js",
                     "<%= meta.GameStartrPath %>/GameStartr.js",
                     "<%= meta.GameStartrPath %>/AudioPlayr/*.js",
+                    "<%= meta.GameStartrPath %>/AudioSynthr/*.js",
                     "<%= meta.GameStartrPath %>/ChangeLinr/*.js",
                     "<%= meta.GameStartrPath %>/FPSAnalyzr/*.js",
                     "<%= meta.GameStartrPath %>/GamesRunnr/*.js",
@@ -48,6 +49,7 @@ module.exports = function (grunt) {
                     "<%= meta.GameStartrPath %>/PixelDrawr/*.js",
                     "<%= meta.GameStartrPath %>/PixelRendr/*.js",
                     "<%= meta.GameStartrPath %>/QuadsKeepr/*.js",
+                    "<%= meta.GameStartrPath %>/SplitTimr/*.js",
                     "<%= meta.GameStartrPath %>/StatsHoldr/*.js",
                     "<%= meta.GameStartrPath %>/StringFilr/*.js",
                     "<%= meta.GameStartrPath %>/ThingHittr/*.js",
@@ -1,6 +1,17 @@
 FullScreenMario.prototype.settings.audio = {
     "directory": "Sounds",
     "fileTypes": ["mp3", "ogg"],
+    "webAudio": true,
+    "crossfadeDuration": 490,
+    "duckingSounds": [
+        "Gain Life",
+        "Pipe",
+        "Power Down",
+        "Powerup",
+        "Powerup Appears"
+    ],
+    "duckingVolume": .35,
+    "temporaryThemes": ["Star"],
     "statistics": {
         "prefix": "FullScreenMario::AudioPlayer::",
         "values": {
@@ -11,6 +22,14 @@ FullScreenMario.prototype.settings.audio = {
             "muted": {
                 "valueDefault": 0,
                 "storeLocally": true
+            },
+            "volumeMusic": {
+                "valueDefault": 1,
+                "storeLocally": true
+            },
+            "volumeSfx": {
+                "valueDefault": 1,
+                "storeLocally": true
             }
         }
     },
@@ -17,6 +17,60 @@
         },
         "mapSettingDefault": "Overworld",
         "mapEntryDefault": "Plain",
+        "historyMaximum": 210,
+        "mapBackgrounds": {
+            "None": [],
+            "Hills": [
+                {
+                    "type": "scenery",
+                    "scroll": .5,
+                    "width": 256,
+                    "things": [
+                        { "thing": "HillLarge", "x": 0, "y": 0 },
+                        { "thing": "HillSmall", "x": 128, "y": 0 }
+                    ]
+                }
+            ],
+            "Clouds": [
+                {
+                    "type": "sprite",
+                    "scroll": .25,
+                    "thing": "Cloud2",
+                    "x": 28,
+                    "y": 76,
+                    "spacing": 96
+                }
+            ],
+            "Sunset": [
+                {
+                    "type": "gradient",
+                    "colors": {
+                        ".21": "#5C94FC",
+                        ".49": "#77AAFF",
+                        "1": "#FFCCAA"
+                    }
+                },
+                {
+                    "type": "scenery",
+                    "scroll": .5,
+                    "width": 256,
+                    "things": [
+                        { "thing": "HillLarge", "x": 0, "y": 0 },
+                        { "thing": "HillSmall", "x": 128, "y": 0 }
+                    ]
+                }
+            ],
+            "Night": [
+                {
+                    "type": "gradient",
+                    "colors": {
+                        "0": "#000000",
+                        ".49": "#000035",
+                        "1": "#280035"
+                    }
+                }
+            ]
+        },
         "things": things,
         "thingGroups": ["Text", "Character", "Solid", "Scenery"],
         "thingKeys": (function () {
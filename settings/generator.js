@@ -1,4 +1,25 @@
 FullScreenMario.prototype.settings.generator = {
+    "validationAttempts": 7,
+    "validationsMax": 210,
+    "validationEnds": ["EndInsideCastle", "EndOutsideCastle"],
+    "validationPatches": 14,
+    "validationStart": 16,
+    "validationStepHeight": 16,
+    "validationSurfaces": {
+        "Block": 0,
+        "Brick": 0,
+        "Bridge": 0,
+        "Cannon": 0,
+        "CastleBlock": 0,
+        "Floor": 0,
+        "Platform": 0,
+        "Springboard": 0,
+        "Stone": 0,
+        "StartInsideCastle": 24,
+        "EndInsideCastle": 24,
+        "Pipe": "height",
+        "PlatformGenerator": "column"
+    },
     "possibilities": {
         
         /* Overworld
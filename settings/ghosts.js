@@ -0,0 +1,6 @@
+FullScreenMario.prototype.settings.ghosts = {
+    "prefix": "FullScreenMario::Ghosts::",
+    "autoSave": true,
+    "frameInterval": 3,
+    "framesMaximum": 7000
+};
\ No newline at end of file
@@ -1,13 +1,14 @@
 FullScreenMario.prototype.settings.input = {
     "InputWritrArgs": {
         "aliases": {
-            // Keyboard aliases
-            "left":   [65, 37],     // a,     left
-            "right":  [68, 39],     // d,     right
-            "up":     [87, 38, 32], // w,     up,    space
-            "down":   [83, 40],     // s,     down
-            "sprint": [16, 17],     // shift, ctrl
-            "pause":  [80],         // p (pause)
+            // Keyboard and gamepad aliases
+            "left":   [65, 37, "pad left", "stick left"],   // a,     left,  pad left,  stick left
+            "right":  [68, 39, "pad right", "stick right"], // d,     right, pad right, stick right
+            "up":     [87, 38, 32, "pad a", "pad up"],      // w,     up,    space,     pad a, pad up
+            "down":   [83, 40, "pad down", "stick down"],   // s,     down,  pad down,  stick down
+            "sprint": [16, 17, "pad b", "pad x"],           // shift, ctrl,  pad b,     pad x
+            "pause":  [80, "pad start"],                    // p,     pad start (pause)
+            "checkpoint": [67, "pad y"],                    // c,     pad y (practice checkpoint)
             // Mute and Luigi disabled because there's a GUI for them now
             // "mute":   [77],         // m (mute)
             // "l":      [76],         // l (luigi)
@@ -22,6 +23,7 @@ FullScreenMario.prototype.settings.input = {
                 "down": FullScreenMario.prototype.keyDownDown,
                 "sprint": FullScreenMario.prototype.keyDownSprint,
                 "pause": FullScreenMario.prototype.keyDownPause,
+                "checkpoint": FullScreenMario.prototype.keyDownCheckpoint,
                 "mute": FullScreenMario.prototype.keyDownMute,
             },
             "onkeyup": {
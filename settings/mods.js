@@ -102,8 +102,8 @@ FullScreenMario.prototype.settings.mods = {
                 "onPlayerLanding": (function () {
                     var shiftLevels = [2, 1.5, 1, .5, 0, -.5, -1, -1.5, -2],
                         shiftCount = 0,
-                        shiftAll = function (EightBitter, texts, solids, scenery, characters) {
-                            var dy = shiftLevels[shiftCount];
+                        shiftAll = function (EightBitter, strength, texts, solids, scenery, characters) {
+                            var dy = shiftLevels[shiftCount] * strength;
                             
                             if (dy < 0) {
                                 EightBitter.shiftVert(EightBitter.player, dy);
@@ -123,6 +123,7 @@ FullScreenMario.prototype.settings.mods = {
                     
                     return function (mod) {
                         var player = this.player,
+                            strength = mod.optionValues["Strength %"] / 100,
                             characters, solids, scenery, texts, character, i;
                     
                         // Don't trigger during cutscenes or small landings
@@ -152,20 +153,27 @@ FullScreenMario.prototype.settings.mods = {
                             }
                             
                             character.resting = undefined;
-                            character.yvel = player.EightBitter.unitsize * -1.4;
+                            character.yvel = player.EightBitter.unitsize * -1.4 * strength;
                         }
                         
                         // A copy of each group is made because new Things 
                         // added in shouldn't start being moved in the middle
                         if (shiftCount === 0) {
                             this.TimeHandler.addEventInterval(
-                                shiftAll, 1, Infinity, this,
+                                shiftAll, 1, Infinity, this, strength,
                                 texts, solids, scenery, characters
                             );
                         }
                     }
                 })()
-            }
+            },
+            "options": [{
+                "title": "Strength %",
+                "type": "Number",
+                "minimum": 25,
+                "maximum": 300,
+                "valueDefault": 100
+            }]
         }, {
             "name": "Gradient Skies",
             "description": "Skies fade out to black in the heavens above.",
@@ -181,21 +189,13 @@ FullScreenMario.prototype.settings.mods = {
                     }
                 },
                 "onModDisable": function (mod) {
-                    var area = this.MapsHandler.getArea();
-                    
-                    area.setBackground(area);
-                    this.PixelDrawer.setBackground(area.background);
+                    this.applyAreaBackground(this.MapsHandler.getArea());
                 },
                 "onSetLocation": (function (gradients) {
                     return function (mod) {
                         var area = this.MapsHandler.getArea(),
                             setting = area.setting,
-                            context = this.canvas.getContext("2d"),
-                            background = context.createLinearGradient(
-                                0, 0,
-                                this.MapScreener.width,
-                                this.MapScreener.height
-                            ), gradient, i;
+                            gradient, i;
                         
                         for (i in gradients) {
                             if (setting.indexOf(i) !== -1) {
@@ -208,12 +208,10 @@ FullScreenMario.prototype.settings.mods = {
                             gradient = gradients["default"];
                         }
                         
-                        for (i in gradient) {
-                            background.addColorStop(i, gradient[i]);
-                        }
-                        
-                        area.background = background;
-                        this.PixelDrawer.setBackground(area.background);
+                        this.applyAreaBackground(area, [{
+                            "type": "gradient",
+                            "colors": gradient
+                        }].concat(area.backgroundLayers || []));
                     };
                 })({
                     "Underwater": {
@@ -289,6 +287,12 @@ FullScreenMario.prototype.settings.mods = {
                         attributes = ["direction", "moveleft", "lookleft", "xvel", "yvel", "speed"],
                         spawn, thing, i;
                     
+                    for (i in mod.settings.songs) {
+                        if (mod.settings.songs.hasOwnProperty(i)) {
+                            EightBitter.AudioPlayer.addSong(i, mod.settings.songs[i]);
+                        }
+                    }
+                    
                     for (i = 0; i < characters.length; i += 1) {
                         thing = characters[i];
                         if (thing.title === "Goomba") {
@@ -323,6 +327,12 @@ FullScreenMario.prototype.settings.mods = {
                         attributes = ["direction", "moveleft", "lookleft", "xvel", "yvel", "speed"],
                         thing, i;
                     
+                    for (i in mod.settings.songs) {
+                        if (mod.settings.songs.hasOwnProperty(i)) {
+                            EightBitter.AudioPlayer.removeSong(i);
+                        }
+                    }
+                    
                     for (i = 0; i < characters.length; i += 1) {
                         thing = characters[i];
                         if (thing.title === "Beetle" && thing.mod === "Hard Mode") {
@@ -345,6 +355,24 @@ FullScreenMario.prototype.settings.mods = {
                         }
                     }
                 }
+            },
+            "settings": {
+                "songs": {
+                    "Overworld": {
+                        "tempo": 210,
+                        "loop": true,
+                        "channels": [{
+                            "wave": "square",
+                            "notes": "E5/8 E5/8 r/8 E5/8 r/8 C5/8 E5/4 G5/4 r/4 G4/4 r/4 [ C5/4. G4/8 r/4 E4/4. A4/4 B4/4 Bb4/8 A4/4 G4/6 E5/6 G5/6 A5/4 F5/8 G5/8 r/8 E5/4 C5/8 D5/8 B4/4. ]2"
+                        }, {
+                            "wave": "triangle",
+                            "notes": "D3/8 D3/8 r/8 D3/8 r/8 D3/8 D3/4 G3/4 r/4 G2/4 r/4 [ G2/4. E2/8 r/4 C2/4. F2/4 G2/4 Gb2/8 F2/4 E2/6 C3/6 E3/6 F3/4 D3/8 E3/8 r/8 C3/4 A2/8 B2/8 G2/4. ]2"
+                        }, {
+                            "wave": "noise",
+                            "notes": "[ x/8 r/8 x/16 x/16 r/8 ]20"
+                        }]
+                    }
+                }
             }
         }, {
             "name": "High Speed",
@@ -358,7 +386,7 @@ FullScreenMario.prototype.settings.mods = {
                 "onModEnable": function (mod) {
                     var stats = this.ObjectMaker.getFunction("Player").prototype,
                         keyNames = mod.settings.keyNames,
-                        multiplier = mod.settings.multiplier,
+                        multiplier = mod.optionValues.Multiplier,
                         i;
                     
                     for (i = 0; i < keyNames.length; i += 1) {
@@ -374,12 +402,22 @@ FullScreenMario.prototype.settings.mods = {
                     for (i = 0; i < keyNames.length; i += 1) {
                         stats[keyNames[i]] = mod.settings[keyNames[i]];
                     }
+                },
+                "onModOptionChange": function (mod) {
+                    mod.events.onModDisable.call(this, mod);
+                    mod.events.onModEnable.call(this, mod);
                 }
             },
             "settings": {
-                "keyNames": ["maxspeedsave", "maxspeed", "scrollspeed"],
-                "multiplier": 14
-            }
+                "keyNames": ["maxspeedsave", "maxspeed", "scrollspeed"]
+            },
+            "options": [{
+                "title": "Multiplier",
+                "type": "Number",
+                "minimum": 1,
+                "maximum": 20,
+                "valueDefault": 14
+            }]
         }, {
             "name": "Infinite Lives",
             "description": "Mario never really dies.",
@@ -470,16 +508,28 @@ FullScreenMario.prototype.settings.mods = {
                 "email": "josh@fullscreenmario.com"
             },
             "enabled": false,
+            "conflicts": ["Tilt Gravity"],
             "events": {
-                "onModEnable": function () {
+                "onModEnable": function (mod) {
                     this.ObjectMaker.getFunction("Player").prototype.gravity 
-                            = this.ObjectMaker.getFunction("Area").prototype.gravity / 1.4
+                            = this.ObjectMaker.getFunction("Area").prototype.gravity
+                            * mod.optionValues["Gravity %"] / 100;
                 },
                 "onModDisable": function () {
                     this.ObjectMaker.getFunction("Player").prototype.gravity 
                             = this.ObjectMaker.getFunction("Area").prototype.gravity;
+                },
+                "onModOptionChange": function (mod) {
+                    mod.events.onModEnable.call(this, mod);
                 }
-            }
+            },
+            "options": [{
+                "title": "Gravity %",
+                "type": "Number",
+                "minimum": 10,
+                "maximum": 100,
+                "valueDefault": 71
+            }]
         }, {
             "name": "Luigi",
             "description": "The little brother who could!",
@@ -491,6 +541,7 @@ FullScreenMario.prototype.settings.mods = {
             "events": {
                 "onModEnable": function () {
                     this.StatsHolder.set("luigi", true);
+                    this.StatsHolder.set("player", "Luigi");
                     this.ObjectMaker.getFunction("Player").prototype.title = "Luigi";
                     
                     if (this.player) {
@@ -505,6 +556,7 @@ FullScreenMario.prototype.settings.mods = {
                 },
                 "onModDisable": function () {
                     this.StatsHolder.set("luigi", false);
+                    this.StatsHolder.set("player", "Mario");
                     this.ObjectMaker.getFunction("Player").prototype.title = "Player";
                     
                     if (this.player) {
@@ -576,9 +628,16 @@ FullScreenMario.prototype.settings.mods = {
                     this.settings.sprites.paletteDefault = mod.settings.paletteDefaultOld;
                     
                     mod.resetVisuals(this);
-                    mod.resetThingSprites(this);
+                    this.setPaletteTheme(this.getPaletteTheme());
                 },
                 "onPreSetLocation": function (mod, location) {
+                    if (
+                        mod.optionValues.Shuffle === "Once"
+                        && this.settings.sprites.paletteDefault !== mod.settings.paletteDefaultOld
+                    ) {
+                        return;
+                    }
+                    
                     this.settings.sprites.paletteDefault = mod.shufflePalette(
                         Array.prototype.slice.call(mod.settings.paletteDefaultOld)
                     );
@@ -590,7 +649,15 @@ FullScreenMario.prototype.settings.mods = {
             "settings": {
                 "paletteOld": undefined
             },
+            "options": [{
+                "title": "Shuffle",
+                "type": "Select",
+                "options": ["Each Area", "Once"],
+                "valueDefault": "Each Area"
+            }],
             "resetVisuals": function (EightBitter) {
+                var layers = EightBitter.PixelDrawer.getBackgroundLayers();
+                
                 EightBitter.resetPixelRender(EightBitter, EightBitter.customs);
                 EightBitter.resetPixelDrawer(EightBitter, EightBitter.customs);
                 EightBitter.PixelDrawer.setCanvas(EightBitter.canvas);
@@ -603,6 +670,7 @@ FullScreenMario.prototype.settings.mods = {
                 EightBitter.PixelDrawer.setBackground(
                     EightBitter.MapsHandler.getArea().background
                 );
+                EightBitter.PixelDrawer.setBackgroundLayers(layers);
             },
             "resetThingSprites": function (EightBitter) {
                 EightBitter.GroupHolder.callOnAll(undefined, function (thing) {
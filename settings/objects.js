@@ -9,6 +9,7 @@
             "Area": {},
             "Location": {},
             "Thing": {
+                "PlayerGhost": {},
                 "character": {
                     "Player": {},
                     "enemy": {
@@ -165,6 +166,7 @@
                         "TextPeriod": {},
                         "TextExclamationMark": {},
                         "TextColon": {},
+                        "TextDash": {},
                     },
                     "TextColored": {
                         "TextColoredD": {},
@@ -349,6 +351,17 @@
                     };
                 }
             },
+            // Kept in the Text group so it's drawn but never moved or collided
+            "PlayerGhost": {
+                "title": "Player",
+                "groupType": "Text",
+                "spriteGroupType": "Character",
+                "width": 8,
+                "height": 8,
+                "nocollide": true,
+                "opacity": .42,
+                "name": "player normal small still"
+            },
             "enemy": {
                 "type": "enemy",
                 "speed": FullScreenMario.unitsize * .21,
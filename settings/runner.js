@@ -2,6 +2,10 @@ FullScreenMario.prototype.settings.runner = {
     "interval": 1000 / 60,
     "adjustFramerate": true,
     "games": [
+        function () {
+            this.InputWriter.updateGamepads();
+            this.InputWriter.updatePlayback();
+        },
         function () {
             this.QuadsKeeper.determineAllQuadrants("Scenery", this.GroupHolder.getSceneryGroup());
             this.QuadsKeeper.determineAllQuadrants("Text", this.GroupHolder.getTextGroup());
@@ -16,15 +20,23 @@ FullScreenMario.prototype.settings.runner = {
         function () {
             this.maintainPlayer(this, this.player);
         },
+        function () {
+            this.maintainGhost(this);
+        },
         function () {
             this.TimeHandler.handleEvents();
         },
         function () {
-            this.PixelDrawer.refillGlobalCanvas(this.MapsHandler.getArea().background);
-            // this.PixelDrawer.refillQuadrantGroups(
-                // this.QuadsKeeper.getQuadrantRows(),
-                // this.MapsHandler.getArea().background
-            // );
+            this.SplitTimer.tick();
+        }
+    ],
+    "renders": [
+        function () {
+            if (this.PixelDrawer.getDirtyRefill()) {
+                this.PixelDrawer.refillDirtyCanvas(this.QuadsKeeper.getQuadrantRows());
+            } else {
+                this.PixelDrawer.refillGlobalCanvas();
+            }
         }
     ]
 }
\ No newline at end of file
@@ -0,0 +1,8 @@
+FullScreenMario.prototype.settings.splits = {
+    "ticksPerSecond": 60,
+    "doMakeContainer": true,
+    "statistics": {
+        "prefix": "FullScreenMario::Splits::",
+        "autoSave": true
+    }
+};
\ No newline at end of file
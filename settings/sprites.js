@@ -4,6 +4,17 @@ FullScreenMario.prototype.settings.sprites = {
     "spriteHeight": "spriteheightpixels",
     "flipVert": "flip-vert",
     "flipHoriz": "flipped",
+    // Sprites exported to atlases that their Things' properties can't size
+    "atlas": {
+        "titles": {
+            "Luigi": "Player",
+            "Text1up": "Text1Up"
+        },
+        "dimensions": {
+            "Character Player dead": [15, 14],
+            "Character ShellBeetle Castle": [16, 15]
+        }
+    },
     "paletteDefault": [
         [0, 0, 0, 0],
         // Grayscales (1-4)
@@ -35,6 +46,52 @@ FullScreenMario.prototype.settings.sprites = {
         // Pinkish tan (22) for large decorative text
         [252, 188, 176, 255]
     ],
+    // Replacement colors for paletteDefault, keyed by palette index
+    "paletteThemes": {
+        "Classic": {},
+        // Reds become vermillion and greens become blues
+        "Deuteranopia": {
+            "08": [213, 94, 0, 255],
+            "11": [128, 50, 0, 255],
+            "12": [178, 214, 250, 255],
+            "13": [240, 228, 66, 255],
+            "14": [0, 114, 178, 255],
+            "21": [0, 84, 140, 255]
+        },
+        // Reds are brightened towards orange, since they appear darker
+        "Protanopia": {
+            "08": [230, 120, 0, 255],
+            "09": [190, 110, 30, 255],
+            "11": [150, 80, 0, 255],
+            "12": [178, 214, 250, 255],
+            "13": [240, 228, 66, 255],
+            "14": [0, 114, 178, 255],
+            "21": [0, 84, 140, 255]
+        },
+        // Blues become teals and reddish purples, distinct from yellows
+        "Tritanopia": {
+            "13": [230, 200, 0, 255],
+            "15": [70, 20, 60, 255],
+            "16": [0, 140, 120, 255],
+            "17": [200, 0, 120, 255],
+            "18": [255, 200, 230, 255],
+            "19": [0, 190, 170, 255]
+        },
+        "High Contrast": {
+            "03": [220, 220, 220, 255],
+            "04": [80, 80, 80, 255],
+            "05": [255, 230, 180, 255],
+            "06": [255, 160, 0, 255],
+            "08": [255, 0, 0, 255],
+            "09": [170, 60, 0, 255],
+            "10": [110, 90, 0, 255],
+            "11": [90, 0, 0, 255],
+            "13": [170, 255, 0, 255],
+            "14": [0, 200, 0, 255],
+            "17": [0, 0, 255, 255],
+            "19": [0, 220, 255, 255]
+        }
+    },
     "filters": {
         "Underworld": ["palette", {
             "05": "18",
@@ -882,6 +939,7 @@ FullScreenMario.prototype.settings.sprites = {
             "TextExclamationMark": "p[0,1]00110011110111101111001100011x08,110",
             "TextColon": "p[0,1]x06,1100011x08,1100011x012,",
             "TextSlash": "p[0,1]x06,1x05,1x05,1x05,1x05,1x05,1x05,1x06,",
+            "TextDash": "p[0,1]x020,x14,x016,",
             "Text1up": "p[0,1]0110011001011110111001100101100101100110010110010110011001011001011001100101111001100x15,0110001111001110011000",
             "Text100": "p[0,1]001000100010011001010101001001010101001001010101001001010101001001010101011101110111011100100010",
             "Text200": "p[0,1]01100010001010010101010100010101010100100101010101000101010110000101010x15,01110x17,00100010",
@@ -27,6 +27,16 @@ FullScreenMario.prototype.settings.statistics = {
         "elementTag": "td"
     },
     "values": {
+        "player": {
+            "valueDefault": "Mario",
+            "hasElement": true
+        },
+        "players": {
+            "valueDefault": []
+        },
+        "playerTurn": {
+            "valueDefault": 0
+        },
         "power": {
             "valueDefault": 1,
             "storeLocally": false
@@ -0,0 +1,4 @@
+FullScreenMario.prototype.settings.synthesizer = {
+    "sampleRate": 22050,
+    "songs": {}
+};
\ No newline at end of file
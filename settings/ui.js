@@ -43,6 +43,31 @@ FullScreenMario.prototype.settings.ui = {
                     "code": "{%%%%GAME%%%%}.MapsHandler.setMap('Random', 'Underworld');",
                     "comment": "Starts the random map in the Underworld."
                 }]
+            }, {
+                "title": "{%%%%GAME%%%%}.startPractice",
+                "description": "Practice a map from any location with any power, respawning at checkpoints (set with the C key) without losing lives.",
+                "usage": "{%%%%GAME%%%%}.startPractice(<map>[, <location>[, <power>]]);",
+                "examples": [{
+                    "code": "{%%%%GAME%%%%}.startPractice('8-4');",
+                    "comment": "Practices map 8-4 from its start."
+                }, {
+                    "code": "{%%%%GAME%%%%}.startPractice('1-2', 1, 3);",
+                    "comment": "Practices map 1-2 from the second location, with fire power."
+                }, {
+                    "code": "{%%%%GAME%%%%}.stopPractice();",
+                    "comment": "Goes back to losing lives on deaths."
+                }]
+            }, {
+                "title": "{%%%%GAME%%%%}.getGeneratedMap",
+                "description": "Creates a map from the current one, with every randomly generated area written out as normal map creation, including those that haven't been reached yet.",
+                "usage": "{%%%%GAME%%%%}.getGeneratedMap([<name>]);",
+                "examples": [{
+                    "code": "JSON.stringify({%%%%GAME%%%%}.getGeneratedMap('My Map'));",
+                    "comment": "Exports the current random map as map JSON."
+                }, {
+                    "code": "{%%%%GAME%%%%}.MapsCreator.storeMap('My Map', {%%%%GAME%%%%}.getGeneratedMap('My Map'));",
+                    "comment": "Stores the current random map as a map to be played with setMap."
+                }]
             }],
             "Things": [{
                 "title": "{%%%%GAME%%%%}.addThing",
@@ -198,6 +223,30 @@ FullScreenMario.prototype.settings.ui = {
                         GameStarter.AudioPlayer.setVolume(value / 100);
                     }
                 },
+                {
+                    "title": "Music Volume",
+                    "type": "Number",
+                    "minimum": 0,
+                    "maximum": 100,
+                    "source": function (GameStarter) {
+                        return Math.round(GameStarter.AudioPlayer.getVolumeBus("music") * 100);
+                    },
+                    "update": function (GameStarter, value) {
+                        GameStarter.AudioPlayer.setVolumeBus("music", value / 100);
+                    }
+                },
+                {
+                    "title": "SFX Volume",
+                    "type": "Number",
+                    "minimum": 0,
+                    "maximum": 100,
+                    "source": function (GameStarter) {
+                        return Math.round(GameStarter.AudioPlayer.getVolumeBus("sfx") * 100);
+                    },
+                    "update": function (GameStarter, value) {
+                        GameStarter.AudioPlayer.setVolumeBus("sfx", value / 100);
+                    }
+                },
                 {
                     "title": "Mute",
                     "type": "Boolean",
@@ -246,6 +295,34 @@ FullScreenMario.prototype.settings.ui = {
                     },
                     "storeLocally": true
                 },
+                {
+                    "title": "Dirty Rendering",
+                    "type": "Boolean",
+                    "storeLocally": true,
+                    "source": function (GameStarter) {
+                        return GameStarter.PixelDrawer.getDirtyRefill();
+                    },
+                    "enable": function (GameStarter) {
+                        GameStarter.PixelDrawer.setDirtyRefill(true);
+                    },
+                    "disable": function (GameStarter) {
+                        GameStarter.PixelDrawer.setDirtyRefill(false);
+                    }
+                },
+                {
+                    "title": "Palette",
+                    "type": "Select",
+                    "options": function (GameStarter) {
+                        return Object.keys(GameStarter.settings.sprites.paletteThemes);
+                    },
+                    "source": function (GameStarter) {
+                        return GameStarter.getPaletteTheme();
+                    },
+                    "update": function (GameStarter, value) {
+                        GameStarter.setPaletteTheme(value);
+                    },
+                    "storeLocally": true
+                },
                 {
                     "title": "Tilt Controls",
                     "type": "Boolean",
@@ -259,6 +336,74 @@ FullScreenMario.prototype.settings.ui = {
                     "disable": function (GameStarter) {
                         window.ondevicemotion = undefined;
                     }
+                },
+                {
+                    "title": "Touch Controls",
+                    "type": "Boolean",
+                    "storeLocally": true,
+                    "source": function (GameStarter) {
+                        return "ontouchstart" in window;
+                    },
+                    "enable": function (GameStarter) {
+                        this.enableTouchControls();
+                    },
+                    "disable": function (GameStarter) {
+                        this.disableTouchControls();
+                    }
+                },
+                {
+                    "title": "Touch Size",
+                    "type": "Number",
+                    "minimum": 50,
+                    "maximum": 200,
+                    "storeLocally": true,
+                    "source": function (GameStarter) {
+                        return this.getTouchControlsSize();
+                    },
+                    "update": function (GameStarter, value) {
+                        this.setTouchControlsSize(value);
+                    }
+                },
+                {
+                    "title": "Touch Opacity",
+                    "type": "Number",
+                    "minimum": 10,
+                    "maximum": 100,
+                    "storeLocally": true,
+                    "source": function (GameStarter) {
+                        return this.getTouchControlsOpacity();
+                    },
+                    "update": function (GameStarter, value) {
+                        this.setTouchControlsOpacity(value);
+                    }
+                },
+                {
+                    "title": "Touch Position",
+                    "type": "Select",
+                    "options": function (GameStarter) {
+                        return ["bottom", "middle", "top"];
+                    },
+                    "source": function (GameStarter) {
+                        return this.getTouchControlsPosition();
+                    },
+                    "update": function (GameStarter, value) {
+                        this.setTouchControlsPosition(value);
+                    },
+                    "storeLocally": true
+                },
+                {
+                    "title": "Speedrun Splits",
+                    "type": "Boolean",
+                    "storeLocally": true,
+                    "source": function (GameStarter) {
+                        return false;
+                    },
+                    "enable": function (GameStarter) {
+                        GameStarter.SplitTimer.displayContainer();
+                    },
+                    "disable": function (GameStarter) {
+                        GameStarter.SplitTimer.hideContainer();
+                    }
                 }
             ],
             "actions": [
@@ -267,34 +412,131 @@ FullScreenMario.prototype.settings.ui = {
                     "action": function (GameStarter) {
                         GameStarter.takeScreenshot();
                     }
+                },
+                {
+                    "title": "Export Sprites",
+                    "action": function (GameStarter) {
+                        GameStarter.exportSpriteAtlas();
+                    }
+                },
+                {
+                    "title": "Render Times",
+                    "action": function (GameStarter, event) {
+                        var button = event.target,
+                            FPSAnalyzer = GameStarter.PixelDrawer.getFPSAnalyzer(),
+                            mode = GameStarter.PixelDrawer.getDirtyRefill() ? "dirty" : "full",
+                            differences = FPSAnalyzer.getDifferences(),
+                            total = 0,
+                            i;
+                        
+                        // Nothing is recorded until the first render
+                        if (!differences.length) {
+                            button.textContent = "No renders yet (" + mode + ")";
+                        } else {
+                            for (i = 0; i < differences.length; i += 1) {
+                                total += differences[i];
+                            }
+                            
+                            button.textContent = (total / differences.length).toFixed(2)
+                                + "ms (" + mode + ")";
+                        }
+                        
+                        setTimeout(function () {
+                            button.textContent = "Render Times";
+                        }, 2100);
+                    }
+                },
+                {
+                    "title": "Export Splits",
+                    "action": function (GameStarter) {
+                        GameStarter.createElement("a", {
+                            "download": GameStarter.settings.ui.globalName + " Splits.json",
+                            "href": "data:application/json;charset=utf-8,"
+                                + encodeURIComponent(GameStarter.SplitTimer.exportBests())
+                        }).click();
+                    }
+                },
+                {
+                    "title": "Import Splits",
+                    "action": function (GameStarter, event) {
+                        var button = event.target,
+                            input = GameStarter.createElement("input", {
+                                "type": "file"
+                            });
+                        
+                        input.onchange = function () {
+                            var reader = new FileReader();
+                            
+                            reader.onloadend = function () {
+                                try {
+                                    GameStarter.SplitTimer.importBests(reader.result);
+                                    button.textContent = "Splits imported!";
+                                } catch (error) {
+                                    button.textContent = error.message;
+                                }
+                                
+                                setTimeout(function () {
+                                    button.textContent = "Import Splits";
+                                }, 2100);
+                            };
+                            
+                            reader.readAsText(input.files[0]);
+                        };
+                        
+                        input.click();
+                    }
                 }
             ]
         }, {
             "title": "Controls",
             "generator": "OptionsTable",
             "options": (function (controls) {
-                return controls.map(function (title) {
-                    return {
-                        "title": title[0].toUpperCase() + title.substr(1),
-                        "type": "Keys",
-                        "storeLocally": true,
-                        "source": function (GameStarter) {
-                            return GameStarter.InputWriter
-                                .getAliasAsKeyStrings(title)
-                                .map(function (string) {
-                                    return string.toLowerCase();
-                                });
-                        },
-                        "callback": function (GameStarter, valueOld, valueNew) {
-                            GameStarter.InputWriter.switchAliasValues(
-                                title,
-                                [GameStarter.InputWriter.convertKeyStringToAlias(valueOld)],
-                                [GameStarter.InputWriter.convertKeyStringToAlias(valueNew)]
-                            );
-                        }
-                    };
-                });
-            })(["left", "right", "up", "down", "sprint", "pause"])
+                var keys = controls.map(function (title) {
+                        return {
+                            "title": title[0].toUpperCase() + title.substr(1),
+                            "type": "Keys",
+                            "storeLocally": true,
+                            "source": function (GameStarter) {
+                                return GameStarter.InputWriter
+                                    .getAliasAsKeyStrings(title)
+                                    .filter(function (string) {
+                                        return !GameStarter.InputWriter.isGamepadInput(string);
+                                    })
+                                    .map(function (string) {
+                                        return string.toLowerCase();
+                                    });
+                            },
+                            "callback": function (GameStarter, valueOld, valueNew) {
+                                GameStarter.InputWriter.switchAliasValues(
+                                    title,
+                                    [GameStarter.InputWriter.convertKeyStringToAlias(valueOld)],
+                                    [GameStarter.InputWriter.convertKeyStringToAlias(valueNew)]
+                                );
+                            }
+                        };
+                    }),
+                    buttons = controls.map(function (title) {
+                        return {
+                            "title": "Pad " + title[0].toUpperCase() + title.substr(1),
+                            "type": "Buttons",
+                            "storeLocally": true,
+                            "source": function (GameStarter) {
+                                return GameStarter.InputWriter
+                                    .getAliasAsKeyStrings(title)
+                                    .filter(function (string) {
+                                        return GameStarter.InputWriter.isGamepadInput(string);
+                                    });
+                            },
+                            "callback": function (GameStarter, valueOld, valueNew) {
+                                GameStarter.InputWriter.switchAliasValues(
+                                    title, [valueOld], [valueNew]
+                                );
+                            }
+                        };
+                    });
+                
+                return keys.concat(buttons);
+            })(["left", "right", "up", "down", "sprint", "pause", "checkpoint"])
         }, {
             "title": "Mods!",
             "generator": "OptionsButtons",
@@ -303,8 +545,79 @@ FullScreenMario.prototype.settings.ui = {
             "options": function (GameStarter) {
                 return GameStarter.ModAttacher.getMods();
             },
+            "reasonInactive": function (GameStarter, name) {
+                var blockers = GameStarter.ModAttacher.getEnableBlockers(name);
+                
+                return blockers.length ? blockers.join(", ") : undefined;
+            },
             "callback": function (GameStarter, schema, button) {
-                GameStarter.ModAttacher.toggleMod(button.getAttribute("value") || button.textContent);
+                var name = button.getAttribute("value") || button.textContent,
+                    ModAttacher = GameStarter.ModAttacher;
+                
+                if (ModAttacher.getMod(name).enabled) {
+                    if (ModAttacher.canDisableMod(name)) {
+                        ModAttacher.disableMod(name);
+                    }
+                } else if (ModAttacher.canEnableMod(name)) {
+                    ModAttacher.enableMod(name);
+                }
+            },
+            "optionsDetails": function (GameStarter, name) {
+                var ModAttacher = GameStarter.ModAttacher;
+                
+                return ModAttacher.getModOptions(name).map(function (option) {
+                    var update = function (GameStarter, value) {
+                        ModAttacher.setModOption(name, option.title, value);
+                    };
+                    
+                    return {
+                        "title": option.title,
+                        "type": option.type,
+                        "minimum": option.minimum,
+                        "maximum": option.maximum,
+                        "options": function () {
+                            return option.options;
+                        },
+                        "source": function () {
+                            return ModAttacher.getModOption(name, option.title);
+                        },
+                        "update": update,
+                        "enable": function (GameStarter) {
+                            update(GameStarter, true);
+                        },
+                        "disable": function (GameStarter) {
+                            update(GameStarter, false);
+                        }
+                    };
+                });
+            },
+            "status": function (GameStarter) {
+                var errors = GameStarter.ModAttacher.getModBundleErrors();
+                
+                return Object.keys(errors)
+                    .map(function (origin) {
+                        return "Couldn't reinstall '" + origin + "': " + errors[origin];
+                    })
+                    .join(" ");
+            },
+            "uploader": {
+                "title": "Click or drop to install a mod file!",
+                "callback": function (GameStarter, schema, text, file) {
+                    var mods = GameStarter.ModAttacher.addModBundle(text, file.name);
+                    
+                    return "Installed " + mods.length + " mod(s) from '" + file.name + "'.";
+                }
+            },
+            "pathLoader": {
+                "title": "Load",
+                "placeholder": "mods/MyMod.json",
+                "callback": function (GameStarter, schema, path, onComplete) {
+                    GameStarter.ModAttacher.loadModFile(path, function (mods, error) {
+                        onComplete(error
+                            ? error.message
+                            : "Installed " + mods.length + " mod(s) from '" + path + "'.");
+                    });
+                }
             }
         }, {
             "title": "Editor",
@@ -363,12 +676,121 @@ FullScreenMario.prototype.settings.ui = {
                             ]
                         ]
                     };
-                })()
+                })(),
+                "Copy Seed": {
+                    "title": "Copy Seed",
+                    "callback": function (GameStarter, schema, button, event) {
+                        var parent = event.target.parentNode,
+                            randomizer = parent.querySelector(".randomInput");
+                        
+                        // The current map's seed is kept in the input, so the 
+                        // Map Generator will recreate the same map from it
+                        randomizer.value = GameStarter.NumberMaker.getSeed();
+                        randomizer.setAttribute("custom", true);
+                        randomizer.select();
+                        
+                        try {
+                            document.execCommand("copy");
+                        } catch (error) {
+                            // Older browsers can't copy, but the seed is selected
+                        }
+                    }
+                },
+                "Two Players": {
+                    "title": "Two Players",
+                    "callback": function (GameStarter, schema, button, event) {
+                        GameStarter.LevelEditor.disable();
+                        GameStarter.gameStartTwoPlayer();
+                    }
+                },
+                "Edit Map": {
+                    "title": "Edit Map",
+                    "callback": function (GameStarter, schema, button, event) {
+                        // The map must be taken before the editor resets it
+                        var map = GameStarter.getGeneratedMap();
+                        
+                        GameStarter.LevelEditor.enable();
+                        GameStarter.LevelEditor.setCurrentJSON(JSON.stringify(map));
+                        GameStarter.LevelEditor.setSectionJSON();
+                    }
+                }
             },
             "callback": function (GameStarter, schema, button, event) {
                 GameStarter.LevelEditor.disable();
                 GameStarter.setMap(button.getAttribute("value") || button.textContent);
             }
-        }
+        }, (function () {
+            var powers = ["Small", "Big", "Fire"],
+                choices = {
+                    "start": "1-1 @ 0",
+                    "power": "Small"
+                };
+            
+            return {
+                "title": "Practice",
+                "generator": "OptionsTable",
+                "options": [
+                    {
+                        "title": "Start At",
+                        "type": "Select",
+                        "options": function (GameStarter) {
+                            var maps = GameStarter.MapsHandler.getMaps(),
+                                starts = [],
+                                i, j;
+                            
+                            for (i in maps) {
+                                if (maps.hasOwnProperty(i) && i !== "Random") {
+                                    for (j in maps[i].locations) {
+                                        if (maps[i].locations.hasOwnProperty(j)) {
+                                            starts.push(i + " @ " + j);
+                                        }
+                                    }
+                                }
+                            }
+                            
+                            return starts;
+                        },
+                        "source": function () {
+                            return choices.start;
+                        },
+                        "update": function (GameStarter, value) {
+                            choices.start = value;
+                        }
+                    },
+                    {
+                        "title": "Power",
+                        "type": "Select",
+                        "options": function () {
+                            return powers;
+                        },
+                        "source": function () {
+                            return choices.power;
+                        },
+                        "update": function (GameStarter, value) {
+                            choices.power = value;
+                        }
+                    }
+                ],
+                "actions": [
+                    {
+                        "title": "Start Practice",
+                        "action": function (GameStarter) {
+                            var start = choices.start.split(" @ ");
+                            
+                            GameStarter.LevelEditor.disable();
+                            GameStarter.startPractice(
+                                start[0], start[1], powers.indexOf(choices.power) + 1
+                            );
+                        }
+                    },
+                    {
+                        "title": "Stop Practice",
+                        "action": function (GameStarter) {
+                            GameStarter.stopPractice();
+                        }
+                    }
+                ]
+            };
+        })()
     ]
 };
\ No newline at end of file
@@ -26,4 +26,598 @@ describe("constructor", function () {
             "height": 1152
         });
     });
-});
\ No newline at end of file
+
+    it("runs in headless mode", function () {
+        FSM = new FullScreenMario({
+            "width": 512,
+            "height": 464,
+            "headless": true
+        });
+        FSM.gameStart();
+
+        var left = FSM.player.left;
+
+        FSM.InputWriter.callEvent("onkeydown", 39);
+        for (var i = 0; i < 35; i += 1) {
+            FSM.GamesRunner.tick();
+        }
+
+        // gameStart's play() runs one upkeep before the manual ticks
+        chai.expect(FSM.GamesRunner.getTicks()).to.equal(36);
+        chai.expect(FSM.player.left).to.be.above(left);
+        chai.expect(FSM.canvas.getContext).to.be.a("function");
+    });
+});
+
+describe("replays", function () {
+    it("play back a run from gameStart exactly", function () {
+        var recorder = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            }),
+            viewer = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            }),
+            onkeydown = recorder.InputWriter.makePipe("onkeydown", "keyCode"),
+            onkeyup = recorder.InputWriter.makePipe("onkeyup", "keyCode"),
+            i;
+
+        recorder.gameStart();
+        for (i = 0; i < 120; i += 1) {
+            if (i === 10) {
+                onkeydown({ "keyCode": 39 });
+            } else if (i === 40) {
+                onkeydown({ "keyCode": 38 });
+            } else if (i === 55) {
+                onkeyup({ "keyCode": 38 });
+            }
+            recorder.GamesRunner.tick();
+        }
+
+        viewer.playReplay(JSON.stringify(recorder.getReplay()));
+        for (i = 0; i < 120; i += 1) {
+            viewer.GamesRunner.tick();
+        }
+
+        chai.expect(viewer.player.left).to.equal(recorder.player.left);
+        chai.expect(viewer.player.top).to.equal(recorder.player.top);
+    });
+});
+
+describe("save states", function () {
+    it("resume after a round trip through JSON", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            }),
+            state,
+            left,
+            top,
+            i;
+
+        FSM.gameStart();
+        FSM.InputWriter.callEvent("onkeydown", 39);
+        for (i = 0; i < 35; i += 1) {
+            FSM.GamesRunner.tick();
+        }
+
+        state = JSON.parse(JSON.stringify(FSM.saveState()));
+
+        for (i = 0; i < 35; i += 1) {
+            FSM.GamesRunner.tick();
+        }
+        left = FSM.player.left;
+        top = FSM.player.top;
+
+        FSM.loadState(state);
+        for (i = 0; i < 35; i += 1) {
+            FSM.GamesRunner.tick();
+        }
+
+        chai.expect(FSM.player.left).to.equal(left);
+        chai.expect(FSM.player.top).to.equal(top);
+    });
+
+    it("resume star power and end it on time", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            }),
+            state,
+            ticks,
+            i;
+
+        FSM.gameStart();
+        FSM.playerStarUp(FSM.player);
+        for (i = 0; i < 280; i += 1) {
+            FSM.GamesRunner.tick();
+        }
+
+        state = JSON.parse(JSON.stringify(FSM.saveState()));
+
+        for (ticks = 0; FSM.player.star && ticks < 1000; ticks += 1) {
+            FSM.GamesRunner.tick();
+        }
+        chai.expect(FSM.player.star).to.equal(0);
+
+        FSM.loadState(state);
+        chai.expect(FSM.player.star).to.equal(1);
+
+        for (i = 0; FSM.player.star && i < 1000; i += 1) {
+            FSM.GamesRunner.tick();
+        }
+
+        chai.expect(i).to.equal(ticks);
+        chai.expect(FSM.player.className).to.not.contain("star");
+    });
+
+    it("aren't made while the player's death is animating", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            });
+
+        FSM.gameStart();
+        FSM.killPlayer(FSM.player);
+
+        chai.expect(function () {
+            FSM.saveState();
+        }).to.throw("Can't save a state while an event without a named callback is pending.");
+    });
+});
+
+describe("two-player games", function () {
+    it("resume each player's map and location on their turn", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            }),
+            i;
+
+        FSM.gameStartTwoPlayer();
+        for (i = 0; i < 210; i += 1) {
+            FSM.GamesRunner.tick();
+        }
+
+        FSM.setLocation("2");
+        FSM.killPlayer(FSM.player);
+        for (i = 0; i < 490; i += 1) {
+            FSM.GamesRunner.tick();
+        }
+
+        chai.expect(FSM.StatsHolder.get("player")).to.equal("Luigi");
+        chai.expect(FSM.MapsHandler.getLocationName()).to.equal("0");
+
+        FSM.killPlayer(FSM.player);
+        for (i = 0; i < 490; i += 1) {
+            FSM.GamesRunner.tick();
+        }
+
+        chai.expect(FSM.StatsHolder.get("player")).to.equal("Mario");
+        chai.expect(FSM.MapsHandler.getMapName()).to.equal("1-1");
+        chai.expect(FSM.MapsHandler.getLocationName()).to.equal("2");
+    });
+});
+
+describe("generated maps", function () {
+    it("export every area's RandomSpawners, reached or not", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            }),
+            map,
+            i;
+
+        FSM.gameStart();
+        FSM.NumberMaker.resetFromSeed(777);
+        FSM.setMap("Random");
+        map = JSON.parse(JSON.stringify(FSM.getGeneratedMap("Exported")));
+
+        for (i in map.areas) {
+            chai.expect(map.areas[i].random).to.be.undefined;
+            chai.expect(map.areas[i].creation).to.not.be.empty;
+            map.areas[i].creation.forEach(function (reference) {
+                chai.expect(reference.thing).to.not.equal("RandomSpawner");
+            });
+        }
+
+        FSM.setLocation("Underworld");
+        FSM.GamesRunner.tick();
+        chai.expect(FSM.MapsHandler.getArea().creationGenerated)
+            .to.deep.equal(map.areas.Underworld.creation);
+    });
+});
+
+describe("level editor history", function () {
+    /**
+     * Replaces the editor's map JSON as if it were typed into the textarea.
+     */
+    function editMapTime(textarea, time) {
+        var map = JSON.parse(textarea.value);
+
+        map.time = time;
+        textarea.value = JSON.stringify(map);
+        textarea.onchange();
+
+        return textarea.value;
+    }
+
+    it("undoes and redoes commands", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464
+            }),
+            textarea,
+            original,
+            edited;
+
+        FSM.gameStart();
+        FSM.LevelEditor.enable();
+        textarea = FSM.container.getElementsByClassName("EditorJSONInput")[0];
+        original = textarea.value;
+        edited = editMapTime(textarea, 210);
+
+        chai.expect(FSM.LevelEditor.getHistoryUndo()).to.deep.equal(["Edit JSON"]);
+
+        chai.expect(FSM.LevelEditor.undo()).to.equal(true);
+        chai.expect(textarea.value).to.equal(original);
+        chai.expect(FSM.LevelEditor.getHistoryUndo()).to.deep.equal([]);
+        chai.expect(FSM.LevelEditor.getHistoryRedo()).to.deep.equal(["Edit JSON"]);
+        chai.expect(FSM.LevelEditor.undo()).to.equal(false);
+
+        chai.expect(FSM.LevelEditor.redo()).to.equal(true);
+        chai.expect(textarea.value).to.equal(edited);
+        chai.expect(FSM.LevelEditor.getHistoryRedo()).to.deep.equal([]);
+        chai.expect(FSM.LevelEditor.redo()).to.equal(false);
+
+        FSM.LevelEditor.disable();
+    });
+
+    it("forgets undone commands after a new edit", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464
+            }),
+            textarea,
+            edited;
+
+        FSM.gameStart();
+        FSM.LevelEditor.enable();
+        textarea = FSM.container.getElementsByClassName("EditorJSONInput")[0];
+        editMapTime(textarea, 210);
+        FSM.LevelEditor.undo();
+        edited = editMapTime(textarea, 420);
+
+        chai.expect(FSM.LevelEditor.getHistoryUndo()).to.deep.equal(["Edit JSON"]);
+        chai.expect(FSM.LevelEditor.getHistoryRedo()).to.deep.equal([]);
+        chai.expect(FSM.LevelEditor.redo()).to.equal(false);
+        chai.expect(textarea.value).to.equal(edited);
+
+        FSM.LevelEditor.disable();
+    });
+});
+
+describe("random map validation", function () {
+    /**
+     * Creates a command for a Floor in the format generated by WorldSeedr.
+     */
+    function createFloor(left, width) {
+        return {
+            "type": "Known",
+            "title": "Floor",
+            "top": 0,
+            "right": left + width,
+            "bottom": -8,
+            "left": left,
+            "width": width,
+            "height": 8,
+            "arguments": {
+                "width": width
+            }
+        };
+    }
+
+    it("only jumps between surfaces within the player's jump arc", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            }),
+            start = { "top": 0, "right": 40, "bottom": -8, "left": 0 },
+            near = { "top": 0, "right": 120, "bottom": -8, "left": 72 },
+            far = { "top": 0, "right": 280, "bottom": -8, "left": 200 },
+            tall = { "top": 40, "right": 120, "bottom": -8, "left": 40 },
+            arc,
+            playerWidth;
+
+        // The jump arc uses the map's physics, so a map must be set first
+        FSM.gameStart();
+        arc = FSM.getPlayerJumpArc(FSM, 80);
+        playerWidth = FSM.ObjectMaker.getFullPropertiesOf("Player").width;
+
+        chai.expect(FSM.canJumpBetweenSurfaces(start, near, [start, near], arc, playerWidth)).to.equal(true);
+        chai.expect(FSM.canJumpBetweenSurfaces(start, far, [start, far], arc, playerWidth)).to.equal(false);
+        chai.expect(FSM.canJumpBetweenSurfaces(start, tall, [start, tall], arc, playerWidth)).to.equal(false);
+    });
+
+    it("fails an unreachable gap until a patch Stone bridges it", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            }),
+            position = { "top": 80, "right": 336, "bottom": 0, "left": 0 },
+            commands = [
+                createFloor(0, 40),
+                createFloor(200, 136),
+                {
+                    "type": "Known",
+                    "title": "EndOutsideCastle",
+                    "top": 0,
+                    "right": 336,
+                    "bottom": 0,
+                    "left": 296
+                }
+            ],
+            results,
+            stone;
+
+        FSM.gameStart();
+        results = FSM.validateRandomCommands(FSM, commands, position);
+
+        chai.expect(results.valid).to.equal(false);
+        chai.expect(results.end).to.equal(296);
+        chai.expect(results.blockedAt.right).to.equal(40);
+        chai.expect(results.blockedBy.left).to.equal(200);
+
+        FSM.patchRandomCommands(FSM, commands, position, results);
+        stone = commands[commands.length - 1];
+
+        chai.expect(stone.title).to.equal("Stone");
+        chai.expect(stone.left).to.equal(40);
+        chai.expect(stone.right).to.equal(200);
+        chai.expect(FSM.validateRandomCommands(FSM, commands, position).valid).to.equal(true);
+    });
+
+    it("summarizes WorldSeedr's attempts and patches", function () {
+        var patched = false,
+            WorldSeeder = new WorldSeedr({
+                "possibilities": {
+                    "Square": {
+                        "width": 8,
+                        "height": 8,
+                        "contents": {
+                            "mode": "Certain",
+                            "children": [{
+                                "type": "Known",
+                                "title": "Square"
+                            }]
+                        }
+                    }
+                },
+                "onPlacement": function () { },
+                "validator": function (generatedCommands) {
+                    return {
+                        "valid": patched,
+                        "commands": generatedCommands.length
+                    };
+                },
+                "patcher": function () {
+                    patched = true;
+                },
+                "validationAttempts": 3,
+                "validationsMax": 2
+            }),
+            schema = {
+                "title": "Square",
+                "top": 8,
+                "right": 8,
+                "bottom": 0,
+                "left": 0
+            },
+            validation = WorldSeeder.generateValidated(schema);
+
+        chai.expect(validation.title).to.equal("Square");
+        chai.expect(validation.attempts).to.equal(3);
+        chai.expect(validation.patched).to.equal(true);
+        chai.expect(validation.results.valid).to.equal(true);
+        chai.expect(WorldSeeder.getValidations()).to.deep.equal([validation]);
+
+        WorldSeeder.generateValidated(schema);
+        WorldSeeder.generateValidated(schema);
+
+        chai.expect(WorldSeeder.getValidations()).to.have.length(2);
+        chai.expect(WorldSeeder.getValidations()[1].attempts).to.equal(1);
+        chai.expect(WorldSeeder.getValidations()[1].patched).to.equal(false);
+    });
+
+    it("records a summary for each generated section of a random map", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            }),
+            validations;
+
+        FSM.gameStart();
+        FSM.WorldSeeder.clearValidations();
+        FSM.setMap("Random");
+        FSM.GamesRunner.tick();
+        validations = FSM.WorldSeeder.getValidations();
+
+        chai.expect(validations).to.not.be.empty;
+        validations.forEach(function (validation) {
+            chai.expect(validation.title).to.equal("Overworld");
+            chai.expect(validation.attempts).to.be.within(1, FSM.settings.generator.validationAttempts);
+            chai.expect(validation.results.valid).to.equal(true);
+        });
+    });
+});
+
+describe("sprite atlases", function () {
+    it("size every sprite in the library", function () {
+        var FSM = new FullScreenMario({
+                "width": 512,
+                "height": 464,
+                "headless": true
+            }),
+            // Headless games don't render, so the library is parsed here
+            PixelRender = new PixelRendr(FSM.proliferate({
+                "unitsize": FSM.unitsize,
+                "scale": FSM.scale
+            }, FSM.settings.sprites)),
+            atlas = PixelRender.getAtlas(
+                FSM.getSpriteAtlasDimensions.bind(undefined, FSM)
+            );
+
+        chai.expect(atlas.skipped).to.deep.equal([]);
+        chai.expect(Object.keys(atlas.frames)).to.not.be.empty;
+    });
+});
+
+describe("AudioSynthr", function () {
+    // Rendering needs an OfflineAudioContext, which PhantomJS doesn't have
+    var itRenders = (
+        typeof OfflineAudioContext === "undefined"
+        && typeof webkitOfflineAudioContext === "undefined"
+    ) ? it.skip : it;
+
+    itRenders("renders songs offline", function (done) {
+        var AudioSynthesizer = new AudioSynthr({
+            "sampleRate": 22050,
+            "songs": {
+                "Jingle": {
+                    "tempo": 120,
+                    "channels": [{
+                        "wave": "square",
+                        "notes": "[ C5/8 E5/8 ]2 G5/4"
+                    }, {
+                        "wave": "noise",
+                        "notes": "x/2"
+                    }]
+                }
+            }
+        });
+
+        AudioSynthesizer.renderSong("Jingle", function (buffer) {
+            var data = buffer.getChannelData(0),
+                loudest = 0,
+                i;
+
+            for (i = 0; i < data.length; i += 1) {
+                loudest = Math.max(loudest, Math.abs(data[i]));
+            }
+
+            chai.expect(buffer.duration).to.be.closeTo(1.5, .01);
+            chai.expect(loudest).to.be.above(0);
+            done();
+        });
+    });
+});
+
+describe("GamesRunnr", function () {
+    var now,
+        ticks,
+        renders,
+        GamesRunner;
+
+    // Upkeeps are run by hand here, with time moved forward in between
+    beforeEach(function () {
+        now = 0;
+        ticks = renders = 0;
+        GamesRunner = new GamesRunnr({
+            "games": [function () {
+                ticks += 1;
+            }],
+            "renders": [function () {
+                renders += 1;
+            }],
+            "interval": 10,
+            "fixedTimestep": true,
+            "maxCatchUpTicks": 3,
+            "FPSAnalyzer": new FPSAnalyzr({
+                "getTimestamp": function () {
+                    return now;
+                }
+            }),
+            "upkeepScheduler": function () {},
+            "upkeepCanceller": function () {}
+        });
+    });
+
+    it("runs a fixed tick for each interval of elapsed time", function () {
+        GamesRunner.play();
+        chai.expect(ticks).to.equal(1);
+
+        now += 25;
+        GamesRunner.upkeep();
+        chai.expect(ticks).to.equal(3);
+
+        // The 5ms left over from before carries into this upkeep
+        now += 5;
+        GamesRunner.upkeep();
+        chai.expect(ticks).to.equal(4);
+        chai.expect(GamesRunner.getTicks()).to.equal(4);
+    });
+
+    it("caps how many ticks are caught up on at once", function () {
+        GamesRunner.play();
+
+        now += 1000;
+        GamesRunner.upkeep();
+        chai.expect(ticks).to.equal(4);
+
+        // Time past the cap is dropped rather than caught up on later
+        now += 10;
+        GamesRunner.upkeep();
+        chai.expect(ticks).to.equal(5);
+    });
+
+    it("renders once per upkeep that ticked, however many ticks it ran", function () {
+        GamesRunner.play();
+        chai.expect(renders).to.equal(1);
+
+        now += 30;
+        GamesRunner.upkeep();
+        chai.expect(ticks).to.equal(4);
+        chai.expect(renders).to.equal(2);
+
+        now += 5;
+        GamesRunner.upkeep();
+        chai.expect(ticks).to.equal(4);
+        chai.expect(renders).to.equal(2);
+    });
+});
+
+describe("SplitTimr", function () {
+    it("compares splits against personal bests", function () {
+        var SplitTimer = new SplitTimr(),
+            split,
+            i;
+
+        SplitTimer.start();
+        for (i = 0; i < 120; i += 1) {
+            SplitTimer.tick();
+        }
+        SplitTimer.split("1-1");
+
+        SplitTimer.start();
+        for (i = 0; i < 90; i += 1) {
+            SplitTimer.tick();
+        }
+        split = SplitTimer.split("1-1");
+
+        chai.expect(split.delta).to.equal(-30);
+        chai.expect(split.bestSegment).to.equal(true);
+        chai.expect(SplitTimer.formatTicks(split.total)).to.equal("0:01.50");
+        chai.expect(JSON.parse(SplitTimer.exportBests()).personalBests["1-1"]).to.equal(90);
+    });
+});